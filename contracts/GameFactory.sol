@@ -0,0 +1,86 @@
+/**
+ *  @title Game factory for Rock Paper Scissors Lizard Spock
+ *  Deploys games as EIP-1167 minimal clones of one RPSClone, records them
+ *  per player and announces them with GameCreated.
+ */
+
+pragma solidity ^0.4.26;
+
+import "./RPS.sol";
+
+/** @dev RPS behind a minimal proxy: the clone has no constructor, so the
+ *  state RPS sets in its constructor is set by initialize() instead. The
+ *  game rules are RPS's own functions.
+ */
+contract RPSClone is RPS {
+    /** @dev The implementation itself is locked: its constructor sets j1. */
+    constructor() RPS(bytes32(0), address(0)) public {}
+
+    /** @dev Called once by the factory, in the transaction creating the clone.
+     *  @param _j1 Player 1, who paid the stake through the factory.
+     *  @param _c1Hash Must be equal to keccak256(c1,salt) where c1 is the move of the j1.
+     *  @param _j2 Player 2.
+     */
+    function initialize(address _j1, bytes32 _c1Hash, address _j2) public payable {
+        require(j1 == address(0)); // Not initialized yet.
+        require(_j1 != address(0));
+        stake = msg.value;
+        j1 = _j1;
+        j2 = _j2;
+        c1Hash = _c1Hash;
+        TIMEOUT = 5 minutes;
+        lastAction = now;
+    }
+}
+
+contract GameFactory {
+    address public implementation; // The RPSClone every game delegates to.
+    address[] public games; // Every game, oldest first.
+    mapping(address => address[]) private gamesOf; // Games of each player (as j1 or j2).
+    mapping(address => bool) public isGame;
+
+    event GameCreated(address indexed game, address indexed j1, address indexed j2, uint256 stake);
+
+    constructor() public {
+        implementation = new RPSClone();
+    }
+
+    /** @dev Create a game with the sender as j1. Must send the amount at stake.
+     *  @param _c1Hash Must be equal to keccak256(c1,salt) where c1 is the move of the j1.
+     *  @param _j2 Player 2.
+     *  @return The game contract.
+     */
+    function createGame(bytes32 _c1Hash, address _j2) public payable returns (address game) {
+        game = clone(implementation);
+        RPSClone(game).initialize.value(msg.value)(msg.sender, _c1Hash, _j2);
+
+        games.push(game);
+        isGame[game] = true;
+        gamesOf[msg.sender].push(game);
+        if (_j2 != msg.sender) gamesOf[_j2].push(game);
+
+        emit GameCreated(game, msg.sender, _j2, msg.value);
+    }
+
+    /** @return Every game a player created or was invited to, oldest first. */
+    function getGames(address _player) public view returns (address[]) {
+        return gamesOf[_player];
+    }
+
+    function gameCount() public view returns (uint256) {
+        return games.length;
+    }
+
+    /** @dev EIP-1167 minimal proxy delegating every call to _target. */
+    function clone(address _target) internal returns (address result) {
+        bytes20 target = bytes20(_target);
+        assembly {
+            let code := mload(0x40)
+            mstore(code, 0x3d602d80600a3d3981f3363d3d373d3d3d363d73000000000000000000000000)
+            mstore(add(code, 0x14), target)
+            mstore(add(code, 0x28), 0x5af43d82803e903d91602b57fd5bf30000000000000000000000000000000000)
+            result := create(0, code, 0x37)
+        }
+        require(result != address(0));
+    }
+}
@@ -0,0 +1,168 @@
+// SPDX-License-Identifier: WTFPL
+pragma solidity ^0.8.28;
+
+/**
+ *  @title Rock Paper Scissors Lizard Spock, version 2
+ *  @notice Same game and getters as RPS.sol, plus events, custom errors, a
+ *  timeout chosen by Player 1 and withdrawals for payouts that could not be
+ *  sent (a contract player that rejects ETH no longer loses its share).
+ *  Deployed with _j2 = address(0), the game is an open challenge: the first
+ *  account other than j1 to play with the matching stake becomes j2.
+ */
+contract RPSv2 {
+    uint256 public constant VERSION = 2;
+    uint256 public constant MIN_TIMEOUT = 1 minutes;
+    uint256 public constant MAX_TIMEOUT = 7 days;
+
+    enum Move {Null, Rock, Paper, Scissors, Spock, Lizard} // If the parity of the moves is the same the lower one wins, otherwise the higher one.
+
+    address public j1; // The first player creating the contract.
+    address public j2; // The second player. address(0) for an open challenge nobody accepted yet.
+    bytes32 public c1Hash; // Commitment of j1.
+    Move public c2; // Move of j2. Move.Null before they played.
+    uint256 public stake; // Amount bet by each party. 0 once the game is over.
+    uint256 public TIMEOUT; // If some party takes more than TIMEOUT to respond, the other can claim the stakes.
+    uint256 public lastAction; // The time of the last action.
+    mapping(address => uint256) public pendingWithdrawals; // Payouts whose transfer failed.
+
+    event Created(address indexed j1, address indexed j2, uint256 stake, uint256 timeout); // j2 is address(0) for an open challenge.
+    event Played(address indexed j2, Move c2);
+    event Solved(address indexed winner, Move c1, Move c2); // winner is address(0) on a tie.
+    event TimedOut(address indexed winner, uint256 amount);
+    event PayoutDeferred(address indexed to, uint256 amount);
+    event Withdrawn(address indexed to, uint256 amount);
+
+    error InvalidMove();
+    error InvalidOpponent();
+    error InvalidTimeout(uint256 min, uint256 max);
+    error NoStake();
+    error AlreadyPlayed();
+    error NotPlayed();
+    error WrongStake(uint256 expected);
+    error NotJ1();
+    error NotJ2();
+    error WrongCommitment();
+    error TimeoutNotReached(uint256 deadline);
+    error GameOver();
+    error NothingToWithdraw();
+    error TransferFailed();
+
+    /** @param _c1Hash Must be equal to keccak256(abi.encodePacked(c1, salt)) where c1 is the move of j1 (uint8) and salt a uint256.
+     *  @param _j2 The second player, or address(0) to let anyone accept.
+     *  @param _timeout Seconds each player gets to respond, between MIN_TIMEOUT and MAX_TIMEOUT.
+     */
+    constructor(bytes32 _c1Hash, address _j2, uint256 _timeout) payable {
+        if (msg.value == 0) revert NoStake();
+        if (_j2 == msg.sender) revert InvalidOpponent();
+        if (_timeout < MIN_TIMEOUT || _timeout > MAX_TIMEOUT) revert InvalidTimeout(MIN_TIMEOUT, MAX_TIMEOUT);
+        stake = msg.value;
+        j1 = msg.sender;
+        j2 = _j2;
+        c1Hash = _c1Hash;
+        TIMEOUT = _timeout;
+        lastAction = block.timestamp;
+        emit Created(msg.sender, _j2, msg.value, _timeout);
+    }
+
+    /** @dev To be called by j2 and provided stake, or by anyone but j1 for an open challenge.
+     *  @param _c2 The move submitted by j2.
+     */
+    function play(Move _c2) external payable {
+        if (stake == 0) revert GameOver();
+        if (c2 != Move.Null) revert AlreadyPlayed();
+        if (_c2 == Move.Null) revert InvalidMove();
+        if (msg.value != stake) revert WrongStake(stake);
+        if (j2 == address(0)) {
+            if (msg.sender == j1) revert InvalidOpponent();
+            j2 = msg.sender;
+        } else if (msg.sender != j2) revert NotJ2();
+
+        c2 = _c2;
+        lastAction = block.timestamp;
+        emit Played(msg.sender, _c2);
+    }
+
+    /** @dev To be called by j1. Reveal the move and pay the winner, or split the stakes.
+     *  @param _c1 The move played by j1.
+     *  @param _salt The salt used for the commitment.
+     */
+    function solve(Move _c1, uint256 _salt) external {
+        if (_c1 == Move.Null) revert InvalidMove();
+        if (stake == 0) revert GameOver();
+        if (c2 == Move.Null) revert NotPlayed();
+        if (msg.sender != j1) revert NotJ1();
+        if (keccak256(abi.encodePacked(uint8(_c1), _salt)) != c1Hash) revert WrongCommitment();
+
+        uint256 amount = stake;
+        stake = 0;
+        if (win(_c1, c2)) {
+            emit Solved(j1, _c1, c2);
+            pay(j1, 2 * amount);
+        } else if (win(c2, _c1)) {
+            emit Solved(j2, _c1, c2);
+            pay(j2, 2 * amount);
+        } else {
+            emit Solved(address(0), _c1, c2);
+            pay(j1, amount);
+            pay(j2, amount);
+        }
+    }
+
+    /** @dev Let j2 get the stakes if j1 did not reveal in time. */
+    function j1Timeout() external {
+        if (stake == 0) revert GameOver();
+        if (c2 == Move.Null) revert NotPlayed();
+        uint256 deadline = lastAction + TIMEOUT;
+        if (block.timestamp <= deadline) revert TimeoutNotReached(deadline);
+
+        uint256 amount = 2 * stake;
+        stake = 0;
+        emit TimedOut(j2, amount);
+        pay(j2, amount);
+    }
+
+    /** @dev Let j1 take back the stake if j2 did not play in time. */
+    function j2Timeout() external {
+        if (stake == 0) revert GameOver();
+        if (c2 != Move.Null) revert AlreadyPlayed();
+        uint256 deadline = lastAction + TIMEOUT;
+        if (block.timestamp <= deadline) revert TimeoutNotReached(deadline);
+
+        uint256 amount = stake;
+        stake = 0;
+        emit TimedOut(j1, amount);
+        pay(j1, amount);
+    }
+
+    /** @dev Collect payouts that could not be sent. */
+    function withdraw() external {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        if (amount == 0) revert NothingToWithdraw();
+        pendingWithdrawals[msg.sender] = 0;
+        (bool sent, ) = payable(msg.sender).call{value: amount}("");
+        if (!sent) revert TransferFailed();
+        emit Withdrawn(msg.sender, amount);
+    }
+
+    /** @dev Is this move winning over the other.
+     *  @param _c1 The first move.
+     *  @param _c2 The move the first move is considered again.
+     *  @return w True if c1 beats c2. False if c1 is beaten by c2 or in case of tie.
+     */
+    function win(Move _c1, Move _c2) public pure returns (bool w) {
+        if (_c1 == _c2) return false; // They played the same so no winner.
+        else if (_c1 == Move.Null) return false; // They did not play.
+        else if (uint8(_c1) % 2 == uint8(_c2) % 2) return (_c1 < _c2);
+        else return (_c1 > _c2);
+    }
+
+    /** @dev Send a payout with send()'s gas stipend, so a receiver cannot make the call too
+     *  expensive for the other player; if it rejects the ETH, the payout waits in pendingWithdrawals.
+     */
+    function pay(address _to, uint256 _amount) private {
+        if (!payable(_to).send(_amount)) {
+            pendingWithdrawals[_to] += _amount;
+            emit PayoutDeferred(_to, _amount);
+        }
+    }
+}
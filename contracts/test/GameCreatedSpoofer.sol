@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: WTFPL
+pragma solidity ^0.8.28;
+
+interface IGameFactory {
+    function createGame(bytes32 _c1Hash, address _j2) external payable returns (address game);
+}
+
+/**
+ *  @title Test helper: emits a look-alike GameCreated before creating a real game
+ *  @notice Only used by test/GameFactory.test.js. Readers of a createGame
+ *  receipt must only trust the factory's own GameCreated logs.
+ */
+contract GameCreatedSpoofer {
+    event GameCreated(address indexed game, address indexed j1, address indexed j2, uint256 stake);
+
+    function createGame(IGameFactory _factory, bytes32 _c1Hash, address _j2) external payable returns (address game) {
+        emit GameCreated(address(this), msg.sender, _j2, msg.value);
+        game = _factory.createGame{value: msg.value}(_c1Hash, _j2);
+    }
+}
@@ -0,0 +1,37 @@
+// SPDX-License-Identifier: WTFPL
+pragma solidity ^0.8.28;
+
+import "../RPSv2.sol";
+
+/**
+ *  @title Test helper: a contract player that rejects ETH until told otherwise
+ *  @notice Only used by test/RPSv2.test.js, to show a payout being deferred
+ *  to pendingWithdrawals and recovered with withdraw().
+ */
+contract RejectingPlayer {
+    bool public accepting; // Whether receive() takes ETH.
+
+    function setAccepting(bool _accepting) external {
+        accepting = _accepting;
+    }
+
+    function create(bytes32 _c1Hash, address _j2, uint256 _timeout) external payable returns (RPSv2 game) {
+        game = new RPSv2{value: msg.value}(_c1Hash, _j2, _timeout);
+    }
+
+    function play(RPSv2 _game, RPSv2.Move _c2) external payable {
+        _game.play{value: msg.value}(_c2);
+    }
+
+    function solve(RPSv2 _game, RPSv2.Move _c1, uint256 _salt) external {
+        _game.solve(_c1, _salt);
+    }
+
+    function withdraw(RPSv2 _game) external {
+        _game.withdraw();
+    }
+
+    receive() external payable {
+        require(accepting, "Rejecting ETH");
+    }
+}
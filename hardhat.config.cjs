@@ -0,0 +1,32 @@
+const { subtask } = require("hardhat/config");
+const { TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD } = require("hardhat/builtin-tasks/task-names");
+require("@nomicfoundation/hardhat-toolbox");
+
+// Both compilers come from npm (solc-0.4.26 / solc-0.8.28, solcjs builds)
+// instead of being downloaded, so `npm test` runs offline once installed
+const LOCAL_COMPILERS = {
+  "0.4.26": { path: require.resolve("solc-0.4.26/soljson.js"), longVersion: "0.4.26+commit.4563c3fc" },
+  "0.8.28": { path: require.resolve("solc-0.8.28/soljson.js"), longVersion: "0.8.28+commit.7893614a" }
+};
+
+subtask(TASK_COMPILE_SOLIDITY_GET_SOLC_BUILD, async ({ solcVersion }, hre, runSuper) => {
+  const compiler = LOCAL_COMPILERS[solcVersion];
+  if (!compiler) return runSuper();
+  return { compilerPath: compiler.path, isSolcJs: true, version: solcVersion, longVersion: compiler.longVersion };
+});
+
+module.exports = {
+  solidity: {
+    compilers: [
+      // RPS.sol and GameFactory.sol
+      { version: "0.4.26" },
+      // RPSv2.sol - settings of RPS_V2_BYTECODE in src/utils/contractABI.js
+      { version: "0.8.28", settings: { optimizer: { enabled: true, runs: 200 }, evmVersion: "shanghai" } }
+    ]
+  },
+  networks: {
+    hardhat: {
+      chainId: 1337  // Changed from 31337
+    }
+  }
+};
\ No newline at end of file
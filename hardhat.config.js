@@ -1,10 +0,0 @@
-require("@nomicfoundation/hardhat-toolbox");
-
-module.exports = {
-  solidity: "0.4.26",
-  networks: {
-    hardhat: {
-      chainId: 1337  // Changed from 31337
-    }
-  }
-};
\ No newline at end of file
@@ -0,0 +1,183 @@
+import { createServer } from "node:http";
+import { ethers } from "ethers";
+import { derivePhase, PHASE_LABELS } from "../src/utils/gameStateMachine.js";
+
+/**
+ * Read-only HTTP API over the index:
+ *   GET /games?player=0x..&settled=true|false&open=true&limit=&offset=
+ *       (open=true: open challenges nobody accepted yet)
+ *   GET /games/:address   (with its play / solve / timeout transactions)
+ *   GET /stats
+ * Amounts are wei strings, times are unix seconds. Phases are derived at
+ * the timestamp of the last indexed block, like the app does with block time.
+ */
+
+const MAX_LIMIT = 500;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function parseAddress(value, name) {
+  if (!ethers.isAddress(value)) {
+    throw new HttpError(400, `Invalid ${name}: ${value}`);
+  }
+  return ethers.getAddress(value);
+}
+
+function parseInteger(value, fallback, name) {
+  if (value === null) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new HttpError(400, `Invalid ${name}: ${value}`);
+  }
+  return number;
+}
+
+/**
+ * Game row -> API object
+ */
+function formatGame(row, now) {
+  const settlement = row.settled_via
+    ? {
+        via: row.settled_via,
+        winner: row.winner,
+        c1: row.c1,
+        salt: row.salt,
+        payouts: { j1: row.payout_j1, j2: row.payout_j2 },
+        stuckWei: row.stuck_wei,
+        txHash: row.settled_tx,
+        blockNumber: row.settled_block,
+        timestamp: row.settled_at
+      }
+    : null;
+
+  const phase = derivePhase(
+    {
+      c2: row.c2,
+      stake: settlement ? 0n : BigInt(row.stake),
+      lastAction: row.last_action,
+      timeout: row.timeout
+    },
+    { now, outcome: settlement }
+  );
+
+  return {
+    address: row.address,
+    j1: row.j1,
+    j2: row.j2,
+    c1Hash: row.c1_hash,
+    stake: row.stake,
+    timeout: row.timeout,
+    c2: row.c2,
+    lastAction: row.last_action,
+    phase,
+    label: PHASE_LABELS[phase],
+    created: { txHash: row.created_tx, blockNumber: row.created_block, timestamp: row.created_at },
+    playTx: row.played_tx,
+    settlement
+  };
+}
+
+function formatAction(row) {
+  return {
+    txHash: row.tx_hash,
+    type: row.type,
+    from: row.sender,
+    value: row.value,
+    blockNumber: row.block_number,
+    timestamp: row.timestamp,
+    success: row.success === 1
+  };
+}
+
+/**
+ * @param {import("./database.js").IndexStore} store
+ * @returns {import("node:http").Server} - Not listening yet
+ */
+export function createApiServer(store) {
+  const routes = [
+    {
+      pattern: /^\/games$/,
+      handle: (params, query, meta) => {
+        const player = query.get("player");
+        const settled = query.get("settled");
+        const rows = store.listGames({
+          player: player ? parseAddress(player, "player") : undefined,
+          settled: settled === null ? undefined : settled === "true",
+          challenges: query.get("open") === "true",
+          limit: Math.min(parseInteger(query.get("limit"), 100, "limit"), MAX_LIMIT),
+          offset: parseInteger(query.get("offset"), 0, "offset")
+        });
+        return { ...meta, games: rows.map((row) => formatGame(row, meta.indexedTimestamp)) };
+      }
+    },
+    {
+      pattern: /^\/games\/([^/]+)$/,
+      handle: ([address], query, meta) => {
+        const row = store.getGame(parseAddress(address, "game address"));
+        if (!row) throw new HttpError(404, `No indexed game at ${address}`);
+        return {
+          ...meta,
+          game: formatGame(row, meta.indexedTimestamp),
+          actions: store.getActions(row.address).map(formatAction)
+        };
+      }
+    },
+    {
+      pattern: /^\/stats$/,
+      handle: (params, query, meta) => {
+        const stats = store.getStats();
+        return {
+          ...meta,
+          ...stats,
+          totalStakedWei: stats.totalStakedWei.toString(),
+          stuckWei: stats.stuckWei.toString()
+        };
+      }
+    }
+  ];
+
+  return createServer((req, res) => {
+    const send = (status, body) => {
+      res.writeHead(status, {
+        "Content-Type": "application/json",
+        // The app is served from another origin (Vite dev server)
+        "Access-Control-Allow-Origin": "*"
+      });
+      res.end(JSON.stringify(body));
+    };
+
+    try {
+      if (req.method === "OPTIONS") {
+        res.writeHead(204, { "Access-Control-Allow-Origin": "*", "Access-Control-Allow-Methods": "GET" });
+        res.end();
+        return;
+      }
+      if (req.method !== "GET") throw new HttpError(405, "Only GET is supported");
+
+      const url = new URL(req.url, "http://localhost");
+      const lastBlock = store.getMeta("lastBlock");
+      const meta = {
+        chainId: Number(store.getMeta("chainId")),
+        indexedBlock: lastBlock === null ? null : Number(lastBlock),
+        indexedTimestamp: Number(store.getMeta("lastBlockTimestamp") ?? 0)
+      };
+
+      for (const route of routes) {
+        const match = url.pathname.replace(/\/$/, "").match(route.pattern);
+        if (match) {
+          send(200, route.handle(match.slice(1), url.searchParams, meta));
+          return;
+        }
+      }
+      throw new HttpError(404, `Unknown endpoint: ${url.pathname}`);
+    } catch (error) {
+      if (!(error instanceof HttpError)) console.error("API error:", error);
+      send(error.status ?? 500, { error: error.message });
+    }
+  });
+}
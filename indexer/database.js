@@ -0,0 +1,220 @@
+import Database from "better-sqlite3";
+
+/**
+ * SQLite storage for the indexer.
+ *
+ * Amounts are wei strings (they overflow SQLite integers), times are unix
+ * seconds. A game row holds the stake it was created with; the contract's
+ * stake() is 0 once settled_via is set. j2 is the zero address for an open
+ * challenge until someone plays it.
+ */
+
+const ZERO_ADDRESS = "0x0000000000000000000000000000000000000000";
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS games (
+    address TEXT PRIMARY KEY,
+    j1 TEXT NOT NULL,
+    j2 TEXT NOT NULL,
+    c1_hash TEXT NOT NULL,
+    stake TEXT NOT NULL,
+    timeout INTEGER NOT NULL,
+    created_block INTEGER NOT NULL,
+    created_tx TEXT NOT NULL,
+    created_at INTEGER NOT NULL,
+    last_action INTEGER NOT NULL,
+    c2 INTEGER NOT NULL DEFAULT 0,
+    played_tx TEXT,
+    c1 INTEGER,
+    salt TEXT,
+    settled_via TEXT,
+    winner TEXT,
+    payout_j1 TEXT,
+    payout_j2 TEXT,
+    stuck_wei TEXT,
+    settled_block INTEGER,
+    settled_tx TEXT,
+    settled_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS games_j1 ON games (j1);
+  CREATE INDEX IF NOT EXISTS games_j2 ON games (j2);
+
+  CREATE TABLE IF NOT EXISTS actions (
+    tx_hash TEXT PRIMARY KEY,
+    game TEXT NOT NULL REFERENCES games (address),
+    type TEXT NOT NULL,
+    sender TEXT NOT NULL,
+    value TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    timestamp INTEGER NOT NULL,
+    success INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS actions_game ON actions (game);
+`;
+
+/**
+ * Open (and create if needed) the index database
+ * @param {string} file - Path, or ":memory:"
+ */
+export function openDatabase(file) {
+  const db = new Database(file);
+  db.pragma("journal_mode = WAL");
+  db.exec(SCHEMA);
+  return new IndexStore(db);
+}
+
+export class IndexStore {
+  constructor(db) {
+    this.db = db;
+    this.statements = {
+      getMeta: db.prepare("SELECT value FROM meta WHERE key = ?"),
+      setMeta: db.prepare("INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT (key) DO UPDATE SET value = excluded.value"),
+      insertGame: db.prepare(`
+        INSERT OR IGNORE INTO games (address, j1, j2, c1_hash, stake, timeout, created_block, created_tx, created_at, last_action)
+        VALUES (@address, @j1, @j2, @c1Hash, @stake, @timeout, @createdBlock, @createdTx, @createdAt, @createdAt)
+      `),
+      // The sender of a successful play is j2 (an open challenge has none before)
+      play: db.prepare("UPDATE games SET j2 = @j2, c2 = @c2, played_tx = @txHash, last_action = @timestamp WHERE address = @address"),
+      settle: db.prepare(`
+        UPDATE games SET c1 = @c1, salt = @salt, settled_via = @via, winner = @winner, payout_j1 = @payoutJ1,
+          payout_j2 = @payoutJ2, stuck_wei = @stuckWei, settled_block = @blockNumber, settled_tx = @txHash, settled_at = @timestamp
+        WHERE address = @address
+      `),
+      insertAction: db.prepare(`
+        INSERT OR IGNORE INTO actions (tx_hash, game, type, sender, value, block_number, timestamp, success)
+        VALUES (@txHash, @game, @type, @sender, @value, @blockNumber, @timestamp, @success)
+      `),
+      getGame: db.prepare("SELECT * FROM games WHERE address = ?"),
+      getActions: db.prepare("SELECT * FROM actions WHERE game = ? ORDER BY block_number, rowid"),
+      listAddresses: db.prepare("SELECT address FROM games")
+    };
+  }
+
+  getMeta(key) {
+    return this.statements.getMeta.get(key)?.value ?? null;
+  }
+
+  setMeta(key, value) {
+    this.statements.setMeta.run(key, String(value));
+  }
+
+  /**
+   * Run fn in one SQLite transaction (a block is stored all or nothing)
+   */
+  transaction(fn) {
+    return this.db.transaction(fn)();
+  }
+
+  /**
+   * Drop everything indexed (the node was reset to a new chain)
+   */
+  reset() {
+    this.db.exec("DELETE FROM actions; DELETE FROM games; DELETE FROM meta;");
+  }
+
+  insertGame(game) {
+    this.statements.insertGame.run(game);
+  }
+
+  recordPlay(params) {
+    this.statements.play.run(params);
+  }
+
+  recordSettlement(params) {
+    this.statements.settle.run(params);
+  }
+
+  insertAction(action) {
+    this.statements.insertAction.run({ ...action, success: action.success ? 1 : 0 });
+  }
+
+  getGame(address) {
+    return this.statements.getGame.get(address) ?? null;
+  }
+
+  getActions(address) {
+    return this.statements.getActions.all(address);
+  }
+
+  listAddresses() {
+    return this.statements.listAddresses.all().map((row) => row.address);
+  }
+
+  /**
+   * Games a player is j1 or j2 in, newest first
+   * @param {object} [filter]
+   * @param {string} [filter.player] - Checksummed address
+   * @param {boolean} [filter.settled] - Only settled (true) or open (false) games
+   * @param {boolean} [filter.challenges] - Only open challenges nobody accepted yet (RPSv2.sol, j2 unset)
+   * @param {number} [filter.limit]
+   * @param {number} [filter.offset]
+   */
+  listGames({ player, settled, challenges, limit = 100, offset = 0 } = {}) {
+    const where = [];
+    const params = { limit, offset };
+    if (player) {
+      where.push("(j1 = @player OR j2 = @player)");
+      params.player = player;
+    }
+    if (settled !== undefined) {
+      where.push(settled ? "settled_via IS NOT NULL" : "settled_via IS NULL");
+    }
+    if (challenges) {
+      where.push("j2 = @zero AND c2 = 0 AND settled_via IS NULL");
+      params.zero = ZERO_ADDRESS;
+    }
+    const clause = where.length > 0 ? `WHERE ${where.join(" AND ")}` : "";
+    return this.db
+      .prepare(`SELECT * FROM games ${clause} ORDER BY created_block DESC, rowid DESC LIMIT @limit OFFSET @offset`)
+      .all(params);
+  }
+
+  /**
+   * Totals across all indexed games (wei sums are done in JS: they do not fit SQLite integers)
+   */
+  getStats() {
+    const games = this.db.prepare("SELECT j2, stake, c2, settled_via, winner, stuck_wei FROM games").all();
+    const players = this.db
+      .prepare("SELECT COUNT(*) AS count FROM (SELECT j1 AS p FROM games UNION SELECT j2 FROM games WHERE j2 != ?)")
+      .get(ZERO_ADDRESS);
+    const actions = this.db.prepare("SELECT type, COUNT(*) AS count FROM actions WHERE success = 1 GROUP BY type").all();
+
+    const stats = {
+      games: games.length,
+      open: 0,
+      awaitingJ2: 0,
+      openChallenges: 0,
+      settled: 0,
+      players: players.count,
+      settledVia: { solve: 0, j1Timeout: 0, j2Timeout: 0 },
+      results: { j1: 0, j2: 0, tie: 0 },
+      actions: Object.fromEntries(actions.map((row) => [row.type, row.count])),
+      totalStakedWei: 0n,
+      stuckWei: 0n
+    };
+    for (const game of games) {
+      // Both players stake once Player 2 has played
+      stats.totalStakedWei += BigInt(game.stake) * (game.c2 !== 0 ? 2n : 1n);
+      if (game.settled_via) {
+        stats.settled++;
+        stats.settledVia[game.settled_via]++;
+        if (game.settled_via === "solve") stats.results[game.winner]++;
+        stats.stuckWei += BigInt(game.stuck_wei ?? 0);
+      } else {
+        stats.open++;
+        if (game.c2 === 0) stats.awaitingJ2++;
+        if (game.c2 === 0 && game.j2 === ZERO_ADDRESS) stats.openChallenges++;
+      }
+    }
+    return stats;
+  }
+
+  close() {
+    this.db.close();
+  }
+}
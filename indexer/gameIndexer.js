@@ -0,0 +1,289 @@
+import { ethers } from "ethers";
+import { CONTRACT_ABI, GAME_FACTORY_ABI } from "../src/utils/contractABI.js";
+import { decodeGameCreation } from "../src/utils/gameScanner.js";
+import { getWinner, getPayouts } from "../src/utils/gameOutcome.js";
+import { EXPECTED_TIMEOUT } from "../src/utils/contractVerification.js";
+
+/**
+ * Follows a JSON-RPC node and stores every RPS.sol game in the index.
+ *
+ * Same detection as the browser's chain scanner (gameScanner.js), for all
+ * players: top-level deployments of RPS.sol or RPSv2.sol, then top-level
+ * play / solve / j1Timeout / j2Timeout calls to those games. Calls made
+ * through another contract are not seen (RPS.sol emits no events). Games
+ * created through the given GameFactory contracts are read from their
+ * GameCreated events.
+ *
+ * Each block is stored in one SQLite transaction together with the
+ * `lastBlock` checkpoint, so a restart resumes where it stopped. A changed
+ * genesis hash (restarted Hardhat/Ganache node) wipes the index, and so
+ * does a reorg: when the last indexed block is no longer on the node's
+ * chain, the index is rebuilt from startBlock (set CONFIRMATIONS on a
+ * public chain to stay clear of them).
+ */
+
+const gameInterface = new ethers.Interface(CONTRACT_ABI);
+const factoryInterface = new ethers.Interface(GAME_FACTORY_ABI);
+const SETTLEMENTS = ["solve", "j1Timeout", "j2Timeout"];
+
+export class GameIndexer {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {import("./database.js").IndexStore} store
+   * @param {object} [options]
+   * @param {number} [options.startBlock] - First block of a fresh index
+   * @param {number} [options.confirmations] - Blocks to stay behind the head
+   * @param {number} [options.concurrency] - Blocks fetched in parallel
+   * @param {number} [options.pollInterval] - Milliseconds between syncs when caught up
+   * @param {string[]} [options.factories] - GameFactory contracts whose games to index
+   */
+  constructor(provider, store, { startBlock = 0, confirmations = 0, concurrency = 10, pollInterval = 2000, factories = [] } = {}) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.concurrency = concurrency;
+    this.pollInterval = pollInterval;
+    this.factories = new Set(factories.map((address) => ethers.getAddress(address)));
+    this.games = null;
+    this.timer = null;
+    this.running = false;
+  }
+
+  /**
+   * Wipe the index if it was built from another chain (or a reset dev node)
+   */
+  async checkChain() {
+    const [{ chainId }, genesis] = await Promise.all([this.provider.getNetwork(), this.provider.getBlock(0)]);
+    const storedChainId = this.store.getMeta("chainId");
+    const storedGenesis = this.store.getMeta("genesisHash");
+
+    if (storedGenesis && (storedGenesis !== genesis.hash || storedChainId !== String(chainId))) {
+      console.log(`Chain changed (chain ${storedChainId} -> ${chainId}), rebuilding the index`);
+      this.store.reset();
+    }
+    this.store.setMeta("chainId", chainId);
+    this.store.setMeta("genesisHash", genesis.hash);
+    this.games = new Set(this.store.listAddresses());
+  }
+
+  /**
+   * Start over from startBlock: indexed blocks are no longer on the node's chain
+   */
+  rebuild(reason) {
+    console.log(`${reason}, rebuilding the index`);
+    this.store.reset();
+    this.games = null;
+  }
+
+  /**
+   * Does a block extend the indexed chain? (indexes from before lastBlockHash was stored always do)
+   */
+  followsIndex(block) {
+    const lastHash = this.store.getMeta("lastBlockHash");
+    return lastHash === null || block.parentHash === lastHash;
+  }
+
+  /**
+   * Next block to index
+   */
+  getNextBlock() {
+    const last = this.store.getMeta("lastBlock");
+    return last === null ? this.startBlock : Number(last) + 1;
+  }
+
+  /**
+   * Index every block up to the head (minus confirmations)
+   * @returns {Promise<number>} - Number of blocks indexed
+   */
+  async sync() {
+    if (!this.games) await this.checkChain();
+
+    const lastHash = this.store.getMeta("lastBlockHash");
+    if (lastHash !== null) {
+      const last = await this.provider.getBlock(this.getNextBlock() - 1);
+      if (last?.hash !== lastHash) {
+        this.rebuild(`Indexed block ${this.getNextBlock() - 1} was reorganized away`);
+        return this.sync();
+      }
+    }
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    const first = this.getNextBlock();
+    let next = first;
+
+    while (next <= head) {
+      const batchEnd = Math.min(next + this.concurrency - 1, head);
+      const numbers = [];
+      for (let n = next; n <= batchEnd; n++) numbers.push(n);
+
+      const blocks = await Promise.all(numbers.map((n) => this.provider.getBlock(n, true)));
+      for (const [i, block] of blocks.entries()) {
+        if (!block) throw new Error(`Block ${numbers[i]} not available from the node`);
+        if (!this.followsIndex(block)) {
+          this.rebuild(`Block ${block.number} does not follow the indexed chain`);
+          return this.sync();
+        }
+        await this.indexBlock(block);
+      }
+      next = batchEnd + 1;
+    }
+    return next - first;
+  }
+
+  /**
+   * Read everything a block needs from the node, then store it at once
+   */
+  async indexBlock(block) {
+    const writes = [];
+    // Games deployed earlier in this block are not in the store yet
+    const known = (address) => this.games.has(address) || writes.some((w) => w.game?.address === address);
+
+    for (const tx of block.prefetchedTransactions) {
+      if (!tx.to) {
+        const args = decodeGameCreation(tx.data);
+        if (!args) continue;
+        const receipt = await this.provider.getTransactionReceipt(tx.hash);
+        if (!receipt || receipt.status !== 1 || !receipt.contractAddress) continue;
+
+        writes.push({
+          game: {
+            address: ethers.getAddress(receipt.contractAddress),
+            j1: ethers.getAddress(tx.from),
+            j2: ethers.getAddress(args.j2),
+            c1Hash: args.c1Hash,
+            stake: tx.value.toString(),
+            // Verified creation code: TIMEOUT is RPS.sol's constant, or RPSv2.sol's constructor argument
+            timeout: args.timeout ?? EXPECTED_TIMEOUT,
+            createdBlock: block.number,
+            createdTx: tx.hash,
+            createdAt: block.timestamp
+          }
+        });
+        continue;
+      }
+
+      const address = ethers.getAddress(tx.to);
+      if (this.factories.has(address)) {
+        writes.push(...(await this.readFactoryGames(tx, block)));
+        continue;
+      }
+      if (!known(address)) continue;
+
+      const call = gameInterface.parseTransaction({ data: tx.data, value: tx.value });
+      if (!call) continue;
+      const receipt = await this.provider.getTransactionReceipt(tx.hash);
+      const action = {
+        txHash: tx.hash,
+        game: address,
+        type: call.name,
+        sender: ethers.getAddress(tx.from),
+        value: tx.value.toString(),
+        blockNumber: block.number,
+        timestamp: block.timestamp,
+        success: receipt?.status === 1
+      };
+
+      // What send() failed to deliver stays in the contract
+      const stuckWei =
+        action.success && SETTLEMENTS.includes(call.name)
+          ? await this.provider.getBalance(address, block.number)
+          : null;
+      writes.push({ action, args: call.args, stuckWei });
+    }
+
+    this.store.transaction(() => {
+      for (const write of writes) {
+        if (write.game) {
+          this.store.insertGame(write.game);
+          this.games.add(write.game.address);
+        } else {
+          this.storeAction(write);
+        }
+      }
+      this.store.setMeta("lastBlock", block.number);
+      this.store.setMeta("lastBlockHash", block.hash);
+      this.store.setMeta("lastBlockTimestamp", block.timestamp);
+    });
+  }
+
+  /**
+   * Games a factory call created, from its GameCreated events
+   */
+  async readFactoryGames(tx, block) {
+    const call = factoryInterface.parseTransaction({ data: tx.data, value: tx.value });
+    if (call?.name !== "createGame") return [];
+    const receipt = await this.provider.getTransactionReceipt(tx.hash);
+    if (!receipt || receipt.status !== 1) return [];
+
+    return receipt.logs
+      .filter((log) => ethers.getAddress(log.address) === ethers.getAddress(tx.to))
+      .map((log) => factoryInterface.parseLog(log))
+      .filter((event) => event?.name === "GameCreated")
+      .map((event) => ({
+        game: {
+          address: ethers.getAddress(event.args.game),
+          j1: ethers.getAddress(event.args.j1),
+          j2: ethers.getAddress(event.args.j2),
+          c1Hash: call.args[0],
+          stake: event.args.stake.toString(),
+          // RPSClone.initialize sets RPS.sol's TIMEOUT
+          timeout: EXPECTED_TIMEOUT,
+          createdBlock: block.number,
+          createdTx: tx.hash,
+          createdAt: block.timestamp
+        }
+      }));
+  }
+
+  storeAction({ action, args, stuckWei }) {
+    this.store.insertAction(action);
+    if (!action.success) return;
+
+    const base = { address: action.game, txHash: action.txHash, timestamp: action.timestamp };
+    if (action.type === "play") {
+      this.store.recordPlay({ ...base, j2: action.sender, c2: Number(args[0]) });
+      return;
+    }
+    if (!SETTLEMENTS.includes(action.type)) return;
+
+    const game = this.store.getGame(action.game);
+    const c1 = action.type === "solve" ? Number(args[0]) : null;
+    const winner = action.type === "solve" ? getWinner(c1, game.c2) : action.type === "j1Timeout" ? "j2" : null;
+    const payouts = getPayouts(action.type, BigInt(game.stake), winner);
+
+    this.store.recordSettlement({
+      ...base,
+      c1,
+      salt: action.type === "solve" ? args[1].toString() : null,
+      via: action.type,
+      winner,
+      payoutJ1: payouts.j1.toString(),
+      payoutJ2: payouts.j2.toString(),
+      stuckWei: stuckWei.toString(),
+      blockNumber: action.blockNumber
+    });
+  }
+
+  /**
+   * Sync now and keep following new blocks
+   */
+  start() {
+    this.running = true;
+    const loop = async () => {
+      try {
+        const indexed = await this.sync();
+        if (indexed > 0) console.log(`Indexed ${indexed} block(s), up to block ${this.getNextBlock() - 1}`);
+      } catch (error) {
+        console.error("Indexer error:", error.message);
+      }
+      if (this.running) this.timer = setTimeout(loop, this.pollInterval);
+    };
+    loop();
+  }
+
+  stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+  }
+}
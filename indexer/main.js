@@ -0,0 +1,59 @@
+/**
+ * RPS indexer service
+ *
+ * Usage:
+ *   npm run indexer
+ *
+ * Environment:
+ *   RPC_URL        JSON-RPC node (default http://127.0.0.1:8545, a local Hardhat/Ganache node)
+ *   INDEXER_DB     SQLite file (default indexer/rps-index.sqlite)
+ *   INDEXER_PORT   HTTP port (default 8787)
+ *   START_BLOCK    First block of a fresh index (default 0)
+ *   CONFIRMATIONS  Blocks to stay behind the head (default 0)
+ *   POLL_INTERVAL  Milliseconds between polls for new blocks (default 2000)
+ *   FACTORIES      Comma-separated GameFactory addresses whose games to index too
+ *
+ * Point the app at it with VITE_INDEXER_URL=http://127.0.0.1:8787.
+ */
+import { fileURLToPath } from "node:url";
+import { ethers } from "ethers";
+import { openDatabase } from "./database.js";
+import { GameIndexer } from "./gameIndexer.js";
+import { createApiServer } from "./api.js";
+
+const RPC_URL = process.env.RPC_URL || "http://127.0.0.1:8545";
+const DB_FILE = process.env.INDEXER_DB || fileURLToPath(new URL("./rps-index.sqlite", import.meta.url));
+const PORT = Number(process.env.INDEXER_PORT || 8787);
+
+const provider = new ethers.JsonRpcProvider(RPC_URL, undefined, { staticNetwork: true });
+const store = openDatabase(DB_FILE);
+const indexer = new GameIndexer(provider, store, {
+  startBlock: Number(process.env.START_BLOCK || 0),
+  confirmations: Number(process.env.CONFIRMATIONS || 0),
+  pollInterval: Number(process.env.POLL_INTERVAL || 2000),
+  factories: (process.env.FACTORIES || "").split(",").filter(Boolean)
+});
+const server = createApiServer(store);
+
+try {
+  await indexer.checkChain();
+} catch (error) {
+  console.error(`Cannot reach the node at ${RPC_URL}:`, error.message);
+  store.close();
+  provider.destroy();
+  process.exit(1);
+}
+
+console.log(`Indexing ${RPC_URL} from block ${indexer.getNextBlock()} into ${DB_FILE}`);
+indexer.start();
+server.listen(PORT, () => console.log(`API listening on http://127.0.0.1:${PORT}`));
+
+function shutdown() {
+  indexer.stop();
+  server.close();
+  provider.destroy();
+  store.close();
+  process.exit(0);
+}
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,119 @@
+/**
+ * Commitment golden-vector suite
+ *
+ * Usage:
+ *   node scripts/commitment-vectors.js                 # offline: check stored vectors against the engine
+ *   RPC_URL=http://127.0.0.1:8545 node scripts/commitment-vectors.js
+ *                                                      # also check Hasher.hash on a node (+ random salts)
+ *   RPC_URL=... node scripts/commitment-vectors.js --write
+ *                                                      # regenerate src/utils/commitmentVectors.js from Hasher
+ *
+ * Set HASHER_ADDRESS to use an already deployed Hasher, otherwise one is
+ * deployed with the node's first unlocked account.
+ */
+import { writeFileSync } from "node:fs";
+import { ethers } from "ethers";
+import { HASHER_ABI, HASHER_BYTECODE } from "../src/utils/contractABI.js";
+import { computeCommitment, verifyGoldenVectors } from "../src/utils/commitment.js";
+import { COMMITMENT_GOLDEN_VECTORS } from "../src/utils/commitmentVectors.js";
+
+const VECTORS_FILE = new URL("../src/utils/commitmentVectors.js", import.meta.url);
+const RANDOM_SAMPLES = 25;
+
+// Salts covering zero, one, leading-zero bytes, the top bit and max uint256
+const VECTOR_SALTS = [
+  { salt: 0n, moves: [1] },
+  { salt: 1n, moves: [1, 2, 3, 4, 5] },
+  { salt: 0xabcdefn, moves: [3] },
+  { salt: (1n << 256n) - 1n, moves: [1, 2, 3, 4, 5] },
+  {
+    salt: 0x9c2b3f1e8d7a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1cn,
+    moves: [1, 2, 3, 4, 5]
+  }
+];
+
+async function getHasher(provider) {
+  if (process.env.HASHER_ADDRESS) {
+    return new ethers.Contract(process.env.HASHER_ADDRESS, HASHER_ABI, provider);
+  }
+  const signer = await provider.getSigner(0);
+  const hasher = await new ethers.ContractFactory(HASHER_ABI, HASHER_BYTECODE, signer).deploy();
+  await hasher.waitForDeployment();
+  console.log("Deployed Hasher at", await hasher.getAddress());
+  return hasher;
+}
+
+function renderVectorsFile(vectors) {
+  const entries = vectors
+    .map((v) => `  {\n    move: ${v.move},\n    salt: "${v.salt}",\n    hash: "${v.hash}"\n  }`)
+    .join(",\n");
+
+  return `/**
+ * Golden vectors for the packed legacy commitment scheme.
+ *
+ * Generated by scripts/commitment-vectors.js from the Hasher contract in
+ * contracts/RPS.sol (solc 0.4.26): hash = Hasher.hash(move, salt).
+ * Do not edit by hand - regenerate against a node instead.
+ */
+export const COMMITMENT_GOLDEN_VECTORS = [
+${entries}
+];
+`;
+}
+
+async function main() {
+  let failed = 0;
+
+  const offlineFailures = verifyGoldenVectors();
+  offlineFailures.forEach((v) => console.error("✗ engine mismatch:", v));
+  failed += offlineFailures.length;
+  console.log(
+    `${COMMITMENT_GOLDEN_VECTORS.length - offlineFailures.length}/${COMMITMENT_GOLDEN_VECTORS.length} stored vectors match the engine`
+  );
+
+  if (!process.env.RPC_URL) {
+    console.log("RPC_URL not set - skipping on-chain Hasher checks");
+    process.exit(failed ? 1 : 0);
+  }
+
+  const provider = new ethers.JsonRpcProvider(process.env.RPC_URL);
+  const hasher = await getHasher(provider);
+
+  if (process.argv.includes("--write")) {
+    const vectors = [];
+    for (const { salt, moves } of VECTOR_SALTS) {
+      for (const move of moves) {
+        vectors.push({ move, salt: ethers.toBeHex(salt, 32), hash: await hasher.hash(move, salt) });
+      }
+    }
+    writeFileSync(VECTORS_FILE, renderVectorsFile(vectors));
+    console.log(`Wrote ${vectors.length} vectors to src/utils/commitmentVectors.js`);
+  }
+
+  for (const vector of COMMITMENT_GOLDEN_VECTORS) {
+    const onChain = await hasher.hash(vector.move, vector.salt);
+    if (onChain !== vector.hash) {
+      console.error("✗ Hasher disagrees with stored vector:", vector, onChain);
+      failed++;
+    }
+  }
+
+  for (let i = 0; i < RANDOM_SAMPLES; i++) {
+    const move = 1 + (i % 5);
+    const salt = ethers.hexlify(ethers.randomBytes(32));
+    const onChain = await hasher.hash(move, salt);
+    const local = computeCommitment(move, salt);
+    if (onChain !== local) {
+      console.error("✗ Hasher disagrees with engine:", { move, salt, onChain, local });
+      failed++;
+    }
+  }
+
+  console.log(failed ? `✗ ${failed} failure(s)` : "✓ Engine matches Hasher.hash");
+  process.exit(failed ? 1 : 0);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
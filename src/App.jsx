@@ -1,14 +1,133 @@
-import React, { useState } from "react";
+import React, { useState, useEffect, useMemo } from "react";
+import { ethers } from "ethers";
 import WalletConnect from "./components/WalletConnect";
 import GameCreation from "./components/GameCreation";
 import GameJoin from "./components/GameJoin";
 import GameReveal from "./components/GameReveal";
 import GameStatus from "./components/GameStatus";
+import SecretVault from "./components/SecretVault";
+import Notifications from "./components/Notifications";
+import MyGames from "./components/MyGames";
+import Lobby from "./components/Lobby";
+import PendingTransactions from "./components/PendingTransactions";
+import Sandbox from "./components/Sandbox";
+import { GameWatcher } from "./utils/gameWatcher";
+import { TxManager } from "./utils/txManager";
+import { listGames, onRegistryChange } from "./utils/gameRegistry";
+import { WalletSession } from "./utils/walletSession";
+import { getNetworkName, switchNetwork } from "./utils/networks";
+import { parseDeepLink, buildDeepLinkPath, getRouteForPanel } from "./utils/deepLinks";
+import { CONNECTOR_TYPES } from "./utils/walletConnectors";
+import useWalletSession from "./hooks/useWalletSession";
 import "./App.css";
 
+/**
+ * Asked before the app follows a wallet account/chain change that a panel objects to
+ */
+function confirmSwitch(warnings, { account, chainId }) {
+  return window.confirm(
+    `⚠️ Your wallet switched to ${account} on ${getNetworkName(chainId)}.\n\n` +
+    warnings.map((warning) => "• " + warning).join("\n") +
+    "\n\nSwitch the app now? (Cancel keeps the previous account until you switch)"
+  );
+}
+
 export default function App() {
-  const [provider, setProvider] = useState(null);
+  // One session for the page: account/chain changes replace the provider in place
+  const walletSession = useMemo(() => new WalletSession({ confirmSwitch }), []);
+  const { session } = useWalletSession(walletSession);
+  const provider = session?.provider ?? null;
+  const chainId = session?.chainId ?? null;
   const [currentGameAddress, setCurrentGameAddress] = useState("");
+  const [selection, setSelection] = useState(null);
+  const [registryVersion, setRegistryVersion] = useState(0);
+  const [isSandbox, setIsSandbox] = useState(() => new URLSearchParams(window.location.search).has("sandbox"));
+  // /game/, /join/ or /reveal/<chainId>/<address> - see utils/deepLinks
+  const [deepLink, setDeepLink] = useState(() => parseDeepLink(window.location.pathname, window.location.search));
+
+  // One block subscription shared by every panel
+  const watcher = useMemo(() => (provider ? new GameWatcher(provider) : null), [provider]);
+  const account = session?.account ?? null;
+  const txManager = useMemo(() => (provider ? new TxManager(provider, { account }) : null), [provider, account]);
+
+  // Pick up transactions still pending when the page was closed
+  useEffect(() => {
+    if (!txManager) return;
+    txManager.resume();
+    return () => txManager.stop();
+  }, [txManager]);
+
+  useEffect(() => onRegistryChange(() => setRegistryVersion((version) => version + 1)), []);
+
+  // Back/forward between game links
+  useEffect(() => {
+    function handlePopState() {
+      setDeepLink(parseDeepLink(window.location.pathname, window.location.search));
+    }
+    window.addEventListener("popstate", handlePopState);
+    return () => window.removeEventListener("popstate", handlePopState);
+  }, []);
+
+  // Open the linked game once the wallet is on its chain
+  const isOnLinkChain = deepLink !== null && chainId === deepLink.chainId;
+  useEffect(() => {
+    if (!isOnLinkChain) return;
+    setSelection({ panel: deepLink.panel, address: deepLink.address, invite: deepLink, openedAt: Date.now() });
+    document.getElementById(`panel-${deepLink.panel}`)?.scrollIntoView({ behavior: "smooth" });
+  }, [deepLink, isOnLinkChain]);
+
+  useEffect(() => {
+    if (!watcher) return;
+    let cancelled = false;
+    let untrack = [];
+
+    Promise.all([provider.getSigner().then((signer) => signer.getAddress()), provider.getNetwork()])
+      .then(([account, { chainId }]) => {
+        if (cancelled) return;
+        watcher.setAccount(account);
+
+        // Keep watching the account's games so notifications arrive without opening a panel
+        const addresses = new Set(listGames(chainId, account).map((game) => game.address));
+        if (currentGameAddress) addresses.add(ethers.getAddress(currentGameAddress));
+        untrack = [...addresses].map((address) => watcher.track(address));
+      })
+      .catch((error) => console.error("Watcher account error:", error));
+
+    return () => {
+      cancelled = true;
+      untrack.forEach((stop) => stop());
+    };
+  }, [watcher, provider, currentGameAddress, registryVersion]);
+
+  /**
+   * Open a game from My Games in the panel that handles its next step (and
+   * give it a link that can be bookmarked or shared)
+   */
+  function handleOpenGame({ panel, address }) {
+    const path = buildDeepLinkPath({ route: getRouteForPanel(panel), chainId, address });
+    window.history.pushState(null, "", path);
+    setDeepLink(parseDeepLink(path));
+  }
+
+  async function handleSwitchToLinkChain() {
+    try {
+      await switchNetwork(session.connector.ethereum, deepLink.chainId);
+    } catch (error) {
+      console.error("Network switch error:", error);
+      alert("❌ Could not switch network: " + (error.message || error));
+    }
+  }
+
+  /**
+   * Two-player local testing; ?sandbox in the URL opens it directly
+   */
+  function toggleSandbox() {
+    const url = new URL(window.location.href);
+    if (isSandbox) url.searchParams.delete("sandbox");
+    else url.searchParams.set("sandbox", "");
+    window.history.replaceState(null, "", url);
+    setIsSandbox(!isSandbox);
+  }
 
   function handleGameCreated(contractAddress) {
     setCurrentGameAddress(contractAddress);
@@ -24,22 +143,67 @@ export default function App() {
         <p style={{ color: "#666", fontSize: 14, margin: "8px 0 0 0" }}>
           Decentralized Game on Ethereum - Kleros Recruitment Exercise
         </p>
+        <button onClick={toggleSandbox} style={{ marginTop: 8, fontSize: 12, padding: "4px 10px" }}>
+          {isSandbox ? "🎮 Back to the Game" : "🧪 Sandbox (local node)"}
+        </button>
       </div>
 
-      <div style={{ marginBottom: 20, textAlign: "center" }}>
-        <WalletConnect onConnected={(prov) => setProvider(prov)} />
-      </div>
+      {isSandbox && <Sandbox />}
 
-      {!provider && (
+      {!isSandbox && (
+        <div style={{ marginBottom: 20, textAlign: "center" }}>
+          <WalletConnect walletSession={walletSession} />
+        </div>
+      )}
+
+      {!isSandbox && deepLink && !isOnLinkChain && (
+        <div
+          style={{
+            padding: 12,
+            background: "#fff3cd",
+            borderRadius: 6,
+            marginBottom: 16,
+            textAlign: "center",
+            fontSize: 14
+          }}
+        >
+          🔗 This link opens game{" "}
+          <span style={{ fontFamily: "monospace", fontSize: 13 }}>{deepLink.address}</span> on{" "}
+          <strong>{getNetworkName(deepLink.chainId)}</strong>
+          {chainId === null ? " - connect a wallet on that network." : ` - your wallet is on ${getNetworkName(chainId)}.`}
+          {chainId !== null && session.connector.type === CONNECTOR_TYPES.INJECTED && (
+            <button onClick={handleSwitchToLinkChain} style={{ marginLeft: 8, padding: "4px 10px" }}>
+              🔀 Switch Network
+            </button>
+          )}
+        </div>
+      )}
+
+      {!isSandbox && !provider && (
         <div style={{ textAlign: "center", padding: 40, background: "#f8f9fa", borderRadius: 8 }}>
           <p style={{ fontSize: 16, color: "#666" }}>
-            👆 Connect your MetaMask wallet to start playing
+            👆 Connect a wallet to start playing (MetaMask or any browser wallet; dev accounts or a
+            burner wallet on a local node)
           </p>
         </div>
       )}
 
-      {provider && (
+      {!isSandbox && provider && (
         <>
+          <Notifications watcher={watcher} />
+
+          <div style={{ marginBottom: 16 }}>
+            <MyGames provider={provider} watcher={watcher} onOpen={handleOpenGame} />
+          </div>
+
+          <div style={{ marginBottom: 16 }}>
+            <Lobby provider={provider} watcher={watcher} onOpen={handleOpenGame} />
+          </div>
+
+          <div style={{ marginBottom: 16 }}>
+            <PendingTransactions provider={provider} txManager={txManager} />
+          </div>
+
           {currentGameAddress && (
             <div
               style={{
@@ -63,13 +227,37 @@ export default function App() {
               marginBottom: 16
             }}
           >
-            <GameCreation provider={provider} onGameCreated={handleGameCreated} />
-            <GameJoin provider={provider} />
-            <GameReveal provider={provider} />
+            <GameCreation
+              provider={provider}
+              walletSession={walletSession}
+              txManager={txManager}
+              onGameCreated={handleGameCreated}
+            />
+            <GameJoin
+              provider={provider}
+              watcher={watcher}
+              txManager={txManager}
+              selection={selection?.panel === "join" ? selection : null}
+            />
+            <GameReveal
+              provider={provider}
+              watcher={watcher}
+              txManager={txManager}
+              selection={selection?.panel === "reveal" ? selection : null}
+            />
           </div>
 
           <div style={{ marginTop: 16 }}>
-            <GameStatus provider={provider} />
+            <GameStatus
+              provider={provider}
+              watcher={watcher}
+              txManager={txManager}
+              selection={selection?.panel === "status" ? selection : null}
+            />
+          </div>
+
+          <div style={{ marginTop: 16 }}>
+            <SecretVault provider={provider} />
           </div>
 
           <div
@@ -88,16 +276,16 @@ export default function App() {
                 file, and deploy a new game contract with your stake.
               </li>
               <li>
-                <strong>Player 2 (Join):</strong> Enter the game contract address, choose your move,
-                and send your stake to join.
+                <strong>Player 2 (Join):</strong> Enter the game contract address (or accept an open
+                challenge from the Lobby), choose your move, and send your stake to join.
               </li>
               <li>
-                <strong>Player 1 (Reveal):</strong> Upload your secret file (or load from
-                localStorage) and reveal your move to determine the winner.
+                <strong>Player 1 (Reveal):</strong> Upload your secret file (or load it from the
+                encrypted vault) and reveal your move to determine the winner.
               </li>
               <li>
                 <strong>Both Players:</strong> Monitor game status and claim timeout wins if opponent
-                doesn't respond within 5 minutes.
+                doesn't respond within the game's timeout (5 minutes, or Player 1's choice for RPS v2).
               </li>
             </ol>
 
@@ -113,14 +301,18 @@ export default function App() {
             <h4>⚠️ Important Notes</h4>
             <ul style={{ lineHeight: 1.8, paddingLeft: 20 }}>
               <li>
-                Each game creates a <strong>new smart contract</strong> - this is not a factory
-                pattern
+                Each game is a <strong>new smart contract</strong> - a full RPS deployment, or a
+                small clone through the optional GameFactory
               </li>
               <li>
                 <strong>Save your secret file!</strong> You cannot reveal without it
               </li>
-              <li>Secrets are also backed up to localStorage automatically</li>
+              <li>Secrets are also backed up to the encrypted vault when it is unlocked</li>
               <li>5-minute timeout protection for both players</li>
+              <li>
+                RPS v2 games can be <strong>open challenges</strong>: no opponent address, the first
+                account to match the stake plays
+              </li>
               <li>Winner receives both stakes (tie returns stakes)</li>
             </ul>
           </div>
@@ -1,5 +1,5 @@
-import React, { useState } from "react";
-import { CONTRACT_ABI, CONTRACT_BYTECODE } from "../utils/contractABI";
+import React, { useState, useEffect } from "react";
+import { RpsGame, GAME_VERSIONS, V2_TIMEOUT_RANGE } from "../utils/rpsGame";
 import { 
   generateSalt, 
   createCommitment, 
@@ -7,41 +7,142 @@ import {
   isValidAddress,
   parseEth 
 } from "../utils/hashHelpers";
+import { assertCommitment } from "../utils/commitment";
+import { isVaultUnlocked, saveSecret, assignGameAddress } from "../utils/secretVault";
+import { deriveSalt, SALT_SIGNATURE_TYPES, DEFAULT_SALT_SLOT } from "../utils/saltDerivation";
+import { buildSecretFile } from "../utils/secretFile";
+import { TX_KINDS } from "../utils/txManager";
+import { preflight, describePreflight } from "../utils/txPreflight";
+import { checkNetworkForStake, isLocalNetwork } from "../utils/networks";
+import { GameFactory, getCreatedGame, getFactoryAddress, saveFactoryAddress, verifyFactory } from "../utils/gameFactory";
+import GameInvite from "./GameInvite";
 import { ethers } from "ethers";
 
 const MOVES = ["Rock", "Paper", "Scissors", "Spock", "Lizard"];
 
-export default function GameCreation({ provider, onGameCreated }) {
+export default function GameCreation({ provider, walletSession, txManager, onGameCreated, defaultOpponent }) {
   const [opponent, setOpponent] = useState("");
   const [stake, setStake] = useState("0.0001");
   const [move, setMove] = useState(0); // UI index 0-4
   const [salt, setSalt] = useState("");
   const [commitment, setCommitment] = useState("");
+  const [saltMode, setSaltMode] = useState("random"); // "random" or a SALT_SIGNATURE_TYPES value
+  const [derivation, setDerivation] = useState(null);
+  const [deployedSecret, setDeployedSecret] = useState(null);
   const [isCreating, setIsCreating] = useState(false);
+  const [isBackedUp, setIsBackedUp] = useState(false); // salt in the vault or a downloaded file
+  const [chainId, setChainId] = useState(null);
+  const [useFactory, setUseFactory] = useState(false);
+  const [factoryAddress, setFactoryAddress] = useState("");
+  const [factoryCheck, setFactoryCheck] = useState(null);
+  const [isDeployingFactory, setIsDeployingFactory] = useState(false);
+  const [version, setVersion] = useState(GAME_VERSIONS.V1);
+  const [timeoutMinutes, setTimeoutMinutes] = useState("5");
+  const [openChallenge, setOpenChallenge] = useState(false);
+  const isV2 = version === GAME_VERSIONS.V2;
+  const viaFactory = useFactory && !isV2; // the GameFactory clones RPS.sol games
+  // RPSv2.sol open challenge: no Player 2 until someone plays
+  const j2 = openChallenge ? ethers.ZeroAddress : opponent;
+  const hasOpponent = openChallenge || (opponent && isValidAddress(opponent));
+
+  // Sandbox: the other local account plays Player 2
+  useEffect(() => {
+    if (defaultOpponent) setOpponent(defaultOpponent);
+  }, [defaultOpponent]);
+
+  // The chain's GameFactory, if it has one
+  useEffect(() => {
+    provider
+      .getNetwork()
+      .then(({ chainId }) => {
+        setChainId(Number(chainId));
+        setFactoryAddress(getFactoryAddress(chainId) ?? "");
+      })
+      .catch((error) => console.error("Network error:", error));
+  }, [provider]);
+
+  useEffect(() => {
+    setFactoryCheck(null);
+    if (!useFactory || !ethers.isAddress(factoryAddress)) return;
+
+    let cancelled = false;
+    verifyFactory(provider, factoryAddress)
+      .then((result) => {
+        if (!cancelled) setFactoryCheck(result);
+      })
+      .catch((error) => {
+        console.error("Factory check error:", error);
+        if (!cancelled) setFactoryCheck({ ok: false, message: "Could not check: " + error.message });
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, useFactory, factoryAddress]);
+
+  // A random salt only lives in this form until it is backed up: hold wallet
+  // switches until then (a derived salt can be re-signed from the wallet)
+  useEffect(() => {
+    if (!walletSession || !commitment || derivation || isBackedUp) return;
+    return walletSession.addSwitchGuard(
+      () => "Create Game has a commitment whose salt is not saved - download the secret file first, or you can never reveal it."
+    );
+  }, [walletSession, commitment, derivation, isBackedUp]);
 
   /**
    * Generate cryptographic salt and compute commitment
    */
-  function handleGenerateSalt() {
+  async function handleGenerateSalt() {
     try {
-      const newSalt = generateSalt();
+      let newSalt;
+      let newDerivation = null;
+
+      if (saltMode === "random") {
+        newSalt = generateSalt();
+      } else {
+        // Derived salt: re-signing the same data from this wallet recovers it
+        if (!hasOpponent) {
+          alert("⚠️ Enter the opponent address first - it is part of the signed data!");
+          return;
+        }
+        const signer = await provider.getSigner();
+        const { chainId } = await provider.getNetwork();
+        const nonce = await provider.getTransactionCount(await signer.getAddress(), "pending");
+        newDerivation = {
+          signatureType: saltMode,
+          chainId: Number(chainId),
+          opponent: ethers.getAddress(j2),
+          nonce,
+          slot: DEFAULT_SALT_SLOT
+        };
+        newSalt = await deriveSalt(signer, newDerivation);
+      }
+
       const contractMove = uiMoveToContract(move);
       const hash = createCommitment(contractMove, newSalt);
       
       setSalt(newSalt);
       setCommitment(hash);
+      setDerivation(newDerivation);
+      setIsBackedUp(false);
       
-      // Store in localStorage as backup
-      const gameData = {
-        move: contractMove,
-        moveName: MOVES[move],
-        salt: newSalt,
-        commitment: hash,
-        timestamp: Date.now()
-      };
-      localStorage.setItem("rps_secret", JSON.stringify(gameData));
-      
-      alert("✅ Salt generated! Commitment computed. Secret saved to localStorage.");
+      // Back up to the encrypted vault (keyed by commitment until deployed)
+      if (isVaultUnlocked()) {
+        const { chainId } = await provider.getNetwork();
+        await saveSecret({
+          chainId,
+          commitment: hash,
+          move: contractMove,
+          salt: newSalt,
+          metadata: newDerivation ? { derivation: newDerivation } : {}
+        });
+        setIsBackedUp(true);
+        alert("✅ Salt generated! Commitment computed. Secret saved to the encrypted vault.");
+      } else {
+        alert(
+          "✅ Salt generated! Commitment computed.\n\n" +
+          "⚠️ Secret vault is locked - the salt is NOT backed up. Download the secret file!"
+        );
+      }
     } catch (error) {
       console.error("Salt generation error:", error);
       alert("❌ Error generating salt: " + error.message);
@@ -49,38 +150,83 @@ export default function GameCreation({ provider, onGameCreated }) {
   }
 
   /**
-   * Download secret as JSON file
+   * Save a secret file object as JSON
    */
-  function handleDownloadSecret() {
-    if (!salt) {
-      alert("⚠️ Generate salt first!");
-      return;
-    }
-
-    const secretData = {
-      move: uiMoveToContract(move),
-      moveName: MOVES[move],
-      salt: salt,
-      commitment: commitment,
-      createdAt: new Date().toISOString()
-    };
-
-    const blob = new Blob([JSON.stringify(secretData, null, 2)], {
+  function downloadSecretFile(secretFile) {
+    const blob = new Blob([JSON.stringify(secretFile, null, 2)], {
       type: "application/json"
     });
     const url = URL.createObjectURL(blob);
     const link = document.createElement("a");
     link.href = url;
-    link.download = `rps_secret_${Date.now()}.json`;
+    link.download = secretFile.game.contractAddress
+      ? `rps_secret_${secretFile.game.contractAddress}.json`
+      : `rps_secret_${Date.now()}.json`;
     link.click();
     URL.revokeObjectURL(url);
+  }
+
+  /**
+   * Download secret as JSON file (v2 format, bound to chain, players and stake)
+   */
+  async function handleDownloadSecret() {
+    if (!salt) {
+      alert("⚠️ Generate salt first!");
+      return;
+    }
+
+    if (!hasOpponent) {
+      alert("⚠️ Enter the opponent address first - it is recorded in the secret file!");
+      return;
+    }
 
-    alert("💾 Secret file downloaded! Keep it safe - you'll need it to reveal your move!");
+    try {
+      const signer = await provider.getSigner();
+      const { chainId } = await provider.getNetwork();
+
+      downloadSecretFile(
+        buildSecretFile({
+          move: uiMoveToContract(move),
+          salt,
+          commitment,
+          chainId,
+          j1: await signer.getAddress(),
+          j2,
+          stakeWei: parseEth(stake),
+          derivation
+        })
+      );
+
+      setIsBackedUp(true);
+      alert("💾 Secret file downloaded! Keep it safe - you'll need it to reveal your move!");
+    } catch (error) {
+      console.error("Download error:", error);
+      alert("❌ Error creating secret file: " + error.message);
+    }
+  }
+
+  /**
+   * Deploy a GameFactory on a local node (other chains use the registry's)
+   */
+  async function handleDeployFactory() {
+    try {
+      setIsDeployingFactory(true);
+      const signer = await provider.getSigner();
+      const receipt = await (await GameFactory.deploy(signer)).wait();
+      saveFactoryAddress(chainId, receipt.contractAddress);
+      setFactoryAddress(receipt.contractAddress);
+      console.log("✅ GameFactory deployed at:", receipt.contractAddress);
+    } catch (error) {
+      console.error("Factory deployment error:", error);
+      alert("❌ Error deploying the GameFactory: " + (error.reason || error.message));
+    } finally {
+      setIsDeployingFactory(false);
+    }
   }
 
   /**
    * Deploy new RPS contract instance
-   * Each game is a separate contract deployment
+   * Each game is a separate contract deployment, or a clone made by the GameFactory
    */
   async function handleCreateGame() {
     // Validation
@@ -89,8 +235,8 @@ export default function GameCreation({ provider, onGameCreated }) {
       return;
     }
 
-    if (!opponent || !isValidAddress(opponent)) {
-      alert("⚠️ Please enter a valid opponent address!");
+    if (!hasOpponent) {
+      alert("⚠️ Please enter a valid opponent address, or make it an open challenge!");
       return;
     }
 
@@ -99,80 +245,176 @@ export default function GameCreation({ provider, onGameCreated }) {
       
       setIsCreating(true);
 
+      // No games on mainnet or unknown chains, and no stakes above the network's cap
+      const { chainId } = await provider.getNetwork();
+      const networkProblem = checkNetworkForStake(chainId, stakeAmount);
+      if (networkProblem) {
+        alert("🛑 " + networkProblem);
+        setIsCreating(false);
+        return;
+      }
+
+      // RPSv2.sol: the timeout is a constructor argument, in seconds
+      const timeout = isV2 ? Math.round(Number(timeoutMinutes) * 60) : undefined;
+      if (isV2 && !(timeout >= V2_TIMEOUT_RANGE.min && timeout <= V2_TIMEOUT_RANGE.max)) {
+        alert(`⚠️ The timeout must be between ${V2_TIMEOUT_RANGE.min / 60} and ${V2_TIMEOUT_RANGE.max / 60} minutes!`);
+        setIsCreating(false);
+        return;
+      }
+
+      if (viaFactory && !factoryCheck?.ok) {
+        alert("🛑 GameFactory not usable: " + (factoryCheck?.message ?? "still checking, try again."));
+        setIsCreating(false);
+        return;
+      }
+
       const signer = await provider.getSigner();
       const signerAddress = await signer.getAddress();
 
       // Check if opponent is same as creator
-      if (opponent.toLowerCase() === signerAddress.toLowerCase()) {
+      if (j2.toLowerCase() === signerAddress.toLowerCase()) {
         alert("⚠️ You cannot play against yourself!");
         setIsCreating(false);
         return;
       }
 
+      // A derived salt is found again through the deployment nonce
+      if (derivation) {
+        const nonce = await provider.getTransactionCount(signerAddress, "pending");
+        if (
+          nonce !== derivation.nonce &&
+          !window.confirm(
+            `Your account nonce changed since the salt was derived (${derivation.nonce} → ${nonce}).\n` +
+            "Recovery from your wallet will need to scan older nonces. Deploy anyway?"
+          )
+        ) {
+          setIsCreating(false);
+          return;
+        }
+      }
+
+      // Recompute the commitment and check the engine against the Hasher
+      // golden vectors - a wrong hash here means the stake can never be revealed
+      assertCommitment({
+        move: uiMoveToContract(move),
+        salt,
+        commitment
+      });
+
       // Deploy new RPS contract
       // Constructor: RPS(bytes32 _c1Hash, address _j2) payable
-      const factory = new ethers.ContractFactory(
-        CONTRACT_ABI,
-        CONTRACT_BYTECODE,
-        signer
-      );
-
+      // or RPSv2(bytes32 _c1Hash, address _j2, uint256 _timeout) payable
       console.log("Deploying game contract...");
       console.log("Commitment:", commitment);
-      console.log("Opponent:", opponent);
+      console.log("Opponent:", openChallenge ? "anyone (open challenge)" : opponent);
       console.log("Stake:", ethers.formatEther(stakeAmount), "ETH");
+      if (isV2) console.log("Timeout:", timeout, "s");
 
-      const contract = await factory.deploy(
-        commitment,
-        opponent,
+      // Simulate the deployment and show the fee before the wallet prompt
+      const check = await preflight(provider, {
+        kind: TX_KINDS.CREATE,
+        from: signerAddress,
+        factory: viaFactory ? factoryAddress : undefined,
+        version,
+        args: isV2 ? [commitment, j2, timeout] : [commitment, j2],
+        value: stakeAmount
+      });
+      if (!check.ok) {
+        alert("🛑 Deployment would fail:\n\n" + describePreflight(check));
+        return;
+      }
+      const how = viaFactory
+        ? "Create this game through the GameFactory"
+        : openChallenge
+        ? `Deploy this open challenge (${timeoutMinutes} min timeout) - anyone can accept it`
+        : isV2
+        ? `Deploy this RPS v2 game (${timeoutMinutes} min timeout)`
+        : "Deploy this game";
+      if (!window.confirm(`🚀 ${how}?\n\n${describePreflight(check, stakeAmount)}`)) {
+        return;
+      }
+      if (viaFactory) saveFactoryAddress(chainId, factoryAddress);
+
+      // Tracked in Pending Activity: if this tab closes, the game is still
+      // recorded in My Games and the vault secret re-keyed once it is mined
+      const params = { commitment, j2, stake: stakeAmount };
+      const record = await txManager.submit(
+        () =>
+          viaFactory
+            ? new GameFactory(factoryAddress, signer).createGame(params, { gasLimit: check.gasLimit })
+            : RpsGame.deploy(signer, { ...params, version, timeout }, { gasLimit: check.gasLimit }),
         {
-          value: stakeAmount,
-          gasLimit: 1000000
+          kind: TX_KINDS.CREATE,
+          meta: {
+            game: { j2 },
+            commitment,
+            secretMetadata: { j2, stake: ethers.formatEther(stakeAmount), derivation }
+          }
         }
       );
-
-      console.log("Waiting for deployment...");
-      await contract.waitForDeployment();
-
-      const contractAddress = await contract.getAddress();
+      // Use the receipt: the address ethers predicts from the nonce can be
+      // wrong when the wallet picked the nonce itself
+      const receipt = await txManager.wait(record.hash);
+      const contractAddress = receipt.contractAddress ?? getCreatedGame(receipt, factoryAddress);
       console.log("✅ Game deployed at:", contractAddress);
 
-      // Store game info
-      const gameInfo = {
-        contractAddress,
-        j1: signerAddress,
-        j2: opponent,
-        stake: ethers.formatEther(stakeAmount),
+      // Move and salt only go to the vault; the registry keeps public game info
+      if (isVaultUnlocked()) {
+        const metadata = { j2, stake: ethers.formatEther(stakeAmount), derivation };
+        try {
+          await assignGameAddress(chainId, commitment, contractAddress, metadata);
+        } catch {
+          // Salt was generated while the vault was locked
+          await saveSecret({
+            chainId,
+            address: contractAddress,
+            commitment,
+            move: uiMoveToContract(move),
+            salt,
+            metadata
+          }).catch((error) => {
+            console.error("Vault save error:", error);
+            alert("⚠️ Game deployed, but the secret could not be saved to the vault: " + error.message);
+          });
+        }
+      }
+
+      // Final secret file now knows the contract address, so the reveal
+      // form can fill itself in from it
+      const finalSecret = buildSecretFile({
         move: uiMoveToContract(move),
-        moveName: MOVES[move],
-        salt: salt,
-        commitment: commitment,
-        createdAt: new Date().toISOString()
-      };
-
-      // Save to localStorage
-      const games = JSON.parse(localStorage.getItem("rps_games") || "[]");
-      games.push(gameInfo);
-      localStorage.setItem("rps_games", JSON.stringify(games));
-      localStorage.setItem("rps_current_game", contractAddress);
+        salt,
+        commitment,
+        chainId,
+        j1: signerAddress,
+        j2,
+        stakeWei: stakeAmount,
+        contractAddress,
+        derivation
+      });
+      setDeployedSecret(finalSecret);
+      downloadSecretFile(finalSecret);
 
       alert(
         `🎮 Game Created!\n\n` +
         `Contract: ${contractAddress}\n` +
         `Your move: ${MOVES[move]}\n` +
-        `Stake: ${ethers.formatEther(stakeAmount)} ETH\n\n` +
-        `⚠️ SAVE YOUR SECRET FILE! You need it to reveal your move.`
+        `Stake: ${ethers.formatEther(stakeAmount)} ETH\n` +
+        (openChallenge ? "Open challenge: listed in the Lobby for anyone to accept\n" : "") +
+        "\n" +
+        `⚠️ SAVE YOUR SECRET FILE! An updated copy with the contract address was downloaded.`
       );
 
       // Notify parent component
       if (onGameCreated) {
-        onGameCreated(contractAddress);
+        onGameCreated(contractAddress, receipt);
       }
 
       // Reset form
       setOpponent("");
       setSalt("");
       setCommitment("");
+      setDerivation(null);
 
     } catch (error) {
       console.error("Game creation error:", error);
@@ -191,12 +433,38 @@ export default function GameCreation({ provider, onGameCreated }) {
           <strong>Opponent Address:</strong>
           <input
             type="text"
-            placeholder="0x..."
-            value={opponent}
-            onChange={(e) => setOpponent(e.target.value)}
+            placeholder={openChallenge ? "Anyone - open challenge" : "0x..."}
+            value={openChallenge ? "" : opponent}
+            disabled={openChallenge}
+            onChange={(e) => {
+              setOpponent(e.target.value);
+              // A derived salt is bound to the opponent
+              if (derivation) {
+                setSalt("");
+                setCommitment("");
+                setDerivation(null);
+              }
+            }}
             style={{ width: "100%", marginTop: 4 }}
           />
         </label>
+        <label style={{ display: "block", marginTop: 4, fontSize: 12 }}>
+          <input
+            type="checkbox"
+            checked={openChallenge}
+            onChange={(e) => {
+              setOpenChallenge(e.target.checked);
+              // Only RPSv2.sol lets the first player to match the stake take the seat
+              if (e.target.checked) setVersion(GAME_VERSIONS.V2);
+              if (derivation) {
+                setSalt("");
+                setCommitment("");
+                setDerivation(null);
+              }
+            }}
+          />{" "}
+          🌍 Open challenge - anyone can accept (RPS v2)
+        </label>
       </div>
 
       <div style={{ marginBottom: 10 }}>
@@ -233,9 +501,29 @@ export default function GameCreation({ provider, onGameCreated }) {
         </label>
       </div>
 
+      <div style={{ marginBottom: 10 }}>
+        <label>
+          <strong>Salt Source:</strong>
+          <select
+            value={saltMode}
+            onChange={(e) => {
+              setSaltMode(e.target.value);
+              setSalt("");
+              setCommitment("");
+              setDerivation(null);
+            }}
+            style={{ width: "100%", marginTop: 4 }}
+          >
+            <option value="random">Random (must keep the secret file)</option>
+            <option value={SALT_SIGNATURE_TYPES.EIP712}>Wallet signature - EIP-712 (recoverable)</option>
+            <option value={SALT_SIGNATURE_TYPES.EIP191}>Wallet signature - EIP-191 (recoverable)</option>
+          </select>
+        </label>
+      </div>
+
       <div style={{ marginTop: 12 }}>
         <button onClick={handleGenerateSalt} disabled={isCreating}>
-          🎲 Generate Salt & Commitment
+          {saltMode === "random" ? "🎲 Generate Salt & Commitment" : "✍️ Sign to Derive Salt & Commitment"}
         </button>
         
         {salt && (
@@ -249,6 +537,69 @@ export default function GameCreation({ provider, onGameCreated }) {
         )}
       </div>
 
+      <div style={{ marginTop: 12, fontSize: 12 }}>
+        <label>
+          <strong>Contract:</strong>{" "}
+          <select
+            value={version}
+            onChange={(e) => {
+              setVersion(Number(e.target.value));
+              if (Number(e.target.value) !== GAME_VERSIONS.V2) setOpenChallenge(false);
+            }}
+          >
+            <option value={GAME_VERSIONS.V1}>RPS.sol (5 min timeout)</option>
+            <option value={GAME_VERSIONS.V2}>RPS v2 (events, your timeout, withdrawable payouts)</option>
+          </select>
+        </label>
+        {isV2 && (
+          <label style={{ marginLeft: 8 }}>
+            Timeout (minutes):{" "}
+            <input
+              type="number"
+              min={V2_TIMEOUT_RANGE.min / 60}
+              max={V2_TIMEOUT_RANGE.max / 60}
+              value={timeoutMinutes}
+              onChange={(e) => setTimeoutMinutes(e.target.value)}
+              style={{ width: 80 }}
+            />
+          </label>
+        )}
+      </div>
+
+      {!isV2 && (
+        <div style={{ marginTop: 12, fontSize: 12 }}>
+          <label>
+            <input type="checkbox" checked={useFactory} onChange={(e) => setUseFactory(e.target.checked)} />{" "}
+            🏭 Create through the GameFactory (about half the gas, listed on chain)
+          </label>
+          {useFactory && (
+            <div style={{ marginTop: 6 }}>
+              <input
+                type="text"
+                placeholder="GameFactory address 0x..."
+                value={factoryAddress}
+                onChange={(e) => setFactoryAddress(e.target.value)}
+                style={{ width: "100%" }}
+              />
+              <div style={{ marginTop: 4, color: factoryCheck && !factoryCheck.ok ? "red" : "#666" }}>
+                {!factoryAddress
+                  ? "No GameFactory known on this network."
+                  : !ethers.isAddress(factoryAddress)
+                  ? "⚠️ Not a valid address."
+                  : !factoryCheck
+                  ? "⏳ Checking the factory..."
+                  : `${factoryCheck.ok ? "✅" : "🛑"} ${factoryCheck.message}`}
+              </div>
+              {isLocalNetwork(chainId) && (
+                <button onClick={handleDeployFactory} disabled={isDeployingFactory} style={{ marginTop: 6, fontSize: 12 }}>
+                  {isDeployingFactory ? "⏳ Deploying..." : "🏭 Deploy a GameFactory on this node"}
+                </button>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {commitment && (
         <div style={{ marginTop: 12, padding: 10, background: "#f0f0f0", borderRadius: 6 }}>
           <div style={{ fontSize: 12, wordBreak: "break-all" }}>
@@ -265,14 +616,36 @@ export default function GameCreation({ provider, onGameCreated }) {
                 fontWeight: "bold"
               }}
             >
-              {isCreating ? "⏳ Creating..." : "🚀 Deploy Game Contract"}
+              {isCreating ? "⏳ Creating..." : viaFactory ? "🚀 Create Game via Factory" : "🚀 Deploy Game Contract"}
             </button>
           </div>
         </div>
       )}
 
+      {deployedSecret && (
+        <div style={{ marginTop: 12, padding: 10, background: "#d4edda", borderRadius: 6, fontSize: 12 }}>
+          ✅ Game {deployedSecret.game.contractAddress.substring(0, 10)}... deployed.
+          <button
+            onClick={() => downloadSecretFile(deployedSecret)}
+            style={{ marginLeft: 8, fontSize: 12 }}
+          >
+            💾 Download Secret (with game address)
+          </button>
+        </div>
+      )}
+
+      {deployedSecret && (
+        <GameInvite
+          chainId={deployedSecret.game.chainId}
+          address={deployedSecret.game.contractAddress}
+          stake={BigInt(deployedSecret.game.stakeWei)}
+          opponent={deployedSecret.game.j2 === ethers.ZeroAddress ? null : deployedSecret.game.j2}
+        />
+      )}
+
       <div style={{ marginTop: 12, fontSize: 12, color: "#666" }}>
-        ℹ️ Each game creates a new smart contract. Save your secret file!
+        ℹ️ Each game creates a new smart contract (a small clone of a shared one through the
+        GameFactory). Save your secret file!
       </div>
     </div>
   );
@@ -0,0 +1,64 @@
+import React, { useState, useEffect, useMemo } from "react";
+import QRCode from "qrcode";
+import { ethers } from "ethers";
+import { buildInviteUrl } from "../utils/deepLinks";
+
+/**
+ * Link and QR code that open the game in Player 2's Join panel
+ * (opponent is null for an open challenge: the link is for anyone)
+ */
+export default function GameInvite({ chainId, address, stake, opponent }) {
+  const [qrCode, setQrCode] = useState(null);
+  const [isCopied, setIsCopied] = useState(false);
+  const url = useMemo(
+    () => buildInviteUrl({ chainId, address, stake, opponent }),
+    [chainId, address, stake, opponent]
+  );
+
+  useEffect(() => {
+    let cancelled = false;
+    setQrCode(null);
+    QRCode.toDataURL(url, { width: 180, margin: 1 })
+      .then((dataUrl) => {
+        if (!cancelled) setQrCode(dataUrl);
+      })
+      .catch((error) => console.error("QR code error:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [url]);
+
+  async function handleCopy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setIsCopied(true);
+      setTimeout(() => setIsCopied(false), 2000);
+    } catch (error) {
+      console.error("Copy error:", error);
+      alert("⚠️ Could not copy - select the link and copy it yourself.");
+    }
+  }
+
+  return (
+    <div style={{ marginTop: 12, padding: 10, background: "#e7f3ff", borderRadius: 6, fontSize: 12 }}>
+      <strong>{opponent ? "📨 Invite Player 2" : "📣 Share your open challenge"}</strong>
+      <div style={{ color: "#666", margin: "4px 0" }}>
+        {opponent
+          ? `Send this to ${opponent.substring(0, 10)}... - it opens`
+          : "Share this anywhere - the first account to play takes the game. It opens"}{" "}
+        the game in their Join panel and checks the {ethers.formatEther(stake)} ETH stake against the chain.
+      </div>
+      <div style={{ display: "flex", gap: 6 }}>
+        <input type="text" value={url} readOnly onFocus={(e) => e.target.select()} style={{ flex: 1, fontSize: 11 }} />
+        <button onClick={handleCopy} style={{ fontSize: 12 }}>
+          {isCopied ? "✅ Copied" : "📋 Copy"}
+        </button>
+      </div>
+      {qrCode && (
+        <div style={{ textAlign: "center", marginTop: 8 }}>
+          <img src={qrCode} alt="Invite QR code" width={180} height={180} />
+        </div>
+      )}
+    </div>
+  );
+}
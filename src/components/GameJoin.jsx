@@ -1,62 +1,90 @@
-import React, { useState, useEffect } from "react";
-import { CONTRACT_ABI } from "../utils/contractABI";
+import React, { useState, useEffect, useMemo } from "react";
+import { RpsGame, GAME_VERSIONS } from "../utils/rpsGame";
+import { describeGame, ACTIONS } from "../utils/gameStateMachine";
 import { uiMoveToContract, parseEth, formatEth } from "../utils/hashHelpers";
+import { verifyGameContract } from "../utils/contractVerification";
+import { TX_KINDS } from "../utils/txManager";
+import { preflight, describePreflight } from "../utils/txPreflight";
+import { checkNetworkForStake } from "../utils/networks";
+import { checkInvite } from "../utils/deepLinks";
+import { formatDuration } from "../utils/timeoutClock";
+import useWatchedGame from "../hooks/useWatchedGame";
 import { ethers } from "ethers";
 
 const MOVES = ["Rock", "Paper", "Scissors", "Spock", "Lizard"];
 
-export default function GameJoin({ provider }) {
+export default function GameJoin({ provider, watcher, txManager, selection }) {
   const [contractAddress, setContractAddress] = useState("");
   const [move, setMove] = useState(0); // UI index 0-4
   const [isJoining, setIsJoining] = useState(false);
-  const [gameInfo, setGameInfo] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
+  const [account, setAccount] = useState(null);
+  const [verification, setVerification] = useState(null);
+  const { state, error: loadError } = useWatchedGame(watcher, contractAddress);
+
+  // Opened from My Games or a game link
+  useEffect(() => {
+    if (selection) setContractAddress(selection.address);
+  }, [selection]);
+
+  useEffect(() => {
+    provider
+      .getSigner()
+      .then((signer) => signer.getAddress())
+      .then(setAccount)
+      .catch((error) => console.error("Signer error:", error));
+  }, [provider]);
+
+  // Check the contract is a genuine RPS game before offering to pay into it
+  const loadedAddress = state?.address ?? null;
+  useEffect(() => {
+    setVerification(null);
+    if (!loadedAddress) return;
+
+    let cancelled = false;
+    verifyGameContract(provider, loadedAddress)
+      .then((result) => {
+        if (!cancelled) setVerification(result);
+      })
+      .catch((error) => {
+        console.error("Verification error:", error);
+        if (!cancelled) {
+          setVerification({ ok: false, errors: [{ message: "Could not verify: " + error.message }], warnings: [] });
+        }
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, loadedAddress]);
+
+  // An invite link carries the stake and Player 2 it was made for
+  const invite = selection?.invite ?? null;
+  const inviteMismatches = useMemo(() => {
+    if (!invite || !state || state.address.toLowerCase() !== invite.address.toLowerCase()) return null;
+    return checkInvite(invite, state, account);
+  }, [invite, state, account]);
 
   /**
-   * Load game info from contract
+   * Game info, refreshed live by the watcher
    */
-  async function loadGameInfo() {
-    if (!contractAddress || !ethers.isAddress(contractAddress)) {
-      setGameInfo(null);
-      return;
-    }
-
-    try {
-      setIsLoading(true);
-      const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
-
-      const [j1, j2, stake, c2, lastAction] = await Promise.all([
-        contract.j1(),
-        contract.j2(),
-        contract.stake(),
-        contract.c2(),
-        contract.lastAction()
-      ]);
-
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-
-      // Check if j2 has already played
-      const hasPlayed = Number(c2) !== 0;
-
-      setGameInfo({
-        j1,
-        j2,
-        stake: formatEth(stake),
-        c2: Number(c2),
-        hasPlayed,
-        lastAction: Number(lastAction),
-        isJ2: signerAddress.toLowerCase() === j2.toLowerCase()
-      });
-
-    } catch (error) {
-      console.error("Error loading game info:", error);
-      setGameInfo(null);
-      alert("⚠️ Could not load game info. Check contract address.");
-    } finally {
-      setIsLoading(false);
-    }
-  }
+  const gameInfo = useMemo(() => {
+    if (!state) return null;
+    const view = describeGame(state, { account });
+    return {
+      j1: state.j1,
+      j2: state.j2,
+      stake: formatEth(state.stake),
+      c2: state.c2,
+      hasPlayed: state.c2 !== 0,
+      lastAction: state.lastAction,
+      timeout: state.timeout,
+      version: state.version,
+      isJ2: view.isJ2,
+      openChallenge: view.openChallenge,
+      phase: view.label,
+      canPlay: view.actions[ACTIONS.PLAY].allowed,
+      playReason: view.actions[ACTIONS.PLAY].reason
+    };
+  }, [state, account]);
 
   /**
    * Join game by calling play() with stake
@@ -68,25 +96,60 @@ export default function GameJoin({ provider }) {
     }
 
     if (!gameInfo) {
-      alert("⚠️ Load game info first!");
-      return;
-    }
-
-    if (gameInfo.hasPlayed) {
-      alert("⚠️ Player 2 has already played!");
+      alert("⚠️ Game info is still loading!");
       return;
     }
 
-    if (!gameInfo.isJ2) {
-      alert("⚠️ You are not player 2 of this game!");
+    if (!gameInfo.canPlay) {
+      alert("⚠️ " + gameInfo.playReason);
       return;
     }
 
     try {
       setIsJoining(true);
 
+      const { chainId } = await provider.getNetwork();
+      const networkProblem = checkNetworkForStake(chainId, parseEth(gameInfo.stake));
+      if (networkProblem) {
+        alert("🛑 " + networkProblem);
+        return;
+      }
+
+      // Re-check right before paying: never send a stake to unverified code
+      const check = await verifyGameContract(provider, contractAddress);
+      setVerification(check);
+      if (!check.ok) {
+        alert(
+          "🛑 Join blocked - this is not a genuine RPS game contract!\n\n" +
+          check.errors.map((e) => "• " + e.message).join("\n")
+        );
+        return;
+      }
+      if (
+        check.warnings.length > 0 &&
+        !window.confirm(
+          "⚠️ Contract check warnings:\n\n" +
+          check.warnings.map((w) => "• " + w.message).join("\n") +
+          "\n\nJoin anyway?"
+        )
+      ) {
+        return;
+      }
+
+      if (
+        inviteMismatches?.length > 0 &&
+        !window.confirm(
+          "⚠️ This game does not match your invite:\n\n" +
+          inviteMismatches.map((m) => "• " + m).join("\n") +
+          "\n\nJoin anyway?"
+        )
+      ) {
+        return;
+      }
+
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, signer);
+      const signerAddress = await signer.getAddress();
+      const game = new RpsGame(contractAddress, signer, { version: check.version });
 
       // Convert UI move (0-4) to contract move (1-5)
       const contractMove = uiMoveToContract(move);
@@ -97,31 +160,37 @@ export default function GameJoin({ provider }) {
       console.log("Move:", MOVES[move], "(", contractMove, ")");
       console.log("Stake:", gameInfo.stake, "ETH");
 
-      // Call play(uint8 _c2) payable
-      const tx = await contract.play(contractMove, {
-        value: stakeAmount,
-        gasLimit: 200000
+      const simulation = await preflight(provider, {
+        kind: TX_KINDS.PLAY,
+        from: signerAddress,
+        game: contractAddress,
+        args: [contractMove],
+        value: stakeAmount
       });
-
-      console.log("Transaction sent:", tx.hash);
-      alert(`⏳ Joining game...\nTx: ${tx.hash}`);
-
-      await tx.wait();
+      if (!simulation.ok) {
+        alert("🛑 Join would fail:\n\n" + describePreflight(simulation));
+        return;
+      }
+      const race = gameInfo.openChallenge
+        ? "\n\nℹ️ Open challenge: if someone else accepts first, your transaction fails and only costs gas."
+        : "";
+      if (!window.confirm(`🎯 Join this game with ${MOVES[move]}?\n\n${describePreflight(simulation, stakeAmount)}${race}`)) {
+        return;
+      }
+
+      // Call play(uint8 _c2) payable - tracked in Pending Activity, recorded in My Games once mined
+      const record = await txManager.submit(
+        () => game.play(contractMove, { value: stakeAmount, gasLimit: simulation.gasLimit }),
+        {
+          kind: TX_KINDS.PLAY,
+          game: contractAddress,
+          // Accepting an open challenge makes us Player 2
+          meta: { game: { j1: gameInfo.j1, j2: gameInfo.openChallenge ? signerAddress : gameInfo.j2 } }
+        }
+      );
+      await txManager.wait(record.hash);
       console.log("✅ Transaction confirmed!");
 
-      // Save to localStorage
-      const joinData = {
-        contractAddress,
-        move: contractMove,
-        moveName: MOVES[move],
-        stake: gameInfo.stake,
-        joinedAt: new Date().toISOString(),
-        txHash: tx.hash
-      };
-      const joins = JSON.parse(localStorage.getItem("rps_joins") || "[]");
-      joins.push(joinData);
-      localStorage.setItem("rps_joins", JSON.stringify(joins));
-
       alert(
         `✅ Game Joined!\n\n` +
         `Your move: ${MOVES[move]}\n` +
@@ -129,8 +198,8 @@ export default function GameJoin({ provider }) {
         `Now Player 1 must reveal their move!`
       );
 
-      // Reload game info
-      await loadGameInfo();
+      // Don't wait for the next block to update the panel
+      await watcher.refresh(contractAddress);
 
     } catch (error) {
       console.error("Join error:", error);
@@ -140,25 +209,8 @@ export default function GameJoin({ provider }) {
     }
   }
 
-  /**
-   * Load saved games
-   */
-  function loadSavedGames() {
-    const games = JSON.parse(localStorage.getItem("rps_games") || "[]");
-    if (games.length === 0) {
-      alert("ℹ️ No saved games found.");
-      return;
-    }
-
-    const gameList = games
-      .map((g, i) => `${i + 1}. ${g.contractAddress}\n   Created: ${g.createdAt}`)
-      .join("\n\n");
-
-    alert(`📋 Saved Games:\n\n${gameList}`);
-  }
-
   return (
-    <div className="container">
+    <div className="container" id="panel-join">
       <h3>🎯 Join Game (Player 2)</h3>
 
       <div style={{ marginBottom: 10 }}>
@@ -172,33 +224,66 @@ export default function GameJoin({ provider }) {
             style={{ width: "100%", marginTop: 4 }}
           />
         </label>
-        <div style={{ marginTop: 4 }}>
-          <button onClick={loadGameInfo} disabled={isLoading} style={{ fontSize: 12 }}>
-            {isLoading ? "⏳ Loading..." : "🔍 Load Game Info"}
-          </button>
-          <button onClick={loadSavedGames} style={{ marginLeft: 8, fontSize: 12 }}>
-            📋 Show Saved Games
-          </button>
-        </div>
+        {ethers.isAddress(contractAddress) && !gameInfo && (
+          <div style={{ marginTop: 4, fontSize: 12, color: loadError ? "red" : "#666" }}>
+            {loadError ? "⚠️ Could not load game info. Check contract address." : "⏳ Loading game info..."}
+          </div>
+        )}
       </div>
 
+      {gameInfo && verification && !verification.ok && (
+        <div style={{ padding: 10, background: "#f8d7da", borderRadius: 6, marginBottom: 10, fontSize: 12, color: "#721c24" }}>
+          <strong>🛑 Do not join - contract check failed:</strong>
+          {verification.errors.map((e, i) => (
+            <div key={i}>• {e.message}</div>
+          ))}
+        </div>
+      )}
+
+      {gameInfo && verification && verification.ok && verification.warnings.length > 0 && (
+        <div style={{ padding: 10, background: "#fff3cd", borderRadius: 6, marginBottom: 10, fontSize: 12, color: "#856404" }}>
+          <strong>⚠️ Contract check warnings:</strong>
+          {verification.warnings.map((w, i) => (
+            <div key={i}>• {w.message}</div>
+          ))}
+        </div>
+      )}
+
+      {inviteMismatches?.length > 0 && (
+        <div style={{ padding: 10, background: "#f8d7da", borderRadius: 6, marginBottom: 10, fontSize: 12, color: "#721c24" }}>
+          <strong>🛑 This game does not match your invite:</strong>
+          {inviteMismatches.map((m, i) => (
+            <div key={i}>• {m}</div>
+          ))}
+        </div>
+      )}
+
+      {inviteMismatches?.length === 0 && (
+        <div style={{ padding: 10, background: "#d4edda", borderRadius: 6, marginBottom: 10, fontSize: 12, color: "#155724" }}>
+          ✅ Matches your invite{invite.stake !== null && `: ${formatEth(invite.stake)} ETH stake`},{" "}
+          {gameInfo?.openChallenge ? "and it is an open challenge you can accept" : "and you are Player 2"}
+        </div>
+      )}
+
       {gameInfo && (
         <div style={{ padding: 10, background: "#f0f0f0", borderRadius: 6, marginBottom: 10 }}>
           <div style={{ fontSize: 12 }}>
             <strong>Game Info:</strong><br />
             Player 1: {gameInfo.j1.substring(0, 10)}...<br />
-            Player 2: {gameInfo.j2.substring(0, 10)}...<br />
+            Player 2: {gameInfo.openChallenge ? "🌍 anyone - open challenge" : `${gameInfo.j2.substring(0, 10)}...`}<br />
             Stake: {gameInfo.stake} ETH<br />
-            Status: {gameInfo.hasPlayed ? "✅ P2 played" : "⏳ Waiting for P2"}
+            Timeout: {formatDuration(gameInfo.timeout)} per move<br />
+            Status: {gameInfo.phase} <span style={{ color: "#666" }}>(live)</span><br />
+            Contract:{" "}
+            {!verification
+              ? "⏳ verifying..."
+              : verification.ok
+              ? `✅ genuine ${gameInfo.version === GAME_VERSIONS.V2 ? "RPSv2.sol" : "RPS.sol"}`
+              : "🛑 NOT genuine"}
           </div>
-          {!gameInfo.isJ2 && (
-            <div style={{ color: "red", marginTop: 4, fontSize: 12 }}>
-              ⚠️ You are not Player 2 of this game!
-            </div>
-          )}
-          {gameInfo.hasPlayed && (
-            <div style={{ color: "green", marginTop: 4, fontSize: 12 }}>
-              ✅ Player 2 has already played! Waiting for P1 to reveal.
+          {!gameInfo.canPlay && (
+            <div style={{ color: gameInfo.hasPlayed ? "green" : "red", marginTop: 4, fontSize: 12 }}>
+              {gameInfo.hasPlayed ? "✅" : "⚠️"} {gameInfo.playReason}
             </div>
           )}
         </div>
@@ -211,7 +296,7 @@ export default function GameJoin({ provider }) {
             value={move}
             onChange={(e) => setMove(Number(e.target.value))}
             style={{ width: "100%", marginTop: 4 }}
-            disabled={!gameInfo || gameInfo.hasPlayed}
+            disabled={!gameInfo || !gameInfo.canPlay || !verification?.ok}
           >
             {MOVES.map((m, i) => (
               <option key={i} value={i}>
@@ -225,7 +310,7 @@ export default function GameJoin({ provider }) {
       <div style={{ marginTop: 12 }}>
         <button
           onClick={handleJoinGame}
-          disabled={isJoining || !gameInfo || gameInfo.hasPlayed || !gameInfo.isJ2}
+          disabled={isJoining || !gameInfo || !gameInfo.canPlay || !verification?.ok}
           style={{
             background: isJoining ? "#ccc" : "#2196F3",
             color: "white",
@@ -237,7 +322,9 @@ export default function GameJoin({ provider }) {
       </div>
 
       <div style={{ marginTop: 12, fontSize: 12, color: "#666" }}>
-        ℹ️ You must be Player 2 to join. You'll pay the stake amount.
+        ℹ️ You must be Player 2 to join (anyone but Player 1 can accept an open challenge). You'll pay the
+        stake amount. The contract's code is
+        checked against RPS.sol (or RPSv2.sol) before you pay.
       </div>
     </div>
   );
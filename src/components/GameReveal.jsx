@@ -1,14 +1,34 @@
-import React, { useState } from "react";
-import { CONTRACT_ABI } from "../utils/contractABI";
+import React, { useState, useEffect } from "react";
+import { RpsGame } from "../utils/rpsGame";
+import { describeGame, ACTIONS } from "../utils/gameStateMachine";
+import { diagnoseCommitment, COMMITMENT_DIAGNOSIS } from "../utils/commitment";
+import { isVaultUnlocked, loadSecret } from "../utils/secretVault";
+import { recoverDerivedSalt } from "../utils/saltDerivation";
+import { findFactoryDeploymentNonce } from "../utils/gameFactory";
+import { parseSecretFile, checkSecretFileForGame } from "../utils/secretFile";
+import { resolveOutcome, describeOutcome } from "../utils/gameOutcome";
+import { TX_KINDS } from "../utils/txManager";
+import { preflight, describePreflight } from "../utils/txPreflight";
+import useWatchedGame from "../hooks/useWatchedGame";
 import { ethers } from "ethers";
 
 const MOVES = ["Rock", "Paper", "Scissors", "Spock", "Lizard"];
 
-export default function GameReveal({ provider }) {
+export default function GameReveal({ provider, watcher, txManager, selection }) {
   const [contractAddress, setContractAddress] = useState("");
   const [move, setMove] = useState(1); // Contract move 1-5
   const [salt, setSalt] = useState("");
+  const [secretCommitment, setSecretCommitment] = useState("");
+  const [secretFile, setSecretFile] = useState(null);
+  const [verification, setVerification] = useState(null);
   const [isRevealing, setIsRevealing] = useState(false);
+  const [recoveryStatus, setRecoveryStatus] = useState("");
+  const { state: liveState } = useWatchedGame(watcher, contractAddress);
+
+  // Opened from My Games
+  useEffect(() => {
+    if (selection) setContractAddress(selection.address);
+  }, [selection]);
 
   /**
    * Upload secret file and auto-fill move and salt
@@ -19,49 +39,122 @@ export default function GameReveal({ provider }) {
 
     try {
       const text = await file.text();
-      const secret = JSON.parse(text);
-
-      if (!secret.move || !secret.salt) {
-        throw new Error("Invalid secret file format");
-      }
+      const secret = parseSecretFile(text);
 
-      setMove(Number(secret.move));
+      setMove(secret.move);
       setSalt(secret.salt);
+      setSecretCommitment(secret.commitment || "");
+      setSecretFile(secret);
+      setVerification(null);
 
-      // Try to auto-fill contract address if available
+      // Auto-fill contract address if the file was saved after deployment
       if (secret.contractAddress) {
         setContractAddress(secret.contractAddress);
       }
 
-      alert(`✅ Secret loaded!\nMove: ${secret.moveName || MOVES[secret.move - 1]}`);
+      alert(
+        `✅ Secret loaded!\nMove: ${MOVES[secret.move - 1]}` +
+        (secret.version < 2 ? "\n\nℹ️ Legacy file: not bound to a game, cannot be cross-checked." : "")
+      );
     } catch (error) {
       console.error("Secret file error:", error);
-      alert("❌ Invalid secret file: " + error.message);
+      alert("❌ Invalid secret file:\n" + error.message);
+    } finally {
+      // Allow re-selecting the same file
+      e.target.value = "";
     }
   }
 
   /**
-   * Load secret from localStorage
+   * Load secret for the entered game from the encrypted vault
    */
-  function handleLoadFromStorage() {
+  async function handleLoadFromVault() {
+    if (!contractAddress || !ethers.isAddress(contractAddress)) {
+      alert("⚠️ Enter the game contract address first!");
+      return;
+    }
+
+    if (!isVaultUnlocked()) {
+      alert("🔒 Unlock the secret vault first!");
+      return;
+    }
+
     try {
-      const savedSecret = localStorage.getItem("rps_secret");
-      if (!savedSecret) {
-        alert("ℹ️ No secret found in localStorage.");
+      const { chainId } = await provider.getNetwork();
+      const secret = await loadSecret(chainId, contractAddress);
+      if (!secret) {
+        alert("ℹ️ No secret for this game in the vault.");
         return;
       }
 
-      const secret = JSON.parse(savedSecret);
       setMove(Number(secret.move));
       setSalt(secret.salt);
+      setSecretCommitment(secret.commitment || "");
+      setSecretFile(null);
+      setVerification(null);
 
-      alert(`✅ Secret loaded from localStorage!\nMove: ${secret.moveName}`);
+      alert(`✅ Secret loaded from vault!\nMove: ${MOVES[secret.move - 1]}`);
     } catch (error) {
       console.error("Load error:", error);
       alert("❌ Error loading secret: " + error.message);
     }
   }
 
+  /**
+   * Rebuild a wallet-derived salt by re-signing and scanning nonces
+   */
+  async function handleRecoverSalt() {
+    if (!contractAddress || !ethers.isAddress(contractAddress)) {
+      alert("⚠️ Enter the game contract address first!");
+      return;
+    }
+
+    try {
+      const signer = await provider.getSigner();
+      const game = await RpsGame.load(contractAddress, provider);
+      const { j1, c1Hash } = await game.getState();
+      // The salt was signed for the opponent named at deployment (none for an open challenge)
+      const j2 = await game.getInvitedOpponent();
+      const { chainId } = await provider.getNetwork();
+      const transactionCount = await provider.getTransactionCount(j1);
+
+      setRecoveryStatus("⏳ Locating deployment nonce...");
+      const deploymentNonce = await findFactoryDeploymentNonce(provider, chainId, contractAddress, j1);
+      const result = await recoverDerivedSalt(signer, {
+        chainId,
+        gameAddress: contractAddress,
+        j1,
+        j2,
+        c1Hash,
+        transactionCount,
+        deploymentNonce,
+        onProgress: ({ nonce, signatureType }) =>
+          setRecoveryStatus(`✍️ Sign to try nonce ${nonce} (${signatureType.toUpperCase()})...`)
+      });
+
+      if (!result) {
+        setRecoveryStatus("");
+        alert(
+          "❌ No wallet-derived salt matches this game's commitment.\n\n" +
+          "It was probably created with a random salt - use the secret file."
+        );
+        return;
+      }
+
+      setMove(result.move);
+      setSalt(result.salt);
+      setSecretCommitment(c1Hash);
+      setSecretFile(null);
+      setVerification(null);
+      setRecoveryStatus(`✅ Recovered from nonce ${result.nonce} (${result.signatureType.toUpperCase()})`);
+      alert(`✅ Salt recovered!\nMove: ${MOVES[result.move - 1]}`);
+    } catch (error) {
+      console.error("Recovery error:", error);
+      setRecoveryStatus("");
+      alert("❌ Salt recovery failed: " + (error.reason || error.message));
+    }
+  }
+
   /**
    * Reveal move by calling solve(uint8 _c1, uint256 _salt)
    */
@@ -85,7 +178,7 @@ export default function GameReveal({ provider }) {
       setIsRevealing(true);
 
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, signer);
+      const game = await RpsGame.load(contractAddress, signer);
 
       // Convert salt to uint256
       let saltBigInt;
@@ -123,84 +216,117 @@ export default function GameReveal({ provider }) {
         return;
       }
 
+      // Pre-reveal checks: the contract reverts without reasons, so catch
+      // every failure here instead of burning gas on a reverted solve()
+      const state = await game.getState();
+      const { c1Hash, j1, j2 } = state;
+      const signerAddress = await signer.getAddress();
+      const solveCheck = describeGame(state, { account: signerAddress }).actions[ACTIONS.SOLVE];
+
+      if (!solveCheck.allowed) {
+        alert("⚠️ Cannot reveal: " + solveCheck.reason);
+        setIsRevealing(false);
+        return;
+      }
+
+      if (secretFile) {
+        const { chainId } = await provider.getNetwork();
+        const mismatches = checkSecretFileForGame(secretFile, {
+          chainId,
+          contractAddress,
+          j1,
+          j2,
+          c1Hash
+        });
+        if (mismatches.length > 0) {
+          alert("❌ This secret file belongs to another game - reveal not sent.\n\n" + mismatches.join("\n"));
+          setIsRevealing(false);
+          return;
+        }
+      }
+
+      const diagnosis = diagnoseCommitment({
+        c1Hash,
+        move: Number(move),
+        salt,
+        secretCommitment
+      });
+      setVerification(diagnosis);
+      console.log("Commitment verification:", diagnosis);
+
+      if (diagnosis.status !== COMMITMENT_DIAGNOSIS.MATCH) {
+        alert("❌ Commitment mismatch - reveal not sent.\n\n" + diagnosis.message);
+        setIsRevealing(false);
+        return;
+      }
+
       // Call solve(uint8 _c1, uint256 _salt)
       console.log("Calling solve with:", Number(move), saltBigInt);
       
-      const tx = await contract.solve(
-        Number(move),
-        saltBigInt,
+      const check = await preflight(provider, {
+        kind: TX_KINDS.SOLVE,
+        from: signerAddress,
+        game: contractAddress,
+        args: [Number(move), saltBigInt]
+      });
+      if (!check.ok) {
+        alert("🛑 Reveal would fail:\n\n" + describePreflight(check));
+        setIsRevealing(false);
+        return;
+      }
+      if (!window.confirm(`🔓 Reveal ${MOVES[move - 1]}?\n\n${describePreflight(check)}`)) {
+        setIsRevealing(false);
+        return;
+      }
+
+      const record = await txManager.submit(
+        () => game.solve(Number(move), saltBigInt, { gasLimit: check.gasLimit }),
         {
-          gasLimit: 500000
+          kind: TX_KINDS.SOLVE,
+          game: contractAddress,
+          meta: { game: { j1: state.j1, j2: state.j2, stakeWei: state.stake.toString() } }
         }
       );
-
-      console.log("Transaction sent:", tx.hash);
-      alert(`⏳ Revealing...\nTx: ${tx.hash}`);
-
-      const receipt = await tx.wait();
+      // A sped-up reveal is mined under another hash
+      const receipt = await txManager.wait(record.hash);
       console.log("✅ Transaction confirmed!");
 
-      // Try to determine winner from events/logs
-      // The contract sends ETH directly, so check transaction logs
+      // RPS.sol emits no events: rebuild the result from the solve() input
+      let result;
+      try {
+        const outcome = await resolveOutcome(provider, contractAddress, { txHash: receipt.hash });
+        console.log("Outcome:", outcome);
+        result = describeOutcome(outcome);
+      } catch (outcomeError) {
+        console.error("Outcome error:", outcomeError);
+        result = "Could not determine the winner - see Game Status.";
+      }
+
       alert(
         `✅ Move Revealed!\n\n` +
         `Your move: ${MOVES[move - 1]}\n` +
-        `Transaction: ${tx.hash}\n\n` +
-        `Check the contract balance or events to see the winner!`
+        `Transaction: ${receipt.hash}\n\n` +
+        result
       );
 
-      // Save reveal to localStorage
-      const reveals = JSON.parse(localStorage.getItem("rps_reveals") || "[]");
-      reveals.push({
-        contractAddress,
-        move,
-        moveName: MOVES[move - 1],
-        revealedAt: new Date().toISOString(),
-        txHash: tx.hash
-      });
-      localStorage.setItem("rps_reveals", JSON.stringify(reveals));
+      await watcher.refresh(contractAddress);
 
       // Clear form
       setSalt("");
+      setSecretCommitment("");
+      setSecretFile(null);
+      setVerification(null);
 
     } catch (error) {
       console.error("Reveal error:", error);
-      
-      // Check for specific errors
-      if (error.message?.includes("invalid move")) {
-        alert("❌ Invalid move or salt! The commitment doesn't match.");
-      } else if (error.message?.includes("J2 must have played")) {
-        alert("❌ Player 2 has not played yet!");
-      } else {
-        alert("❌ Reveal failed: " + (error.reason || error.message));
-      }
+      alert("❌ Reveal failed: " + (error.reason || error.message));
     } finally {
       setIsRevealing(false);
     }
   }
 
-  /**
-   * Load saved games
-   */
-  function loadSavedGames() {
-    const games = JSON.parse(localStorage.getItem("rps_games") || "[]");
-    if (games.length === 0) {
-      alert("ℹ️ No saved games found.");
-      return;
-    }
-
-    const gameList = games
-      .map(
-        (g, i) =>
-          `${i + 1}. ${g.contractAddress}\n   Move: ${g.moveName}\n   Created: ${g.createdAt}`
-      )
-      .join("\n\n");
-
-    alert(`📋 Your Games:\n\n${gameList}`);
-  }
-
   return (
-    <div className="container">
+    <div className="container" id="panel-reveal">
       <h3>🔓 Reveal Move (Player 1)</h3>
 
       <div style={{ marginBottom: 10 }}>
@@ -214,11 +340,11 @@ export default function GameReveal({ provider }) {
             style={{ width: "100%", marginTop: 4 }}
           />
         </label>
-        <div style={{ marginTop: 4 }}>
-          <button onClick={loadSavedGames} style={{ fontSize: 12 }}>
-            📋 Show My Games
-          </button>
-        </div>
+        {liveState && (
+          <div style={{ marginTop: 4, fontSize: 12, color: "#666" }}>
+            Status: {describeGame(liveState).label} (live)
+          </div>
+        )}
       </div>
 
       <div style={{ marginBottom: 10 }}>
@@ -234,9 +360,15 @@ export default function GameReveal({ provider }) {
           </div>
         </label>
         <div style={{ marginTop: 4 }}>
-          <button onClick={handleLoadFromStorage} style={{ fontSize: 12 }}>
-            📂 Load from localStorage
+          <button onClick={handleLoadFromVault} style={{ fontSize: 12 }}>
+            🔐 Load from Vault
+          </button>
+          <button onClick={handleRecoverSalt} style={{ marginLeft: 8, fontSize: 12 }}>
+            🔑 Recover from Wallet
           </button>
+          {recoveryStatus && (
+            <div style={{ marginTop: 4, fontSize: 12, color: "#666" }}>{recoveryStatus}</div>
+          )}
         </div>
       </div>
 
@@ -245,7 +377,10 @@ export default function GameReveal({ provider }) {
           <strong>Move (1-5):</strong>
           <select
             value={move}
-            onChange={(e) => setMove(Number(e.target.value))}
+            onChange={(e) => {
+              setMove(Number(e.target.value));
+              setVerification(null);
+            }}
             style={{ width: "100%", marginTop: 4 }}
           >
             <option value={1}>Rock (1)</option>
@@ -264,12 +399,34 @@ export default function GameReveal({ provider }) {
             type="text"
             placeholder="0x..."
             value={salt}
-            onChange={(e) => setSalt(e.target.value)}
+            onChange={(e) => {
+              setSalt(e.target.value);
+              setVerification(null);
+            }}
             style={{ width: "100%", marginTop: 4, fontFamily: "monospace", fontSize: 11 }}
           />
         </label>
       </div>
 
+      {verification && verification.status !== COMMITMENT_DIAGNOSIS.MATCH && (
+        <div style={{ padding: 10, background: "#f8d7da", borderRadius: 6, marginBottom: 10, fontSize: 12 }}>
+          <strong>❌ Commitment check failed:</strong> {verification.message}
+          {verification.status === COMMITMENT_DIAGNOSIS.WRONG_MOVE && (
+            <div style={{ marginTop: 6 }}>
+              <button
+                onClick={() => {
+                  setMove(verification.move);
+                  setVerification(null);
+                }}
+                style={{ fontSize: 12 }}
+              >
+                Use {MOVES[verification.move - 1]} instead
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+
       <div style={{ marginTop: 12 }}>
         <button
           onClick={handleReveal}
@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useRef } from "react";
+import { ethers } from "ethers";
+import { scanForGames, loadScanCheckpoint, clearScanCheckpoint } from "../utils/gameScanner";
+import { getNetworkConfig } from "../utils/networks";
+
+const RPC_URL_KEY = "rps_scan_rpc";
+const DEFAULT_LOOKBACK = 50000; // blocks scanned on a first scan (~1 week on mainnet)
+
+/**
+ * Find the account's games on chain after clearing the browser or switching machines
+ */
+export default function GameScanner({ provider, account, chainId }) {
+  const [rpcUrl, setRpcUrl] = useState(
+    () => localStorage.getItem(RPC_URL_KEY) || import.meta.env.VITE_SCAN_RPC_URL || ""
+  );
+  const [startBlock, setStartBlock] = useState("");
+  const [checkpoint, setCheckpoint] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [isScanning, setIsScanning] = useState(false);
+  const abortRef = useRef(null);
+  const suggestedRpc = getNetworkConfig(chainId)?.rpcUrl;
+
+  useEffect(() => {
+    setCheckpoint(loadScanCheckpoint(chainId, account));
+  }, [chainId, account]);
+
+  /**
+   * Configured endpoint (an archive or public RPC is much faster than the wallet), else the wallet
+   */
+  async function getScanProvider() {
+    if (!rpcUrl) return provider;
+
+    const scanProvider = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+    const network = await scanProvider.getNetwork();
+    if (Number(network.chainId) !== chainId) {
+      scanProvider.destroy();
+      throw new Error(`The RPC endpoint is on chain ${network.chainId}, your wallet on chain ${chainId}`);
+    }
+    return scanProvider;
+  }
+
+  async function handleScan() {
+    const controller = new AbortController();
+    abortRef.current = controller;
+    let scanProvider = null;
+
+    try {
+      setIsScanning(true);
+      localStorage.setItem(RPC_URL_KEY, rpcUrl);
+      scanProvider = await getScanProvider();
+
+      let fromBlock;
+      if (startBlock !== "") {
+        fromBlock = Number(startBlock);
+      } else if (!checkpoint) {
+        fromBlock = Math.max(0, (await scanProvider.getBlockNumber()) - DEFAULT_LOOKBACK);
+      }
+
+      const result = await scanForGames(scanProvider, {
+        account,
+        fromBlock,
+        signal: controller.signal,
+        onProgress: setProgress
+      });
+
+      setCheckpoint(loadScanCheckpoint(chainId, account));
+      setStartBlock("");
+      alert(
+        `${result.complete ? "✅ Scan complete" : "⏸️ Scan paused"} (blocks ${result.fromBlock}-${result.nextBlock - 1}).\n\n` +
+        `Found ${result.found.length} game(s) - they are now in My Games.`
+      );
+    } catch (error) {
+      console.error("Scan error:", error);
+      alert("❌ Scan failed: " + error.message + "\n\nProgress is saved - you can resume.");
+      setCheckpoint(loadScanCheckpoint(chainId, account));
+    } finally {
+      if (scanProvider && scanProvider !== provider) scanProvider.destroy();
+      abortRef.current = null;
+      setIsScanning(false);
+    }
+  }
+
+  function handleReset() {
+    clearScanCheckpoint(chainId, account);
+    setCheckpoint(null);
+    setProgress(null);
+  }
+
+  const percent =
+    progress && progress.toBlock > progress.fromBlock
+      ? Math.floor(((progress.block - progress.fromBlock) / (progress.toBlock - progress.fromBlock)) * 100)
+      : null;
+
+  return (
+    <div style={{ marginTop: 12, padding: 10, background: "#f8f9fa", borderRadius: 6, fontSize: 12 }}>
+      <strong>🔎 Find my games on chain</strong>
+      <div style={{ color: "#666", marginTop: 4 }}>
+        Walks blocks for games you deployed or were invited to. Progress is saved, so you can stop and resume.
+      </div>
+
+      <div style={{ marginTop: 8 }}>
+        <input
+          type="text"
+          placeholder={`JSON-RPC URL (empty: use wallet)${suggestedRpc ? ` e.g. ${suggestedRpc}` : ""}`}
+          value={rpcUrl}
+          onChange={(e) => setRpcUrl(e.target.value)}
+          disabled={isScanning}
+          style={{ width: "100%", fontSize: 12 }}
+        />
+      </div>
+      <div style={{ marginTop: 4 }}>
+        <input
+          type="number"
+          min="0"
+          placeholder={checkpoint ? `Resume from block ${checkpoint.nextBlock}` : `Start block (default: last ${DEFAULT_LOOKBACK})`}
+          value={startBlock}
+          onChange={(e) => setStartBlock(e.target.value)}
+          disabled={isScanning}
+          style={{ width: "100%", fontSize: 12 }}
+        />
+      </div>
+
+      <div style={{ marginTop: 8 }}>
+        {!isScanning ? (
+          <button onClick={handleScan} style={{ fontSize: 12 }}>
+            {checkpoint && startBlock === "" ? "▶️ Resume Scan" : "🔎 Scan"}
+          </button>
+        ) : (
+          <button onClick={() => abortRef.current?.abort()} style={{ fontSize: 12 }}>
+            ⏸️ Stop
+          </button>
+        )}
+        {checkpoint && !isScanning && (
+          <button onClick={handleReset} style={{ fontSize: 12, marginLeft: 8 }}>
+            ↺ Reset Progress
+          </button>
+        )}
+      </div>
+
+      {isScanning && progress && (
+        <div style={{ marginTop: 6 }}>
+          ⏳ Block {progress.block} / {progress.toBlock}
+          {percent !== null && ` (${percent}%)`} - {progress.found} game(s) found
+        </div>
+      )}
+      {!isScanning && checkpoint && (
+        <div style={{ marginTop: 6, color: "#666" }}>
+          Last scan stopped at block {checkpoint.nextBlock - 1} ({new Date(checkpoint.updatedAt).toLocaleString()})
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,111 +1,169 @@
-import React, { useState } from "react";
-import { CONTRACT_ABI } from "../utils/contractABI";
+import React, { useState, useEffect, useMemo } from "react";
+import { RpsGame, GAME_VERSIONS } from "../utils/rpsGame";
 import { formatEth } from "../utils/hashHelpers";
+import { describeGame, PHASES, ACTIONS } from "../utils/gameStateMachine";
+import { resolveOutcome, describeOutcome } from "../utils/gameOutcome";
+import { getTimeoutStatus, formatDuration } from "../utils/timeoutClock";
+import { findActivityTx, GAME_ACTIVITY } from "../utils/gameRegistry";
+import { TX_KINDS } from "../utils/txManager";
+import { preflight, describePreflight } from "../utils/txPreflight";
+import { fetchSettlementTx } from "../utils/indexerClient";
+import useWatchedGame from "../hooks/useWatchedGame";
+import useLatestBlock from "../hooks/useLatestBlock";
 import { ethers } from "ethers";
 
 const MOVES = ["Null", "Rock", "Paper", "Scissors", "Spock", "Lizard"];
-const TIMEOUT_MINUTES = 5;
 
-export default function GameStatus({ provider }) {
+// Timeout that will apply once the current phase times out, and who it pays
+const UPCOMING_TIMEOUTS = {
+  [PHASES.AWAITING_J2]: { action: ACTIONS.J2_TIMEOUT, beneficiary: "isJ1" },
+  [PHASES.AWAITING_REVEAL]: { action: ACTIONS.J1_TIMEOUT, beneficiary: "isJ2" }
+};
+
+export default function GameStatus({ provider, watcher, txManager, selection }) {
   const [contractAddress, setContractAddress] = useState("");
-  const [gameState, setGameState] = useState(null);
-  const [isLoading, setIsLoading] = useState(false);
+  const [account, setAccount] = useState(null);
+  const [outcome, setOutcome] = useState(null);
+  const [outcomeError, setOutcomeError] = useState(null);
   const [isCallingTimeout, setIsCallingTimeout] = useState(false);
+  const [pendingWithdrawal, setPendingWithdrawal] = useState(0n);
+  const [isWithdrawing, setIsWithdrawing] = useState(false);
+  const [nowMs, setNowMs] = useState(() => Date.now());
+  const { state: onChain, error: loadError } = useWatchedGame(watcher, contractAddress);
+  const block = useLatestBlock(watcher);
+
+  // Opened from My Games
+  useEffect(() => {
+    if (selection) setContractAddress(selection.address);
+  }, [selection]);
+
+  useEffect(() => {
+    provider
+      .getSigner()
+      .then((signer) => signer.getAddress())
+      .then(setAccount)
+      .catch((error) => console.error("Signer error:", error));
+  }, [provider]);
+
+  // Finished game: rebuild how it ended from the settlement transaction
+  const settledAddress = onChain && onChain.stake === 0n ? onChain.address : null;
+  useEffect(() => {
+    setOutcome(null);
+    setOutcomeError(null);
+    if (!settledAddress) return;
+
+    let cancelled = false;
+    provider
+      .getNetwork()
+      .then(async ({ chainId }) => {
+        // A solve() sent from this browser, or the indexer's settlement tx, skips the block search
+        const txHash =
+          findActivityTx(chainId, settledAddress, GAME_ACTIVITY.REVEALED) ??
+          (await fetchSettlementTx(chainId, settledAddress).catch(() => null));
+        return resolveOutcome(provider, settledAddress, { txHash: txHash ?? undefined });
+      })
+      .then((result) => {
+        console.log("Outcome:", result);
+        if (!cancelled) setOutcome(result);
+      })
+      .catch((error) => {
+        console.error("Error resolving outcome:", error);
+        if (!cancelled) setOutcomeError(error.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, settledAddress]);
+
+  // RPSv2.sol keeps payouts it could not send until the player withdraws them
+  const withdrawableAddress =
+    onChain && onChain.version === GAME_VERSIONS.V2 && onChain.stake === 0n && onChain.balance > 0n ? onChain.address : null;
+  const heldWei = onChain?.balance;
+  useEffect(() => {
+    setPendingWithdrawal(0n);
+    if (!withdrawableAddress || !account) return;
+
+    let cancelled = false;
+    new RpsGame(withdrawableAddress, provider, { version: GAME_VERSIONS.V2 })
+      .getPendingWithdrawal(account)
+      .then((amount) => {
+        if (!cancelled) setPendingWithdrawal(amount);
+      })
+      .catch((error) => console.error("Pending withdrawal error:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [provider, withdrawableAddress, account, heldWei]);
 
   /**
-   * Load complete game state from contract
+   * Game state for display, refreshed live by the watcher
    */
-  async function loadGameState() {
-    if (!contractAddress || !ethers.isAddress(contractAddress)) {
-      alert("⚠️ Please enter a valid contract address!");
-      return;
+  const gameState = useMemo(() => {
+    if (!onChain) return null;
+    const { j1, j2, c1Hash, c2, stake, lastAction, timeout, version } = onChain;
+
+    // Contract time is block time: nothing can time out before a block says so
+    const currentTime = block ? block.timestamp : lastAction;
+    const timeSinceLastAction = currentTime - lastAction;
+    const view = describeGame(onChain, { account, now: currentTime, outcome });
+    const upcoming = UPCOMING_TIMEOUTS[view.phase] || null;
+
+    // The timeout that applies in this phase, if any
+    let timeoutFunction = null;
+    if (view.phase === PHASES.J2_TIMED_OUT) {
+      timeoutFunction = ACTIONS.J2_TIMEOUT; // j1 reclaims the stake
+    } else if (view.phase === PHASES.J1_TIMED_OUT) {
+      timeoutFunction = ACTIONS.J1_TIMEOUT; // j2 claims the pot
     }
 
-    try {
-      setIsLoading(true);
-      const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, provider);
-
-      const [j1, j2, c1Hash, c2, stake, lastAction, timeout] = await Promise.all([
-        contract.j1(),
-        contract.j2(),
-        contract.c1Hash(),
-        contract.c2(),
-        contract.stake(),
-        contract.lastAction(),
-        contract.TIMEOUT()
-      ]);
-
-      const signer = await provider.getSigner();
-      const signerAddress = await signer.getAddress();
-
-      const c2Number = Number(c2);
-      const stakeNumber = BigInt(stake);
-      const lastActionNumber = Number(lastAction);
-      const timeoutSeconds = Number(timeout);
-      const currentTime = Math.floor(Date.now() / 1000);
-      const timeSinceLastAction = currentTime - lastActionNumber;
-      const isTimedOut = timeSinceLastAction > timeoutSeconds;
-
-      // Determine game phase
-      let phase = "Unknown";
-      let canTimeout = false;
-      let timeoutFunction = null;
-
-      if (stakeNumber === 0n) {
-        phase = "Game Completed (stake withdrawn)";
-      } else if (c2Number === 0) {
-        phase = "Waiting for Player 2 to join";
-        if (isTimedOut) {
-          canTimeout = true;
-          timeoutFunction = "j2Timeout"; // j1 can claim timeout
-        }
-      } else {
-        phase = "Player 2 joined, waiting for Player 1 to reveal";
-        if (isTimedOut) {
-          canTimeout = true;
-          timeoutFunction = "j1Timeout"; // j2 can claim timeout
-        }
-      }
-
-      const state = {
-        j1,
-        j2,
-        c1Hash,
-        c2: c2Number,
-        c2Name: MOVES[c2Number] || "Not played",
-        stake: formatEth(stakeNumber),
-        stakeWei: stakeNumber,
-        lastAction: lastActionNumber,
-        lastActionDate: new Date(lastActionNumber * 1000).toLocaleString(),
-        timeout: timeoutSeconds,
-        timeSinceLastAction,
-        isTimedOut,
-        canTimeout,
-        timeoutFunction,
-        phase,
-        isJ1: signerAddress.toLowerCase() === j1.toLowerCase(),
-        isJ2: signerAddress.toLowerCase() === j2.toLowerCase(),
-        userAddress: signerAddress
-      };
-
-      setGameState(state);
-      console.log("Game state loaded:", state);
-
-    } catch (error) {
-      console.error("Error loading game state:", error);
-      alert("❌ Error loading game state: " + error.message);
-      setGameState(null);
-    } finally {
-      setIsLoading(false);
-    }
-  }
+    return {
+      j1,
+      j2,
+      c1Hash,
+      c2,
+      c2Name: MOVES[c2] || "Not played",
+      version,
+      stake: formatEth(stake),
+      stakeWei: stake,
+      lastAction,
+      lastActionDate: new Date(lastAction * 1000).toLocaleString(),
+      timeout,
+      deadlineDate: new Date((lastAction + timeout) * 1000).toLocaleString(),
+      upcomingTimeout: upcoming?.action ?? null,
+      isUpcomingBeneficiary: upcoming ? view[upcoming.beneficiary] : false,
+      timeSinceLastAction,
+      isTimedOut: timeoutFunction !== null,
+      canTimeout: timeoutFunction !== null && view.actions[timeoutFunction].allowed,
+      timeoutReason: timeoutFunction ? view.actions[timeoutFunction].reason : null,
+      timeoutFunction,
+      phase: view.label,
+      view,
+      outcome,
+      outcomeSummary: outcome ? describeOutcome(outcome) : null,
+      outcomeError,
+      stuckWei: stake === 0n ? onChain.balance : 0n,
+      isJ1: view.isJ1,
+      isJ2: view.isJ2,
+      userAddress: account
+    };
+  }, [onChain, account, outcome, outcomeError, block]);
+
+  const countdown = gameState && block && gameState.upcomingTimeout ? getTimeoutStatus(onChain, block, nowMs) : null;
+
+  // Tick between blocks while a deadline is pending
+  const isCountingDown = countdown !== null;
+  useEffect(() => {
+    if (!isCountingDown) return;
+    const timer = setInterval(() => setNowMs(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [isCountingDown]);
 
   /**
    * Call timeout function (j1Timeout or j2Timeout)
    */
   async function callTimeout() {
     if (!gameState || !gameState.canTimeout) {
-      alert("⚠️ Cannot call timeout!");
+      alert("⚠️ Cannot call timeout! " + (gameState?.timeoutReason || ""));
       return;
     }
 
@@ -113,43 +171,40 @@ export default function GameStatus({ provider }) {
       setIsCallingTimeout(true);
 
       const signer = await provider.getSigner();
-      const contract = new ethers.Contract(contractAddress, CONTRACT_ABI, signer);
+      const game = new RpsGame(contractAddress, signer);
 
       console.log(`Calling ${gameState.timeoutFunction}...`);
 
-      let tx;
-      if (gameState.timeoutFunction === "j1Timeout") {
-        // j2 calls this to claim win if j1 didn't reveal
-        if (!gameState.isJ2) {
-          alert("⚠️ Only Player 2 can call j1Timeout!");
-          setIsCallingTimeout(false);
-          return;
-        }
-        tx = await contract.j1Timeout({ gasLimit: 150000 });
-      } else if (gameState.timeoutFunction === "j2Timeout") {
-        // j1 calls this to reclaim stake if j2 didn't join
-        if (!gameState.isJ1) {
-          alert("⚠️ Only Player 1 can call j2Timeout!");
-          setIsCallingTimeout(false);
-          return;
-        }
-        tx = await contract.j2Timeout({ gasLimit: 150000 });
+      // j1Timeout: j2 claims the pot if j1 didn't reveal; j2Timeout: j1 reclaims the stake if j2 didn't join
+      const kind = gameState.timeoutFunction === ACTIONS.J1_TIMEOUT ? TX_KINDS.J1_TIMEOUT : TX_KINDS.J2_TIMEOUT;
+      const check = await preflight(provider, { kind, from: await signer.getAddress(), game: contractAddress });
+      if (!check.ok) {
+        alert("🛑 Timeout claim would fail:\n\n" + describePreflight(check));
+        return;
+      }
+      if (!window.confirm(`⏰ Call ${kind}()?\n\n${describePreflight(check)}`)) {
+        return;
       }
 
-      console.log("Transaction sent:", tx.hash);
-      alert(`⏳ Calling timeout...\nTx: ${tx.hash}`);
-
-      await tx.wait();
+      const record = await txManager.submit(
+        () => (kind === TX_KINDS.J1_TIMEOUT ? game.j1Timeout({ gasLimit: check.gasLimit }) : game.j2Timeout({ gasLimit: check.gasLimit })),
+        {
+          kind,
+          game: contractAddress,
+          meta: { game: { j1: gameState.j1, j2: gameState.j2, stakeWei: gameState.stakeWei.toString() } }
+        }
+      );
+      const receipt = await txManager.wait(record.hash);
       console.log("✅ Timeout claimed!");
 
       alert(
         `✅ Timeout Claimed!\n\n` +
         `You should have received ${gameState.stake} ETH (or 2x if winner).\n` +
-        `Transaction: ${tx.hash}`
+        `Transaction: ${receipt.hash}`
       );
 
-      // Reload game state
-      await loadGameState();
+      // Don't wait for the next block to update the panel
+      await watcher.refresh(contractAddress);
 
     } catch (error) {
       console.error("Timeout error:", error);
@@ -160,21 +215,47 @@ export default function GameStatus({ provider }) {
   }
 
   /**
-   * Check who won (if game is complete)
+   * Collect a payout RPSv2.sol could not send (withdraw)
    */
-  function analyzeWinner() {
-    if (!gameState) return null;
+  async function handleWithdraw() {
+    try {
+      setIsWithdrawing(true);
 
-    // If stake is 0, game is over
-    if (gameState.stakeWei === 0n) {
-      return "Game completed - stake withdrawn";
-    }
+      const signer = await provider.getSigner();
+      const game = new RpsGame(contractAddress, signer, { version: GAME_VERSIONS.V2 });
+
+      const check = await preflight(provider, { kind: TX_KINDS.WITHDRAW, from: await signer.getAddress(), game: contractAddress });
+      if (!check.ok) {
+        alert("🛑 Withdrawal would fail:\n\n" + describePreflight(check));
+        return;
+      }
+      if (!window.confirm(`💸 Withdraw ${formatEth(pendingWithdrawal)} ETH?\n\n${describePreflight(check)}`)) {
+        return;
+      }
+
+      const record = await txManager.submit(() => game.withdraw({ gasLimit: check.gasLimit }), {
+        kind: TX_KINDS.WITHDRAW,
+        game: contractAddress,
+        meta: { game: { j1: gameState.j1, j2: gameState.j2 } }
+      });
+      await txManager.wait(record.hash);
+      console.log("✅ Payout withdrawn!");
+
+      alert(`✅ Withdrawn ${formatEth(pendingWithdrawal)} ETH!`);
 
-    return null;
+      // The balance changed without a game move: read it again
+      await watcher.refresh(contractAddress);
+
+    } catch (error) {
+      console.error("Withdraw error:", error);
+      alert("❌ Withdrawal failed: " + (error.reason || error.message));
+    } finally {
+      setIsWithdrawing(false);
+    }
   }
 
   return (
-    <div className="container">
+    <div className="container" id="panel-status">
       <h3>📊 Game Status & Timeouts</h3>
 
       <div style={{ marginBottom: 10 }}>
@@ -188,32 +269,41 @@ export default function GameStatus({ provider }) {
             style={{ width: "100%", marginTop: 4 }}
           />
         </label>
-        <div style={{ marginTop: 4 }}>
-          <button onClick={loadGameState} disabled={isLoading}>
-            {isLoading ? "⏳ Loading..." : "🔍 Load Game State"}
-          </button>
-        </div>
+        {ethers.isAddress(contractAddress) && !gameState && (
+          <div style={{ marginTop: 4, fontSize: 12, color: loadError ? "red" : "#666" }}>
+            {loadError ? `❌ Error loading game state: ${loadError.message}` : "⏳ Loading game state..."}
+          </div>
+        )}
       </div>
 
       {gameState && (
         <div style={{ marginTop: 12 }}>
           <div style={{ padding: 10, background: "#f0f0f0", borderRadius: 6, marginBottom: 10 }}>
-            <h4 style={{ marginTop: 0 }}>Game Info</h4>
+            <h4 style={{ marginTop: 0 }}>Game Info <span style={{ fontSize: 11, color: "#666" }}>(live)</span></h4>
             <div style={{ fontSize: 13, fontFamily: "monospace" }}>
               <div><strong>Phase:</strong> {gameState.phase}</div>
+              <div><strong>Contract:</strong> {gameState.version === GAME_VERSIONS.V2 ? "RPSv2.sol" : "RPS.sol"}</div>
               <div><strong>Player 1:</strong> {gameState.j1}</div>
-              <div><strong>Player 2:</strong> {gameState.j2}</div>
+              <div>
+                <strong>Player 2:</strong>{" "}
+                {gameState.j2 === ethers.ZeroAddress ? "🌍 nobody yet (open challenge, anyone but Player 1 can accept)" : gameState.j2}
+              </div>
               <div><strong>Stake:</strong> {gameState.stake} ETH</div>
               <div><strong>P1 Commitment:</strong> {gameState.c1Hash}</div>
               <div><strong>P2 Move:</strong> {gameState.c2Name}</div>
               <div><strong>Last Action:</strong> {gameState.lastActionDate}</div>
               <div>
-                <strong>Time Since Last Action:</strong>{" "}
-                {Math.floor(gameState.timeSinceLastAction / 60)} minutes
+                <strong>Time Since Last Action:</strong> {formatDuration(gameState.timeSinceLastAction)}
+                {block && ` (at block #${block.number})`}
               </div>
               <div>
-                <strong>Timeout Period:</strong> {TIMEOUT_MINUTES} minutes
+                <strong>Timeout Period:</strong> {formatDuration(gameState.timeout)} (TIMEOUT = {gameState.timeout}s)
               </div>
+              {!gameState.view.terminal && (
+                <div>
+                  <strong>Deadline:</strong> {gameState.deadlineDate} (block time)
+                </div>
+              )}
             </div>
 
             {gameState.isJ1 && (
@@ -232,8 +322,8 @@ export default function GameStatus({ provider }) {
             <div style={{ padding: 10, background: "#fff3cd", borderRadius: 6, marginBottom: 10 }}>
               <h4 style={{ marginTop: 0, color: "#856404" }}>⏰ Timeout Available!</h4>
               <div style={{ fontSize: 13, marginBottom: 8 }}>
-                The opponent has exceeded the {TIMEOUT_MINUTES}-minute timeout period. You can claim
-                the stake.
+                The opponent has exceeded the {formatDuration(gameState.timeout)} timeout period. You can
+                claim the stake.
               </div>
               <div>
                 <button
@@ -254,18 +344,89 @@ export default function GameStatus({ provider }) {
             </div>
           )}
 
-          {!gameState.canTimeout && gameState.stakeWei > 0n && (
+          {!gameState.canTimeout && !gameState.view.terminal && (
             <div style={{ padding: 10, background: "#d4edda", borderRadius: 6 }}>
               <div style={{ fontSize: 13, color: "#155724" }}>
-                ✅ Game is active. No timeout yet.
+                {gameState.isTimedOut
+                  ? `⏰ ${gameState.timeoutReason}`
+                  : "✅ Game is active. No timeout yet."}
               </div>
+              {countdown && (
+                <div style={{ fontSize: 12, color: "#155724", marginTop: 6 }}>
+                  ⏳ {gameState.upcomingTimeout}() can be claimed{" "}
+                  {countdown.secondsLeft > 0
+                    ? `in ~${formatDuration(countdown.secondsLeft)}`
+                    : "in the next block"}{" "}
+                  ({formatDuration(countdown.chainRemaining)} of block time left,{" "}
+                  ~{countdown.blocksNeeded} block{countdown.blocksNeeded === 1 ? "" : "s"} at{" "}
+                  {Math.round(block.averageBlockTime)}s/block)
+                </div>
+              )}
+              {countdown && gameState.isUpcomingBeneficiary && (
+                <div style={{ marginTop: 8 }}>
+                  <button disabled style={{ fontWeight: "bold" }}>
+                    ⏰ Claim Timeout Win ({countdown.secondsLeft > 0 ? formatDuration(countdown.secondsLeft) : "next block"})
+                  </button>
+                  <div style={{ fontSize: 11, marginTop: 4, color: "#666" }}>
+                    Enables itself once a block is mined past the deadline.
+                  </div>
+                </div>
+              )}
             </div>
           )}
 
-          {gameState.stakeWei === 0n && (
+          {gameState.view.terminal && (
             <div style={{ padding: 10, background: "#d1ecf1", borderRadius: 6 }}>
               <div style={{ fontSize: 13, color: "#0c5460" }}>
-                🏁 Game completed! Stakes have been distributed.
+                🏁 {gameState.outcomeSummary || "Game completed!"}
+              </div>
+              {gameState.outcome?.via && (
+                <div style={{ fontSize: 12, fontFamily: "monospace", marginTop: 6 }}>
+                  <div>Settled by: {gameState.outcome.via}()</div>
+                  <div>Paid to Player 1: {formatEth(gameState.outcome.payouts.j1)} ETH</div>
+                  <div>Paid to Player 2: {formatEth(gameState.outcome.payouts.j2)} ETH</div>
+                  <div>Transaction: {gameState.outcome.txHash}</div>
+                </div>
+              )}
+              {gameState.outcomeError && (
+                <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+                  ⚠️ Could not reconstruct the outcome (the node may not keep historical state):{" "}
+                  {gameState.outcomeError}
+                </div>
+              )}
+            </div>
+          )}
+
+          {gameState.stuckWei > 0n && gameState.version === GAME_VERSIONS.V2 && (
+            <div style={{ padding: 10, background: "#fff3cd", borderRadius: 6, marginTop: 10 }}>
+              <div style={{ fontSize: 13, color: "#856404" }}>
+                💸 {formatEth(gameState.stuckWei)} ETH waits in the contract: a payout was rejected by the
+                receiving account and can be withdrawn.
+              </div>
+              {pendingWithdrawal > 0n && (
+                <div style={{ marginTop: 8 }}>
+                  <button
+                    onClick={handleWithdraw}
+                    disabled={isWithdrawing}
+                    style={{ background: isWithdrawing ? "#ccc" : "#ffc107", color: "#000", fontWeight: "bold" }}
+                  >
+                    {isWithdrawing ? "⏳ Withdrawing..." : `💸 Withdraw ${formatEth(pendingWithdrawal)} ETH`}
+                  </button>
+                </div>
+              )}
+            </div>
+          )}
+
+          {gameState.stuckWei > 0n && gameState.version !== GAME_VERSIONS.V2 && (
+            <div style={{ padding: 10, background: "#f8d7da", borderRadius: 6, marginTop: 10 }}>
+              <div style={{ fontSize: 13, color: "#721c24" }}>
+                ⚠️ {formatEth(gameState.stuckWei)} ETH is stuck in the contract: a payout failed
+                (RPS.sol ignores the result of send()).
+                {gameState.outcome?.failedPayouts.map((failed) => (
+                  <div key={failed.player}>
+                    Failed: {formatEth(failed.amount)} ETH to {failed.player === "j1" ? "Player 1" : "Player 2"}
+                  </div>
+                ))}
               </div>
             </div>
           )}
@@ -273,8 +434,8 @@ export default function GameStatus({ provider }) {
       )}
 
       <div style={{ marginTop: 12, fontSize: 12, color: "#666" }}>
-        ℹ️ Monitor game progress and claim timeout wins if opponent doesn't respond within{" "}
-        {TIMEOUT_MINUTES} minutes.
+        ℹ️ Monitor game progress and claim timeout wins if opponent doesn't respond before the
+        deadline. Timeouts follow block time, not your computer's clock.
       </div>
     </div>
   );
@@ -0,0 +1,122 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { loadOpenChallenges, LOBBY_SOURCES } from "../utils/lobby";
+import { formatEth } from "../utils/hashHelpers";
+import { formatDuration } from "../utils/timeoutClock";
+import useLatestBlock from "../hooks/useLatestBlock";
+
+const SOURCE_LABELS = {
+  [LOBBY_SOURCES.INDEXER]: "from the indexer",
+  [LOBBY_SOURCES.EVENTS]: "from RPSv2 Created events in the last ~week of blocks"
+};
+
+/**
+ * Open challenges (RPS v2 games without a Player 2) anyone can accept
+ * @param {function({ panel: string, address: string }): void} onOpen - Opens a challenge in the Join panel
+ */
+export default function Lobby({ provider, watcher, onOpen }) {
+  const [account, setAccount] = useState(null);
+  const [lobby, setLobby] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [clock, setClock] = useState(() => Date.now());
+  const block = useLatestBlock(watcher);
+
+  const refresh = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      setError(null);
+      const [signer, result] = await Promise.all([provider.getSigner(), loadOpenChallenges(provider)]);
+      setAccount(await signer.getAddress());
+      setLobby(result);
+    } catch (error) {
+      console.error("Lobby error:", error);
+      setError(error.message);
+    } finally {
+      setIsLoading(false);
+    }
+  }, [provider]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Countdowns run between blocks too
+  useEffect(() => {
+    const timer = setInterval(() => setClock(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Contract time is block time; extrapolate from the latest block when there is one
+  const now = block
+    ? block.timestamp + Math.max(0, Math.floor((clock - block.receivedAt) / 1000))
+    : Math.floor(clock / 1000);
+
+  return (
+    <div className="container">
+      <h3>🌍 Lobby - Open Challenges</h3>
+
+      <div style={{ fontSize: 12, color: "#666", marginBottom: 8 }}>
+        RPS v2 games created without an opponent: the first account to play with the matching stake
+        becomes Player 2.
+        <button onClick={refresh} disabled={isLoading} style={{ marginLeft: 8, fontSize: 11, padding: "2px 6px" }}>
+          {isLoading ? "⏳ Loading..." : "🔄 Refresh"}
+        </button>
+      </div>
+
+      {error && <div style={{ fontSize: 12, color: "red" }}>⚠️ Could not load the lobby: {error}</div>}
+
+      {lobby && lobby.challenges.length === 0 && (
+        <div style={{ fontSize: 12, color: "#666" }}>No open challenges right now ({SOURCE_LABELS[lobby.source]}).</div>
+      )}
+
+      {lobby && lobby.challenges.length > 0 && (
+        <>
+          <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse" }}>
+            <thead>
+              <tr style={{ textAlign: "left" }}>
+                <th style={{ padding: 4 }}>Game</th>
+                <th style={{ padding: 4 }}>Player 1</th>
+                <th style={{ padding: 4 }}>Stake</th>
+                <th style={{ padding: 4 }}>Age</th>
+                <th style={{ padding: 4 }}>Time Remaining</th>
+                <th style={{ padding: 4 }}></th>
+              </tr>
+            </thead>
+            <tbody>
+              {lobby.challenges.map((challenge) => {
+                const remaining = challenge.deadline - now;
+                const isOwn = account && challenge.j1.toLowerCase() === account.toLowerCase();
+                return (
+                  <tr key={challenge.address} style={{ borderTop: "1px solid #eee" }}>
+                    <td style={{ fontFamily: "monospace", padding: 4 }}>{challenge.address.substring(0, 10)}...</td>
+                    <td style={{ fontFamily: "monospace", padding: 4 }}>
+                      {isOwn ? "You" : `${challenge.j1.substring(0, 10)}...`}
+                    </td>
+                    <td style={{ padding: 4 }}>{formatEth(challenge.stake)} ETH</td>
+                    <td style={{ padding: 4 }}>{formatDuration(now - challenge.createdAt)} ago</td>
+                    <td style={{ padding: 4, color: remaining > 0 ? "#666" : "#c0392b" }}>
+                      {remaining > 0
+                        ? `${formatDuration(remaining)} (then Player 1 can reclaim)`
+                        : "Expired - Player 1 can reclaim any time"}
+                    </td>
+                    <td style={{ padding: 4, whiteSpace: "nowrap" }}>
+                      <button
+                        onClick={() => onOpen({ panel: isOwn ? "status" : "join", address: challenge.address })}
+                        style={{ fontSize: 11, padding: "2px 6px" }}
+                      >
+                        {isOwn ? "➡️ Open" : "🎯 Accept"}
+                      </button>
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ fontSize: 11, color: "#666", marginTop: 4 }}>
+            {lobby.challenges.length} challenge(s) {SOURCE_LABELS[lobby.source]}, each checked against RPSv2.sol.
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { listGames, onRegistryChange, migrateLegacyGames, removeGame, GAME_ACTIVITY } from "../utils/gameRegistry";
+import { describeGame, PHASES, ROLES } from "../utils/gameStateMachine";
+import { formatEth } from "../utils/hashHelpers";
+import useWatchedGame from "../hooks/useWatchedGame";
+import useLatestBlock from "../hooks/useLatestBlock";
+import GameScanner from "./GameScanner";
+import { importIndexedGames } from "../utils/indexerClient";
+import { importFactoryGames } from "../utils/gameFactory";
+
+const ACTIVITY_LABELS = {
+  [GAME_ACTIVITY.CREATED]: "Created",
+  [GAME_ACTIVITY.JOINED]: "Joined",
+  [GAME_ACTIVITY.REVEALED]: "Revealed",
+  [GAME_ACTIVITY.TIMED_OUT]: "Claimed timeout",
+  [GAME_ACTIVITY.DISCOVERED]: "Found on chain"
+};
+
+/**
+ * What the account should do next, and which panel does it
+ * @returns {{ text: string, panel: string, urgent: boolean }}
+ */
+function getNextStep(phase, role) {
+  const isJ1 = role === ROLES.J1;
+  switch (phase) {
+    case PHASES.AWAITING_J2:
+      return isJ1
+        ? { text: "Waiting for Player 2", panel: "status", urgent: false }
+        : { text: "Play your move", panel: "join", urgent: true };
+    case PHASES.J2_TIMED_OUT:
+      return isJ1
+        ? { text: "Reclaim your stake (j2Timeout)", panel: "status", urgent: true }
+        : { text: "Play before Player 1 reclaims", panel: "join", urgent: true };
+    case PHASES.AWAITING_REVEAL:
+      return isJ1
+        ? { text: "Reveal your move", panel: "reveal", urgent: true }
+        : { text: "Waiting for Player 1 to reveal", panel: "status", urgent: false };
+    case PHASES.J1_TIMED_OUT:
+      return isJ1
+        ? { text: "Reveal before Player 2 claims", panel: "reveal", urgent: true }
+        : { text: "Claim the pot (j1Timeout)", panel: "status", urgent: true };
+    default:
+      return { text: "Nothing to do", panel: "status", urgent: false };
+  }
+}
+
+function GameRow({ record, watcher, block, onOpen, onRemove }) {
+  const { state, error } = useWatchedGame(watcher, record.address);
+  const view = state ? describeGame(state, { account: record.account, now: block?.timestamp ?? state.lastAction }) : null;
+  const next = view ? getNextStep(view.phase, view.role) : null;
+  const lastActivity = record.activity[record.activity.length - 1];
+
+  // stake() is 0 once settled: fall back to the stake recorded when we played
+  const stakeWei = state && state.stake > 0n ? state.stake : record.stakeWei ? BigInt(record.stakeWei) : null;
+
+  return (
+    <tr style={{ borderTop: "1px solid #eee" }}>
+      <td style={{ fontFamily: "monospace", padding: 4 }}>{record.address.substring(0, 10)}...</td>
+      <td style={{ padding: 4 }}>{record.role === "j1" ? "Player 1" : "Player 2"}</td>
+      <td style={{ padding: 4 }}>{stakeWei !== null ? `${formatEth(stakeWei)} ETH` : "-"}</td>
+      <td style={{ padding: 4 }}>{error ? "⚠️ Not found on this network" : view ? view.label : "⏳ Loading..."}</td>
+      <td style={{ padding: 4, fontWeight: next?.urgent ? "bold" : "normal", color: next?.urgent ? "#c0392b" : "#666" }}>
+        {next ? next.text : ""}
+      </td>
+      <td style={{ padding: 4, color: "#666" }}>
+        {lastActivity ? `${ACTIVITY_LABELS[lastActivity.type]} ${new Date(lastActivity.at).toLocaleString()}` : ""}
+      </td>
+      <td style={{ padding: 4, whiteSpace: "nowrap" }}>
+        <button onClick={() => onOpen({ panel: next?.panel || "status", address: record.address })} style={{ fontSize: 11, padding: "2px 6px" }}>
+          ➡️ Open
+        </button>
+        <button onClick={() => onRemove(record)} style={{ fontSize: 11, padding: "2px 6px", marginLeft: 4 }}>
+          🗑️
+        </button>
+      </td>
+    </tr>
+  );
+}
+
+/**
+ * Every game the connected account created, joined, revealed or timed out on this chain
+ * @param {function({ panel: string, address: string }): void} onOpen - panel is "join", "reveal" or "status"
+ */
+export default function MyGames({ provider, watcher, onOpen }) {
+  const [session, setSession] = useState(null);
+  const [games, setGames] = useState([]);
+  const block = useLatestBlock(watcher);
+
+  useEffect(() => {
+    let cancelled = false;
+    Promise.all([provider.getSigner().then((signer) => signer.getAddress()), provider.getNetwork()])
+      .then(async ([account, { chainId }]) => {
+        // Bring in games saved before the registry existed
+        const imported = await migrateLegacyGames(provider, account).catch((error) => {
+          console.error("Game migration error:", error);
+          return 0;
+        });
+        if (imported > 0) console.log(`Imported ${imported} saved game(s) into the registry`);
+        // Games played from other browsers, when an indexer is configured
+        await importIndexedGames(chainId, account).catch((error) => console.error("Indexer error:", error));
+        // Games created through this chain's GameFactory
+        await importFactoryGames(provider, chainId, account).catch((error) => console.error("Factory import error:", error));
+        if (!cancelled) setSession({ account, chainId: Number(chainId) });
+      })
+      .catch((error) => console.error("My Games error:", error));
+    return () => {
+      cancelled = true;
+    };
+  }, [provider]);
+
+  const refresh = useCallback(() => {
+    if (session) setGames(listGames(session.chainId, session.account));
+  }, [session]);
+
+  useEffect(() => {
+    refresh();
+    return onRegistryChange(refresh);
+  }, [refresh]);
+
+  function handleRemove(record) {
+    if (!window.confirm(`Remove ${record.address} from My Games?\n\nThis does not affect the game on chain.`)) {
+      return;
+    }
+    removeGame(record.chainId, record.account, record.address);
+  }
+
+  return (
+    <div className="container">
+      <h3>📋 My Games</h3>
+
+      {!session && <div style={{ fontSize: 12, color: "#666" }}>⏳ Loading...</div>}
+
+      {session && games.length === 0 && (
+        <div style={{ fontSize: 12, color: "#666" }}>No games yet on this network for this account.</div>
+      )}
+
+      {games.length > 0 && (
+        <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse" }}>
+          <thead>
+            <tr style={{ textAlign: "left" }}>
+              <th style={{ padding: 4 }}>Game</th>
+              <th style={{ padding: 4 }}>Role</th>
+              <th style={{ padding: 4 }}>Stake</th>
+              <th style={{ padding: 4 }}>Phase (live)</th>
+              <th style={{ padding: 4 }}>Next Step</th>
+              <th style={{ padding: 4 }}>Last Activity</th>
+              <th style={{ padding: 4 }}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {games.map((record) => (
+              <GameRow
+                key={record.id}
+                record={record}
+                watcher={watcher}
+                block={block}
+                onOpen={onOpen}
+                onRemove={handleRemove}
+              />
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {session && <GameScanner provider={provider} account={session.account} chainId={session.chainId} />}
+    </div>
+  );
+}
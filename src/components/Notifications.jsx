@@ -0,0 +1,60 @@
+import React, { useState, useEffect } from "react";
+
+const LEVEL_STYLES = {
+  info: { background: "#e7f3ff", color: "#004085", icon: "ℹ️" },
+  success: { background: "#d4edda", color: "#155724", icon: "🏁" },
+  warning: { background: "#fff3cd", color: "#856404", icon: "⏰" }
+};
+
+/**
+ * In-app notifications raised by the GameWatcher (opponent played, revealed, timed out)
+ */
+export default function Notifications({ watcher }) {
+  const [notifications, setNotifications] = useState([]);
+
+  useEffect(() => {
+    if (!watcher) return;
+    return watcher.onNotification((notification) => {
+      setNotifications((current) => [notification, ...current].slice(0, 5));
+    });
+  }, [watcher]);
+
+  function dismiss(id) {
+    setNotifications((current) => current.filter((n) => n.id !== id));
+  }
+
+  if (notifications.length === 0) return null;
+
+  return (
+    <div style={{ position: "fixed", top: 16, right: 16, width: 340, zIndex: 1000 }}>
+      {notifications.map((notification) => {
+        const style = LEVEL_STYLES[notification.level] || LEVEL_STYLES.info;
+        return (
+          <div
+            key={notification.id}
+            style={{
+              display: "flex",
+              justifyContent: "space-between",
+              alignItems: "flex-start",
+              gap: 8,
+              padding: 10,
+              marginBottom: 8,
+              borderRadius: 6,
+              background: style.background,
+              color: style.color,
+              fontSize: 13,
+              boxShadow: "0 2px 6px rgba(0,0,0,0.15)"
+            }}
+          >
+            <span>
+              {style.icon} {notification.message}
+            </span>
+            <button onClick={() => dismiss(notification.id)} style={{ fontSize: 11, padding: "2px 6px" }}>
+              ✕
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,140 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { TX_STATUS, TX_KINDS, isTrackedRecord } from "../utils/txManager";
+import { getExplorerUrl } from "../utils/networks";
+
+const KIND_LABELS = {
+  [TX_KINDS.CREATE]: "Create game",
+  [TX_KINDS.PLAY]: "Join (play)",
+  [TX_KINDS.SOLVE]: "Reveal (solve)",
+  [TX_KINDS.J1_TIMEOUT]: "Claim pot (j1Timeout)",
+  [TX_KINDS.J2_TIMEOUT]: "Reclaim stake (j2Timeout)",
+  [TX_KINDS.WITHDRAW]: "Withdraw payout",
+  [TX_KINDS.CANCEL]: "Cancel"
+};
+
+const STATUS_STYLES = {
+  [TX_STATUS.PENDING]: { icon: "⏳", color: "#856404" },
+  [TX_STATUS.CONFIRMED]: { icon: "✅", color: "#155724" },
+  [TX_STATUS.FAILED]: { icon: "❌", color: "#c0392b" },
+  [TX_STATUS.REPLACED]: { icon: "🔁", color: "#666" },
+  [TX_STATUS.CANCELLED]: { icon: "🚫", color: "#666" },
+  [TX_STATUS.DROPPED]: { icon: "⚠️", color: "#c0392b" }
+};
+
+const RECENT_FINISHED = 5;
+
+/**
+ * Transactions sent from this browser for the connected account: pending
+ * ones with speed-up / cancel, then the last few finished ones
+ */
+export default function PendingTransactions({ provider, txManager }) {
+  const [session, setSession] = useState(null);
+  const [records, setRecords] = useState([]);
+  const [busyHash, setBusyHash] = useState(null);
+
+  useEffect(() => {
+    Promise.all([provider.getSigner().then((signer) => signer.getAddress()), provider.getNetwork()])
+      .then(([account, { chainId }]) => setSession({ account, chainId: Number(chainId) }))
+      .catch((error) => console.error("Pending activity error:", error));
+  }, [provider]);
+
+  const refresh = useCallback(() => {
+    if (session) setRecords(txManager.list(session.chainId, session.account));
+  }, [txManager, session]);
+
+  useEffect(() => {
+    refresh();
+    return txManager.onChange(refresh);
+  }, [txManager, refresh]);
+
+  async function handleReplace(record, action) {
+    const verb = action === "speedUp" ? "Speed up" : "Cancel";
+    if (action === "cancel" && !window.confirm("Send an empty transaction with the same nonce so this one never runs?")) {
+      return;
+    }
+    try {
+      setBusyHash(record.hash);
+      const signer = await provider.getSigner();
+      const replacement = await txManager[action](record.hash, signer);
+      console.log(`${verb} sent:`, replacement.hash);
+    } catch (error) {
+      console.error(`${verb} error:`, error);
+      alert(`❌ ${verb} failed: ` + (error.reason || error.message));
+    } finally {
+      setBusyHash(null);
+    }
+  }
+
+  const active = records.filter(isTrackedRecord);
+  const finished = records.filter((record) => !isTrackedRecord(record)).slice(0, RECENT_FINISHED);
+  if (active.length === 0 && finished.length === 0) return null;
+
+  return (
+    <div className="container">
+      <h3>🧾 Pending Activity</h3>
+      <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse" }}>
+        <tbody>
+          {[...active, ...finished].map((record) => {
+            const style = STATUS_STYLES[record.status];
+            const isPending = record.status === TX_STATUS.PENDING;
+            const game = record.game || record.contractAddress;
+            const explorerUrl = getExplorerUrl(record.chainId, { tx: record.hash });
+            return (
+              <tr key={record.hash} style={{ borderTop: "1px solid #eee" }}>
+                <td style={{ padding: 4 }}>{KIND_LABELS[record.kind] || record.kind}</td>
+                <td style={{ padding: 4, fontFamily: "monospace" }}>
+                  {game ? `${game.substring(0, 10)}...` : "-"}
+                </td>
+                <td style={{ padding: 4, fontFamily: "monospace" }} title={record.hash}>
+                  {explorerUrl ? (
+                    <a href={explorerUrl} target="_blank" rel="noreferrer">
+                      {record.hash.substring(0, 10)}...
+                    </a>
+                  ) : (
+                    `${record.hash.substring(0, 10)}...`
+                  )}{" "}
+                  (nonce {record.nonce})
+                </td>
+                <td style={{ padding: 4, color: style.color }} title={record.error || ""}>
+                  {style.icon} {record.status}
+                  {record.status === TX_STATUS.CONFIRMED && ` (${record.confirmations} conf.)`}
+                  {isPending && record.missingSince !== null && " - not seen by the node"}
+                  {[TX_STATUS.FAILED, TX_STATUS.DROPPED].includes(record.status) && ` - ${record.error}`}
+                </td>
+                <td style={{ padding: 4, color: "#666" }}>{new Date(record.createdAt).toLocaleTimeString()}</td>
+                <td style={{ padding: 4, whiteSpace: "nowrap" }}>
+                  {isPending && !record.replacedBy && (
+                    <>
+                      <button
+                        onClick={() => handleReplace(record, "speedUp")}
+                        disabled={busyHash !== null}
+                        style={{ fontSize: 11, padding: "2px 6px" }}
+                      >
+                        ⚡ Speed Up
+                      </button>
+                      <button
+                        onClick={() => handleReplace(record, "cancel")}
+                        disabled={busyHash !== null}
+                        style={{ fontSize: 11, padding: "2px 6px", marginLeft: 4 }}
+                      >
+                        ✖️ Cancel
+                      </button>
+                    </>
+                  )}
+                  {!isTrackedRecord(record) && (
+                    <button
+                      onClick={() => txManager.remove(record.hash)}
+                      style={{ fontSize: 11, padding: "2px 6px" }}
+                    >
+                      🗑️
+                    </button>
+                  )}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
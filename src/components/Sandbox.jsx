@@ -0,0 +1,337 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { ethers } from "ethers";
+import GameCreation from "./GameCreation";
+import GameJoin from "./GameJoin";
+import GameReveal from "./GameReveal";
+import GameStatus from "./GameStatus";
+import SecretVault from "./SecretVault";
+import { WalletSession } from "../utils/walletSession";
+import { createLocalRpcConnector } from "../utils/walletConnectors";
+import { GameWatcher } from "../utils/gameWatcher";
+import { TxManager } from "../utils/txManager";
+import { increaseTime, mineBlock, getSettlementDeltas } from "../utils/devNode";
+import { EXPECTED_TIMEOUT } from "../utils/contractVerification";
+import { getNetworkConfig, getNetworkName } from "../utils/networks";
+import { describeOutcome } from "../utils/gameOutcome";
+import { formatDuration } from "../utils/timeoutClock";
+import useWalletSession from "../hooks/useWalletSession";
+import useWatchedGame from "../hooks/useWatchedGame";
+import useLatestBlock from "../hooks/useLatestBlock";
+
+const LOCAL_RPC_KEY = "rps_local_rpc"; // same node as the wallet's local connectors
+
+function shortAddress(address) {
+  return `${address.substring(0, 6)}...${address.substring(38)}`;
+}
+
+/**
+ * Provider, watcher and transaction manager of one sandbox player, like App builds them for the wallet
+ */
+function usePlayer(walletSession) {
+  const { session } = useWalletSession(walletSession);
+  const provider = session?.provider ?? null;
+  const watcher = useMemo(() => (provider ? new GameWatcher(provider) : null), [provider]);
+  const account = session?.account ?? null;
+  const txManager = useMemo(() => (provider ? new TxManager(provider, { account }) : null), [provider, account]);
+
+  useEffect(() => {
+    if (!txManager) return;
+    txManager.resume();
+    return () => txManager.stop();
+  }, [txManager]);
+
+  useEffect(() => {
+    if (watcher) watcher.setAccount(session.account);
+  }, [watcher, session]);
+
+  return { walletSession, session, provider, watcher, txManager };
+}
+
+/**
+ * Balances of both players, and once the game is settled what it did to each of them
+ */
+function SandboxBalances({ player, game }) {
+  const { state } = useWatchedGame(player.watcher, game.address);
+  const block = useLatestBlock(player.watcher);
+  const [balances, setBalances] = useState(null);
+  const [deltas, setDeltas] = useState(null);
+  const [error, setError] = useState(null);
+  const isSettled = state?.stake === 0n;
+
+  useEffect(() => {
+    if (!state) return;
+    Promise.all([player.provider.getBalance(state.j1), player.provider.getBalance(state.j2)])
+      .then(([j1, j2]) => setBalances({ j1, j2 }))
+      .catch((e) => console.error("Sandbox balance error:", e));
+  }, [player.provider, state, block]);
+
+  useEffect(() => {
+    setDeltas(null);
+    setError(null);
+    if (!isSettled) return;
+    getSettlementDeltas(player.provider, game.address, game.createdBlock)
+      .then(setDeltas)
+      .catch((e) => {
+        console.error("Settlement delta error:", e);
+        setError(e.message);
+      });
+  }, [player.provider, game, isSettled]);
+
+  if (!state) return null;
+  const eth = (wei) => ethers.formatEther(wei);
+
+  return (
+    <div className="container">
+      <h3>💰 Balances</h3>
+      <table style={{ width: "100%", fontSize: 12, borderCollapse: "collapse" }}>
+        <thead>
+          <tr style={{ textAlign: "left" }}>
+            <th style={{ padding: 4 }}>Player</th>
+            <th style={{ padding: 4 }}>Now</th>
+            <th style={{ padding: 4 }}>Before game</th>
+            <th style={{ padding: 4 }}>After settlement</th>
+            <th style={{ padding: 4 }}>Δ</th>
+            <th style={{ padding: 4 }}>Staked</th>
+            <th style={{ padding: 4 }}>Payout</th>
+            <th style={{ padding: 4 }}>Gas</th>
+            <th style={{ padding: 4 }}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {["j1", "j2"].map((key) => {
+            const delta = deltas?.[key];
+            return (
+              <tr key={key} style={{ borderTop: "1px solid #eee", fontFamily: "monospace" }}>
+                <td style={{ padding: 4 }}>
+                  {key === "j1" ? "Player 1" : "Player 2"} {shortAddress(state[key])}
+                </td>
+                <td style={{ padding: 4 }}>{balances ? eth(balances[key]) : "..."}</td>
+                <td style={{ padding: 4 }}>{delta ? eth(delta.before) : "-"}</td>
+                <td style={{ padding: 4 }}>{delta ? eth(delta.after) : "-"}</td>
+                <td style={{ padding: 4, fontWeight: "bold", color: delta && delta.delta < 0n ? "#c0392b" : "#155724" }}>
+                  {delta ? eth(delta.delta) : "-"}
+                </td>
+                <td style={{ padding: 4 }}>{delta ? eth(delta.staked) : "-"}</td>
+                <td style={{ padding: 4 }}>{delta ? eth(delta.payout) : "-"}</td>
+                <td style={{ padding: 4 }}>{delta ? eth(delta.gas) : "-"}</td>
+                <td style={{ padding: 4 }} title="Δ = payout - staked - gas">
+                  {delta ? (delta.matches ? "✅" : "⚠️ other transfers") : ""}
+                </td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+        {!isSettled && "Deltas appear once the game is settled."}
+        {deltas && describeOutcome(deltas.outcome)}
+        {error && `❌ ${error}`}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Both players of a game on a local dev node, side by side, with the real
+ * game panels - plus time travel to reach both timeouts without waiting
+ */
+export default function Sandbox() {
+  const [rpcUrl, setRpcUrl] = useState(() => localStorage.getItem(LOCAL_RPC_KEY) || getNetworkConfig(1337).rpcUrl);
+  const [sessions, setSessions] = useState(null);
+  const [accounts, setAccounts] = useState([]);
+  const [game, setGame] = useState(null);
+  const [clock, setClock] = useState(null);
+  const [isStarting, setIsStarting] = useState(false);
+  const [isTraveling, setIsTraveling] = useState(false);
+  const p1 = usePlayer(sessions?.j1 ?? null);
+  const p2 = usePlayer(sessions?.j2 ?? null);
+  // RPSv2.sol games have their own TIMEOUT
+  const { state: gameState } = useWatchedGame(p1.watcher, game?.address);
+  const timeout = gameState?.timeout ?? EXPECTED_TIMEOUT;
+
+  useEffect(() => {
+    if (!sessions) return;
+    return () => {
+      sessions.j1.disconnect();
+      sessions.j2.disconnect();
+    };
+  }, [sessions]);
+
+  /**
+   * One session per player on the node's first two accounts
+   */
+  async function handleStart() {
+    try {
+      setIsStarting(true);
+      const connectors = { j1: createLocalRpcConnector(rpcUrl), j2: createLocalRpcConnector(rpcUrl) };
+      const nodeAccounts = await connectors.j1.ethereum.listAccounts();
+      if (nodeAccounts.length < 2) {
+        alert("⚠️ The node needs at least two unlocked accounts!");
+        return;
+      }
+      connectors.j2.ethereum.selectAccount(nodeAccounts[1]);
+
+      const next = { j1: new WalletSession(), j2: new WalletSession() };
+      await next.j1.connect(connectors.j1);
+      await next.j2.connect(connectors.j2);
+      localStorage.setItem(LOCAL_RPC_KEY, rpcUrl);
+
+      setAccounts(nodeAccounts);
+      setGame(null);
+      setClock(await next.j1.getSession().provider.getBlock("latest"));
+      setSessions(next);
+    } catch (error) {
+      console.error("Sandbox error:", error);
+      alert("❌ Could not start the sandbox: " + error.message);
+    } finally {
+      setIsStarting(false);
+    }
+  }
+
+  function handleSelectAccount(key, account) {
+    sessions[key].getConnector().ethereum.selectAccount(account);
+  }
+
+  async function handleTimeTravel(seconds) {
+    try {
+      setIsTraveling(true);
+      const block = seconds > 0 ? await increaseTime(p1.provider, seconds) : await mineBlock(p1.provider);
+      setClock(block);
+      console.log(`⏩ Block ${block.number} at ${new Date(block.timestamp * 1000).toLocaleTimeString()}`);
+    } catch (error) {
+      console.error("Time travel error:", error);
+      alert("❌ Time travel failed: " + error.message);
+    } finally {
+      setIsTraveling(false);
+    }
+  }
+
+  function handleGameCreated(address, receipt) {
+    setGame({ address, createdBlock: receipt.blockNumber, openedAt: Date.now() });
+  }
+
+  // Panels re-open the game whenever their selection object changes
+  const selections = useMemo(() => {
+    if (!game) return {};
+    const select = (panel) => ({ panel, address: game.address, openedAt: game.openedAt });
+    return { join: select("join"), reveal: select("reveal"), status: select("status") };
+  }, [game]);
+  const ready = p1.session && p2.session;
+  const latestBlock = useLatestBlock(p1.watcher);
+  const shownBlock = latestBlock && (!clock || latestBlock.number > clock.number) ? latestBlock : clock;
+
+  return (
+    <div>
+      <div className="container" style={{ marginBottom: 16 }}>
+        <h3>🧪 Sandbox</h3>
+        <p style={{ fontSize: 13, color: "#666", marginTop: 0 }}>
+          Play both sides of a game with two unlocked accounts of a local Hardhat/Ganache node.
+        </p>
+        <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+          <input
+            type="text"
+            value={rpcUrl}
+            onChange={(e) => setRpcUrl(e.target.value)}
+            disabled={isStarting}
+            style={{ width: 240 }}
+            title="Hardhat/Ganache JSON-RPC URL"
+          />
+          <button onClick={handleStart} disabled={isStarting}>
+            {isStarting ? "⏳ Starting..." : sessions ? "🔄 Restart" : "▶️ Start Sandbox"}
+          </button>
+
+          {ready && (
+            <>
+              <span style={{ fontSize: 13 }}>
+                ✅ {getNetworkName(p1.session.chainId)}
+                {shownBlock &&
+                  ` - block ${shownBlock.number}, ${new Date(shownBlock.timestamp * 1000).toLocaleTimeString()}`}
+              </span>
+              <button onClick={() => handleTimeTravel(60)} disabled={isTraveling}>
+                ⏩ +1 min
+              </button>
+              <button onClick={() => handleTimeTravel(timeout + 1)} disabled={isTraveling}>
+                ⏩ +{formatDuration(timeout)} (timeout)
+              </button>
+              <button onClick={() => handleTimeTravel(0)} disabled={isTraveling}>
+                ⛏️ Mine Block
+              </button>
+            </>
+          )}
+        </div>
+        {game && (
+          <div style={{ fontSize: 13, marginTop: 8 }}>
+            <strong>Sandbox game:</strong> <span style={{ fontFamily: "monospace" }}>{game.address}</span>
+          </div>
+        )}
+      </div>
+
+      {ready && game && (
+        <div style={{ marginBottom: 16 }}>
+          <SandboxBalances player={p1} game={game} />
+        </div>
+      )}
+
+      {ready && (
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(400px, 1fr))", gap: 16 }}>
+          {[
+            { key: "j1", title: "🎭 Player 1", player: p1 },
+            { key: "j2", title: "🎲 Player 2", player: p2 }
+          ].map(({ key, title, player }) => (
+            <div key={key} style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <h3 style={{ margin: 0 }}>{title}</h3>
+                <select
+                  value={player.session.account}
+                  onChange={(e) => handleSelectAccount(key, e.target.value)}
+                  style={{ fontFamily: "monospace", fontSize: 13 }}
+                >
+                  {accounts.map((account, index) => (
+                    <option key={account} value={account}>
+                      #{index} {shortAddress(account)}
+                    </option>
+                  ))}
+                </select>
+                {p1.session.account === p2.session.account && (
+                  <span style={{ fontSize: 12, color: "#c0392b" }}>⚠️ Same account as the other player</span>
+                )}
+              </div>
+
+              {key === "j1" ? (
+                <>
+                  <GameCreation
+                    provider={player.provider}
+                    walletSession={player.walletSession}
+                    txManager={player.txManager}
+                    onGameCreated={handleGameCreated}
+                    defaultOpponent={p2.session.account}
+                  />
+                  <GameReveal
+                    provider={player.provider}
+                    watcher={player.watcher}
+                    txManager={player.txManager}
+                    selection={selections.reveal ?? null}
+                  />
+                  <SecretVault provider={player.provider} />
+                </>
+              ) : (
+                <GameJoin
+                  provider={player.provider}
+                  watcher={player.watcher}
+                  txManager={player.txManager}
+                  selection={selections.join ?? null}
+                />
+              )}
+              <GameStatus
+                provider={player.provider}
+                watcher={player.watcher}
+                txManager={player.txManager}
+                selection={selections.status ?? null}
+              />
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from "react";
+import {
+  getVaultInfo,
+  unlockWithPassphrase,
+  unlockWithWallet,
+  lockVault,
+  listSecrets,
+  deleteSecret,
+  purgeSettledSecrets,
+  migrateLegacySecrets,
+  hasLegacySecrets,
+  VAULT_KEY_METHODS
+} from "../utils/secretVault";
+
+export default function SecretVault({ provider }) {
+  const [info, setInfo] = useState(null);
+  const [passphrase, setPassphrase] = useState("");
+  const [secrets, setSecrets] = useState([]);
+  const [isBusy, setIsBusy] = useState(false);
+
+  const refresh = useCallback(async () => {
+    try {
+      const { chainId } = await provider.getNetwork();
+      setInfo(await getVaultInfo());
+      setSecrets(await listSecrets(chainId));
+    } catch (error) {
+      console.error("Vault error:", error);
+      setInfo(null);
+    }
+  }, [provider]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  /**
+   * Unlock with passphrase or wallet signature, then import legacy secrets
+   */
+  async function handleUnlock(method) {
+    try {
+      setIsBusy(true);
+
+      if (method === VAULT_KEY_METHODS.WALLET) {
+        const signer = await provider.getSigner();
+        await unlockWithWallet(signer);
+      } else {
+        await unlockWithPassphrase(passphrase);
+      }
+      setPassphrase("");
+
+      if (hasLegacySecrets()) {
+        // Entries of games on other networks are retried on every unlock
+        const imported = await migrateLegacySecrets(provider);
+        if (imported > 0) {
+          alert(
+            `🔐 Imported ${imported} plaintext secret(s) from localStorage into the vault.` +
+            (hasLegacySecrets()
+              ? "\n\nℹ️ Secrets of games not found on this network stay in localStorage until you unlock on their network."
+              : "")
+          );
+        }
+      }
+
+      await refresh();
+    } catch (error) {
+      console.error("Unlock error:", error);
+      alert("❌ Could not unlock vault: " + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  }
+
+  function handleLock() {
+    lockVault();
+    refresh();
+  }
+
+  async function handleDelete(secret) {
+    const label = secret.address || "pending commitment " + secret.commitment.substring(0, 10) + "...";
+    if (!window.confirm(`Delete the secret for ${label}?\n\nYou cannot reveal this game without it.`)) {
+      return;
+    }
+    await deleteSecret(secret.id);
+    await refresh();
+  }
+
+  async function handlePurgeSettled() {
+    try {
+      setIsBusy(true);
+      const deleted = await purgeSettledSecrets(provider);
+      alert(`🧹 Deleted ${deleted.length} secret(s) of settled games.`);
+      await refresh();
+    } catch (error) {
+      console.error("Purge error:", error);
+      alert("❌ Error deleting settled secrets: " + error.message);
+    } finally {
+      setIsBusy(false);
+    }
+  }
+
+  return (
+    <div className="container">
+      <h3>🔐 Secret Vault</h3>
+
+      {!info && (
+        <div style={{ fontSize: 12, color: "#666" }}>⏳ Loading vault...</div>
+      )}
+
+      {info && !info.unlocked && (
+        <div>
+          <div style={{ fontSize: 12, marginBottom: 8 }}>
+            {info.exists
+              ? `🔒 Vault locked (protected by ${info.method === VAULT_KEY_METHODS.WALLET ? "wallet signature" : "passphrase"}).`
+              : "No vault yet - choose a passphrase or your wallet to create one."}
+          </div>
+
+          {(!info.exists || info.method === VAULT_KEY_METHODS.PASSPHRASE) && (
+            <div style={{ marginBottom: 8 }}>
+              <input
+                type="password"
+                placeholder="Passphrase (min. 8 characters)"
+                value={passphrase}
+                onChange={(e) => setPassphrase(e.target.value)}
+                style={{ width: "100%" }}
+              />
+              <button
+                onClick={() => handleUnlock(VAULT_KEY_METHODS.PASSPHRASE)}
+                disabled={isBusy || !passphrase}
+                style={{ marginTop: 4 }}
+              >
+                {info.exists ? "🔓 Unlock" : "🔐 Create Vault"}
+              </button>
+            </div>
+          )}
+
+          {(!info.exists || info.method === VAULT_KEY_METHODS.WALLET) && (
+            <button onClick={() => handleUnlock(VAULT_KEY_METHODS.WALLET)} disabled={isBusy}>
+              ✍️ {info.exists ? "Unlock" : "Create"} with Wallet Signature
+            </button>
+          )}
+        </div>
+      )}
+
+      {info && info.unlocked && (
+        <div>
+          <div style={{ fontSize: 12, marginBottom: 8, color: "green" }}>
+            🔓 Vault unlocked - new secrets are encrypted and saved automatically.
+          </div>
+          <button onClick={handleLock} style={{ fontSize: 12 }}>
+            🔒 Lock
+          </button>
+          <button onClick={handlePurgeSettled} disabled={isBusy} style={{ marginLeft: 8, fontSize: 12 }}>
+            🧹 Delete Settled
+          </button>
+        </div>
+      )}
+
+      {info && secrets.length > 0 && (
+        <div style={{ marginTop: 10, fontSize: 12 }}>
+          <strong>Stored secrets ({secrets.length}):</strong>
+          {secrets.map((secret) => (
+            <div
+              key={secret.id}
+              style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginTop: 4 }}
+            >
+              <span style={{ fontFamily: "monospace" }}>
+                {secret.address
+                  ? `${secret.address.substring(0, 10)}...`
+                  : `⏳ pending ${secret.commitment.substring(0, 10)}...`}{" "}
+                <span style={{ color: "#666" }}>{new Date(secret.createdAt).toLocaleString()}</span>
+              </span>
+              <button onClick={() => handleDelete(secret)} style={{ fontSize: 11, padding: "2px 6px" }}>
+                🗑️
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ marginTop: 12, fontSize: 12, color: "#666" }}>
+        ℹ️ Salts are encrypted per game in this browser. Still download your secret file as a backup.
+      </div>
+    </div>
+  );
+}
@@ -1,46 +1,86 @@
 import React, { useState, useEffect } from "react";
 import { ethers } from "ethers";
+import { getNetworkConfig, getNetworkName, getAllowedNetworks, switchNetwork } from "../utils/networks";
+import {
+  CONNECTOR_TYPES,
+  discoverInjectedConnectors,
+  createLocalRpcConnector,
+  createBurnerConnector,
+  clearBurnerKey,
+  rememberConnector,
+  restoreConnector
+} from "../utils/walletConnectors";
+import useWalletSession from "../hooks/useWalletSession";
 
-export default function WalletConnect({ onConnected }) {
-  const [address, setAddress] = useState(null);
-  const [network, setNetwork] = useState(null);
-  const [isConnecting, setIsConnecting] = useState(false);
+const LOCAL_RPC_KEY = "rps_local_rpc";
+const BURNER_FUNDING = "1"; // ETH sent from the node's first account
 
-  async function connectWallet() {
-    if (!window.ethereum) {
-      alert("MetaMask not detected! Please install MetaMask extension.");
-      window.open("https://metamask.io/download/", "_blank");
-      return;
-    }
+function shortAddress(address) {
+  return `${address.substring(0, 6)}...${address.substring(38)}`;
+}
 
-    try {
-      setIsConnecting(true);
+export default function WalletConnect({ walletSession }) {
+  const { session, pendingSwitch } = useWalletSession(walletSession);
+  const [injected, setInjected] = useState(null);
+  const [localRpcUrl, setLocalRpcUrl] = useState(
+    () => localStorage.getItem(LOCAL_RPC_KEY) || getNetworkConfig(1337).rpcUrl
+  );
+  const [showChooser, setShowChooser] = useState(false);
+  const [devAccounts, setDevAccounts] = useState([]);
+  const [isConnecting, setIsConnecting] = useState(false);
+  const [isFunding, setIsFunding] = useState(false);
+  const [burnerBalance, setBurnerBalance] = useState(null);
+  const [targetChainId, setTargetChainId] = useState(getAllowedNetworks()[0].chainId);
+  const address = session?.account ?? null;
+  const chainId = session?.chainId ?? null;
+  const connector = session?.connector ?? null;
 
-      // Request account access
-      await window.ethereum.request({ method: "eth_requestAccounts" });
-
-      // Create provider
-      const provider = new ethers.BrowserProvider(window.ethereum);
-      const signer = await provider.getSigner();
-      const userAddress = await signer.getAddress();
-      const net = await provider.getNetwork();
-
-      setAddress(userAddress);
-      
-      // Properly identify network - ethers.js doesn't recognize Ganache
-      let networkName = net.name;
-      if (net.chainId === 1337n || net.chainId === 1337) {
-        networkName = "ganache";
-      } else if (net.chainId === 31337n || net.chainId === 31337) {
-        networkName = "localhost";
+  // Find injected wallets, then reconnect with the wallet used last time
+  useEffect(() => {
+    let cancelled = false;
+    discoverInjectedConnectors().then((found) => {
+      if (cancelled) return;
+      setInjected(found);
+      const previous = restoreConnector(found);
+      if (previous) {
+        walletSession.restore(previous).catch((e) => console.log("Auto-connect failed:", e));
       }
-      setNetwork(networkName);
+    });
+    return () => {
+      cancelled = true;
+      walletSession.stop();
+    };
+  }, [walletSession]);
 
-      // Notify parent component
-      onConnected(provider);
+  // The node's accounts, to act as any of them
+  useEffect(() => {
+    setDevAccounts([]);
+    if (connector?.type !== CONNECTOR_TYPES.LOCAL_RPC) return;
+    connector.ethereum
+      .listAccounts()
+      .then(setDevAccounts)
+      .catch((error) => console.error("Dev accounts error:", error));
+  }, [connector]);
 
-      console.log("Connected:", userAddress);
-      console.log("Network:", networkName, "Chain ID:", net.chainId);
+  useEffect(() => {
+    setBurnerBalance(null);
+    if (connector?.type !== CONNECTOR_TYPES.BURNER) return;
+    session.provider
+      .getBalance(session.account)
+      .then(setBurnerBalance)
+      .catch((error) => console.error("Burner balance error:", error));
+  }, [connector, session]);
+
+  async function handleConnect(next) {
+    try {
+      setIsConnecting(true);
+      if (!(await walletSession.connect(next))) return;
+      rememberConnector(next);
+      setShowChooser(false);
+
+      const connected = walletSession.getSession();
+      console.log("Connected:", connected.account, "with", next.name);
+      console.log("Network:", getNetworkName(connected.chainId), "Chain ID:", connected.chainId);
 
     } catch (error) {
       console.error("Connection error:", error);
@@ -50,97 +90,227 @@ export default function WalletConnect({ onConnected }) {
     }
   }
 
-  // Auto-reconnect if already connected
-  useEffect(() => {
-    async function checkConnection() {
-      if (window.ethereum && window.ethereum.selectedAddress) {
-        try {
-          const provider = new ethers.BrowserProvider(window.ethereum);
-          const signer = await provider.getSigner();
-          const userAddress = await signer.getAddress();
-          const net = await provider.getNetwork();
-          
-          setAddress(userAddress);
-          
-          // Properly identify network
-          let networkName = net.name;
-          if (net.chainId === 1337n || net.chainId === 1337) {
-            networkName = "ganache";
-          } else if (net.chainId === 31337n || net.chainId === 31337) {
-            networkName = "localhost";
-          }
-          setNetwork(networkName);
-          onConnected(provider);
-        } catch (e) {
-          console.log("Auto-connect failed:", e);
-        }
-      }
-    }
-    checkConnection();
-  }, [onConnected]);
+  function handleConnectLocal(type) {
+    localStorage.setItem(LOCAL_RPC_KEY, localRpcUrl);
+    handleConnect(type === CONNECTOR_TYPES.BURNER ? createBurnerConnector(localRpcUrl) : createLocalRpcConnector(localRpcUrl));
+  }
 
-  // Listen for account/network changes
-  useEffect(() => {
-    if (!window.ethereum) return;
-
-    function handleAccountsChanged(accounts) {
-      if (accounts.length === 0) {
-        setAddress(null);
-        setNetwork(null);
-      } else {
-        window.location.reload();
-      }
+  function handleDisconnect() {
+    walletSession.disconnect();
+    rememberConnector(null);
+  }
+
+  async function handleFundBurner() {
+    try {
+      setIsFunding(true);
+      await connector.fund(ethers.parseEther(BURNER_FUNDING));
+      setBurnerBalance(await session.provider.getBalance(session.account));
+    } catch (error) {
+      console.error("Funding error:", error);
+      alert("❌ Could not fund the burner: " + (error.message || error));
+    } finally {
+      setIsFunding(false);
     }
+  }
 
-    function handleChainChanged() {
-      window.location.reload();
+  function handleNewBurner() {
+    if (!window.confirm("Forget this burner key? Any ETH left on it is lost.")) return;
+    clearBurnerKey();
+    handleConnect(createBurnerConnector(connector.rpcUrl));
+  }
+
+  /**
+   * Move the wallet to a supported chain (the session follows on chainChanged)
+   */
+  async function handleSwitchNetwork() {
+    try {
+      await switchNetwork(connector.ethereum, targetChainId);
+    } catch (error) {
+      console.error("Network switch error:", error);
+      alert("❌ Could not switch network: " + (error.message || error));
     }
+  }
 
-    window.ethereum.on("accountsChanged", handleAccountsChanged);
-    window.ethereum.on("chainChanged", handleChainChanged);
+  async function handleApplySwitch() {
+    try {
+      await walletSession.applyPendingSwitch();
+    } catch (error) {
+      console.error("Session switch error:", error);
+      alert("❌ Could not switch: " + (error.message || error));
+    }
+  }
 
-    return () => {
-      window.ethereum.removeListener("accountsChanged", handleAccountsChanged);
-      window.ethereum.removeListener("chainChanged", handleChainChanged);
-    };
-  }, []);
+  const network = chainId !== null ? getNetworkConfig(chainId) : null;
+  const isChoosing = !address || showChooser;
 
   return (
-    <div style={{ display: "inline-flex", alignItems: "center", gap: 12 }}>
-      <button
-        onClick={connectWallet}
-        disabled={isConnecting}
-        style={{
-          padding: "10px 20px",
-          fontSize: 15,
-          fontWeight: "bold",
-          background: address ? "#4CAF50" : "#2196F3",
-          color: "white",
-          border: "none",
-          borderRadius: 8,
-          cursor: isConnecting ? "wait" : "pointer"
-        }}
-      >
-        {isConnecting
-          ? "🔄 Connecting..."
-          : address
-          ? `✅ ${address.substring(0, 6)}...${address.substring(38)}`
-          : "🦊 Connect MetaMask"}
-      </button>
-      
-      {network && (
-        <span
+    <div style={{ display: "inline-flex", flexDirection: "column", alignItems: "center", gap: 8 }}>
+      <div style={{ display: "inline-flex", alignItems: "center", gap: 12 }}>
+        <button
+          onClick={() => setShowChooser(!showChooser)}
+          disabled={isConnecting || !address}
+          style={{
+            padding: "10px 20px",
+            fontSize: 15,
+            fontWeight: "bold",
+            background: address ? "#4CAF50" : "#2196F3",
+            color: "white",
+            border: "none",
+            borderRadius: 8,
+            cursor: isConnecting ? "wait" : "pointer"
+          }}
+          title={address ? "Change wallet" : ""}
+        >
+          {isConnecting
+            ? "🔄 Connecting..."
+            : address
+            ? `✅ ${shortAddress(address)}`
+            : "👛 Choose a wallet"}
+        </button>
+
+        {connector && <span style={{ fontSize: 13, color: "#666" }}>via {connector.name}</span>}
+
+        {chainId !== null && (
+          <span
+            style={{
+              padding: "6px 12px",
+              background: network?.allowed ? "#e7f3ff" : "#fff3cd",
+              borderRadius: 6,
+              fontSize: 13,
+              fontWeight: 500
+            }}
+            title={`Chain ID ${chainId}`}
+          >
+            {network?.allowed ? "✅" : "🛑"} {getNetworkName(chainId)}
+            {network?.allowed && network.maxStake !== null && ` (max stake ${network.maxStake} ETH)`}
+          </span>
+        )}
+
+        {chainId !== null && !network?.allowed && connector?.type === CONNECTOR_TYPES.INJECTED && (
+          <span style={{ display: "inline-flex", gap: 6, fontSize: 13 }}>
+            <select value={targetChainId} onChange={(e) => setTargetChainId(Number(e.target.value))}>
+              {getAllowedNetworks().map((n) => (
+                <option key={n.chainId} value={n.chainId}>
+                  {n.name}
+                </option>
+              ))}
+            </select>
+            <button onClick={handleSwitchNetwork} style={{ padding: "4px 10px" }}>
+              🔀 Switch Network
+            </button>
+          </span>
+        )}
+
+        {devAccounts.length > 0 && (
+          <select
+            value={address}
+            onChange={(e) => connector.ethereum.selectAccount(e.target.value)}
+            style={{ fontSize: 13, fontFamily: "monospace" }}
+            title="Act as another of the node's accounts"
+          >
+            {devAccounts.map((account, index) => (
+              <option key={account} value={account}>
+                #{index} {shortAddress(account)}
+              </option>
+            ))}
+          </select>
+        )}
+
+        {connector?.type === CONNECTOR_TYPES.BURNER && (
+          <span style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+            {burnerBalance !== null && `${ethers.formatEther(burnerBalance)} ETH`}
+            <button onClick={handleFundBurner} disabled={isFunding} style={{ padding: "4px 10px" }}>
+              {isFunding ? "⏳ Funding..." : `💧 Fund ${BURNER_FUNDING} ETH`}
+            </button>
+            <button onClick={handleNewBurner} style={{ padding: "4px 10px" }}>
+              🔥 New Burner
+            </button>
+          </span>
+        )}
+
+        {address && (
+          <button onClick={handleDisconnect} style={{ padding: "4px 10px", fontSize: 13 }}>
+            ⏏️ Disconnect
+          </button>
+        )}
+      </div>
+
+      {isChoosing && (
+        <div
+          style={{
+            display: "flex",
+            flexWrap: "wrap",
+            alignItems: "center",
+            justifyContent: "center",
+            gap: 8,
+            fontSize: 13
+          }}
+        >
+          {injected === null && <span style={{ color: "#666" }}>⏳ Looking for wallets...</span>}
+          {injected?.map((wallet) => (
+            <button
+              key={wallet.id}
+              onClick={() => handleConnect(wallet)}
+              disabled={isConnecting}
+              style={{ display: "inline-flex", alignItems: "center", gap: 6, padding: "6px 12px" }}
+            >
+              {wallet.icon ? <img src={wallet.icon} alt="" width={18} height={18} /> : "🦊"} {wallet.name}
+            </button>
+          ))}
+          {injected?.length === 0 && (
+            <a href="https://metamask.io/download/" target="_blank" rel="noreferrer">
+              🦊 Install MetaMask
+            </a>
+          )}
+
+          <span style={{ color: "#999" }}>| local node:</span>
+          <input
+            type="text"
+            value={localRpcUrl}
+            onChange={(e) => setLocalRpcUrl(e.target.value)}
+            style={{ width: 180, fontSize: 12 }}
+            title="Hardhat/Ganache JSON-RPC URL"
+          />
+          <button
+            onClick={() => handleConnectLocal(CONNECTOR_TYPES.LOCAL_RPC)}
+            disabled={isConnecting}
+            style={{ padding: "6px 12px" }}
+          >
+            🧪 Dev Accounts
+          </button>
+          <button
+            onClick={() => handleConnectLocal(CONNECTOR_TYPES.BURNER)}
+            disabled={isConnecting}
+            style={{ padding: "6px 12px" }}
+          >
+            🔥 Burner Wallet
+          </button>
+        </div>
+      )}
+
+      {pendingSwitch && (
+        <div
           style={{
             padding: "6px 12px",
-            background: (network === "sepolia" || network === "ganache" || network === "localhost") ? "#e7f3ff" : "#fff3cd",
+            background: "#fff3cd",
             borderRadius: 6,
             fontSize: 13,
-            fontWeight: 500
+            textAlign: "left"
           }}
         >
-          {(network === "sepolia" || network === "ganache" || network === "localhost") ? "✅" : "⚠️"} {network}
-        </span>
+          ⚠️ Your wallet is now on {pendingSwitch.account ? shortAddress(pendingSwitch.account) : "no account"}{" "}
+          / {getNetworkName(pendingSwitch.chainId)}. The app stays on the previous account until you switch:
+          <ul style={{ margin: "4px 0", paddingLeft: 20 }}>
+            {pendingSwitch.warnings.map((warning) => (
+              <li key={warning}>{warning}</li>
+            ))}
+          </ul>
+          Switch your wallet back to finish, or{" "}
+          <button onClick={handleApplySwitch} style={{ padding: "2px 8px" }}>
+            🔀 Switch now
+          </button>
+        </div>
       )}
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,17 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Latest block seen by the app's GameWatcher (updates only while a game is tracked)
+ * @param {GameWatcher|null} watcher
+ * @returns {object|null} - { number, timestamp, receivedAt, averageBlockTime }
+ */
+export default function useLatestBlock(watcher) {
+  const [block, setBlock] = useState(() => watcher?.getLatestBlock() ?? null);
+
+  useEffect(() => {
+    if (!watcher) return;
+    return watcher.onBlock(setBlock);
+  }, [watcher]);
+
+  return block;
+}
@@ -0,0 +1,25 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Current wallet session and any switch held back by a guard
+ * @param {WalletSession|null} walletSession
+ * @returns {{ session: object|null, pendingSwitch: object|null }}
+ */
+export default function useWalletSession(walletSession) {
+  const [snapshot, setSnapshot] = useState(() => read(walletSession));
+
+  useEffect(() => {
+    if (!walletSession) return;
+    setSnapshot(read(walletSession));
+    return walletSession.onChange(() => setSnapshot(read(walletSession)));
+  }, [walletSession]);
+
+  return snapshot;
+}
+
+function read(walletSession) {
+  return {
+    session: walletSession?.getSession() ?? null,
+    pendingSwitch: walletSession?.getPendingSwitch() ?? null
+  };
+}
@@ -0,0 +1,30 @@
+import { useState, useEffect } from "react";
+import { ethers } from "ethers";
+
+/**
+ * Live state of a game contract, kept up to date by the app's GameWatcher
+ * @param {GameWatcher|null} watcher
+ * @param {string} address - Game contract address (ignored until valid)
+ * @returns {{ state: GameState|null, error: Error|null }}
+ */
+export default function useWatchedGame(watcher, address) {
+  const [state, setState] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setState(null);
+    setError(null);
+    if (!watcher || !address || !ethers.isAddress(address)) return;
+
+    return watcher.track(
+      address,
+      (next) => {
+        setState(next);
+        setError(null);
+      },
+      setError
+    );
+  }, [watcher, address]);
+
+  return { state, error };
+}
@@ -0,0 +1,282 @@
+import { ethers } from "ethers";
+import { COMMITMENT_GOLDEN_VECTORS } from "./commitmentVectors.js";
+
+/**
+ * Commitment engine for Player 1's hidden move.
+ *
+ * RPS.sol (Solidity 0.4.26) checks `keccak256(_c1, _salt) == c1Hash`. In 0.4.x
+ * a multi-argument keccak256 is TIGHTLY PACKED: 1 byte for the uint8 move
+ * followed by 32 bytes for the uint256 salt (33 bytes total). It is NOT
+ * abi.encode, which pads the move to 32 bytes (64 bytes total).
+ *
+ * Only the packed legacy scheme is accepted by the deployed RPS contract.
+ * The other schemes exist for tooling, diagnostics and future contracts.
+ */
+
+/** Scheme identifiers */
+export const COMMITMENT_SCHEMES = Object.freeze({
+  PACKED_LEGACY: "packed-legacy",
+  ABI_ENCODED: "abi-encoded",
+  V1: "rpsls-v1"
+});
+
+/** Scheme used by RPS.sol - the default everywhere */
+export const DEFAULT_COMMITMENT_SCHEME = COMMITMENT_SCHEMES.PACKED_LEGACY;
+
+/** Domain tag of the versioned v1 scheme */
+export const COMMITMENT_V1_TAG = ethers.id("RPSLS_COMMITMENT_V1");
+
+const MAX_UINT256 = (1n << 256n) - 1n;
+
+const SCHEME_DEFINITIONS = {
+  [COMMITMENT_SCHEMES.PACKED_LEGACY]: {
+    label: "Packed (RPS.sol 0.4.26)",
+    description: "keccak256(uint8 move ‖ uint256 salt), 33 bytes - matches RPS.solve and Hasher.hash",
+    encode: (move, salt) => ethers.solidityPacked(["uint8", "uint256"], [move, salt])
+  },
+  [COMMITMENT_SCHEMES.ABI_ENCODED]: {
+    label: "ABI-encoded",
+    description: "keccak256(abi.encode(uint8 move, uint256 salt)), 64 bytes - NOT accepted by RPS.sol",
+    encode: (move, salt) =>
+      ethers.AbiCoder.defaultAbiCoder().encode(["uint8", "uint256"], [move, salt])
+  },
+  [COMMITMENT_SCHEMES.V1]: {
+    label: "Versioned v1",
+    description: "keccak256(abi.encode(tag, uint8 move, uint256 salt, address player)) - bound to the committing player",
+    requiresPlayer: true,
+    encode: (move, salt, context) =>
+      ethers.AbiCoder.defaultAbiCoder().encode(
+        ["bytes32", "uint8", "uint256", "address"],
+        [COMMITMENT_V1_TAG, move, salt, context.player]
+      )
+  }
+};
+
+/**
+ * Get the definition (label, description) of a commitment scheme
+ * @param {string} scheme - One of COMMITMENT_SCHEMES
+ */
+export function getCommitmentScheme(scheme = DEFAULT_COMMITMENT_SCHEME) {
+  const definition = SCHEME_DEFINITIONS[scheme];
+  if (!definition) {
+    throw new Error(`Unknown commitment scheme: ${scheme}`);
+  }
+  return { id: scheme, ...definition };
+}
+
+/**
+ * List all supported commitment schemes
+ */
+export function listCommitmentSchemes() {
+  return Object.values(COMMITMENT_SCHEMES).map((scheme) => getCommitmentScheme(scheme));
+}
+
+/**
+ * Validate a contract move (1-5)
+ * @param {number} move - Contract Move enum value
+ * @returns {number}
+ */
+export function normalizeMove(move) {
+  const value = Number(move);
+  if (!Number.isInteger(value) || value < 1 || value > 5) {
+    throw new Error("Move must be 1-5 (Rock, Paper, Scissors, Spock, Lizard)");
+  }
+  return value;
+}
+
+/**
+ * Convert a salt to uint256
+ * Strings are always read as hex (with or without 0x), like the salts we generate
+ * @param {string|bigint} salt
+ * @returns {bigint}
+ */
+export function normalizeSalt(salt) {
+  let value;
+  if (typeof salt === "bigint") {
+    value = salt;
+  } else {
+    const text = String(salt ?? "").trim().replace(/^0x/i, "");
+    if (!/^[0-9a-fA-F]{1,64}$/.test(text)) {
+      throw new Error("Invalid salt: expected a hex string of up to 32 bytes");
+    }
+    value = BigInt("0x" + text);
+  }
+
+  if (value < 0n || value > MAX_UINT256) {
+    throw new Error("Invalid salt: out of uint256 range");
+  }
+  return value;
+}
+
+/**
+ * Encode the commitment preimage for a scheme
+ * @param {number} move - Contract move (1-5)
+ * @param {string|bigint} salt - 256-bit salt
+ * @param {object} [options]
+ * @param {string} [options.scheme] - One of COMMITMENT_SCHEMES
+ * @param {string} [options.player] - Committing player's address (v1 only)
+ * @returns {string} - Hex-encoded preimage
+ */
+export function encodeCommitmentPreimage(move, salt, options = {}) {
+  const definition = getCommitmentScheme(options.scheme);
+  if (definition.requiresPlayer && !ethers.isAddress(options.player)) {
+    throw new Error(`Commitment scheme ${definition.id} requires the player address`);
+  }
+  return definition.encode(normalizeMove(move), normalizeSalt(salt), options);
+}
+
+/**
+ * Compute the commitment hash for a move and salt
+ * @param {number} move - Contract move (1-5)
+ * @param {string|bigint} salt - 256-bit salt
+ * @param {object} [options] - See encodeCommitmentPreimage
+ * @returns {string} - bytes32 hash
+ */
+export function computeCommitment(move, salt, options = {}) {
+  return ethers.keccak256(encodeCommitmentPreimage(move, salt, options));
+}
+
+/**
+ * Check whether a move and salt open a commitment
+ * @returns {boolean}
+ */
+export function verifyCommitment(commitment, move, salt, options = {}) {
+  try {
+    return computeCommitment(move, salt, options).toLowerCase() === String(commitment).toLowerCase();
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Recompute the golden vectors generated from the Hasher contract
+ * @returns {Array} - Vectors that did not match (empty when the engine is sound)
+ */
+export function verifyGoldenVectors(vectors = COMMITMENT_GOLDEN_VECTORS) {
+  return vectors.filter(
+    (vector) => computeCommitment(vector.move, vector.salt).toLowerCase() !== vector.hash.toLowerCase()
+  );
+}
+
+/**
+ * Self-check run before a commitment is sent on-chain.
+ * Recomputes the hash from scratch and verifies the engine against the Hasher
+ * golden vectors. Throws if anything disagrees.
+ * @param {object} params
+ * @param {number} params.move - Contract move (1-5)
+ * @param {string} params.salt - 256-bit salt
+ * @param {string} params.commitment - The hash about to be deployed
+ * @param {string} [params.scheme] - Scheme the contract verifies with
+ */
+export function assertCommitment({ move, salt, commitment, scheme = DEFAULT_COMMITMENT_SCHEME, player }) {
+  const failures = verifyGoldenVectors();
+  if (failures.length > 0) {
+    throw new Error(
+      `Commitment engine failed ${failures.length} Hasher golden vector(s) - refusing to deploy`
+    );
+  }
+
+  if (!ethers.isHexString(commitment, 32)) {
+    throw new Error("Commitment must be a 32-byte hex string");
+  }
+
+  const recomputed = computeCommitment(move, salt, { scheme, player });
+  if (recomputed.toLowerCase() !== commitment.toLowerCase()) {
+    throw new Error(
+      `Commitment self-check failed: expected ${recomputed} for move ${move}, got ${commitment}`
+    );
+  }
+  return true;
+}
+
+/** Result codes of diagnoseCommitment */
+export const COMMITMENT_DIAGNOSIS = Object.freeze({
+  MATCH: "match",
+  WRONG_MOVE: "wrong-move",
+  WRONG_ENCODING: "wrong-encoding",
+  WRONG_SALT: "wrong-salt",
+  WRONG_GAME: "wrong-game",
+  NO_MATCH: "no-match"
+});
+
+const MOVE_NAMES = ["Null", "Rock", "Paper", "Scissors", "Spock", "Lizard"];
+
+/**
+ * Explain why a move and salt do (not) open an on-chain commitment.
+ * Tries the selected move first, then every move 1-5 with both the packed
+ * and ABI encodings, so the user learns exactly what is wrong before
+ * sending a solve() that would revert.
+ * @param {object} params
+ * @param {string} params.c1Hash - Commitment read from the game contract
+ * @param {number} params.move - Move selected for the reveal (1-5)
+ * @param {string} params.salt - Salt loaded for the reveal
+ * @param {string} [params.secretCommitment] - Commitment stored in the secret file, if any
+ * @returns {{ status: string, move: number|null, scheme: string|null, message: string }}
+ */
+export function diagnoseCommitment({ c1Hash, move, salt, secretCommitment }) {
+  try {
+    normalizeSalt(salt);
+  } catch (error) {
+    return { status: COMMITMENT_DIAGNOSIS.WRONG_SALT, move: null, scheme: null, message: error.message };
+  }
+
+  if (verifyCommitment(c1Hash, move, salt)) {
+    return {
+      status: COMMITMENT_DIAGNOSIS.MATCH,
+      move: Number(move),
+      scheme: DEFAULT_COMMITMENT_SCHEME,
+      message: "Move and salt match the on-chain commitment."
+    };
+  }
+
+  const schemes = [COMMITMENT_SCHEMES.PACKED_LEGACY, COMMITMENT_SCHEMES.ABI_ENCODED];
+  for (const scheme of schemes) {
+    for (let candidate = 1; candidate <= 5; candidate++) {
+      if (!verifyCommitment(c1Hash, candidate, salt, { scheme })) continue;
+
+      if (scheme !== DEFAULT_COMMITMENT_SCHEME) {
+        return {
+          status: COMMITMENT_DIAGNOSIS.WRONG_ENCODING,
+          move: candidate,
+          scheme,
+          message:
+            `This game was created with an ABI-encoded commitment (move: ${MOVE_NAMES[candidate]}). ` +
+            "RPS.sol only accepts the packed encoding, so solve() will always revert for this game."
+        };
+      }
+      return {
+        status: COMMITMENT_DIAGNOSIS.WRONG_MOVE,
+        move: candidate,
+        scheme,
+        message:
+          `Wrong move selected: the salt matches, but your commitment is for ` +
+          `${MOVE_NAMES[candidate]} (${candidate}), not ${MOVE_NAMES[move] || move}.`
+      };
+    }
+  }
+
+  if (secretCommitment && secretCommitment.toLowerCase() !== String(c1Hash).toLowerCase()) {
+    return {
+      status: COMMITMENT_DIAGNOSIS.WRONG_GAME,
+      move: null,
+      scheme: null,
+      message: "Wrong game file: this secret was created for a different commitment than this game's."
+    };
+  }
+
+  if (secretCommitment) {
+    return {
+      status: COMMITMENT_DIAGNOSIS.WRONG_SALT,
+      move: null,
+      scheme: null,
+      message: "Wrong salt: the secret belongs to this game but the salt does not open its commitment."
+    };
+  }
+
+  return {
+    status: COMMITMENT_DIAGNOSIS.NO_MATCH,
+    move: null,
+    scheme: null,
+    message: "No move opens this commitment with this salt: wrong salt or secret from another game."
+  };
+}
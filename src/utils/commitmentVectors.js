@@ -0,0 +1,94 @@
+/**
+ * Golden vectors for the packed legacy commitment scheme.
+ *
+ * Generated by scripts/commitment-vectors.js from the Hasher contract in
+ * contracts/RPS.sol (solc 0.4.26): hash = Hasher.hash(move, salt).
+ * Do not edit by hand - regenerate against a node instead.
+ */
+export const COMMITMENT_GOLDEN_VECTORS = [
+  {
+    move: 1,
+    salt: "0x0000000000000000000000000000000000000000000000000000000000000000",
+    hash: "0x0d678e31a4b2825b806fe160675cd01dab159802c7f94397ce45ed91b5f3aac6"
+  },
+  {
+    move: 1,
+    salt: "0x0000000000000000000000000000000000000000000000000000000000000001",
+    hash: "0x9b68e489a07c86105b2c34adda59d3851d6f33abd41be6e9559cf783147db5dd"
+  },
+  {
+    move: 2,
+    salt: "0x0000000000000000000000000000000000000000000000000000000000000001",
+    hash: "0xc22f283e315b25ded781f41aadc4cc3421da0afd0704feaae04c34a9dfc55ac6"
+  },
+  {
+    move: 3,
+    salt: "0x0000000000000000000000000000000000000000000000000000000000000001",
+    hash: "0x11a30de1661467c8dfebf8f05a0dd5a05a0597dfcc4ab44e0cf3af80b54a3213"
+  },
+  {
+    move: 4,
+    salt: "0x0000000000000000000000000000000000000000000000000000000000000001",
+    hash: "0x1d8486cf7fda37709512460f73626e2f5b36db93e1baec1623e57aaa55b11ca2"
+  },
+  {
+    move: 5,
+    salt: "0x0000000000000000000000000000000000000000000000000000000000000001",
+    hash: "0xc18e951cf5c64c5a96ff8517591396d2b52a13f84edcced25cbab99c2577af69"
+  },
+  {
+    move: 3,
+    salt: "0x0000000000000000000000000000000000000000000000000000000000abcdef",
+    hash: "0x43e4df67939a5614dc369322922a98e713284ff13347f236edf1eccaca874c7b"
+  },
+  {
+    move: 1,
+    salt: "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff",
+    hash: "0x02a0f2d2b92e1b8c9cc103818a30b344401fce2fb233101610dfdd1a24afee09"
+  },
+  {
+    move: 2,
+    salt: "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff",
+    hash: "0x7914ba2a29bf8f0d49a57b128b7f0cce6475f0bdd7b8247267d4516450d53434"
+  },
+  {
+    move: 3,
+    salt: "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff",
+    hash: "0x77e52885b690ab0d0d7a7d122bdd613974b18af78e70f5831809d58d11141981"
+  },
+  {
+    move: 4,
+    salt: "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff",
+    hash: "0xcf7838f11a0376b3cd640753599e1dfeed4e647700c0842922d67b7653c465e1"
+  },
+  {
+    move: 5,
+    salt: "0xffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffff",
+    hash: "0x348015cbca4b3c6b9afe273be259e55131c3f097bfaa8421937fc1a95b2f47e8"
+  },
+  {
+    move: 1,
+    salt: "0x9c2b3f1e8d7a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c",
+    hash: "0xb7f9731957aca93abf70bb671c4f6cc0fa0a784b7673509e4ceaa0ac62ad01a1"
+  },
+  {
+    move: 2,
+    salt: "0x9c2b3f1e8d7a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c",
+    hash: "0xce5da058c846305c32081ec6c12429d486d5965bad35fddde061866cd8ea2000"
+  },
+  {
+    move: 3,
+    salt: "0x9c2b3f1e8d7a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c",
+    hash: "0xb6c22a6c5e3944bca2775db8f7cb98033a5e25b32c83313bc727e1c8358cc5d0"
+  },
+  {
+    move: 4,
+    salt: "0x9c2b3f1e8d7a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c",
+    hash: "0xa38f771dc9151f428519a25def571b982f07e3ac5bfc6c483c6fa9cfd8334a4b"
+  },
+  {
+    move: 5,
+    salt: "0x9c2b3f1e8d7a6b5c4d3e2f1a0b9c8d7e6f5a4b3c2d1e0f9a8b7c6d5e4f3a2b1c",
+    hash: "0xcfd9d3ff856bdc49f9a2238d4b2635d6160738e190387714ad1fc744d8e0ad95"
+  }
+];
@@ -2,7 +2,9 @@
  * RPS.sol Contract Configuration
  * 
  * IMPORTANT: For this dApp to work, you need to:
- * 1. Deploy a NEW RPS contract for EACH game (it's not a factory pattern)
+ * 1. Deploy a NEW RPS contract for EACH game (or a clone through the
+ *    optional GameFactory, see GAME_FACTORY_ABI below, or an RPS v2
+ *    game, see RPS_V2_ABI)
  * 2. The contract address below is a reference/example
  * 3. Each game creates a new contract instance
  */
@@ -156,4 +158,356 @@ export const HASHER_ABI = [
     "stateMutability": "view",
     "type": "function"
   }
-];
\ No newline at end of file
+];
+// Hasher bytecode (solc 0.4.26, no optimizer) - used to regenerate the
+// commitment golden vectors on a local node
+export const HASHER_BYTECODE = "0x608060405234801561001057600080fd5b50610113806100206000396000f300608060405260043610603f576000357c0100000000000000000000000000000000000000000000000000000000900463ffffffff16806367ef4c13146044575b600080fd5b348015604f57600080fd5b506079600480360381019080803560ff169060200190929190803590602001909291905050506097565b60405180826000191660001916815260200191505060405180910390f35b60008282604051808360ff1660ff167f01000000000000000000000000000000000000000000000000000000000000000281526001018281526020019250505060405180910390209050929150505600a165627a7a72305820e8f318b58bdc718d3cfd934de155ed36c4ec5efc03524657d26320d7f81a33e00029";
+
+// GameFactory (contracts/GameFactory.sol, solc 0.4.26, no optimizer): games
+// created through it are EIP-1167 clones of one RPSClone, same ABI as RPS
+export const GAME_FACTORY_ABI = [
+  {
+    "constant": true,
+    "inputs": [{ "name": "", "type": "uint256" }],
+    "name": "games",
+    "outputs": [{ "name": "", "type": "address" }],
+    "payable": false,
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "constant": true,
+    "inputs": [],
+    "name": "gameCount",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "payable": false,
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "constant": true,
+    "inputs": [],
+    "name": "implementation",
+    "outputs": [{ "name": "", "type": "address" }],
+    "payable": false,
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "constant": true,
+    "inputs": [{ "name": "_player", "type": "address" }],
+    "name": "getGames",
+    "outputs": [{ "name": "", "type": "address[]" }],
+    "payable": false,
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "constant": true,
+    "inputs": [{ "name": "", "type": "address" }],
+    "name": "isGame",
+    "outputs": [{ "name": "", "type": "bool" }],
+    "payable": false,
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "constant": false,
+    "inputs": [
+      { "name": "_c1Hash", "type": "bytes32" },
+      { "name": "_j2", "type": "address" }
+    ],
+    "name": "createGame",
+    "outputs": [{ "name": "game", "type": "address" }],
+    "payable": true,
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "game", "type": "address" },
+      { "indexed": true, "name": "j1", "type": "address" },
+      { "indexed": true, "name": "j2", "type": "address" },
+      { "indexed": false, "name": "stake", "type": "uint256" }
+    ],
+    "name": "GameCreated",
+    "type": "event"
+  }
+];
+export const GAME_FACTORY_BYTECODE = "0x608060405234801561001057600080fd5b5061001961007a565b604051809103906000f080158015610035573d6000803e3d6000fd5b506000806101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555061008a565b604051610c468061099983390190565b610900806100996000396000f300608060405260043610610078576000357c0100000000000000000000000000000000000000000000000000000000900463ffffffff168063117a5b901461007d5780634d1975b4146100ea5780635c60da1b146101155780636632efbb1461016c578063c626c52e14610204578063fe1f6a0b1461025f575b600080fd5b34801561008957600080fd5b506100a8600480360381019080803590602001909291905050506102e3565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b3480156100f657600080fd5b506100ff610321565b6040518082815260200191505060405180910390f35b34801561012157600080fd5b5061012a61032e565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b34801561017857600080fd5b506101ad600480360381019080803573ffffffffffffffffffffffffffffffffffffffff169060200190929190505050610353565b6040518080602001828103825283818151815260200191508051906020019060200280838360005b838110156101f05780820151818401526020810190506101d5565b505050509050019250505060405180910390f35b34801561021057600080fd5b50610245600480360381019080803573ffffffffffffffffffffffffffffffffffffffff169060200190929190505050610420565b604051808215151515815260200191505060405180910390f35b6102a16004803603810190808035600019169060200190929190803573ffffffffffffffffffffffffffffffffffffffff169060200190929190505050610440565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b6001818154811015156102f257fe5b906000526020600020016000915054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b6000600180549050905090565b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b6060600260008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002080548060200260200160405190810160405280929190818152602001828054801561041457602002820191906000526020600020905b8160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190600101908083116103ca575b50505050509050919050565b60036020528060005260406000206000915054906101000a900460ff1681565b600061046c6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff16610822565b90508073ffffffffffffffffffffffffffffffffffffffff1663d26b3e6e343386866040518563ffffffff167c0100000000000000000000000000000000000000000000000000000000028152600401808473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200183600019166000191681526020018273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200193505050506000604051808303818588803b15801561054d57600080fd5b505af1158015610561573d6000803e3d6000fd5b505050505060018190806001815401808255809150509060018203906000526020600020016000909192909190916101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550506001600360008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200190815260200160002060006101000a81548160ff021916908315150217905550600260003373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208190806001815401808255809150509060018203906000526020600020016000909192909190916101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550503373ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff161415156107a057600260008373ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff1681526020019081526020016000208190806001815401808255809150509060018203906000526020600020016000909192909190916101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550505b8173ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff167f5c502312cbb461590ec4bcdfe63ffca34fc241b3653acf4e550327975512b752346040518082815260200191505060405180910390a492915050565b600080826c010000000000000000000000000290506040517f3d602d80600a3d3981f3363d3d373d3d3d363d7300000000000000000000000081528160148201527f5af43d82803e903d91602b57fd5bf3000000000000000000000000000000000060288201526037816000f0925050600073ffffffffffffffffffffffffffffffffffffffff168273ffffffffffffffffffffffffffffffffffffffff16141515156108ce57600080fd5b509190505600a165627a7a72305820572277ae0ff1dd19b95632e997838b2bebb305e18ff51cb3bf85695292a207c20029608060405261012c60055534801561001657600080fd5b506000600102600034600481905550336000806101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555080600160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508160028160001916905550426006819055505050610b7d806100c96000396000f3006080604052600436106100c5576000357c0100000000000000000000000000000000000000000000000000000000900463ffffffff1680630c4395b9146100ca578063294914a41461011f5780633a4b66f11461013657806348e257cb146101615780634d03e3d21461019a57806353a04b05146101cd57806380985af9146101f057806389f71d5314610247578063a5ddec7c14610272578063c37597c6146102ac578063c839114214610303578063d26b3e6e1461031a578063f56f48f21461037e575b600080fd5b3480156100d657600080fd5b50610105600480360381019080803560ff169060200190929190803560ff1690602001909291905050506103a9565b604051808215151515815260200191505060405180910390f35b34801561012b57600080fd5b50610134610472565b005b34801561014257600080fd5b5061014b61051d565b6040518082815260200191505060405180910390f35b34801561016d57600080fd5b50610176610523565b6040518082600581111561018657fe5b60ff16815260200191505060405180910390f35b3480156101a657600080fd5b506101af610536565b60405180826000191660001916815260200191505060405180910390f35b6101ee600480360381019080803560ff16906020019092919050505061053c565b005b3480156101fc57600080fd5b5061020561062f565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b34801561025357600080fd5b5061025c610655565b6040518082815260200191505060405180910390f35b34801561027e57600080fd5b506102aa600480360381019080803560ff1690602001909291908035906020019092919050505061065b565b005b3480156102b857600080fd5b506102c1610936565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b34801561030f57600080fd5b5061031861095b565b005b61037c600480360381019080803573ffffffffffffffffffffffffffffffffffffffff1690602001909291908035600019169060200190929190803573ffffffffffffffffffffffffffffffffffffffff169060200190929190505050610a0b565b005b34801561038a57600080fd5b50610393610b4b565b6040518082815260200191505060405180910390f35b60008160058111156103b757fe5b8360058111156103c357fe5b14156103d2576000905061046c565b600060058111156103df57fe5b8360058111156103eb57fe5b14156103fa576000905061046c565b600282600581111561040857fe5b81151561041157fe5b06600284600581111561042057fe5b81151561042957fe5b0614156104505781600581111561043c57fe5b83600581111561044857fe5b10905061046c565b81600581111561045c57fe5b83600581111561046857fe5b1190505b92915050565b6000600581111561047f57fe5b600360009054906101000a900460ff16600581111561049a57fe5b1415156104a657600080fd5b60055460065401421115156104ba57600080fd5b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004549081150290604051600060405180830381858888f19350505050506000600481905550565b60045481565b600360009054906101000a900460ff1681565b60025481565b6000600581111561054957fe5b600360009054906101000a900460ff16600581111561056457fe5b14151561057057600080fd5b6000600581111561057d57fe5b81600581111561058957fe5b1415151561059657600080fd5b600454341415156105a657600080fd5b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff1614151561060257600080fd5b80600360006101000a81548160ff0219169083600581111561062057fe5b02179055504260068190555050565b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b60065481565b6000600581111561066857fe5b82600581111561067457fe5b1415151561068157600080fd5b6000600581111561068e57fe5b600360009054906101000a900460ff1660058111156106a957fe5b141515156106b657600080fd5b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff1614151561071157600080fd5b6002546000191682826040518083600581111561072a57fe5b60ff167f01000000000000000000000000000000000000000000000000000000000000000281526001018281526020019250505060405180910390206000191614151561077657600080fd5b61078f82600360009054906101000a900460ff166103a9565b156107f5576000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004546002029081150290604051600060405180830381858888f193505050505061092a565b61080e600360009054906101000a900460ff16836103a9565b1561087557600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004546002029081150290604051600060405180830381858888f1935050505050610929565b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004549081150290604051600060405180830381858888f1935050505050600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004549081150290604051600060405180830381858888f19350505050505b5b60006004819055505050565b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b6000600581111561096857fe5b600360009054906101000a900460ff16600581111561098357fe5b1415151561099057600080fd5b60055460065401421115156109a457600080fd5b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004546002029081150290604051600060405180830381858888f19350505050506000600481905550565b600073ffffffffffffffffffffffffffffffffffffffff166000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16141515610a6757600080fd5b600073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1614151515610aa357600080fd5b34600481905550826000806101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555080600160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550816002816000191690555061012c60058190555042600681905550505050565b600554815600a165627a7a72305820363c4dd87bbddbd9401258f19c6e85c92f1a42d54f7fd2be8d4fe885d0ebbf150029";
+
+// RPSClone creation code - its runtime is what every factory game delegates to
+export const GAME_CLONE_BYTECODE = "0x608060405261012c60055534801561001657600080fd5b506000600102600034600481905550336000806101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555080600160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff1602179055508160028160001916905550426006819055505050610b7d806100c96000396000f3006080604052600436106100c5576000357c0100000000000000000000000000000000000000000000000000000000900463ffffffff1680630c4395b9146100ca578063294914a41461011f5780633a4b66f11461013657806348e257cb146101615780634d03e3d21461019a57806353a04b05146101cd57806380985af9146101f057806389f71d5314610247578063a5ddec7c14610272578063c37597c6146102ac578063c839114214610303578063d26b3e6e1461031a578063f56f48f21461037e575b600080fd5b3480156100d657600080fd5b50610105600480360381019080803560ff169060200190929190803560ff1690602001909291905050506103a9565b604051808215151515815260200191505060405180910390f35b34801561012b57600080fd5b50610134610472565b005b34801561014257600080fd5b5061014b61051d565b6040518082815260200191505060405180910390f35b34801561016d57600080fd5b50610176610523565b6040518082600581111561018657fe5b60ff16815260200191505060405180910390f35b3480156101a657600080fd5b506101af610536565b60405180826000191660001916815260200191505060405180910390f35b6101ee600480360381019080803560ff16906020019092919050505061053c565b005b3480156101fc57600080fd5b5061020561062f565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b34801561025357600080fd5b5061025c610655565b6040518082815260200191505060405180910390f35b34801561027e57600080fd5b506102aa600480360381019080803560ff1690602001909291908035906020019092919050505061065b565b005b3480156102b857600080fd5b506102c1610936565b604051808273ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16815260200191505060405180910390f35b34801561030f57600080fd5b5061031861095b565b005b61037c600480360381019080803573ffffffffffffffffffffffffffffffffffffffff1690602001909291908035600019169060200190929190803573ffffffffffffffffffffffffffffffffffffffff169060200190929190505050610a0b565b005b34801561038a57600080fd5b50610393610b4b565b6040518082815260200191505060405180910390f35b60008160058111156103b757fe5b8360058111156103c357fe5b14156103d2576000905061046c565b600060058111156103df57fe5b8360058111156103eb57fe5b14156103fa576000905061046c565b600282600581111561040857fe5b81151561041157fe5b06600284600581111561042057fe5b81151561042957fe5b0614156104505781600581111561043c57fe5b83600581111561044857fe5b10905061046c565b81600581111561045c57fe5b83600581111561046857fe5b1190505b92915050565b6000600581111561047f57fe5b600360009054906101000a900460ff16600581111561049a57fe5b1415156104a657600080fd5b60055460065401421115156104ba57600080fd5b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004549081150290604051600060405180830381858888f19350505050506000600481905550565b60045481565b600360009054906101000a900460ff1681565b60025481565b6000600581111561054957fe5b600360009054906101000a900460ff16600581111561056457fe5b14151561057057600080fd5b6000600581111561057d57fe5b81600581111561058957fe5b1415151561059657600080fd5b600454341415156105a657600080fd5b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff1614151561060257600080fd5b80600360006101000a81548160ff0219169083600581111561062057fe5b02179055504260068190555050565b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b60065481565b6000600581111561066857fe5b82600581111561067457fe5b1415151561068157600080fd5b6000600581111561068e57fe5b600360009054906101000a900460ff1660058111156106a957fe5b141515156106b657600080fd5b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff163373ffffffffffffffffffffffffffffffffffffffff1614151561071157600080fd5b6002546000191682826040518083600581111561072a57fe5b60ff167f01000000000000000000000000000000000000000000000000000000000000000281526001018281526020019250505060405180910390206000191614151561077657600080fd5b61078f82600360009054906101000a900460ff166103a9565b156107f5576000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004546002029081150290604051600060405180830381858888f193505050505061092a565b61080e600360009054906101000a900460ff16836103a9565b1561087557600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004546002029081150290604051600060405180830381858888f1935050505050610929565b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004549081150290604051600060405180830381858888f1935050505050600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004549081150290604051600060405180830381858888f19350505050505b5b60006004819055505050565b6000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1681565b6000600581111561096857fe5b600360009054906101000a900460ff16600581111561098357fe5b1415151561099057600080fd5b60055460065401421115156109a457600080fd5b600160009054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff166108fc6004546002029081150290604051600060405180830381858888f19350505050506000600481905550565b600073ffffffffffffffffffffffffffffffffffffffff166000809054906101000a900473ffffffffffffffffffffffffffffffffffffffff1673ffffffffffffffffffffffffffffffffffffffff16141515610a6757600080fd5b600073ffffffffffffffffffffffffffffffffffffffff168373ffffffffffffffffffffffffffffffffffffffff1614151515610aa357600080fd5b34600481905550826000806101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff16021790555080600160006101000a81548173ffffffffffffffffffffffffffffffffffffffff021916908373ffffffffffffffffffffffffffffffffffffffff160217905550816002816000191690555061012c60058190555042600681905550505050565b600554815600a165627a7a72305820363c4dd87bbddbd9401258f19c6e85c92f1a42d54f7fd2be8d4fe885d0ebbf150029";
+
+// RPS v2 (contracts/RPSv2.sol, solc 0.8.28, optimizer 200 runs, evm shanghai):
+// events, custom errors, a per-game timeout, withdraw() for failed payouts and
+// open challenges (_j2 = address(0): the first player to match the stake joins).
+// Same getters and play/solve/timeout selectors as RPS.sol
+export const RPS_V2_ABI = [
+  {
+    "inputs": [
+      { "name": "_c1Hash", "type": "bytes32" },
+      { "name": "_j2", "type": "address" },
+      { "name": "_timeout", "type": "uint256" }
+    ],
+    "stateMutability": "payable",
+    "type": "constructor"
+  },
+  {
+    "inputs": [],
+    "name": "AlreadyPlayed",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "GameOver",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidMove",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "InvalidOpponent",
+    "type": "error"
+  },
+  {
+    "inputs": [
+      { "name": "min", "type": "uint256" },
+      { "name": "max", "type": "uint256" }
+    ],
+    "name": "InvalidTimeout",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NoStake",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NotJ1",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NotJ2",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NotPlayed",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "NothingToWithdraw",
+    "type": "error"
+  },
+  {
+    "inputs": [{ "name": "deadline", "type": "uint256" }],
+    "name": "TimeoutNotReached",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "TransferFailed",
+    "type": "error"
+  },
+  {
+    "inputs": [],
+    "name": "WrongCommitment",
+    "type": "error"
+  },
+  {
+    "inputs": [{ "name": "expected", "type": "uint256" }],
+    "name": "WrongStake",
+    "type": "error"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "j1", "type": "address" },
+      { "indexed": true, "name": "j2", "type": "address" },
+      { "indexed": false, "name": "stake", "type": "uint256" },
+      { "indexed": false, "name": "timeout", "type": "uint256" }
+    ],
+    "name": "Created",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "to", "type": "address" },
+      { "indexed": false, "name": "amount", "type": "uint256" }
+    ],
+    "name": "PayoutDeferred",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "j2", "type": "address" },
+      { "indexed": false, "name": "c2", "type": "uint8" }
+    ],
+    "name": "Played",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "winner", "type": "address" },
+      { "indexed": false, "name": "c1", "type": "uint8" },
+      { "indexed": false, "name": "c2", "type": "uint8" }
+    ],
+    "name": "Solved",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "winner", "type": "address" },
+      { "indexed": false, "name": "amount", "type": "uint256" }
+    ],
+    "name": "TimedOut",
+    "type": "event"
+  },
+  {
+    "anonymous": false,
+    "inputs": [
+      { "indexed": true, "name": "to", "type": "address" },
+      { "indexed": false, "name": "amount", "type": "uint256" }
+    ],
+    "name": "Withdrawn",
+    "type": "event"
+  },
+  {
+    "inputs": [],
+    "name": "MAX_TIMEOUT",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "MIN_TIMEOUT",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "TIMEOUT",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "VERSION",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "c1Hash",
+    "outputs": [{ "name": "", "type": "bytes32" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "c2",
+    "outputs": [{ "name": "", "type": "uint8" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "j1",
+    "outputs": [{ "name": "", "type": "address" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "j1Timeout",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "j2",
+    "outputs": [{ "name": "", "type": "address" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "j2Timeout",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "lastAction",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "name": "", "type": "address" }],
+    "name": "pendingWithdrawals",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [{ "name": "_c2", "type": "uint8" }],
+    "name": "play",
+    "outputs": [],
+    "stateMutability": "payable",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "name": "_c1", "type": "uint8" },
+      { "name": "_salt", "type": "uint256" }
+    ],
+    "name": "solve",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "stake",
+    "outputs": [{ "name": "", "type": "uint256" }],
+    "stateMutability": "view",
+    "type": "function"
+  },
+  {
+    "inputs": [
+      { "name": "_c1", "type": "uint8" },
+      { "name": "_c2", "type": "uint8" }
+    ],
+    "name": "win",
+    "outputs": [{ "name": "w", "type": "bool" }],
+    "stateMutability": "pure",
+    "type": "function"
+  },
+  {
+    "inputs": [],
+    "name": "withdraw",
+    "outputs": [],
+    "stateMutability": "nonpayable",
+    "type": "function"
+  }
+];
+export const RPS_V2_BYTECODE = "0x6080604052604051610e8f380380610e8f8339810160408190526100229161012b565b345f0361004257604051636567cc4d60e11b815260040160405180910390fd5b336001600160a01b0383160361006b5760405163ab02711d60e01b815260040160405180910390fd5b603c81108061007c575062093a8081115b156100aa57604051631a4b710760e01b8152603c600482015262093a80602482015260440160405180910390fd5b3460048190555f80546001600160a01b031990811633908117909255600180546001600160a01b0387169216821790556002869055600584905542600655604080519384526020840185905290927f7b5c62c6d40d7529b5a806d3480360990bb603feb8eefc47d0f213c4d4e6e066910160405180910390a350505061016d565b5f5f5f6060848603121561013d575f5ffd5b835160208501519093506001600160a01b038116811461015b575f5ffd5b80925050604084015190509250925092565b610d158061017a5f395ff3fe6080604052600436106100fa575f3560e01c806380985af911610092578063c839114211610062578063c83911421461026a578063de38eb3a1461027e578063f3f4370314610294578063f56f48f2146102bf578063ffa1ad74146102d4575f5ffd5b806380985af9146101e157806389f71d5314610218578063a5ddec7c1461022d578063c37597c61461024c575f5ffd5b806348e257cb116100cd57806348e257cb1461017f5780634d03e3d2146101a557806353a04b05146101ba578063543ad1df146101cd575f5ffd5b80630c4395b9146100fe578063294914a4146101325780633a4b66f1146101485780633ccfd60b1461016b575b5f5ffd5b348015610109575f5ffd5b5061011d610118366004610b78565b6102e8565b60405190151581526020015b60405180910390f35b34801561013d575f5ffd5b506101466103d9565b005b348015610153575f5ffd5b5061015d60045481565b604051908152602001610129565b348015610176575f5ffd5b506101466104cf565b34801561018a575f5ffd5b506003546101989060ff1681565b6040516101299190610bdd565b3480156101b0575f5ffd5b5061015d60025481565b6101466101c8366004610beb565b6105ae565b3480156101d8575f5ffd5b5061015d603c81565b3480156101ec575f5ffd5b50600154610200906001600160a01b031681565b6040516001600160a01b039091168152602001610129565b348015610223575f5ffd5b5061015d60065481565b348015610238575f5ffd5b50610146610247366004610c0b565b61073e565b348015610257575f5ffd5b505f54610200906001600160a01b031681565b348015610275575f5ffd5b506101466109df565b348015610289575f5ffd5b5061015d62093a8081565b34801561029f575f5ffd5b5061015d6102ae366004610c33565b60076020525f908152604090205481565b3480156102ca575f5ffd5b5061015d60055481565b3480156102df575f5ffd5b5061015d600281565b5f8160058111156102fb576102fb610ba9565b83600581111561030d5761030d610ba9565b0361031957505f6103d3565b5f83600581111561032c5761032c610ba9565b0361033857505f6103d3565b600282600581111561034c5761034c610ba9565b6103569190610c59565b60ff16600284600581111561036d5761036d610ba9565b6103779190610c59565b60ff16036103ab5781600581111561039157610391610ba9565b8360058111156103a3576103a3610ba9565b1090506103d3565b8160058111156103bd576103bd610ba9565b8360058111156103cf576103cf610ba9565b1190505b92915050565b6004545f036103fb5760405163df469ccb60e01b815260040160405180910390fd5b5f60035460ff16600581111561041357610413610ba9565b14610431576040516329322ba360e11b815260040160405180910390fd5b5f6005546006546104429190610c9a565b905080421161046c5760405163110416dd60e21b8152600481018290526024015b60405180910390fd5b600480545f9182905590546040518281526001600160a01b03909116907f281188119387598374892d6f3f93fff3de8660c5536d6e96c41a1c2b5684a5c59060200160405180910390a25f546104cb906001600160a01b031682610ad6565b5050565b335f90815260076020526040812054908190036104ff57604051630686827b60e51b815260040160405180910390fd5b335f818152600760205260408082208290555190919083908381818185875af1925050503d805f811461054d576040519150601f19603f3d011682016040523d82523d5f602084013e610552565b606091505b5050905080610574576040516312171d8360e31b815260040160405180910390fd5b60405182815233907f7084f5476618d8e60b11ef0d7d3f06914655adb8793e28ff7f018d4c76d505d5906020015b60405180910390a25050565b6004545f036105d05760405163df469ccb60e01b815260040160405180910390fd5b5f60035460ff1660058111156105e8576105e8610ba9565b14610606576040516329322ba360e11b815260040160405180910390fd5b5f81600581111561061957610619610ba9565b03610637576040516321e08b4d60e21b815260040160405180910390fd5b600454341461065d5760048054604051633917a42560e11b815291820152602401610463565b6001546001600160a01b03166106ae575f546001600160a01b031633036106975760405163ab02711d60e01b815260040160405180910390fd5b600180546001600160a01b031916331790556106d9565b6001546001600160a01b031633146106d9576040516356097a8160e01b815260040160405180910390fd5b6003805482919060ff191660018360058111156106f8576106f8610ba9565b02179055504260065560405133907f50319fcdedfae675fb901dc00ebe06d3600019846e6b74b897989fa60176d6d090610733908490610bdd565b60405180910390a250565b5f82600581111561075157610751610ba9565b0361076f576040516321e08b4d60e21b815260040160405180910390fd5b6004545f036107915760405163df469ccb60e01b815260040160405180910390fd5b5f60035460ff1660058111156107a9576107a9610ba9565b036107c75760405163799c1fc360e11b815260040160405180910390fd5b5f546001600160a01b031633146107f1576040516318fcdff960e11b815260040160405180910390fd5b60025482600581111561080657610806610ba9565b8260405160200161083092919060f89290921b6001600160f81b0319168252600182015260210190565b60405160208183030381529060405280519060200120146108645760405163038b4ec760e61b815260040160405180910390fd5b600480545f90915560035461087d90849060ff166102e8565b156108f3575f546003546040516001600160a01b03909216917f8ad34de7181be3539cd9e5135fb3b710584d6eeebcbaf6da27020d2aa7b774dd916108c791879160ff1690610cad565b60405180910390a25f546108ee906001600160a01b03166108e9836002610cc8565b610ad6565b505050565b6003546109039060ff16846102e8565b15610971576001546003546040516001600160a01b03909216917f8ad34de7181be3539cd9e5135fb3b710584d6eeebcbaf6da27020d2aa7b774dd9161094e91879160ff1690610cad565b60405180910390a26001546108ee906001600160a01b03166108e9836002610cc8565b6003546040515f917f8ad34de7181be3539cd9e5135fb3b710584d6eeebcbaf6da27020d2aa7b774dd916109ac91879160ff90911690610cad565b60405180910390a25f546109c9906001600160a01b031682610ad6565b6001546108ee906001600160a01b031682610ad6565b6004545f03610a015760405163df469ccb60e01b815260040160405180910390fd5b5f60035460ff166005811115610a1957610a19610ba9565b03610a375760405163799c1fc360e11b815260040160405180910390fd5b5f600554600654610a489190610c9a565b9050804211610a6d5760405163110416dd60e21b815260048101829052602401610463565b5f6004546002610a7d9190610cc8565b5f6004556001546040518281529192506001600160a01b0316907f281188119387598374892d6f3f93fff3de8660c5536d6e96c41a1c2b5684a5c59060200160405180910390a26001546104cb906001600160a01b0316825b6040516001600160a01b0383169082156108fc029083905f818181858888f193505050506104cb576001600160a01b0382165f9081526007602052604081208054839290610b25908490610c9a565b90915550506040518181526001600160a01b038316907f0e54be18cea4b7c02dcb455aa29944656f9f30fbb0ba328fe8a75d10e52511dd906020016105a2565b803560068110610b73575f5ffd5b919050565b5f5f60408385031215610b89575f5ffd5b610b9283610b65565b9150610ba060208401610b65565b90509250929050565b634e487b7160e01b5f52602160045260245ffd5b60068110610bd957634e487b7160e01b5f52602160045260245ffd5b9052565b602081016103d38284610bbd565b5f60208284031215610bfb575f5ffd5b610c0482610b65565b9392505050565b5f5f60408385031215610c1c575f5ffd5b610c2583610b65565b946020939093013593505050565b5f60208284031215610c43575f5ffd5b81356001600160a01b0381168114610c04575f5ffd5b5f60ff831680610c7757634e487b7160e01b5f52601260045260245ffd5b8060ff84160691505092915050565b634e487b7160e01b5f52601160045260245ffd5b808201808211156103d3576103d3610c86565b60408101610cbb8285610bbd565b610c046020830184610bbd565b80820281158282048414176103d3576103d3610c8656fea26469706673582212204ebb7a6fc2052e57a01f120fd5a79e770d1e82bdcac4ee2a8adbb7bab80d9e3664736f6c634300081c0033";
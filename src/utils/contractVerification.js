@@ -0,0 +1,209 @@
+import { ethers } from "ethers";
+import { CONTRACT_BYTECODE, GAME_CLONE_BYTECODE, RPS_V2_BYTECODE } from "./contractABI.js";
+import { RpsGame, GAME_VERSIONS, V2_TIMEOUT_RANGE } from "./rpsGame.js";
+
+/**
+ * Authenticity checks for a game contract before Player 2 sends a stake.
+ *
+ * Anything that answers j2() with the right address can pass for a game, so
+ * the join flow compares the code at the address with the runtime part of
+ * CONTRACT_BYTECODE. Matching runtime code is not enough on its own: the
+ * constructor is not part of it, so a modified deployment could have stored
+ * a huge TIMEOUT (Player 2 could never claim j1Timeout) or a stake that was
+ * never paid in. Those two are checked against the contract's storage.
+ *
+ * Games from the GameFactory are EIP-1167 clones: the proxy must delegate
+ * to code matching RPSClone, which plays by RPS.sol's functions.
+ *
+ * RPSv2.sol games match RPS_V2_BYTECODE instead. Their TIMEOUT is chosen by
+ * Player 1, so it is checked against the constructor's bounds.
+ */
+
+// RPS.sol: uint256 public TIMEOUT = 5 minutes;
+export const EXPECTED_TIMEOUT = 300;
+
+export const CHECK_SEVERITY = Object.freeze({
+  ERROR: "error",
+  WARNING: "warning"
+});
+
+/**
+ * Drop the CBOR metadata solc appends to runtime code. Its length is stored
+ * in the last two bytes; it holds the source hash, which changes with
+ * comments or file paths without changing behaviour.
+ * @param {string} code - Hex bytecode
+ * @returns {string} - Lowercase hex without 0x and without metadata
+ */
+export function stripMetadata(code) {
+  const hex = code.toLowerCase().replace(/^0x/, "");
+  if (hex.length < 4) return hex;
+  const metadataLength = parseInt(hex.slice(-4), 16) + 2;
+  if (metadataLength * 2 > hex.length) return hex;
+
+  const stripped = hex.slice(0, hex.length - metadataLength * 2);
+  // CBOR map header (a1/a2...) marks a real metadata section
+  const header = hex.slice(stripped.length, stripped.length + 2);
+  return header.startsWith("a") ? stripped : hex;
+}
+
+/**
+ * Runtime code contained in creation code, found from the constructor's
+ * final `PUSH2 len DUP1 PUSH offset PUSH 0 CODECOPY PUSH 0 RETURN`
+ * @param {string} creationCode - Hex creation bytecode
+ * @returns {string} - Runtime bytecode (0x-prefixed)
+ */
+export function getRuntimeBytecode(creationCode) {
+  const hex = creationCode.toLowerCase().replace(/^0x/, "");
+  const match = hex.match(/61([0-9a-f]{4})80(?:61([0-9a-f]{4})|60([0-9a-f]{2}))(?:6000|5f)39(?:6000|5f)f3/);
+  if (!match) {
+    throw new Error("Could not find the runtime code in the creation bytecode");
+  }
+
+  const length = parseInt(match[1], 16);
+  const offset = parseInt(match[2] ?? match[3], 16);
+  if ((offset + length) * 2 > hex.length) {
+    throw new Error("Runtime code runs past the end of the creation bytecode");
+  }
+  return "0x" + hex.slice(offset * 2, (offset + length) * 2);
+}
+
+const EXPECTED_RUNTIME = stripMetadata(getRuntimeBytecode(CONTRACT_BYTECODE));
+const EXPECTED_CLONE_RUNTIME = stripMetadata(getRuntimeBytecode(GAME_CLONE_BYTECODE));
+const EXPECTED_V2_RUNTIME = stripMetadata(getRuntimeBytecode(RPS_V2_BYTECODE));
+const CLONE_PATTERN = /^0x363d3d373d3d3d363d73([0-9a-f]{40})5af43d82803e903d91602b57fd5bf3$/;
+
+/**
+ * Does the runtime code at an address match RPS.sol (ignoring metadata)?
+ * @param {string} code - Code returned by provider.getCode
+ */
+export function isAuthenticRuntime(code) {
+  return stripMetadata(code) === EXPECTED_RUNTIME;
+}
+
+/**
+ * Contract an EIP-1167 minimal proxy delegates to
+ * @param {string} code - Code returned by provider.getCode
+ * @returns {string|null} - null when the code is not a minimal proxy
+ */
+export function getCloneTarget(code) {
+  const match = CLONE_PATTERN.exec(code.toLowerCase());
+  return match ? ethers.getAddress("0x" + match[1]) : null;
+}
+
+/**
+ * Compare game code with RPS.sol or RPSv2.sol, or a GameFactory clone's target with RPSClone
+ * @returns {Promise<{ authentic: boolean, message: string, version: number }>}
+ */
+async function checkRuntime(provider, code) {
+  if (stripMetadata(code) === EXPECTED_V2_RUNTIME) {
+    return { authentic: true, message: "Runtime code matches RPSv2.sol.", version: GAME_VERSIONS.V2 };
+  }
+
+  const cloneTarget = getCloneTarget(code);
+  if (!cloneTarget) {
+    const authentic = isAuthenticRuntime(code);
+    return {
+      authentic,
+      message: authentic
+        ? "Runtime code matches RPS.sol."
+        : "Runtime code does NOT match RPS.sol - this is not a genuine game contract.",
+      version: GAME_VERSIONS.V1
+    };
+  }
+
+  const authentic = stripMetadata(await provider.getCode(cloneTarget)) === EXPECTED_CLONE_RUNTIME;
+  return {
+    authentic,
+    message: authentic
+      ? "GameFactory clone of RPSClone (RPS.sol's rules)."
+      : `Minimal proxy to ${cloneTarget}, whose code does NOT match RPSClone - this is not a genuine game contract.`,
+    version: GAME_VERSIONS.V1
+  };
+}
+
+/**
+ * Run every authenticity check on a game contract
+ * @param {ethers.Provider} provider
+ * @param {string} address
+ * @returns {Promise<{ ok: boolean, errors: Array, warnings: Array, checks: Array<{ name: string, ok: boolean, severity: string, message: string }>,
+ *   version: number|null }>}
+ *   ok is false when any error-level check failed (the join must be blocked); version is
+ *   one of GAME_VERSIONS once the code matched a known contract
+ */
+export async function verifyGameContract(provider, address) {
+  const checks = [];
+  const add = (name, ok, severity, message) => checks.push({ name, ok, severity, message });
+
+  if (!ethers.isAddress(address)) {
+    add("address", false, CHECK_SEVERITY.ERROR, "Not a valid address.");
+    return summarize(checks);
+  }
+
+  const code = await provider.getCode(address);
+  if (code === "0x") {
+    add("code", false, CHECK_SEVERITY.ERROR, "No contract is deployed at this address.");
+    return summarize(checks);
+  }
+
+  const { authentic, message, version } = await checkRuntime(provider, code);
+  add("bytecode", authentic, CHECK_SEVERITY.ERROR, message);
+  if (!authentic) {
+    // Storage reads from an unknown contract mean nothing
+    return summarize(checks);
+  }
+
+  const state = await new RpsGame(address, provider, { version }).getState();
+
+  if (version === GAME_VERSIONS.V2) {
+    const inRange = state.timeout >= V2_TIMEOUT_RANGE.min && state.timeout <= V2_TIMEOUT_RANGE.max;
+    add(
+      "timeout",
+      inRange,
+      CHECK_SEVERITY.ERROR,
+      inRange
+        ? `TIMEOUT is ${state.timeout} seconds (chosen by Player 1).`
+        : `TIMEOUT is ${state.timeout} seconds, outside RPSv2.sol's ${V2_TIMEOUT_RANGE.min}-${V2_TIMEOUT_RANGE.max} - the game was not deployed from its constructor.`
+    );
+  } else {
+    add(
+      "timeout",
+      state.timeout === EXPECTED_TIMEOUT,
+      CHECK_SEVERITY.ERROR,
+      state.timeout === EXPECTED_TIMEOUT
+        ? `TIMEOUT is ${EXPECTED_TIMEOUT} seconds.`
+        : `TIMEOUT is ${state.timeout} seconds instead of ${EXPECTED_TIMEOUT} - the game was not deployed from RPS.sol's constructor.`
+    );
+  }
+
+  // Before Player 2 plays, the contract holds exactly Player 1's stake
+  if (state.c2 === 0 && state.stake > 0n) {
+    const stakeEth = ethers.formatEther(state.stake);
+    const balanceEth = ethers.formatEther(state.balance);
+    if (state.balance < state.stake) {
+      add(
+        "balance",
+        false,
+        CHECK_SEVERITY.ERROR,
+        `The contract holds ${balanceEth} ETH but claims a ${stakeEth} ETH stake - Player 1's stake was never paid in.`
+      );
+    } else if (state.balance > state.stake) {
+      add(
+        "balance",
+        false,
+        CHECK_SEVERITY.WARNING,
+        `The contract holds ${balanceEth} ETH, more than the ${stakeEth} ETH stake. The extra ETH cannot be paid out.`
+      );
+    } else {
+      add("balance", true, CHECK_SEVERITY.ERROR, `Balance matches the ${stakeEth} ETH stake.`);
+    }
+  }
+
+  return summarize(checks, version);
+}
+
+function summarize(checks, version = null) {
+  const failed = checks.filter((check) => !check.ok);
+  const errors = failed.filter((check) => check.severity === CHECK_SEVERITY.ERROR);
+  const warnings = failed.filter((check) => check.severity === CHECK_SEVERITY.WARNING);
+  return { ok: errors.length === 0, errors, warnings, checks, version };
+}
@@ -0,0 +1,126 @@
+import { ethers } from "ethers";
+
+/**
+ * Deep links into a game: /<route>/<chainId>/<address>, the route picks the
+ * panel that opens. Invites add what Player 1 deployed, so Player 2 can
+ * check it against the chain before paying:
+ *
+ *   /join/11155111/0xAbc...?stake=100000000000000&j2=0xDef...
+ *
+ * The host must serve index.html for these paths (Vite's dev and preview
+ * servers do).
+ */
+
+// route in the URL -> panel id (panel-<id> in the page)
+export const ROUTES = Object.freeze({
+  game: "status",
+  join: "join",
+  reveal: "reveal"
+});
+
+const LINK_PATTERN = /\/(game|join|reveal)\/(\d+)\/(0x[0-9a-fA-F]{40})\/?$/;
+
+/**
+ * @typedef {object} DeepLink
+ * @property {string} route - Key of ROUTES
+ * @property {string} panel - Panel it opens
+ * @property {number} chainId
+ * @property {string} address - Checksummed game contract
+ * @property {bigint|null} stake - Expected stake in wei (invites only)
+ * @property {string|null} opponent - Expected Player 2 (invites only)
+ */
+
+/**
+ * @param {string} pathname - location.pathname
+ * @param {string} [search] - location.search
+ * @returns {DeepLink|null} - null when the path is not a game link
+ */
+export function parseDeepLink(pathname, search = "") {
+  const match = LINK_PATTERN.exec(pathname);
+  if (!match) return null;
+
+  const [, route, chainId, address] = match;
+  const params = new URLSearchParams(search);
+  const stake = params.get("stake");
+  const opponent = params.get("j2");
+
+  return {
+    route,
+    panel: ROUTES[route],
+    chainId: Number(chainId),
+    address: ethers.getAddress(address.toLowerCase()),
+    // A malformed invite field is dropped, not trusted
+    stake: stake && /^[0-9]+$/.test(stake) ? BigInt(stake) : null,
+    opponent: opponent && ethers.isAddress(opponent) ? ethers.getAddress(opponent.toLowerCase()) : null
+  };
+}
+
+/**
+ * Path (and invite query) of a game link
+ * @param {object} link
+ * @param {string} link.route - Key of ROUTES
+ * @param {number|bigint} link.chainId
+ * @param {string} link.address
+ * @param {bigint|string} [link.stake] - Wei
+ * @param {string} [link.opponent]
+ * @returns {string}
+ */
+export function buildDeepLinkPath({ route, chainId, address, stake, opponent }) {
+  if (!ROUTES[route]) throw new Error(`Unknown game route: ${route}`);
+  if (!ethers.isAddress(address)) throw new Error(`Invalid game address: ${address}`);
+
+  const params = new URLSearchParams();
+  if (stake !== undefined && stake !== null) params.set("stake", BigInt(stake).toString());
+  if (opponent) params.set("j2", ethers.getAddress(opponent));
+  const query = params.toString();
+  return `/${route}/${Number(chainId)}/${ethers.getAddress(address)}${query ? "?" + query : ""}`;
+}
+
+/**
+ * Full invite URL for Player 2
+ * @param {object} invite - { chainId, address, stake, opponent }
+ * @param {string} [origin] - Defaults to this page's origin
+ * @returns {string}
+ */
+export function buildInviteUrl(invite, origin = window.location.origin) {
+  return origin + buildDeepLinkPath({ route: "join", ...invite });
+}
+
+/**
+ * Route of the links that open a panel: the inverse of ROUTES
+ * @param {string} panel
+ * @returns {string|null}
+ */
+export function getRouteForPanel(panel) {
+  return Object.keys(ROUTES).find((route) => ROUTES[route] === panel) ?? null;
+}
+
+/**
+ * Compare an invite with the game on chain and the account that opened it.
+ * Fields the link does not carry are skipped; a settled game (stake back to
+ * 0) is not checked against the invited stake.
+ * @param {DeepLink} link
+ * @param {object} state - RpsGame.getState()
+ * @param {string|null} account - Connected wallet
+ * @returns {string[]} - Human-readable mismatches, empty when the invite holds
+ */
+export function checkInvite(link, state, account) {
+  const mismatches = [];
+  const same = (a, b) => a.toLowerCase() === b.toLowerCase();
+
+  if (link.stake !== null && state.stake !== 0n && state.stake !== link.stake) {
+    mismatches.push(
+      `the game's stake is ${ethers.formatEther(state.stake)} ETH, the invite said ${ethers.formatEther(link.stake)} ETH`
+    );
+  }
+  if (link.opponent && !same(link.opponent, state.j2)) {
+    mismatches.push(`the game's Player 2 is ${state.j2}, the invite was for ${link.opponent}`);
+  }
+  if (account && state.j2 === ethers.ZeroAddress) {
+    // Open challenge: any account but Player 1's can accept
+    if (same(account, state.j1)) mismatches.push("this is your own open challenge - another account has to accept it");
+  } else if (account && !same(account, state.j2)) {
+    mismatches.push(`the game's Player 2 is ${state.j2}, your wallet is ${account}`);
+  }
+  return mismatches;
+}
@@ -0,0 +1,95 @@
+import { RpsGame } from "./rpsGame.js";
+import { resolveOutcome } from "./gameOutcome.js";
+
+/**
+ * Development node helpers for the sandbox (Hardhat/Ganache only): move
+ * the chain clock forward to test both timeouts, and check what a settled
+ * game did to each player's balance.
+ */
+
+/**
+ * Head of the chain straight from the node: ethers briefly caches
+ * getBlockNumber() and getBlock("latest"), too long right after a mine
+ */
+async function getHeadNumber(provider) {
+  return Number(await provider.send("eth_blockNumber", []));
+}
+
+/**
+ * @param {ethers.Provider} provider - Connected to a dev node
+ * @returns {Promise<ethers.Block>} - The new block
+ */
+export async function mineBlock(provider) {
+  await provider.send("evm_mine", []);
+  return provider.getBlock(await getHeadNumber(provider));
+}
+
+/**
+ * Jump the chain clock forward; the next block carries the new time
+ * @param {ethers.Provider} provider
+ * @param {number} seconds
+ * @returns {Promise<ethers.Block>}
+ */
+export async function increaseTime(provider, seconds) {
+  await provider.send("evm_increaseTime", [seconds]);
+  return mineBlock(provider);
+}
+
+/**
+ * @typedef {object} PlayerDelta
+ * @property {bigint} before - Balance just before the game was created
+ * @property {bigint} after - Balance at the settlement block
+ * @property {bigint} delta - after - before
+ * @property {bigint} staked - Sent into the game
+ * @property {bigint} payout - Received from the game
+ * @property {bigint} gas - Fees of every transaction the player sent meanwhile
+ * @property {boolean} matches - delta === payout - staked - gas
+ */
+
+/**
+ * Each player's balance change over a game, next to the stake, payout and gas
+ * @param {ethers.Provider} provider
+ * @param {string} address - Game contract
+ * @param {number} createdBlock - Block of the deployment
+ * @returns {Promise<{ outcome: GameOutcome, j1: PlayerDelta, j2: PlayerDelta }|null>} - null until settled
+ */
+export async function getSettlementDeltas(provider, address, createdBlock) {
+  const outcome = await resolveOutcome(provider, address, {
+    fromBlock: createdBlock,
+    toBlock: await getHeadNumber(provider)
+  });
+  if (!outcome.settled || outcome.blockNumber === null) return null;
+
+  const initial = await new RpsGame(address, provider).getState(createdBlock);
+  const players = { j1: initial.j1.toLowerCase(), j2: initial.j2.toLowerCase() };
+  const gas = { j1: 0n, j2: 0n };
+
+  for (let number = createdBlock; number <= outcome.blockNumber; number++) {
+    const block = await provider.getBlock(number, true);
+    for (const tx of block.prefetchedTransactions) {
+      const player = Object.keys(players).find((key) => players[key] === tx.from.toLowerCase());
+      if (!player) continue;
+      const receipt = await provider.getTransactionReceipt(tx.hash);
+      gas[player] += receipt.fee;
+    }
+  }
+
+  const result = { outcome };
+  for (const player of ["j1", "j2"]) {
+    const before = await provider.getBalance(initial[player], createdBlock - 1);
+    const after = await provider.getBalance(initial[player], outcome.blockNumber);
+    // Player 2 only paid in if they played
+    const staked = player === "j1" || outcome.c2 !== 0 ? outcome.stake : 0n;
+    const payout = outcome.received?.[player] ?? outcome.payouts[player];
+    result[player] = {
+      before,
+      after,
+      delta: after - before,
+      staked,
+      payout,
+      gas: gas[player],
+      matches: after - before === payout - staked - gas[player]
+    };
+  }
+  return result;
+}
@@ -0,0 +1,47 @@
+/**
+ * eth_getLogs over long block ranges.
+ *
+ * Public RPC endpoints reject a single eth_getLogs over more than a few
+ * thousand blocks, so every search is split into LOG_CHUNK_BLOCKS ranges.
+ */
+
+export const LOG_CHUNK_BLOCKS = 10000;
+
+/**
+ * Logs matching a filter, oldest first, one chunk at a time
+ * @param {ethers.Provider} provider
+ * @param {{ address?: string, topics?: Array }} filter
+ * @param {object} range
+ * @param {number} range.fromBlock
+ * @param {number} range.toBlock
+ * @returns {Promise<ethers.Log[]>}
+ */
+export async function getLogsInChunks(provider, filter, { fromBlock, toBlock }) {
+  const logs = [];
+  for (let start = fromBlock; start <= toBlock; start += LOG_CHUNK_BLOCKS) {
+    const end = Math.min(start + LOG_CHUNK_BLOCKS - 1, toBlock);
+    logs.push(...(await provider.getLogs({ ...filter, fromBlock: start, toBlock: end })));
+  }
+  return logs;
+}
+
+/**
+ * Most recent log matching a filter, searching back from toBlock. For an
+ * event emitted once (a game's creation) this costs one request per chunk
+ * between the event and toBlock, not one per chunk of the whole chain.
+ * @param {ethers.Provider} provider
+ * @param {{ address?: string, topics?: Array }} filter
+ * @param {object} [range]
+ * @param {number} [range.fromBlock] - Default: 0
+ * @param {number} [range.toBlock] - Default: latest
+ * @returns {Promise<ethers.Log|null>}
+ */
+export async function findLatestLog(provider, filter, { fromBlock = 0, toBlock } = {}) {
+  const last = toBlock ?? (await provider.getBlockNumber());
+  for (let end = last; end >= fromBlock; end -= LOG_CHUNK_BLOCKS) {
+    const start = Math.max(fromBlock, end - LOG_CHUNK_BLOCKS + 1);
+    const logs = await provider.getLogs({ ...filter, fromBlock: start, toBlock: end });
+    if (logs.length > 0) return logs[logs.length - 1];
+  }
+  return null;
+}
@@ -0,0 +1,248 @@
+import { ethers } from "ethers";
+import { GAME_FACTORY_ABI, GAME_FACTORY_BYTECODE, GAME_CLONE_BYTECODE } from "./contractABI.js";
+import { getRuntimeBytecode, stripMetadata } from "./contractVerification.js";
+import { getNetworkConfig } from "./networks.js";
+import { getGame, recordGameActivity, GAME_ACTIVITY } from "./gameRegistry.js";
+import { RpsGame } from "./rpsGame.js";
+import { findLatestLog } from "./eventLogs.js";
+
+/**
+ * Client for the GameFactory contract (contracts/GameFactory.sol).
+ *
+ * createGame() deploys a game as an EIP-1167 clone of RPSClone for about
+ * half the gas of RpsGame.deploy(). The factory keeps each player's games
+ * and emits GameCreated(game, j1, j2, stake), so games can be found without
+ * scanning blocks. Clones answer the RPS ABI: RpsGame works with them as is.
+ *
+ * The factory of a chain is the network registry's `factory`, or one saved
+ * in this browser (deployed on a local node from Create Game, or entered).
+ */
+
+const FACTORY_STORAGE_KEY = "rps_game_factories";
+
+const factoryInterface = new ethers.Interface(GAME_FACTORY_ABI);
+const EXPECTED_RUNTIME = stripMetadata(getRuntimeBytecode(GAME_FACTORY_BYTECODE));
+const EXPECTED_CLONE_RUNTIME = stripMetadata(getRuntimeBytecode(GAME_CLONE_BYTECODE));
+
+export class GameFactory {
+  /**
+   * @param {string} address - GameFactory contract address
+   * @param {ethers.ContractRunner} runner - Signer or Provider
+   */
+  constructor(address, runner) {
+    if (!ethers.isAddress(address)) {
+      throw new Error("Invalid GameFactory address");
+    }
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.contract = new ethers.Contract(this.address, GAME_FACTORY_ABI, runner);
+  }
+
+  /**
+   * Send the factory deployment (the address is in the receipt)
+   * @param {ethers.Signer} signer
+   * @param {object} [overrides]
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  static async deploy(signer, overrides = {}) {
+    const factory = new ethers.ContractFactory(GAME_FACTORY_ABI, GAME_FACTORY_BYTECODE, signer);
+    const contract = await factory.deploy(overrides);
+    return contract.deploymentTransaction();
+  }
+
+  /**
+   * Create a game with the signer as Player 1; the address is in the
+   * receipt's GameCreated event (see getCreatedGame)
+   * @param {object} params
+   * @param {string} params.commitment - keccak256(move, salt), see commitment.js
+   * @param {string} params.j2 - Player 2's address
+   * @param {bigint} params.stake - Stake in wei
+   * @param {object} [overrides]
+   * @returns {Promise<ethers.ContractTransactionResponse>}
+   */
+  async createGame({ commitment, j2, stake }, overrides = {}) {
+    if (!ethers.isHexString(commitment, 32)) {
+      throw new Error("Commitment must be a 32-byte hex string");
+    }
+    if (!ethers.isAddress(j2)) {
+      throw new Error("Invalid opponent address");
+    }
+    return this.contract.createGame(commitment, j2, { ...overrides, value: stake });
+  }
+
+  /**
+   * Games a player created or was invited to, oldest first
+   * @param {string} player
+   * @returns {Promise<string[]>}
+   */
+  async getGames(player) {
+    const games = await this.contract.getGames(player);
+    return games.map((game) => ethers.getAddress(game));
+  }
+
+  async getGameCount() {
+    return Number(await this.contract.gameCount());
+  }
+
+  async getImplementation() {
+    return ethers.getAddress(await this.contract.implementation());
+  }
+
+  async isGame(address) {
+    return this.contract.isGame(address);
+  }
+
+  /**
+   * GameCreated event of one of the factory's games, searched back from the latest block
+   * @param {string} game
+   * @returns {Promise<{ blockNumber: number, txHash: string }|null>}
+   */
+  async findGameCreated(game) {
+    const topics = await this.contract.filters.GameCreated(game).getTopicFilter();
+    const log = await findLatestLog(this.runner.provider ?? this.runner, { address: this.address, topics });
+    return log ? { blockNumber: log.blockNumber, txHash: log.transactionHash } : null;
+  }
+}
+
+/**
+ * GameCreated events of a receipt. Only the factory's own logs count: any
+ * contract in the transaction can emit a look-alike event.
+ * @param {ethers.TransactionReceipt} receipt
+ * @param {string} factoryAddress - Factory the transaction was sent to
+ * @returns {Array<{ game: string, j1: string, j2: string, stake: bigint }>}
+ */
+export function parseGameCreatedLogs(receipt, factoryAddress) {
+  const factory = ethers.getAddress(factoryAddress);
+  const created = [];
+  for (const log of receipt.logs) {
+    if (ethers.getAddress(log.address) !== factory) continue;
+    let parsed = null;
+    try {
+      parsed = factoryInterface.parseLog(log);
+    } catch {
+      // Not a factory event
+    }
+    if (parsed?.name === "GameCreated") {
+      created.push({
+        game: ethers.getAddress(parsed.args.game),
+        j1: ethers.getAddress(parsed.args.j1),
+        j2: ethers.getAddress(parsed.args.j2),
+        stake: parsed.args.stake
+      });
+    }
+  }
+  return created;
+}
+
+/**
+ * Game address of a GameFactory.createGame receipt
+ * @param {ethers.TransactionReceipt} receipt
+ * @param {string} factoryAddress - Factory the transaction was sent to
+ * @returns {string|null} - null when the receipt has no GameCreated event from the factory
+ */
+export function getCreatedGame(receipt, factoryAddress) {
+  return parseGameCreatedLogs(receipt, factoryAddress)[0]?.game ?? null;
+}
+
+/**
+ * Nonce of Player 1's createGame transaction for a game of the chain's
+ * factory. A clone's address comes from the factory's nonce, not j1's, so
+ * it cannot be matched against getCreateAddress(j1, nonce).
+ * @param {ethers.Provider} provider
+ * @param {number|bigint} chainId
+ * @param {string} game
+ * @param {string} j1
+ * @returns {Promise<number|null>} - null when the game is not one of the factory's
+ */
+export async function findFactoryDeploymentNonce(provider, chainId, game, j1) {
+  const address = getFactoryAddress(chainId);
+  if (!address) return null;
+
+  const factory = new GameFactory(address, provider);
+  if (!(await factory.isGame(game))) return null;
+  const created = await factory.findGameCreated(game);
+  if (!created) return null;
+  const tx = await provider.getTransaction(created.txHash);
+  return tx && ethers.getAddress(tx.from) === ethers.getAddress(j1) ? tx.nonce : null;
+}
+
+/**
+ * Check a factory before creating games through it: its code and the
+ * RPSClone its games delegate to must both match the compiled contracts
+ * @param {ethers.Provider} provider
+ * @param {string} address
+ * @returns {Promise<{ ok: boolean, message: string }>}
+ */
+export async function verifyFactory(provider, address) {
+  if (!ethers.isAddress(address)) return { ok: false, message: "Not a valid address." };
+
+  const code = await provider.getCode(address);
+  if (code === "0x") return { ok: false, message: "No contract is deployed at this address." };
+  if (stripMetadata(code) !== EXPECTED_RUNTIME) {
+    return { ok: false, message: "Code does NOT match GameFactory.sol." };
+  }
+
+  const implementation = await new GameFactory(address, provider).getImplementation();
+  if (stripMetadata(await provider.getCode(implementation)) !== EXPECTED_CLONE_RUNTIME) {
+    return { ok: false, message: `Its games would delegate to ${implementation}, which does NOT match RPSClone.` };
+  }
+  return { ok: true, message: "GameFactory and its RPSClone match the compiled contracts." };
+}
+
+function readSavedFactories() {
+  try {
+    return JSON.parse(localStorage.getItem(FACTORY_STORAGE_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {number|bigint} chainId
+ * @returns {string|null} - Saved in this browser, else the network registry's
+ */
+export function getFactoryAddress(chainId) {
+  return readSavedFactories()[Number(chainId)] ?? getNetworkConfig(chainId)?.factory ?? null;
+}
+
+/**
+ * @param {number|bigint} chainId
+ * @param {string|null} address - null goes back to the network registry's
+ */
+export function saveFactoryAddress(chainId, address) {
+  const factories = readSavedFactories();
+  if (address) factories[Number(chainId)] = ethers.getAddress(address);
+  else delete factories[Number(chainId)];
+  localStorage.setItem(FACTORY_STORAGE_KEY, JSON.stringify(factories));
+}
+
+/**
+ * Put the account's factory games that this browser does not know yet in
+ * the registry (as discovered: no transaction of ours is recorded)
+ * @param {ethers.Provider} provider
+ * @param {number|bigint} chainId
+ * @param {string} account
+ * @returns {Promise<number>} - Games imported
+ */
+export async function importFactoryGames(provider, chainId, account) {
+  const address = getFactoryAddress(chainId);
+  if (!address) return 0;
+
+  const owner = ethers.getAddress(account);
+  const unknown = (await new GameFactory(address, provider).getGames(owner)).filter(
+    (game) => !getGame(chainId, owner, game)
+  );
+  for (const game of unknown) {
+    const state = await new RpsGame(game, provider).getState();
+    recordGameActivity({
+      chainId,
+      account: owner,
+      address: game,
+      type: GAME_ACTIVITY.DISCOVERED,
+      role: state.j1 === owner ? "j1" : "j2",
+      // The stake is 0 once settled
+      game: { j1: state.j1, j2: state.j2, stakeWei: state.stake > 0n ? state.stake : null }
+    });
+  }
+  return unknown.length;
+}
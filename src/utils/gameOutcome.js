@@ -0,0 +1,348 @@
+import { ethers } from "ethers";
+import { CONTRACT_ABI, RPS_V2_ABI } from "./contractABI.js";
+import { RpsGame, GAME_VERSIONS } from "./rpsGame.js";
+import { findLatestLog } from "./eventLogs.js";
+
+/**
+ * Outcome reconstruction for finished games.
+ *
+ * RPS.sol emits no events and sets stake = 0 on every terminal path, so the
+ * outcome has to be rebuilt from history:
+ *  1. binary-search the block where stake() went to 0 (needs historical
+ *     state, which Hardhat/Ganache and archive nodes provide),
+ *  2. find the transaction to the game in that block and decode its input
+ *     (solve / j1Timeout / j2Timeout),
+ *  3. apply the contract's win() rule and compute who was paid what,
+ *  4. compare balances around that block to spot send() calls that failed
+ *     silently (RPS.sol ignores send's return value).
+ * RPSv2.sol games announce their end instead: the Solved or TimedOut
+ * event gives the result, and PayoutDeferred the payouts that did not go
+ * through - those are not lost but wait in the contract for withdraw().
+ */
+
+const gameInterface = new ethers.Interface(CONTRACT_ABI);
+const v2Interface = new ethers.Interface(RPS_V2_ABI);
+const SETTLEMENT_TOPICS = [[v2Interface.getEvent("Solved").topicHash, v2Interface.getEvent("TimedOut").topicHash]];
+
+const MOVE_NAMES = ["Null", "Rock", "Paper", "Scissors", "Spock", "Lizard"];
+const SETTLEMENTS = ["solve", "j1Timeout", "j2Timeout"];
+
+/**
+ * RPS.win(): does move c1 beat move c2?
+ * Same parity: the lower move wins. Different parity: the higher move wins.
+ * @param {number} c1
+ * @param {number} c2
+ */
+export function beats(c1, c2) {
+  if (c1 === c2) return false;
+  if (c1 === 0) return false;
+  if (c1 % 2 === c2 % 2) return c1 < c2;
+  return c1 > c2;
+}
+
+/**
+ * Winner of a revealed game
+ * @returns {"j1"|"j2"|"tie"}
+ */
+export function getWinner(c1, c2) {
+  if (beats(c1, c2)) return "j1";
+  if (beats(c2, c1)) return "j2";
+  return "tie";
+}
+
+/**
+ * Intended payouts of a terminal call, per RPS.sol
+ * @param {string} via - "solve", "j1Timeout" or "j2Timeout"
+ * @param {bigint} stake - Stake per player before settlement
+ * @param {string} [winner] - For solve
+ * @returns {{ j1: bigint, j2: bigint }}
+ */
+export function getPayouts(via, stake, winner) {
+  if (via === "j2Timeout") return { j1: stake, j2: 0n };
+  if (via === "j1Timeout") return { j1: 0n, j2: 2n * stake };
+  if (winner === "j1") return { j1: 2n * stake, j2: 0n };
+  if (winner === "j2") return { j1: 0n, j2: 2n * stake };
+  return { j1: stake, j2: stake };
+}
+
+/**
+ * First block in [low, high] where predicate(block) is true (predicate must be monotonic)
+ */
+async function findFirstBlock(low, high, predicate) {
+  while (low < high) {
+    const mid = Math.floor((low + high) / 2);
+    if (await predicate(mid)) {
+      high = mid;
+    } else {
+      low = mid + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Balance change of an account across one block, adding back the gas it
+ * paid if it sent the settlement transaction
+ */
+async function getReceivedInBlock(provider, account, blockNumber, settlementTx, receipt) {
+  const [before, after] = await Promise.all([
+    provider.getBalance(account, blockNumber - 1),
+    provider.getBalance(account, blockNumber)
+  ]);
+  let delta = after - before;
+  if (settlementTx && settlementTx.from.toLowerCase() === account.toLowerCase()) {
+    delta += receipt.gasUsed * (receipt.gasPrice ?? settlementTx.gasPrice ?? 0n);
+  }
+  return delta;
+}
+
+/**
+ * Successful solve / j1Timeout / j2Timeout call to a game in a block.
+ * Other calls to the game can share the block (a play, a timeout claim
+ * that reverted), so each candidate is decoded and its receipt checked.
+ * @returns {Promise<ethers.TransactionResponse|null>} - null when the game was settled through another contract
+ */
+async function findSettlementTx(provider, block, address) {
+  for (const tx of block.prefetchedTransactions) {
+    if (!tx.to || tx.to.toLowerCase() !== address.toLowerCase()) continue;
+    const call = gameInterface.parseTransaction({ data: tx.data, value: tx.value });
+    if (!call || !SETTLEMENTS.includes(call.name)) continue;
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (receipt?.status === 1) return tx;
+  }
+  return null;
+}
+
+/**
+ * Locate the transaction that settled a game
+ * @returns {Promise<{ tx: ethers.TransactionResponse|null, blockNumber: number }|null>}
+ */
+async function findSettlement(provider, game, latest, { txHash, fromBlock }) {
+  if (txHash) {
+    const tx = await provider.getTransaction(txHash);
+    if (!tx || !tx.blockNumber) {
+      throw new Error(`Transaction ${txHash} is not mined`);
+    }
+    return { tx, blockNumber: tx.blockNumber };
+  }
+
+  const createdAt =
+    fromBlock ??
+    (await findFirstBlock(0, latest, async (block) => (await provider.getCode(game.address, block)) !== "0x"));
+
+  const initial = await game.getProgress(createdAt);
+  if (initial.stake === 0n) {
+    // Created without a stake (or already settled at fromBlock): nothing to find
+    return null;
+  }
+
+  const settledAt = await findFirstBlock(createdAt, latest, async (block) =>
+    (await game.getProgress(block)).stake === 0n
+  );
+
+  const block = await provider.getBlock(settledAt, true);
+  return { tx: await findSettlementTx(provider, block, game.address), blockNumber: settledAt };
+}
+
+/**
+ * Settlement of an RPSv2.sol game, from its events
+ * @returns {Promise<Array<{ name: string, args: ethers.Result, log: ethers.Log }>|null>} - Events of the
+ *   settlement transaction emitted by the game, null if it has none
+ */
+async function findSettlementEvents(provider, address, { txHash, fromBlock, toBlock }) {
+  let settlementTx = txHash;
+  if (!settlementTx) {
+    const log = await findLatestLog(provider, { address, topics: SETTLEMENT_TOPICS }, { fromBlock, toBlock });
+    if (!log) return null;
+    settlementTx = log.transactionHash;
+  }
+
+  const receipt = await provider.getTransactionReceipt(settlementTx);
+  if (!receipt) throw new Error(`Transaction ${settlementTx} is not mined`);
+  const events = receipt.logs
+    .filter((log) => ethers.getAddress(log.address) === address)
+    .map((log) => ({ parsed: v2Interface.parseLog(log), log }))
+    .filter(({ parsed }) => parsed)
+    .map(({ parsed, log }) => ({ name: parsed.name, args: parsed.args, log }));
+  return events.some((event) => event.name === "Solved" || event.name === "TimedOut") ? events : null;
+}
+
+/**
+ * Fill in a settled RPSv2.sol game's outcome from its Created, Solved /
+ * TimedOut and PayoutDeferred events - no historical state needed
+ */
+async function resolveV2Outcome(provider, state, outcome, options) {
+  const events = await findSettlementEvents(provider, state.address, options);
+  if (!events) return outcome;
+
+  const result = events.find((event) => event.name === "Solved" || event.name === "TimedOut");
+  // The stake never changes between the constructor and the settlement
+  const created = await findLatestLog(
+    provider,
+    { address: state.address, topics: [v2Interface.getEvent("Created").topicHash] },
+    { toBlock: result.log.blockNumber }
+  );
+  const role = (account) => (account === state.j1 ? "j1" : account === state.j2 ? "j2" : null);
+  outcome.txHash = result.log.transactionHash;
+  outcome.blockNumber = result.log.blockNumber;
+  outcome.timestamp = (await provider.getBlock(result.log.blockNumber)).timestamp;
+
+  if (result.name === "Solved") {
+    outcome.via = "solve";
+    outcome.c1 = Number(result.args.c1);
+    outcome.winner = result.args.winner === ethers.ZeroAddress ? "tie" : role(result.args.winner);
+  } else {
+    // j1Timeout pays both stakes to j2, j2Timeout returns j1's stake
+    outcome.via = role(result.args.winner) === "j2" ? "j1Timeout" : "j2Timeout";
+    outcome.winner = outcome.via === "j1Timeout" ? "j2" : null;
+  }
+  outcome.stake = created ? v2Interface.parseLog(created).args.stake : 0n;
+  outcome.payouts = getPayouts(outcome.via, outcome.stake, outcome.winner);
+
+  for (const event of events.filter((e) => e.name === "PayoutDeferred")) {
+    outcome.failedPayouts.push({ player: role(event.args.to), amount: event.args.amount });
+  }
+  if (outcome.failedPayouts.length > 0) {
+    const received = { ...outcome.payouts };
+    for (const { player, amount } of outcome.failedPayouts) received[player] -= amount;
+    outcome.received = received;
+  }
+  return outcome;
+}
+
+/**
+ * @typedef {object} GameOutcome
+ * @property {boolean} settled - False while the game is still running
+ * @property {string|null} via - "solve", "j1Timeout", "j2Timeout" or null if it could not be decoded
+ * @property {string|null} winner - "j1", "j2", "tie", or null for a reclaimed / undecoded game
+ * @property {number|null} c1 - Player 1's revealed move (solve only)
+ * @property {number} c2 - Player 2's move
+ * @property {bigint} stake - Stake per player before settlement
+ * @property {{ j1: bigint, j2: bigint }} payouts - What the contract tried to send
+ * @property {{ j1: bigint, j2: bigint }|null} received - What actually arrived
+ * @property {Array<{ player: string, amount: bigint }>} failedPayouts - send() calls that failed
+ * @property {bigint} stuckWei - ETH left in the contract after settlement
+ * @property {number} version - One of GAME_VERSIONS: with V2 the stuck ETH can be withdrawn
+ * @property {string|null} txHash
+ * @property {number|null} blockNumber
+ * @property {number|null} timestamp
+ */
+
+/**
+ * Reconstruct how a game ended
+ * @param {ethers.Provider} provider
+ * @param {string} address - Game contract address
+ * @param {object} [options]
+ * @param {string} [options.txHash] - Settlement transaction, if known (skips the block / event search)
+ * @param {number} [options.fromBlock] - A block where the game was still unsettled (narrows the search)
+ * @param {number} [options.toBlock] - Block to read the final state at (default: latest)
+ * @returns {Promise<GameOutcome>}
+ */
+export async function resolveOutcome(provider, address, { txHash, fromBlock, toBlock } = {}) {
+  const game = new RpsGame(address, provider);
+  // Read everything against one block so the search range matches the state
+  const latest = toBlock ?? (await provider.getBlockNumber());
+  const state = await game.getState(latest);
+
+  const outcome = {
+    settled: state.stake === 0n,
+    via: null,
+    winner: null,
+    c1: null,
+    c2: state.c2,
+    stake: 0n,
+    payouts: { j1: 0n, j2: 0n },
+    received: null,
+    failedPayouts: [],
+    stuckWei: state.stake === 0n ? state.balance : 0n,
+    version: state.version,
+    txHash: null,
+    blockNumber: null,
+    timestamp: null
+  };
+  if (!outcome.settled) return outcome;
+  if (state.version === GAME_VERSIONS.V2) {
+    return resolveV2Outcome(provider, state, outcome, { txHash, fromBlock, toBlock: latest });
+  }
+
+  const settlement = await findSettlement(provider, game, latest, { txHash, fromBlock });
+  if (!settlement) return outcome;
+
+  const { tx, blockNumber } = settlement;
+  const before = await game.getState(blockNumber - 1);
+  outcome.stake = before.stake;
+  outcome.blockNumber = blockNumber;
+  outcome.timestamp = (await provider.getBlock(blockNumber)).timestamp;
+
+  if (!tx) {
+    // Settled through another contract: no top-level call to decode
+    return outcome;
+  }
+
+  outcome.txHash = tx.hash;
+  const call = gameInterface.parseTransaction({ data: tx.data, value: tx.value });
+  if (!call || !SETTLEMENTS.includes(call.name)) {
+    return outcome;
+  }
+
+  outcome.via = call.name;
+  if (call.name === "solve") {
+    outcome.c1 = Number(call.args[0]);
+    outcome.winner = getWinner(outcome.c1, before.c2);
+  } else if (call.name === "j1Timeout") {
+    outcome.winner = "j2";
+  }
+  outcome.payouts = getPayouts(outcome.via, before.stake, outcome.winner);
+
+  // The contract keeps whatever send() failed to deliver
+  if (outcome.stuckWei > 0n) {
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    const received = {};
+    for (const player of ["j1", "j2"]) {
+      received[player] =
+        outcome.payouts[player] === 0n
+          ? 0n
+          : await getReceivedInBlock(provider, state[player], blockNumber, tx, receipt);
+      if (outcome.payouts[player] > 0n && received[player] < outcome.payouts[player]) {
+        outcome.failedPayouts.push({ player, amount: outcome.payouts[player] });
+      }
+    }
+    outcome.received = received;
+  }
+
+  return outcome;
+}
+
+/**
+ * One-line human summary of an outcome
+ * @param {GameOutcome} outcome
+ */
+export function describeOutcome(outcome) {
+  if (!outcome.settled) return "Game still in progress";
+
+  const eth = (wei) => ethers.formatEther(wei) + " ETH";
+  let summary;
+  if (outcome.via === "solve") {
+    const moves = `${MOVE_NAMES[outcome.c1]} vs ${MOVE_NAMES[outcome.c2]}`;
+    summary =
+      outcome.winner === "tie"
+        ? `Tie (${moves}) - each player got ${eth(outcome.payouts.j1)} back`
+        : `Player ${outcome.winner === "j1" ? 1 : 2} won (${moves}) - paid ${eth(
+            outcome.payouts[outcome.winner]
+          )}`;
+  } else if (outcome.via === "j1Timeout") {
+    summary = `Player 1 did not reveal in time - Player 2 claimed ${eth(outcome.payouts.j2)}`;
+  } else if (outcome.via === "j2Timeout") {
+    summary = `Player 2 never played - Player 1 reclaimed ${eth(outcome.payouts.j1)}`;
+  } else {
+    summary = "Game completed (settlement transaction not found)";
+  }
+
+  if (outcome.stuckWei > 0n) {
+    summary +=
+      outcome.version === GAME_VERSIONS.V2
+        ? ` ⚠️ ${eth(outcome.stuckWei)} waiting in the contract for withdraw() (failed payout)`
+        : ` ⚠️ ${eth(outcome.stuckWei)} stuck in the contract (failed payout)`;
+  }
+  return summary;
+}
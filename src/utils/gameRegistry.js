@@ -0,0 +1,207 @@
+import { ethers } from "ethers";
+import { RpsGame } from "./rpsGame.js";
+
+/**
+ * Local registry of the games each account took part in, per chain.
+ *
+ * Replaces the separate `rps_games` / `rps_joins` / `rps_reveals` lists:
+ * every create, join, reveal and timeout call (and every game the chain
+ * scanner discovers, see gameScanner.js) is recorded against
+ * (chainId, account, game address). Only public data is stored here -
+ * move and salt live in the secret vault (secretVault.js).
+ */
+
+const REGISTRY_KEY = "rps_registry";
+
+export const GAME_ACTIVITY = Object.freeze({
+  CREATED: "created",
+  JOINED: "joined",
+  REVEALED: "revealed",
+  TIMED_OUT: "timed-out",
+  DISCOVERED: "discovered" // Found on chain by the scanner, no action of ours yet
+});
+
+const ACTIVITY_ROLES = {
+  [GAME_ACTIVITY.CREATED]: "j1",
+  [GAME_ACTIVITY.JOINED]: "j2",
+  [GAME_ACTIVITY.REVEALED]: "j1"
+};
+
+const listeners = new Set();
+
+function readRegistry() {
+  try {
+    return JSON.parse(localStorage.getItem(REGISTRY_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function writeRegistry(registry) {
+  localStorage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+  for (const listener of listeners) {
+    listener();
+  }
+}
+
+function getRecordId(chainId, account, address) {
+  return `${Number(chainId)}:${ethers.getAddress(account)}:${ethers.getAddress(address)}`;
+}
+
+/**
+ * Record something the account did in a game (creates the entry on first use)
+ * @param {object} params
+ * @param {number|bigint} params.chainId
+ * @param {string} params.account - Connected account
+ * @param {string} params.address - Game contract address
+ * @param {string} params.type - One of GAME_ACTIVITY
+ * @param {string} [params.txHash]
+ * @param {string} [params.role] - "j1" or "j2" (implied by created / joined / revealed)
+ * @param {object} [params.game] - Public game fields: { j1, j2, stakeWei }
+ * @param {string} [params.at] - ISO date (default: now)
+ * @returns {object} - The updated record
+ */
+export function recordGameActivity({ chainId, account, address, type, txHash = null, role, game = {}, at }) {
+  if (!Object.values(GAME_ACTIVITY).includes(type)) {
+    throw new Error(`Unknown game activity: ${type}`);
+  }
+
+  const registry = readRegistry();
+  const id = getRecordId(chainId, account, address);
+  const now = at || new Date().toISOString();
+  const record = registry[id] || {
+    id,
+    chainId: Number(chainId),
+    account: ethers.getAddress(account),
+    address: ethers.getAddress(address),
+    role: null,
+    j1: null,
+    j2: null,
+    stakeWei: null,
+    activity: [],
+    createdAt: now
+  };
+
+  record.role = role || ACTIVITY_ROLES[type] || record.role;
+  if (game.j1) record.j1 = ethers.getAddress(game.j1);
+  if (game.j2) record.j2 = ethers.getAddress(game.j2);
+  if (game.stakeWei !== undefined && game.stakeWei !== null) record.stakeWei = String(game.stakeWei);
+
+  const duplicate = record.activity.some((a) => a.type === type && a.txHash === txHash);
+  if (!duplicate) {
+    record.activity.push({ type, txHash, at: now });
+  }
+  record.updatedAt = now;
+
+  registry[id] = record;
+  writeRegistry(registry);
+  return record;
+}
+
+/**
+ * Games of an account on a chain, most recently active first
+ * @param {number|bigint} chainId
+ * @param {string} account
+ * @returns {Array<object>}
+ */
+export function listGames(chainId, account) {
+  if (!account) return [];
+  const owner = ethers.getAddress(account);
+  return Object.values(readRegistry())
+    .filter((record) => record.chainId === Number(chainId) && record.account === owner)
+    .sort((a, b) => (b.updatedAt || "").localeCompare(a.updatedAt || ""));
+}
+
+/**
+ * @returns {object|null}
+ */
+export function getGame(chainId, account, address) {
+  return readRegistry()[getRecordId(chainId, account, address)] || null;
+}
+
+/**
+ * Last transaction of a given activity in a game, from any account on this chain
+ * @returns {string|null}
+ */
+export function findActivityTx(chainId, address, type) {
+  const game = ethers.getAddress(address);
+  const matches = Object.values(readRegistry())
+    .filter((record) => record.chainId === Number(chainId) && record.address === game)
+    .flatMap((record) => record.activity)
+    .filter((activity) => activity.type === type && activity.txHash);
+  return matches.length > 0 ? matches[matches.length - 1].txHash : null;
+}
+
+export function removeGame(chainId, account, address) {
+  const registry = readRegistry();
+  delete registry[getRecordId(chainId, account, address)];
+  writeRegistry(registry);
+}
+
+/**
+ * @param {function(): void} listener - Called after every registry change
+ * @returns {function(): void} - Unsubscribes
+ */
+export function onRegistryChange(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Import the old `rps_games` / `rps_joins` / `rps_reveals` lists. They carry
+ * no chain id, so only games with code on the current chain are imported,
+ * with roles checked against the contract. Safe to run repeatedly.
+ * @param {ethers.Provider} provider
+ * @param {string} account
+ * @returns {Promise<number>} - Number of games imported or updated
+ */
+export async function migrateLegacyGames(provider, account) {
+  const read = (key) => {
+    try {
+      return JSON.parse(localStorage.getItem(key) || "[]");
+    } catch {
+      return [];
+    }
+  };
+  const legacy = [
+    ...read("rps_games").map((entry) => ({ ...entry, type: GAME_ACTIVITY.CREATED, at: entry.createdAt })),
+    ...read("rps_joins").map((entry) => ({ ...entry, type: GAME_ACTIVITY.JOINED, at: entry.joinedAt })),
+    ...read("rps_reveals").map((entry) => ({ ...entry, type: GAME_ACTIVITY.REVEALED, at: entry.revealedAt }))
+  ].filter((entry) => entry.contractAddress && ethers.isAddress(entry.contractAddress));
+
+  if (legacy.length === 0) return 0;
+
+  const { chainId } = await provider.getNetwork();
+  const owner = ethers.getAddress(account);
+  const imported = new Set();
+
+  for (const entry of legacy) {
+    if (getGame(chainId, owner, entry.contractAddress)?.activity.some((a) => a.type === entry.type)) {
+      continue;
+    }
+    // Entries from another chain have no code here (or code that is not a game)
+    let state;
+    try {
+      state = await (await RpsGame.load(entry.contractAddress, provider)).getState();
+    } catch {
+      continue;
+    }
+
+    // The old lists were not per account: keep only this account's games
+    const role = ACTIVITY_ROLES[entry.type];
+    if (ethers.getAddress(state[role]) !== owner) continue;
+
+    recordGameActivity({
+      chainId,
+      account: owner,
+      address: entry.contractAddress,
+      type: entry.type,
+      txHash: entry.txHash || null,
+      game: { j1: state.j1, j2: state.j2, stakeWei: entry.stake ? ethers.parseEther(String(entry.stake)) : null },
+      at: entry.at
+    });
+    imported.add(ethers.getAddress(entry.contractAddress));
+  }
+
+  return imported.size;
+}
@@ -0,0 +1,267 @@
+import { ethers } from "ethers";
+import { CONTRACT_ABI, CONTRACT_BYTECODE, RPS_V2_BYTECODE, GAME_FACTORY_ABI } from "./contractABI.js";
+import { recordGameActivity, listGames, GAME_ACTIVITY } from "./gameRegistry.js";
+import { RpsGame, GAME_VERSIONS } from "./rpsGame.js";
+import { getFactoryAddress, parseGameCreatedLogs } from "./gameFactory.js";
+import { verifyGameContract } from "./contractVerification.js";
+
+/**
+ * Chain history scanner: rebuilds the game list from the chain itself.
+ *
+ * RPS.sol emits no events, so there is nothing to filter logs on - the
+ * scanner walks blocks and looks at every transaction:
+ *  - contract creations whose data is CONTRACT_BYTECODE or RPS_V2_BYTECODE
+ *    (metadata hash ignored) followed by the constructor args, deployed by
+ *    the account or naming it as _j2,
+ *  - createGame calls to a known GameFactory (the chain's, see
+ *    getFactoryAddress) by the account or naming it as _j2, whose games
+ *    are read from the factory's GameCreated logs in the receipt,
+ *  - calls from the account to a known game (play / solve / timeouts),
+ *  - successful plays by the account of an RPSv2.sol open challenge
+ *    (deployed by someone else with j2 = ZeroAddress, e.g. from the lobby).
+ * Matches go into the game registry. Progress is checkpointed per chain
+ * and account, so a scan can be stopped and resumed.
+ */
+
+const CHECKPOINT_KEY = "rps_scan_checkpoints";
+
+const gameInterface = new ethers.Interface(CONTRACT_ABI);
+const factoryInterface = new ethers.Interface(GAME_FACTORY_ABI);
+
+// The metadata length (43 bytes for solc 0.4, 53 for 0.8) is in the last two bytes
+const CREATIONS = [
+  { version: GAME_VERSIONS.V1, bytecode: CONTRACT_BYTECODE, args: ["bytes32", "address"] },
+  { version: GAME_VERSIONS.V2, bytecode: RPS_V2_BYTECODE, args: ["bytes32", "address", "uint256"] }
+].map(({ version, bytecode, args }) => ({
+  version,
+  args,
+  prefix: bytecode.toLowerCase().slice(0, -(parseInt(bytecode.slice(-4), 16) + 2) * 2),
+  codeLength: bytecode.length
+}));
+
+const CALL_ACTIVITY = {
+  play: GAME_ACTIVITY.JOINED,
+  solve: GAME_ACTIVITY.REVEALED,
+  j1Timeout: GAME_ACTIVITY.TIMED_OUT,
+  j2Timeout: GAME_ACTIVITY.TIMED_OUT
+};
+
+/**
+ * Decode a game deployment from transaction data
+ * @param {string} data - Transaction input of a contract creation
+ * @returns {{ c1Hash: string, j2: string, timeout: number|null, version: number }|null}
+ *   null if it is neither RPS.sol nor RPSv2.sol; timeout is null for RPS.sol (a constant)
+ */
+export function decodeGameCreation(data) {
+  if (!data) return null;
+  const hex = data.toLowerCase();
+  const creation = CREATIONS.find(
+    ({ prefix, codeLength, args }) => hex.length === codeLength + args.length * 64 && hex.startsWith(prefix)
+  );
+  if (!creation) return null;
+
+  const [c1Hash, j2, timeout] = ethers.AbiCoder.defaultAbiCoder().decode(
+    creation.args,
+    "0x" + hex.slice(creation.codeLength)
+  );
+  return { c1Hash, j2, timeout: timeout === undefined ? null : Number(timeout), version: creation.version };
+}
+
+function readCheckpoints() {
+  try {
+    return JSON.parse(localStorage.getItem(CHECKPOINT_KEY) || "{}");
+  } catch {
+    return {};
+  }
+}
+
+function getCheckpointId(chainId, account) {
+  return `${Number(chainId)}:${ethers.getAddress(account)}`;
+}
+
+/**
+ * Where the last scan for this chain and account stopped
+ * @returns {{ nextBlock: number, found: number, updatedAt: string }|null}
+ */
+export function loadScanCheckpoint(chainId, account) {
+  return readCheckpoints()[getCheckpointId(chainId, account)] || null;
+}
+
+export function saveScanCheckpoint(chainId, account, checkpoint) {
+  const checkpoints = readCheckpoints();
+  checkpoints[getCheckpointId(chainId, account)] = { ...checkpoint, updatedAt: new Date().toISOString() };
+  localStorage.setItem(CHECKPOINT_KEY, JSON.stringify(checkpoints));
+}
+
+export function clearScanCheckpoint(chainId, account) {
+  const checkpoints = readCheckpoints();
+  delete checkpoints[getCheckpointId(chainId, account)];
+  localStorage.setItem(CHECKPOINT_KEY, JSON.stringify(checkpoints));
+}
+
+/**
+ * Scan blocks for the account's games and import them into the registry
+ * @param {ethers.Provider} provider - Any JSON-RPC provider on the right chain
+ * @param {object} options
+ * @param {string} options.account
+ * @param {number} [options.fromBlock] - Default: the checkpoint, else 0
+ * @param {number} [options.toBlock] - Default: latest
+ * @param {number} [options.concurrency] - Blocks fetched in parallel
+ * @param {string[]} [options.factories] - GameFactory contracts whose games to find (default: the chain's)
+ * @param {AbortSignal} [options.signal] - Stops the scan after the current batch
+ * @param {function(object): void} [options.onProgress] - { block, fromBlock, toBlock, found }
+ * @returns {Promise<{ fromBlock: number, toBlock: number, nextBlock: number, found: Array<object>, complete: boolean }>}
+ */
+export async function scanForGames(
+  provider,
+  { account, fromBlock, toBlock, concurrency = 10, factories, signal, onProgress } = {}
+) {
+  if (!ethers.isAddress(account)) {
+    throw new Error("Invalid account address");
+  }
+  const owner = ethers.getAddress(account);
+  const { chainId } = await provider.getNetwork();
+
+  const checkpoint = loadScanCheckpoint(chainId, owner);
+  const start = fromBlock ?? checkpoint?.nextBlock ?? 0;
+  const end = toBlock ?? (await provider.getBlockNumber());
+  const factorySet = new Set(
+    (factories ?? [getFactoryAddress(chainId)]).filter(Boolean).map((address) => address.toLowerCase())
+  );
+
+  // Games already known, so their later transactions are recognised too
+  const games = new Set(listGames(chainId, owner).map((game) => game.address.toLowerCase()));
+  const found = [];
+
+  const handleCreation = async (tx, block) => {
+    const args = decodeGameCreation(tx.data);
+    if (!args) return;
+    const isJ1 = ethers.getAddress(tx.from) === owner;
+    const isJ2 = ethers.getAddress(args.j2) === owner;
+    if (!isJ1 && !isJ2) return;
+
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (!receipt || receipt.status !== 1 || !receipt.contractAddress) return;
+
+    const address = ethers.getAddress(receipt.contractAddress);
+    const at = new Date(block.timestamp * 1000).toISOString();
+    const game = { j1: tx.from, j2: args.j2, stakeWei: tx.value };
+    if (isJ1) {
+      recordGameActivity({ chainId, account: owner, address, type: GAME_ACTIVITY.CREATED, txHash: tx.hash, game, at });
+    } else {
+      recordGameActivity({ chainId, account: owner, address, type: GAME_ACTIVITY.DISCOVERED, role: "j2", game, at });
+    }
+    games.add(address.toLowerCase());
+    found.push({ address, role: isJ1 ? "j1" : "j2", j1: game.j1, j2: game.j2, blockNumber: block.number, txHash: tx.hash });
+  };
+
+  const handleFactoryCall = async (tx, block) => {
+    const call = factoryInterface.parseTransaction({ data: tx.data, value: tx.value });
+    if (call?.name !== "createGame") return;
+    if (ethers.getAddress(tx.from) !== owner && ethers.getAddress(call.args[1]) !== owner) return;
+
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (!receipt || receipt.status !== 1) return;
+
+    const at = new Date(block.timestamp * 1000).toISOString();
+    for (const created of parseGameCreatedLogs(receipt, tx.to)) {
+      const isJ1 = created.j1 === owner;
+      if (!isJ1 && created.j2 !== owner) continue;
+      const address = created.game;
+      const game = { j1: created.j1, j2: created.j2, stakeWei: created.stake };
+      if (isJ1) {
+        recordGameActivity({ chainId, account: owner, address, type: GAME_ACTIVITY.CREATED, txHash: tx.hash, game, at });
+      } else {
+        recordGameActivity({ chainId, account: owner, address, type: GAME_ACTIVITY.DISCOVERED, role: "j2", game, at });
+      }
+      games.add(address.toLowerCase());
+      found.push({ address, role: isJ1 ? "j1" : "j2", j1: game.j1, j2: game.j2, blockNumber: block.number, txHash: tx.hash });
+    }
+  };
+
+  const handleCall = async (tx, block) => {
+    const call = gameInterface.parseTransaction({ data: tx.data, value: tx.value });
+    const type = call && CALL_ACTIVITY[call.name];
+    if (!type) return;
+
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (!receipt || receipt.status !== 1) return;
+
+    recordGameActivity({
+      chainId,
+      account: owner,
+      address: tx.to,
+      type,
+      txHash: tx.hash,
+      role: call.name === "play" || call.name === "j1Timeout" ? "j2" : "j1",
+      at: new Date(block.timestamp * 1000).toISOString()
+    });
+  };
+
+  // Unknown game: only an open challenge has no other trace of the account
+  const handleAcceptedChallenge = async (tx, block) => {
+    const call = gameInterface.parseTransaction({ data: tx.data, value: tx.value });
+    if (call?.name !== "play") return;
+
+    const receipt = await provider.getTransactionReceipt(tx.hash);
+    if (!receipt || receipt.status !== 1) return;
+    const check = await verifyGameContract(provider, tx.to);
+    if (!check.ok || check.version !== GAME_VERSIONS.V2) return;
+    const game = new RpsGame(tx.to, provider, { version: GAME_VERSIONS.V2 });
+    if ((await game.getInvitedOpponent()) !== ethers.ZeroAddress) return;
+
+    const state = await game.getState();
+    if (state.j2 !== owner) return;
+    const address = game.address;
+    recordGameActivity({
+      chainId,
+      account: owner,
+      address,
+      type: GAME_ACTIVITY.JOINED,
+      txHash: tx.hash,
+      role: "j2",
+      game: { j1: state.j1, j2: owner, stakeWei: tx.value },
+      at: new Date(block.timestamp * 1000).toISOString()
+    });
+    games.add(address.toLowerCase());
+    found.push({ address, role: "j2", j1: state.j1, j2: owner, blockNumber: block.number, txHash: tx.hash });
+  };
+
+  const scanBlock = async (block) => {
+    for (const tx of block.prefetchedTransactions) {
+      if (!tx.to) {
+        await handleCreation(tx, block);
+      } else if (factorySet.has(tx.to.toLowerCase())) {
+        await handleFactoryCall(tx, block);
+      } else if (ethers.getAddress(tx.from) !== owner) {
+        continue;
+      } else if (games.has(tx.to.toLowerCase())) {
+        await handleCall(tx, block);
+      } else {
+        await handleAcceptedChallenge(tx, block);
+      }
+    }
+  };
+
+  let next = start;
+  while (next <= end) {
+    if (signal?.aborted) break;
+
+    const batchEnd = Math.min(next + concurrency - 1, end);
+    const numbers = [];
+    for (let n = next; n <= batchEnd; n++) numbers.push(n);
+
+    const blocks = await Promise.all(numbers.map((n) => provider.getBlock(n, true)));
+    // Creations come before calls to the new game: handle blocks in order
+    for (const [i, block] of blocks.entries()) {
+      if (!block) throw new Error(`Block ${numbers[i]} not available from this node`);
+      await scanBlock(block);
+    }
+
+    next = batchEnd + 1;
+    saveScanCheckpoint(chainId, owner, { nextBlock: next, found: (checkpoint?.found ?? 0) + found.length });
+    if (onProgress) onProgress({ block: batchEnd, fromBlock: start, toBlock: end, found: found.length });
+  }
+
+  return { fromBlock: start, toBlock: end, nextBlock: next, found, complete: next > end };
+}
@@ -0,0 +1,213 @@
+import { isOpenChallenge } from "./rpsGame.js";
+
+/**
+ * Game state machine for RPS.sol
+ *
+ *   CREATED ──deploy──▶ AWAITING_J2 ──play──▶ AWAITING_REVEAL ──solve──▶ SETTLED_WIN / SETTLED_LOSS / SETTLED_TIE
+ *                           │                        │
+ *                    TIMEOUT passes           TIMEOUT passes
+ *                           ▼                        ▼
+ *                     J2_TIMED_OUT             J1_TIMED_OUT ──j1Timeout──▶ SETTLED_LOSS
+ *                           │
+ *                       j2Timeout ──▶ RECLAIMED
+ *
+ * The contract does not check the time in play() or solve(), so Player 2 can
+ * still play in J2_TIMED_OUT and Player 1 can still reveal in J1_TIMED_OUT
+ * until the other side claims the timeout.
+ *
+ * Win / Loss are from Player 1's point of view. The contract keeps no
+ * record of how a game ended (stake is just set to 0), so without an
+ * outcome from history a finished game is SETTLED.
+ *
+ * An open challenge (RPSv2.sol, j2 unset) is AWAITING_J2 like any other
+ * game, except that every account but Player 1 may play.
+ */
+
+export const PHASES = Object.freeze({
+  CREATED: "created",
+  AWAITING_J2: "awaiting-j2",
+  J2_TIMED_OUT: "j2-timed-out",
+  AWAITING_REVEAL: "awaiting-reveal",
+  J1_TIMED_OUT: "j1-timed-out",
+  SETTLED_WIN: "settled-win",
+  SETTLED_LOSS: "settled-loss",
+  SETTLED_TIE: "settled-tie",
+  SETTLED: "settled",
+  RECLAIMED: "reclaimed"
+});
+
+export const PHASE_LABELS = Object.freeze({
+  [PHASES.CREATED]: "Created (not deployed yet)",
+  [PHASES.AWAITING_J2]: "Waiting for Player 2 to join",
+  [PHASES.J2_TIMED_OUT]: "Player 2 timed out - Player 1 can reclaim the stake",
+  [PHASES.AWAITING_REVEAL]: "Player 2 joined, waiting for Player 1 to reveal",
+  [PHASES.J1_TIMED_OUT]: "Player 1 timed out - Player 2 can claim the pot",
+  [PHASES.SETTLED_WIN]: "Settled - Player 1 won",
+  [PHASES.SETTLED_LOSS]: "Settled - Player 2 won",
+  [PHASES.SETTLED_TIE]: "Settled - Tie, stakes returned",
+  [PHASES.SETTLED]: "Game completed (stake withdrawn)",
+  [PHASES.RECLAIMED]: "Player 2 never played - Player 1 reclaimed the stake"
+});
+
+export const ROLES = Object.freeze({
+  J1: "j1",
+  J2: "j2",
+  SPECTATOR: "spectator"
+});
+
+export const ACTIONS = Object.freeze({
+  PLAY: "play",
+  SOLVE: "solve",
+  J1_TIMEOUT: "j1Timeout",
+  J2_TIMEOUT: "j2Timeout"
+});
+
+const TERMINAL_PHASES = [
+  PHASES.SETTLED_WIN,
+  PHASES.SETTLED_LOSS,
+  PHASES.SETTLED_TIE,
+  PHASES.SETTLED,
+  PHASES.RECLAIMED
+];
+
+/**
+ * Which phases allow each action, and for which role.
+ * The contract lets anyone call the timeouts (funds always go to the
+ * right player); the UI only offers them to the player they pay.
+ */
+const TRANSITIONS = {
+  [ACTIONS.PLAY]: { phases: [PHASES.AWAITING_J2, PHASES.J2_TIMED_OUT], role: ROLES.J2 },
+  [ACTIONS.SOLVE]: { phases: [PHASES.AWAITING_REVEAL, PHASES.J1_TIMED_OUT], role: ROLES.J1 },
+  [ACTIONS.J1_TIMEOUT]: { phases: [PHASES.J1_TIMED_OUT], role: ROLES.J2 },
+  [ACTIONS.J2_TIMEOUT]: { phases: [PHASES.J2_TIMED_OUT], role: ROLES.J1 }
+};
+
+const ROLE_NAMES = {
+  [ROLES.J1]: "Player 1",
+  [ROLES.J2]: "Player 2",
+  [ROLES.SPECTATOR]: "a spectator"
+};
+
+/**
+ * Role of an account in a game
+ * @param {object} state - GameState (see rpsGame.js)
+ * @param {string} [account]
+ */
+export function getRole(state, account) {
+  if (!state || !account) return ROLES.SPECTATOR;
+  const lower = account.toLowerCase();
+  if (state.j1 && state.j1.toLowerCase() === lower) return ROLES.J1;
+  if (state.j2 && state.j2.toLowerCase() === lower) return ROLES.J2;
+  return ROLES.SPECTATOR;
+}
+
+/**
+ * Derive the phase from on-chain state.
+ * RPS.sol times out strictly after lastAction + TIMEOUT (`now > lastAction + TIMEOUT`).
+ * @param {object|null} state - GameState, or null when the game is not deployed
+ * @param {object} [options]
+ * @param {number} [options.now] - Reference time in seconds (block timestamp when available)
+ * @param {object} [options.outcome] - Result of a finished game: { winner: "j1"|"j2"|"tie" }
+ * @returns {string} - One of PHASES
+ */
+export function derivePhase(state, { now = Math.floor(Date.now() / 1000), outcome = null } = {}) {
+  if (!state) return PHASES.CREATED;
+
+  const timedOut = now > state.lastAction + state.timeout;
+
+  // Every terminal path sets stake to 0 (so do games created with no stake)
+  if (state.stake === 0n) {
+    if (state.c2 === 0) return PHASES.RECLAIMED;
+    if (outcome?.winner === "j1") return PHASES.SETTLED_WIN;
+    if (outcome?.winner === "j2") return PHASES.SETTLED_LOSS;
+    if (outcome?.winner === "tie") return PHASES.SETTLED_TIE;
+    return PHASES.SETTLED;
+  }
+
+  if (state.c2 === 0) {
+    return timedOut ? PHASES.J2_TIMED_OUT : PHASES.AWAITING_J2;
+  }
+  return timedOut ? PHASES.J1_TIMED_OUT : PHASES.AWAITING_REVEAL;
+}
+
+export function isTerminalPhase(phase) {
+  return TERMINAL_PHASES.includes(phase);
+}
+
+/**
+ * Whether a role may take an action in a phase, and why not
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+export function checkAction(phase, role, action) {
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    return { allowed: false, reason: `Unknown action ${action}` };
+  }
+
+  if (transition.phases.includes(phase) && transition.role === role) {
+    return { allowed: true, reason: null };
+  }
+
+  if (phase === PHASES.CREATED) {
+    return { allowed: false, reason: "The game contract is not deployed yet." };
+  }
+  if (isTerminalPhase(phase)) {
+    return { allowed: false, reason: `The game is over: ${PHASE_LABELS[phase]}.` };
+  }
+  if (transition.role !== role) {
+    return {
+      allowed: false,
+      reason: `Only ${ROLE_NAMES[transition.role]} can call ${action}() - you are ${ROLE_NAMES[role]}.`
+    };
+  }
+
+  switch (action) {
+    case ACTIONS.PLAY:
+      return { allowed: false, reason: "Player 2 has already played." };
+    case ACTIONS.SOLVE:
+      return { allowed: false, reason: "Player 2 has not played yet - nothing to reveal against." };
+    case ACTIONS.J1_TIMEOUT:
+      return phase === PHASES.AWAITING_REVEAL
+        ? { allowed: false, reason: "Player 1 still has time to reveal." }
+        : { allowed: false, reason: "Player 2 has not played yet." };
+    case ACTIONS.J2_TIMEOUT:
+      return phase === PHASES.AWAITING_J2
+        ? { allowed: false, reason: "Player 2 still has time to play." }
+        : { allowed: false, reason: "Player 2 has already played." };
+    default:
+      return { allowed: false, reason: PHASE_LABELS[phase] };
+  }
+}
+
+/**
+ * Full view of a game for one account: phase, role and every action's availability
+ * @param {object|null} state - GameState
+ * @param {object} [options]
+ * @param {string} [options.account] - Connected account
+ * @param {number} [options.now] - Reference time in seconds
+ * @param {object} [options.outcome] - See derivePhase
+ */
+export function describeGame(state, { account, now, outcome } = {}) {
+  const phase = derivePhase(state, { now, outcome });
+  const role = getRole(state, account);
+  const openChallenge = state ? isOpenChallenge(state) : false;
+
+  const actions = {};
+  for (const action of Object.values(ACTIONS)) {
+    // Whoever accepts an open challenge becomes Player 2
+    const actingRole = action === ACTIONS.PLAY && openChallenge && account && role === ROLES.SPECTATOR ? ROLES.J2 : role;
+    actions[action] = checkAction(phase, actingRole, action);
+  }
+
+  return {
+    phase,
+    label: openChallenge ? "Open challenge - anyone but Player 1 can accept" : PHASE_LABELS[phase],
+    role,
+    openChallenge,
+    isJ1: role === ROLES.J1,
+    isJ2: role === ROLES.J2,
+    terminal: isTerminalPhase(phase),
+    timeoutAt: state ? state.lastAction + state.timeout : null,
+    actions
+  };
+}
@@ -0,0 +1,370 @@
+import { ethers } from "ethers";
+import { RpsGame } from "./rpsGame.js";
+import { derivePhase, getRole, PHASES, ROLES } from "./gameStateMachine.js";
+import { resolveOutcome, describeOutcome } from "./gameOutcome.js";
+import { getAverageBlockTime } from "./timeoutClock.js";
+
+/**
+ * Live watcher for the game contracts the app cares about.
+ *
+ * One "block" subscription for every tracked game: on each new block it
+ * re-reads only c2, stake and lastAction (see RpsGame.getProgress) and
+ * pushes the full state to listeners when one of them changed. It also
+ * raises notifications when the opponent plays, reveals or times out,
+ * worded for the connected account. The latest block is shared too, so
+ * timeout countdowns run on block time (see timeoutClock.js).
+ *
+ * Framework-free like RpsGame; React panels use it through useWatchedGame.
+ */
+
+const BLOCK_HISTORY = 10;
+
+export const GAME_EVENTS = Object.freeze({
+  PLAYED: "played",
+  SETTLED: "settled",
+  TIMED_OUT: "timed-out"
+});
+
+function shortAddress(address) {
+  return `${address.substring(0, 10)}...`;
+}
+
+export class GameWatcher {
+  /**
+   * @param {ethers.Provider} provider
+   */
+  constructor(provider) {
+    this.provider = provider;
+    this.account = null;
+    this.games = new Map();
+    this.notificationListeners = new Set();
+    this.blockListeners = new Set();
+    this.block = null;
+    this.recentBlocks = [];
+    this.listening = false;
+    this.subscription = Promise.resolve();
+    this.processing = false;
+    this.pendingBlock = null;
+    this.nextNotificationId = 1;
+    this.handleBlock = this.handleBlock.bind(this);
+  }
+
+  /**
+   * Account notifications are worded for (the connected wallet)
+   * @param {string|null} account
+   */
+  setAccount(account) {
+    this.account = account;
+  }
+
+  /**
+   * Start watching a game. Several callers can track the same game.
+   * @param {string} address
+   * @param {function(GameState, GameState|null): void} [onChange]
+   * @param {function(Error): void} [onError]
+   * @returns {function(): void} - Stops tracking for this caller
+   */
+  track(address, onChange, onError) {
+    const key = ethers.getAddress(address);
+    let entry = this.games.get(key);
+    if (!entry) {
+      entry = {
+        game: new RpsGame(key, this.provider),
+        state: null,
+        phase: null,
+        checkedBlock: null,
+        error: null,
+        subscribers: new Set()
+      };
+      this.games.set(key, entry);
+      this.load(entry);
+    }
+
+    const subscriber = { onChange, onError };
+    entry.subscribers.add(subscriber);
+    if (entry.state && onChange) onChange(entry.state, null);
+    if (entry.error && onError) onError(entry.error);
+    this.start();
+
+    return () => {
+      entry.subscribers.delete(subscriber);
+      if (entry.subscribers.size === 0) {
+        this.games.delete(key);
+      }
+      if (this.games.size === 0) {
+        this.stop();
+      }
+    };
+  }
+
+  /**
+   * Latest known state of a tracked game
+   * @param {string} address
+   * @returns {GameState|null}
+   */
+  getState(address) {
+    return this.games.get(ethers.getAddress(address))?.state ?? null;
+  }
+
+  /**
+   * Re-read a game now instead of waiting for the next block (e.g. after our own transaction)
+   * @param {string} address
+   */
+  async refresh(address) {
+    const entry = this.games.get(ethers.getAddress(address));
+    if (entry) {
+      await this.load(entry);
+    }
+  }
+
+  /**
+   * @param {function(object): void} listener - Receives { id, address, type, level, message, blockNumber }
+   * @returns {function(): void} - Unsubscribes
+   */
+  onNotification(listener) {
+    this.notificationListeners.add(listener);
+    return () => this.notificationListeners.delete(listener);
+  }
+
+  /**
+   * @param {function(object): void} listener - Receives getLatestBlock() on every new block
+   * @returns {function(): void} - Unsubscribes
+   */
+  onBlock(listener) {
+    this.blockListeners.add(listener);
+    if (this.block) listener(this.block);
+    return () => this.blockListeners.delete(listener);
+  }
+
+  /**
+   * Latest block seen: { number, timestamp, receivedAt (ms), averageBlockTime (s) }
+   * @returns {object|null}
+   */
+  getLatestBlock() {
+    return this.block;
+  }
+
+  // on() / off() are async: run them one at a time, as TxManager does, so a
+  // quick stop() then start() neither loses the listener nor leaks the old one
+  start() {
+    if (this.listening) return;
+    this.listening = true;
+    this.subscription = this.subscription
+      .then(() => this.provider.on("block", this.handleBlock))
+      .catch((error) => console.error("GameWatcher block error:", error));
+
+    // The block event only fires for blocks mined from now on
+    this.provider
+      .getBlock("latest")
+      .then((block) => {
+        if (block && !this.block) {
+          this.recordBlock(block);
+          this.emitBlock();
+        }
+      })
+      .catch((error) => console.error("GameWatcher block error:", error));
+  }
+
+  stop() {
+    if (!this.listening) return;
+    this.listening = false;
+    this.subscription = this.subscription
+      .then(() => this.provider.off("block", this.handleBlock))
+      .catch((error) => console.error("GameWatcher block error:", error));
+  }
+
+  /**
+   * Full read of a game (first load, after a failure, or on refresh)
+   */
+  async load(entry) {
+    try {
+      const code = await this.provider.getCode(entry.game.address);
+      if (code === "0x") {
+        throw new Error(`No contract deployed at ${entry.game.address}`);
+      }
+      const state = await entry.game.getState();
+      entry.error = null;
+      this.update(entry, state, null);
+    } catch (error) {
+      entry.error = error;
+      for (const { onError } of entry.subscribers) {
+        if (onError) onError(error);
+      }
+    }
+  }
+
+  async handleBlock(blockNumber) {
+    // Blocks can arrive faster than we read; only the latest one matters
+    if (this.processing) {
+      this.pendingBlock = blockNumber;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const block = await this.provider.getBlock(blockNumber);
+      if (block) {
+        this.recordBlock(block);
+      }
+
+      await Promise.all(
+        [...this.games.values()].map(async (entry) => {
+          if (!entry.state) {
+            await this.load(entry);
+            return;
+          }
+          try {
+            const progress = await entry.game.getProgress(blockNumber);
+            const { state } = entry;
+            if (
+              progress.c2 !== state.c2 ||
+              progress.stake !== state.stake ||
+              progress.lastAction !== state.lastAction
+            ) {
+              if (state.j2 === ethers.ZeroAddress) {
+                // An open challenge gets its Player 2 from the first play
+                this.update(entry, await entry.game.getState(blockNumber), blockNumber);
+              } else {
+                const balance = await this.provider.getBalance(entry.game.address, blockNumber);
+                this.update(entry, { ...state, ...progress, balance: BigInt(balance) }, blockNumber);
+              }
+            } else {
+              entry.checkedBlock = blockNumber;
+              this.checkTimeout(entry, blockNumber);
+            }
+          } catch (error) {
+            console.error("GameWatcher error:", error);
+          }
+        })
+      );
+      // After the game reads, so listeners never pair the new block with stale state
+      this.emitBlock();
+    } catch (error) {
+      console.error("GameWatcher block error:", error);
+    } finally {
+      this.processing = false;
+    }
+
+    if (this.pendingBlock !== null) {
+      const next = this.pendingBlock;
+      this.pendingBlock = null;
+      await this.handleBlock(next);
+    }
+  }
+
+  recordBlock(block) {
+    if (this.block && block.number <= this.block.number) return;
+
+    this.recentBlocks = [...this.recentBlocks, { number: block.number, timestamp: block.timestamp }].slice(
+      -BLOCK_HISTORY
+    );
+    this.block = {
+      number: block.number,
+      timestamp: block.timestamp,
+      receivedAt: Date.now(),
+      averageBlockTime: getAverageBlockTime(this.recentBlocks)
+    };
+  }
+
+  emitBlock() {
+    if (!this.block) return;
+    for (const listener of this.blockListeners) {
+      listener(this.block);
+    }
+  }
+
+  /**
+   * @param {number|null} blockNumber - Block the state was read at (null: latest, unknown number)
+   */
+  update(entry, state, blockNumber) {
+    const previous = entry.state;
+    const previousBlock = entry.checkedBlock;
+    entry.state = state;
+    entry.checkedBlock = blockNumber;
+
+    if (previous) {
+      if (previous.c2 === 0 && state.c2 !== 0) {
+        const joined = previous.j2 === ethers.ZeroAddress
+          ? `${shortAddress(state.j2)} accepted your open challenge ${shortAddress(state.address)}`
+          : `Player 2 joined ${shortAddress(state.address)}`;
+        this.notifyRole(entry, ROLES.J1, GAME_EVENTS.PLAYED, "info", `${joined} - you can reveal your move now.`, blockNumber);
+      }
+      if (previous.stake > 0n && state.stake === 0n) {
+        this.notifySettled(entry, previousBlock, blockNumber);
+      }
+    }
+
+    this.checkTimeout(entry, blockNumber, previous === null);
+
+    for (const { onChange } of entry.subscribers) {
+      if (onChange) onChange(state, previous);
+    }
+  }
+
+  /**
+   * Notify the player who can claim once the other side's deadline has passed
+   */
+  checkTimeout(entry, blockNumber, initial = false) {
+    if (!this.block) return;
+    const phase = derivePhase(entry.state, { now: this.block.timestamp });
+    const previousPhase = entry.phase;
+    entry.phase = phase;
+    // No notification for the phase a game already had when we started tracking it
+    if (phase === previousPhase || previousPhase === null || initial) return;
+
+    if (phase === PHASES.J2_TIMED_OUT) {
+      this.notifyRole(entry, ROLES.J1, GAME_EVENTS.TIMED_OUT, "warning",
+        `Player 2 did not play ${shortAddress(entry.state.address)} in time - you can reclaim your stake.`, blockNumber);
+    } else if (phase === PHASES.J1_TIMED_OUT) {
+      this.notifyRole(entry, ROLES.J2, GAME_EVENTS.TIMED_OUT, "warning",
+        `Player 1 did not reveal ${shortAddress(entry.state.address)} in time - you can claim the pot.`, blockNumber);
+    }
+  }
+
+  async notifySettled(entry, previousBlock, blockNumber) {
+    const { address } = entry.state;
+    let outcome = null;
+    try {
+      outcome = await resolveOutcome(this.provider, address, {
+        fromBlock: previousBlock ?? undefined,
+        toBlock: blockNumber ?? undefined
+      });
+    } catch (error) {
+      console.error("GameWatcher outcome error:", error);
+    }
+
+    const summary = outcome?.settled ? describeOutcome(outcome) : "Game completed.";
+    const level = outcome?.stuckWei > 0n ? "warning" : "success";
+    const message = `${shortAddress(address)}: ${summary}`;
+
+    // Tell the player who did not send the settling transaction
+    if (outcome?.via === "solve" || outcome?.via === "j2Timeout") {
+      this.notifyRole(entry, ROLES.J2, GAME_EVENTS.SETTLED, level, message, blockNumber);
+    } else if (outcome?.via === "j1Timeout") {
+      this.notifyRole(entry, ROLES.J1, GAME_EVENTS.SETTLED, level, message, blockNumber);
+    } else {
+      this.notifyRole(entry, null, GAME_EVENTS.SETTLED, level, message, blockNumber);
+    }
+  }
+
+  /**
+   * @param {string|null} role - Only notify if the account has this role (null: any player)
+   */
+  notifyRole(entry, role, type, level, message, blockNumber) {
+    const accountRole = getRole(entry.state, this.account);
+    if (accountRole === ROLES.SPECTATOR) return;
+    if (role && accountRole !== role) return;
+
+    const notification = {
+      id: this.nextNotificationId++,
+      address: entry.state.address,
+      type,
+      level,
+      message,
+      blockNumber
+    };
+    for (const listener of this.notificationListeners) {
+      listener(notification);
+    }
+  }
+}
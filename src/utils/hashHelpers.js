@@ -1,8 +1,12 @@
 import { ethers } from "ethers";
+import { computeCommitment, DEFAULT_COMMITMENT_SCHEME } from "./commitment.js";
 
 /**
  * Generate a cryptographically secure 256-bit salt
  * Returns a hex string (32 bytes = 256 bits)
+ * 
+ * For a salt that can be regenerated from the wallet instead of a saved
+ * file, see deriveSalt() in saltDerivation.js
  */
 export function generateSalt() {
   const randomBytes = ethers.randomBytes(32);
@@ -13,7 +17,8 @@ export function generateSalt() {
  * Create commitment hash matching RPS.sol's keccak256(uint8, uint256)
  * 
  * RPS.sol expects: keccak256(_c1, _salt)
- * Where _c1 is Move enum (uint8) and _salt is uint256
+ * Where _c1 is Move enum (uint8) and _salt is uint256.
+ * Solidity 0.4.26 packs these tightly (1 + 32 bytes) - see utils/commitment.js
  * 
  * IMPORTANT: Move values are 1-5 (not 0-4):
  * - Null = 0 (invalid)
@@ -25,33 +30,11 @@ export function generateSalt() {
  * 
  * @param {number} moveIndex - The move (1-5, NOT 0-4)
  * @param {string} saltHex - The 256-bit salt as hex string
+ * @param {string} [scheme] - Commitment scheme (defaults to RPS.sol's packed encoding)
  * @returns {string} - The keccak256 hash as hex string
  */
-export function createCommitment(moveIndex, saltHex) {
-  // Validate move is in valid range
-  if (moveIndex < 1 || moveIndex > 5) {
-    throw new Error("Move must be 1-5 (Rock, Paper, Scissors, Spock, Lizard)");
-  }
-
-  // Ensure salt is properly formatted
-  let salt = saltHex;
-  if (!salt.startsWith("0x")) {
-    salt = "0x" + salt;
-  }
-
-  // Convert salt hex to uint256 (remove 0x, pad to 64 chars if needed)
-  const saltClean = salt.slice(2).padStart(64, "0");
-  const saltBigInt = BigInt("0x" + saltClean);
-
-  // Encode as Solidity would: abi.encode(uint8, uint256)
-  // In Solidity 0.4.26, keccak256(a, b) does packed encoding
-  const abiCoder = ethers.AbiCoder.defaultAbiCoder();
-  const encoded = abiCoder.encode(
-    ["uint8", "uint256"],
-    [moveIndex, saltBigInt]
-  );
-
-  return ethers.keccak256(encoded);
+export function createCommitment(moveIndex, saltHex, scheme = DEFAULT_COMMITMENT_SCHEME) {
+  return computeCommitment(moveIndex, saltHex, { scheme });
 }
 
 /**
@@ -0,0 +1,93 @@
+import { ethers } from "ethers";
+import { recordGameActivity, GAME_ACTIVITY } from "./gameRegistry.js";
+
+/**
+ * Client for the indexer service (indexer/main.js).
+ *
+ * Optional: set VITE_INDEXER_URL to use it. Every caller keeps working
+ * from the chain alone when it is not configured or not reachable, and
+ * indexer answers are only trusted when they are for the wallet's chain.
+ */
+
+export function getIndexerUrl() {
+  return import.meta.env.VITE_INDEXER_URL || null;
+}
+
+async function request(path, chainId) {
+  const base = getIndexerUrl();
+  if (!base) return null;
+
+  const response = await fetch(base.replace(/\/$/, "") + path);
+  const body = await response.json();
+  if (response.status === 404) return null;
+  if (!response.ok) {
+    throw new Error(body.error || `Indexer error ${response.status}`);
+  }
+  if (body.chainId !== Number(chainId)) {
+    throw new Error(`The indexer follows chain ${body.chainId}, not chain ${chainId}`);
+  }
+  return body;
+}
+
+/**
+ * Indexed games of a player
+ * @returns {Promise<Array<object>|null>} - null when no indexer is configured
+ */
+export async function fetchPlayerGames(chainId, player) {
+  const body = await request(`/games?player=${ethers.getAddress(player)}&limit=500`, chainId);
+  return body ? body.games : null;
+}
+
+/**
+ * Indexed open challenges nobody accepted yet (RPSv2.sol games without a Player 2)
+ * @returns {Promise<Array<object>|null>} - null when no indexer is configured
+ */
+export async function fetchOpenChallenges(chainId) {
+  const body = await request("/games?open=true&limit=500", chainId);
+  return body ? body.games : null;
+}
+
+/**
+ * Indexed game with its transactions
+ * @returns {Promise<{ game: object, actions: Array<object> }|null>} - null when not indexed (or no indexer)
+ */
+export async function fetchGame(chainId, address) {
+  const body = await request(`/games/${ethers.getAddress(address)}`, chainId);
+  return body ? { game: body.game, actions: body.actions } : null;
+}
+
+/**
+ * Settlement transaction of a finished game, to skip resolveOutcome's block search
+ * @returns {Promise<string|null>}
+ */
+export async function fetchSettlementTx(chainId, address) {
+  const indexed = await fetchGame(chainId, address);
+  return indexed?.game.settlement?.txHash ?? null;
+}
+
+/**
+ * Add a player's indexed games to the local registry
+ * @returns {Promise<number>} - Number of games returned by the indexer
+ */
+export async function importIndexedGames(chainId, account) {
+  const games = await fetchPlayerGames(chainId, account);
+  if (!games) return 0;
+
+  const owner = ethers.getAddress(account);
+  for (const game of games) {
+    const common = { chainId, account: owner, address: game.address, game: { j1: game.j1, j2: game.j2, stakeWei: game.stake } };
+    const createdAt = new Date(game.created.timestamp * 1000).toISOString();
+    if (game.j1 === owner) {
+      recordGameActivity({ ...common, type: GAME_ACTIVITY.CREATED, txHash: game.created.txHash, at: createdAt });
+      if (game.settlement?.via === "solve") {
+        const revealedAt = new Date(game.settlement.timestamp * 1000).toISOString();
+        recordGameActivity({ ...common, type: GAME_ACTIVITY.REVEALED, txHash: game.settlement.txHash, at: revealedAt });
+      }
+    } else if (game.playTx) {
+      recordGameActivity({ ...common, type: GAME_ACTIVITY.JOINED, txHash: game.playTx, at: new Date(game.lastAction * 1000).toISOString() });
+    } else {
+      recordGameActivity({ ...common, type: GAME_ACTIVITY.DISCOVERED, role: "j2", at: createdAt });
+    }
+  }
+  return games.length;
+}
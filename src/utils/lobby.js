@@ -0,0 +1,105 @@
+import { ethers } from "ethers";
+import { RPS_V2_ABI } from "./contractABI.js";
+import { RpsGame, GAME_VERSIONS, isOpenChallenge } from "./rpsGame.js";
+import { verifyGameContract } from "./contractVerification.js";
+import { fetchOpenChallenges } from "./indexerClient.js";
+import { getLogsInChunks } from "./eventLogs.js";
+
+/**
+ * Lobby: open challenges (RPSv2.sol games deployed with j2 = address(0))
+ * that any account but their creator can accept.
+ *
+ * Candidates come from the indexer when one is configured, otherwise from
+ * RPSv2.sol's Created events with an empty j2 over recent blocks. Anyone
+ * can emit a look-alike event, so every candidate goes through
+ * verifyGameContract and is re-read on chain before it is listed.
+ */
+
+// About a week of 12s blocks, RPSv2.sol's MAX_TIMEOUT
+export const DEFAULT_LOBBY_BLOCKS = 50400;
+
+export const LOBBY_SOURCES = Object.freeze({
+  INDEXER: "indexer",
+  EVENTS: "events"
+});
+
+const v2Interface = new ethers.Interface(RPS_V2_ABI);
+const OPEN_CHALLENGE_TOPICS = [
+  v2Interface.getEvent("Created").topicHash,
+  null,
+  ethers.zeroPadValue(ethers.ZeroAddress, 32)
+];
+
+/**
+ * @typedef {object} OpenChallenge
+ * @property {string} address - Game contract
+ * @property {string} j1 - Player 1 (creator)
+ * @property {bigint} stake - Wei to send with play()
+ * @property {number} timeout - TIMEOUT in seconds
+ * @property {number} createdAt - Unix time of the deployment block
+ * @property {number} deadline - Player 1 can reclaim the stake after this (lastAction + TIMEOUT)
+ */
+
+/**
+ * Contracts that emitted an open-challenge Created event in a block range
+ * @param {ethers.Provider} provider
+ * @param {object} range
+ * @param {number} range.fromBlock
+ * @param {number} range.toBlock
+ * @returns {Promise<Map<string, number>>} - Address -> block number of the event
+ */
+export async function findChallengeEvents(provider, { fromBlock, toBlock }) {
+  const logs = await getLogsInChunks(provider, { topics: OPEN_CHALLENGE_TOPICS }, { fromBlock, toBlock });
+  return new Map(logs.map((log) => [ethers.getAddress(log.address), log.blockNumber]));
+}
+
+/**
+ * Open challenges that can be accepted now, newest first
+ * @param {ethers.Provider} provider
+ * @param {object} [options]
+ * @param {number} [options.blocks] - Blocks to search for events when there is no indexer
+ * @returns {Promise<{ challenges: OpenChallenge[], source: string }>} - source is one of LOBBY_SOURCES
+ */
+export async function loadOpenChallenges(provider, { blocks = DEFAULT_LOBBY_BLOCKS } = {}) {
+  const { chainId } = await provider.getNetwork();
+
+  // Address -> creation time; an unreachable indexer falls back to the events
+  let candidates = null;
+  let source = LOBBY_SOURCES.INDEXER;
+  const indexed = await fetchOpenChallenges(chainId).catch(() => null);
+  if (indexed) {
+    candidates = new Map(indexed.map((game) => [game.address, game.created.timestamp]));
+  } else {
+    source = LOBBY_SOURCES.EVENTS;
+    const toBlock = await provider.getBlockNumber();
+    const events = await findChallengeEvents(provider, { fromBlock: Math.max(0, toBlock - blocks), toBlock });
+    candidates = new Map(
+      await Promise.all(
+        [...events].map(async ([address, blockNumber]) => [address, (await provider.getBlock(blockNumber)).timestamp])
+      )
+    );
+  }
+
+  const challenges = await Promise.all(
+    [...candidates].map(async ([address, createdAt]) => {
+      const check = await verifyGameContract(provider, address);
+      if (!check.ok || check.version !== GAME_VERSIONS.V2) return null;
+
+      const state = await new RpsGame(address, provider, { version: GAME_VERSIONS.V2 }).getState();
+      if (!isOpenChallenge(state)) return null;
+      return {
+        address,
+        j1: state.j1,
+        stake: state.stake,
+        timeout: state.timeout,
+        createdAt,
+        deadline: state.lastAction + state.timeout
+      };
+    })
+  );
+
+  return {
+    challenges: challenges.filter(Boolean).sort((a, b) => b.createdAt - a.createdAt),
+    source
+  };
+}
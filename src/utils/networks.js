@@ -0,0 +1,139 @@
+import { ethers } from "ethers";
+
+/**
+ * Networks the app knows about.
+ *
+ * `allowed: false` networks are named and linked to their explorer but
+ * games cannot be created or joined there - mainnet is listed only so it
+ * is recognized and blocked. `maxStake` (ETH) caps the stake of a new
+ * game or a join; null means no cap. `local` chains are development
+ * nodes with unlocked accounts (see walletConnectors.js). `factory` is a
+ * GameFactory deployment games can be created through (see gameFactory.js).
+ * Chains missing from this list are treated as not allowed.
+ */
+export const NETWORKS = Object.freeze([
+  {
+    chainId: 1,
+    name: "Ethereum Mainnet",
+    rpcUrl: "https://ethereum-rpc.publicnode.com",
+    explorer: "https://etherscan.io",
+    allowed: false,
+    maxStake: "0"
+  },
+  {
+    chainId: 11155111,
+    name: "Sepolia",
+    rpcUrl: "https://ethereum-sepolia-rpc.publicnode.com",
+    explorer: "https://sepolia.etherscan.io",
+    allowed: true,
+    maxStake: "1",
+    factory: null
+  },
+  {
+    chainId: 1337,
+    name: "Ganache",
+    rpcUrl: "http://127.0.0.1:8545",
+    explorer: null,
+    allowed: true,
+    maxStake: null,
+    local: true,
+    factory: null
+  },
+  {
+    chainId: 31337,
+    name: "Hardhat",
+    rpcUrl: "http://127.0.0.1:8545",
+    explorer: null,
+    allowed: true,
+    maxStake: null,
+    local: true,
+    factory: null
+  }
+]);
+
+/**
+ * Registry entry of a chain
+ * @param {number|bigint} chainId
+ * @returns {object|null}
+ */
+export function getNetworkConfig(chainId) {
+  return NETWORKS.find((network) => network.chainId === Number(chainId)) ?? null;
+}
+
+export function getNetworkName(chainId) {
+  return getNetworkConfig(chainId)?.name ?? `Unknown network (${chainId})`;
+}
+
+export function isNetworkAllowed(chainId) {
+  return getNetworkConfig(chainId)?.allowed === true;
+}
+
+export function isLocalNetwork(chainId) {
+  return getNetworkConfig(chainId)?.local === true;
+}
+
+export function getAllowedNetworks() {
+  return NETWORKS.filter((network) => network.allowed);
+}
+
+/**
+ * Why a game cannot be created or joined with this stake on this chain
+ * @param {number|bigint} chainId
+ * @param {bigint} [stakeWei]
+ * @returns {string|null} - null when the chain and stake are fine
+ */
+export function checkNetworkForStake(chainId, stakeWei = 0n) {
+  const network = getNetworkConfig(chainId);
+  if (!network) {
+    return `Chain ${chainId} is not supported. Switch to ${getAllowedNetworks().map((n) => n.name).join(", ")}.`;
+  }
+  if (!network.allowed) {
+    return `Games are disabled on ${network.name}. Switch to a test network.`;
+  }
+  if (network.maxStake !== null && BigInt(stakeWei) > ethers.parseEther(network.maxStake)) {
+    return `The stake is capped at ${network.maxStake} ETH on ${network.name}.`;
+  }
+  return null;
+}
+
+/**
+ * Block explorer page of a transaction or address
+ * @returns {string|null} - null when the chain has no explorer
+ */
+export function getExplorerUrl(chainId, { tx, address }) {
+  const explorer = getNetworkConfig(chainId)?.explorer;
+  if (!explorer) return null;
+  return tx ? `${explorer}/tx/${tx}` : `${explorer}/address/${address}`;
+}
+
+/**
+ * Ask the wallet to switch chain, adding the chain first when the wallet does not know it
+ * @param {object} ethereum - EIP-1193 provider (window.ethereum)
+ * @param {number} chainId - Must be in NETWORKS
+ */
+export async function switchNetwork(ethereum, chainId) {
+  const network = getNetworkConfig(chainId);
+  if (!network) throw new Error(`Chain ${chainId} is not in the network registry`);
+  const hexChainId = ethers.toQuantity(network.chainId);
+
+  try {
+    await ethereum.request({ method: "wallet_switchEthereumChain", params: [{ chainId: hexChainId }] });
+  } catch (error) {
+    // 4902: unrecognized chain (some wallets wrap it in data.originalError)
+    const code = error.code ?? error.data?.originalError?.code;
+    if (code !== 4902) throw error;
+
+    await ethereum.request({
+      method: "wallet_addEthereumChain",
+      params: [
+        {
+          chainId: hexChainId,
+          chainName: network.name,
+          rpcUrls: [network.rpcUrl],
+          nativeCurrency: { name: "Ether", symbol: "ETH", decimals: 18 },
+          blockExplorerUrls: network.explorer ? [network.explorer] : undefined
+        }
+      ]
+    });
+  }
+}
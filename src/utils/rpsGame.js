@@ -0,0 +1,389 @@
+import { ethers } from "ethers";
+import { CONTRACT_ABI, CONTRACT_BYTECODE, RPS_V2_ABI, RPS_V2_BYTECODE } from "./contractABI.js";
+import { findLatestLog } from "./eventLogs.js";
+
+/**
+ * Headless client for one RPS game contract (ethers v6).
+ *
+ * Framework-free: takes any ethers runner - a Signer to send transactions,
+ * or a Provider for read-only use - so it works the same in the React
+ * panels, in scripts and against a local Hardhat/Ganache node.
+ *
+ * Transaction methods return the ethers ContractTransactionResponse; call
+ * `await tx.wait()` to wait for it to be mined.
+ *
+ * Two contract versions exist: RPS.sol (also behind GameFactory clones) and
+ * RPSv2.sol, which adds events, custom errors, a per-game TIMEOUT and
+ * withdraw(). Their getters and game functions share selectors, so a game
+ * of either version is read the same way; the version is detected once per
+ * instance (v2 answers VERSION()) and picks the ABI.
+ *
+ * An RPSv2.sol game deployed with j2 = ZeroAddress is an open challenge:
+ * whoever plays first with the matching stake becomes Player 2.
+ */
+
+export const GAME_VERSIONS = Object.freeze({
+  V1: 1,
+  V2: 2
+});
+
+// RPSv2.sol: MIN_TIMEOUT = 1 minutes, MAX_TIMEOUT = 7 days
+export const V2_TIMEOUT_RANGE = Object.freeze({ min: 60, max: 7 * 24 * 60 * 60 });
+
+export const GAME_ARTIFACTS = Object.freeze({
+  [GAME_VERSIONS.V1]: { abi: CONTRACT_ABI, bytecode: CONTRACT_BYTECODE },
+  [GAME_VERSIONS.V2]: { abi: RPS_V2_ABI, bytecode: RPS_V2_BYTECODE }
+});
+
+const versionInterface = new ethers.Interface(["function VERSION() view returns (uint256)"]);
+
+/**
+ * Which contract version a game is
+ * @param {ethers.Provider} provider
+ * @param {string} address
+ * @returns {Promise<number>} - One of GAME_VERSIONS
+ */
+export async function detectGameVersion(provider, address) {
+  const data = versionInterface.encodeFunctionData("VERSION");
+  try {
+    const [version] = versionInterface.decodeFunctionResult("VERSION", await provider.call({ to: address, data }));
+    return Number(version) === GAME_VERSIONS.V2 ? GAME_VERSIONS.V2 : GAME_VERSIONS.V1;
+  } catch (error) {
+    // RPS.sol has no VERSION() and no fallback: the call reverts
+    if (error.code === "CALL_EXCEPTION" || error.code === "BAD_DATA") return GAME_VERSIONS.V1;
+    throw error;
+  }
+}
+
+/**
+ * @typedef {object} GameState
+ * @property {string} address - Game contract address
+ * @property {string} j1 - Player 1 (creator)
+ * @property {string} j2 - Player 2 (ZeroAddress for an open challenge nobody accepted yet)
+ * @property {string} c1Hash - Player 1's commitment
+ * @property {number} c2 - Player 2's move (0 = not played yet)
+ * @property {bigint} stake - Stake per player in wei (0 once settled)
+ * @property {number} lastAction - Unix time of the last action (seconds)
+ * @property {number} timeout - Contract TIMEOUT in seconds
+ * @property {bigint} balance - ETH held by the contract in wei
+ * @property {number} version - One of GAME_VERSIONS
+ */
+
+export class RpsGame {
+  /**
+   * @param {string} address - Game contract address
+   * @param {ethers.ContractRunner} runner - Signer or Provider
+   * @param {object} [options]
+   * @param {number} [options.version] - One of GAME_VERSIONS; detected on first use when omitted
+   */
+  constructor(address, runner, { version = null } = {}) {
+    if (!ethers.isAddress(address)) {
+      throw new Error("Invalid game contract address");
+    }
+    this.address = ethers.getAddress(address);
+    this.runner = runner;
+    this.version = version;
+    this.contract = new ethers.Contract(this.address, GAME_ARTIFACTS[version ?? GAME_VERSIONS.V1].abi, runner);
+  }
+
+  /**
+   * Deploy a new game. Each game is its own RPS contract.
+   * @param {ethers.Signer} signer - Player 1
+   * @param {object} params
+   * @param {string} params.commitment - keccak256(move, salt), see commitment.js
+   * @param {string} params.j2 - Player 2's address
+   * @param {bigint} params.stake - Stake in wei
+   * @param {number} [params.version] - One of GAME_VERSIONS (default V1)
+   * @param {number} [params.timeout] - V2 only: seconds each player gets to respond
+   * @param {object} [overrides] - Extra transaction overrides (gasLimit...)
+   * @returns {Promise<{ game: RpsGame, tx: ethers.TransactionResponse }>} - Resolves once deployed
+   */
+  static async create(signer, params, overrides = {}) {
+    const tx = await RpsGame.deploy(signer, params, overrides);
+    const receipt = await tx.wait();
+
+    // Use the receipt: the address ethers predicts from the nonce can be
+    // wrong when the wallet picked the nonce itself
+    return { game: new RpsGame(receipt.contractAddress, signer, { version: params.version ?? GAME_VERSIONS.V1 }), tx };
+  }
+
+  /**
+   * Send the deployment without waiting for it (the game address is in the receipt)
+   * @param {ethers.Signer} signer
+   * @param {object} params - See create()
+   * @param {object} [overrides]
+   * @returns {Promise<ethers.TransactionResponse>}
+   */
+  static async deploy(signer, { commitment, j2, stake, version = GAME_VERSIONS.V1, timeout }, overrides = {}) {
+    const factory = new ethers.ContractFactory(GAME_ARTIFACTS[version].abi, GAME_ARTIFACTS[version].bytecode, signer);
+    const contract = await factory.deploy(...getConstructorArgs({ commitment, j2, version, timeout }), { ...overrides, value: stake });
+    return contract.deploymentTransaction();
+  }
+
+  /**
+   * Attach to an existing game, checking that there is a contract at the address
+   * @param {string} address
+   * @param {ethers.ContractRunner} runner
+   * @returns {Promise<RpsGame>}
+   */
+  static async load(address, runner) {
+    const game = new RpsGame(address, runner);
+    const provider = game.getProvider();
+    const code = await provider.getCode(game.address);
+    if (code === "0x") {
+      throw new Error(`No contract deployed at ${game.address}`);
+    }
+    await game.getVersion();
+    return game;
+  }
+
+  /**
+   * Same game with another runner (e.g. a signer after connecting)
+   * @param {ethers.ContractRunner} runner
+   */
+  connect(runner) {
+    return new RpsGame(this.address, runner, { version: this.version });
+  }
+
+  /**
+   * Contract version, detected on the first call
+   * @returns {Promise<number>} - One of GAME_VERSIONS
+   */
+  async getVersion() {
+    if (this.version === null) {
+      this.version = await detectGameVersion(this.getProvider(), this.address);
+      this.contract = new ethers.Contract(this.address, GAME_ARTIFACTS[this.version].abi, this.runner);
+    }
+    return this.version;
+  }
+
+  /**
+   * @returns {ethers.Provider}
+   */
+  getProvider() {
+    const provider = this.runner?.provider ?? this.runner;
+    if (!provider || typeof provider.getCode !== "function") {
+      throw new Error("RpsGame needs a provider (or a signer connected to one)");
+    }
+    return provider;
+  }
+
+  /**
+   * Read the full game state in one round of calls
+   * @param {ethers.BlockTag} [blockTag] - Read at a given block
+   * @returns {Promise<GameState>}
+   */
+  async getState(blockTag) {
+    const options = blockTag === undefined ? {} : { blockTag };
+    const version = await this.getVersion();
+    const [j1, j2, c1Hash, c2, stake, lastAction, timeout, balance] = await Promise.all([
+      this.contract.j1(options),
+      this.contract.j2(options),
+      this.contract.c1Hash(options),
+      this.contract.c2(options),
+      this.contract.stake(options),
+      this.contract.lastAction(options),
+      this.contract.TIMEOUT(options),
+      this.getProvider().getBalance(this.address, blockTag)
+    ]);
+
+    return {
+      address: this.address,
+      j1,
+      j2,
+      c1Hash,
+      c2: Number(c2),
+      stake: BigInt(stake),
+      lastAction: Number(lastAction),
+      timeout: Number(timeout),
+      balance: BigInt(balance),
+      version
+    };
+  }
+
+  /**
+   * Read only the fields that change during a game (cheaper than getState)
+   * @param {ethers.BlockTag} [blockTag]
+   * @returns {Promise<{ c2: number, stake: bigint, lastAction: number }>}
+   */
+  async getProgress(blockTag) {
+    const options = blockTag === undefined ? {} : { blockTag };
+    const [c2, stake, lastAction] = await Promise.all([
+      this.contract.c2(options),
+      this.contract.stake(options),
+      this.contract.lastAction(options)
+    ]);
+    return { c2: Number(c2), stake: BigInt(stake), lastAction: Number(lastAction) };
+  }
+
+  /**
+   * Player 2 plays a move, paying the stake
+   * @param {number} move - Contract move (1-5)
+   * @param {object} [overrides] - value defaults to the game's stake
+   */
+  async play(move, overrides = {}) {
+    await this.getVersion();
+    const value = overrides.value ?? (await this.contract.stake());
+    return this.contract.play(move, { ...overrides, value });
+  }
+
+  /**
+   * Player 1 reveals the committed move and salt
+   * @param {number} move - Contract move (1-5)
+   * @param {string|bigint} salt - uint256 salt (hex string or bigint)
+   * @param {object} [overrides]
+   */
+  async solve(move, salt, overrides = {}) {
+    await this.getVersion();
+    return this.contract.solve(move, BigInt(salt), overrides);
+  }
+
+  /**
+   * Player 2 claims the pot after Player 1 failed to reveal in time
+   */
+  async j1Timeout(overrides = {}) {
+    await this.getVersion();
+    return this.contract.j1Timeout(overrides);
+  }
+
+  /**
+   * Player 1 reclaims the stake after Player 2 failed to play in time
+   */
+  async j2Timeout(overrides = {}) {
+    await this.getVersion();
+    return this.contract.j2Timeout(overrides);
+  }
+
+  /**
+   * Opponent named at deployment: ZeroAddress for an open challenge, even once
+   * someone accepted it (from RPSv2.sol's Created event; RPS.sol's j2 never changes)
+   * @returns {Promise<string>}
+   */
+  async getInvitedOpponent() {
+    if ((await this.getVersion()) !== GAME_VERSIONS.V2) return this.contract.j2();
+    // Emitted once, by the constructor: search back in chunks RPC endpoints accept
+    const topics = await this.contract.filters.Created().getTopicFilter();
+    const created = await findLatestLog(this.getProvider(), { address: this.address, topics });
+    return created ? this.contract.interface.parseLog(created).args.j2 : this.contract.j2();
+  }
+
+  /**
+   * Payout that could not be sent to an account and waits for withdraw()
+   * @param {string} account
+   * @returns {Promise<bigint>} - Always 0 for RPS.sol (its failed payouts stay stuck)
+   */
+  async getPendingWithdrawal(account) {
+    if ((await this.getVersion()) !== GAME_VERSIONS.V2) return 0n;
+    return BigInt(await this.contract.pendingWithdrawals(account));
+  }
+
+  /**
+   * Collect the sender's pending payout (RPSv2.sol only)
+   */
+  async withdraw(overrides = {}) {
+    if ((await this.getVersion()) !== GAME_VERSIONS.V2) {
+      throw new Error("withdraw() needs an RPS v2 game");
+    }
+    return this.contract.withdraw(overrides);
+  }
+
+  /**
+   * Call `onChange(state, previous)` whenever the game state changes.
+   * Re-reads the state on every new block.
+   * @param {function(GameState, GameState|null): void} onChange
+   * @param {function(Error): void} [onError]
+   * @returns {function(): void} - Stops watching
+   */
+  watch(onChange, onError = (error) => console.error("RpsGame watch error:", error)) {
+    const provider = this.getProvider();
+    let previous = null;
+    let stopped = false;
+    let reading = false;
+
+    const refresh = async () => {
+      if (reading || stopped) return;
+      reading = true;
+      try {
+        const state = await this.getState();
+        if (!stopped && !isSameState(state, previous)) {
+          const last = previous;
+          previous = state;
+          onChange(state, last);
+        }
+      } catch (error) {
+        onError(error);
+      } finally {
+        reading = false;
+      }
+    };
+
+    // provider.on() subscribes asynchronously: an off() that runs before it
+    // settles finds nothing to remove, so detach once attached if already stopped
+    let attached = false;
+    Promise.resolve(provider.on("block", refresh))
+      .then(() => {
+        attached = true;
+        if (stopped) provider.off("block", refresh);
+      })
+      .catch(onError);
+    refresh();
+
+    return () => {
+      stopped = true;
+      if (attached) provider.off("block", refresh);
+    };
+  }
+}
+
+/**
+ * Constructor arguments of a game deployment, checked
+ * @param {object} params - See RpsGame.create()
+ * @returns {Array} - RPS.sol: [commitment, j2]; RPSv2.sol: [commitment, j2, timeout],
+ *   where j2 may be ZeroAddress for an open challenge
+ */
+export function getConstructorArgs({ commitment, j2, version = GAME_VERSIONS.V1, timeout }) {
+  if (!ethers.isHexString(commitment, 32)) {
+    throw new Error("Commitment must be a 32-byte hex string");
+  }
+  if (!ethers.isAddress(j2)) {
+    throw new Error("Invalid opponent address");
+  }
+  if (!GAME_ARTIFACTS[version]) {
+    throw new Error(`Unknown game contract version ${version}`);
+  }
+  if (version === GAME_VERSIONS.V1) {
+    if (j2 === ethers.ZeroAddress) throw new Error("Open challenges need an RPS v2 game");
+    return [commitment, j2];
+  }
+
+  if (!Number.isInteger(timeout) || timeout < V2_TIMEOUT_RANGE.min || timeout > V2_TIMEOUT_RANGE.max) {
+    throw new Error(`Timeout must be between ${V2_TIMEOUT_RANGE.min} and ${V2_TIMEOUT_RANGE.max} seconds`);
+  }
+  return [commitment, j2, timeout];
+}
+
+/**
+ * Is a game an open challenge that anyone but Player 1 can still accept?
+ * @param {GameState} state
+ */
+export function isOpenChallenge(state) {
+  return state.j2 === ethers.ZeroAddress && state.c2 === 0 && state.stake > 0n;
+}
+
+/**
+ * Compare two game states field by field
+ */
+export function isSameState(a, b) {
+  if (!a || !b) return a === b;
+  return (
+    a.address === b.address &&
+    a.j1 === b.j1 &&
+    a.j2 === b.j2 &&
+    a.c1Hash === b.c1Hash &&
+    a.c2 === b.c2 &&
+    a.stake === b.stake &&
+    a.lastAction === b.lastAction &&
+    a.timeout === b.timeout &&
+    a.balance === b.balance
+  );
+}
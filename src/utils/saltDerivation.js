@@ -0,0 +1,178 @@
+import { ethers } from "ethers";
+import { computeCommitment } from "./commitment.js";
+
+/**
+ * Deterministic salt derivation from a wallet signature.
+ *
+ * salt = keccak256(signature over (chain id, opponent, nonce, slot))
+ *
+ * The nonce is Player 1's account nonce when the salt is derived, which is
+ * normally the nonce of the deployment transaction. The game address is
+ * therefore getCreateAddress(j1, nonce), so recovery can find the nonce
+ * locally and needs just one signature to rebuild the salt. A GameFactory
+ * clone's address does not depend on j1's nonce; its createGame
+ * transaction gives the nonce instead (see findFactoryDeploymentNonce).
+ *
+ * This only works with wallets that sign deterministically (RFC 6979), which
+ * MetaMask, hardware wallets and ethers Wallets all do. The signature itself
+ * must stay secret: anyone holding it can open the commitment.
+ */
+
+/** Signature schemes a salt can be derived with */
+export const SALT_SIGNATURE_TYPES = Object.freeze({
+  EIP712: "eip712",
+  EIP191: "eip191"
+});
+
+/** Slot used by the app - bump it to derive an independent salt for the same nonce */
+export const DEFAULT_SALT_SLOT = 0;
+
+/** How many nonces below the deployment nonce recovery tries */
+export const DEFAULT_RECOVERY_WINDOW = 5;
+
+const SALT_TYPES = {
+  RPSLSSalt: [
+    { name: "opponent", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "slot", type: "uint256" }
+  ]
+};
+
+function getSaltDomain(chainId) {
+  return { name: "RPSLS Salt", version: "1", chainId: BigInt(chainId) };
+}
+
+/**
+ * Message signed for EIP-191 derivation
+ */
+export function getSaltSigningMessage({ chainId, opponent, nonce, slot = DEFAULT_SALT_SLOT }) {
+  return (
+    "RPSLS commitment salt v1\n\n" +
+    "Signing this derives the secret salt for a game. Never share this signature.\n\n" +
+    `Chain ID: ${chainId}\n` +
+    `Opponent: ${ethers.getAddress(opponent)}\n` +
+    `Nonce: ${nonce}\n` +
+    `Slot: ${slot}`
+  );
+}
+
+/**
+ * Derive a salt by signing (chain id, opponent, nonce, slot)
+ * @param {ethers.Signer} signer - Player 1's signer
+ * @param {object} params
+ * @param {number|bigint} params.chainId
+ * @param {string} params.opponent - Player 2's address
+ * @param {number} params.nonce - Player 1's account nonce for the deployment
+ * @param {number} [params.slot]
+ * @param {string} [params.signatureType] - One of SALT_SIGNATURE_TYPES
+ * @returns {Promise<string>} - 32-byte salt as hex string
+ */
+export async function deriveSalt(
+  signer,
+  { chainId, opponent, nonce, slot = DEFAULT_SALT_SLOT, signatureType = SALT_SIGNATURE_TYPES.EIP712 }
+) {
+  if (!ethers.isAddress(opponent)) {
+    throw new Error("A valid opponent address is needed to derive the salt");
+  }
+
+  let signature;
+  if (signatureType === SALT_SIGNATURE_TYPES.EIP712) {
+    signature = await signer.signTypedData(getSaltDomain(chainId), SALT_TYPES, {
+      opponent: ethers.getAddress(opponent),
+      nonce,
+      slot
+    });
+  } else if (signatureType === SALT_SIGNATURE_TYPES.EIP191) {
+    signature = await signer.signMessage(getSaltSigningMessage({ chainId, opponent, nonce, slot }));
+  } else {
+    throw new Error(`Unknown salt signature type: ${signatureType}`);
+  }
+
+  return ethers.keccak256(signature);
+}
+
+/**
+ * Find the account nonce whose contract creation produced a game address
+ * @param {string} j1 - Deployer address
+ * @param {string} gameAddress
+ * @param {number} transactionCount - Current nonce of j1 (upper bound)
+ * @returns {number|null}
+ */
+export function findDeploymentNonce(j1, gameAddress, transactionCount) {
+  const target = gameAddress.toLowerCase();
+  for (let nonce = transactionCount - 1; nonce >= 0; nonce--) {
+    if (ethers.getCreateAddress({ from: j1, nonce }).toLowerCase() === target) {
+      return nonce;
+    }
+  }
+  return null;
+}
+
+/**
+ * Rebuild the salt of a past game by re-signing from Player 1's wallet.
+ * Locates the deployment nonce from the game address, then tries that nonce
+ * and the few before it (the salt may have been derived before other
+ * transactions went out), checking every move 1-5 against c1Hash.
+ * Each nonce/signature-type pair costs one wallet signature prompt.
+ *
+ * @param {ethers.Signer} signer - Must be j1 of the game
+ * @param {object} params
+ * @param {number|bigint} params.chainId
+ * @param {string} params.gameAddress
+ * @param {string} params.j1
+ * @param {string} params.j2
+ * @param {string} params.c1Hash
+ * @param {number} params.transactionCount - Current nonce of j1
+ * @param {number} [params.deploymentNonce] - Nonce of the transaction that created the game, when
+ *   known (games created through a contract, e.g. GameFactory); found from the address otherwise
+ * @param {string[]} [params.signatureTypes] - Types to try, in order
+ * @param {number} [params.window] - Nonces to try below the starting nonce
+ * @param {function} [params.onProgress] - Called with { nonce, signatureType } before each prompt
+ * @returns {Promise<object|null>} - { move, salt, nonce, slot, signatureType } or null
+ */
+export async function recoverDerivedSalt(
+  signer,
+  {
+    chainId,
+    gameAddress,
+    j1,
+    j2,
+    c1Hash,
+    transactionCount,
+    deploymentNonce: knownNonce = null,
+    signatureTypes = [SALT_SIGNATURE_TYPES.EIP712, SALT_SIGNATURE_TYPES.EIP191],
+    window = DEFAULT_RECOVERY_WINDOW,
+    onProgress
+  }
+) {
+  const signerAddress = await signer.getAddress();
+  if (signerAddress.toLowerCase() !== j1.toLowerCase()) {
+    throw new Error("Only Player 1's wallet can recover this salt");
+  }
+
+  const deploymentNonce = knownNonce ?? findDeploymentNonce(j1, gameAddress, transactionCount);
+  // Deployed through an unknown contract: fall back to the most recent nonces
+  const start = deploymentNonce ?? transactionCount - 1;
+
+  for (let nonce = start; nonce >= Math.max(0, start - window); nonce--) {
+    for (const signatureType of signatureTypes) {
+      if (onProgress) onProgress({ nonce, signatureType, deploymentNonce });
+
+      const salt = await deriveSalt(signer, {
+        chainId,
+        opponent: j2,
+        nonce,
+        slot: DEFAULT_SALT_SLOT,
+        signatureType
+      });
+
+      for (let move = 1; move <= 5; move++) {
+        if (computeCommitment(move, salt).toLowerCase() === c1Hash.toLowerCase()) {
+          return { move, salt, nonce, slot: DEFAULT_SALT_SLOT, signatureType };
+        }
+      }
+    }
+  }
+
+  return null;
+}
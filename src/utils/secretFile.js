@@ -0,0 +1,295 @@
+import { ethers } from "ethers";
+import { COMMITMENT_SCHEMES, verifyCommitment } from "./commitment.js";
+
+/**
+ * Secret file format written by "Download Secret" and read by the reveal form.
+ *
+ * v2 (current):
+ * {
+ *   "format": "rpsls-secret",
+ *   "version": 2,
+ *   "game": { chainId, contractAddress, j1, j2, stakeWei },
+ *   "secret": { move, moveName, salt },
+ *   "commitment": "0x...",
+ *   "derivation": { ... } | null,
+ *   "createdAt": "ISO date",
+ *   "checksum": keccak256(canonical JSON of every other field)
+ * }
+ * contractAddress is null in files downloaded before deployment.
+ *
+ * v1 (legacy, no version field): { move, moveName, salt, commitment, createdAt }
+ * Files saved before the commitment engine hold the ABI-encoded commitment;
+ * they still parse, and diagnoseCommitment reports WRONG_ENCODING on reveal.
+ */
+
+export const SECRET_FILE_FORMAT = "rpsls-secret";
+export const SECRET_FILE_VERSION = 2;
+
+const MOVE_NAMES = ["Null", "Rock", "Paper", "Scissors", "Spock", "Lizard"];
+
+/**
+ * JSON.stringify with sorted keys so the checksum does not depend on key order
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return "[" + value.map(canonicalJson).join(",") + "]";
+  }
+  if (value && typeof value === "object") {
+    return (
+      "{" +
+      Object.keys(value)
+        .sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => JSON.stringify(key) + ":" + canonicalJson(value[key]))
+        .join(",") +
+      "}"
+    );
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Compute the checksum of a v2 secret file (checksum field excluded)
+ */
+export function computeSecretFileChecksum(file) {
+  const body = { ...file };
+  delete body.checksum;
+  return ethers.keccak256(ethers.toUtf8Bytes(canonicalJson(body)));
+}
+
+/**
+ * Build a v2 secret file
+ * @param {object} params
+ * @param {number} params.move - Contract move (1-5)
+ * @param {string} params.salt
+ * @param {string} params.commitment
+ * @param {number|bigint} params.chainId
+ * @param {string} params.j1
+ * @param {string} params.j2 - ZeroAddress for an open challenge
+ * @param {bigint|string} params.stakeWei
+ * @param {string} [params.contractAddress] - Omit before deployment
+ * @param {object} [params.derivation] - Wallet salt derivation parameters
+ * @returns {object}
+ */
+export function buildSecretFile({
+  move,
+  salt,
+  commitment,
+  chainId,
+  j1,
+  j2,
+  stakeWei,
+  contractAddress = null,
+  derivation = null
+}) {
+  const file = {
+    format: SECRET_FILE_FORMAT,
+    version: SECRET_FILE_VERSION,
+    game: {
+      chainId: Number(chainId),
+      contractAddress: contractAddress ? ethers.getAddress(contractAddress) : null,
+      j1: ethers.getAddress(j1),
+      j2: ethers.getAddress(j2),
+      stakeWei: BigInt(stakeWei).toString()
+    },
+    secret: {
+      move: Number(move),
+      moveName: MOVE_NAMES[move],
+      salt
+    },
+    commitment,
+    derivation,
+    createdAt: new Date().toISOString()
+  };
+  file.checksum = computeSecretFileChecksum(file);
+
+  const errors = validateSecretFile(file);
+  if (errors.length > 0) {
+    throw new Error(formatErrors(errors));
+  }
+  return file;
+}
+
+function checkAddress(errors, path, value, { optional = false } = {}) {
+  if (value === null || value === undefined) {
+    if (!optional) errors.push({ path, message: "is missing" });
+    return;
+  }
+  if (typeof value !== "string" || !ethers.isAddress(value)) {
+    errors.push({ path, message: `is not a valid address (${JSON.stringify(value)})` });
+  }
+}
+
+/**
+ * @param {string[]} [schemes] - Encodings the commitment may use. Default: packed only
+ */
+function checkMoveSaltCommitment(errors, prefix, move, salt, commitment, schemes = [COMMITMENT_SCHEMES.PACKED_LEGACY]) {
+  const before = errors.length;
+  if (!Number.isInteger(move) || move < 1 || move > 5) {
+    errors.push({ path: `${prefix}move`, message: `must be an integer 1-5, got ${JSON.stringify(move)}` });
+  }
+  if (typeof salt !== "string" || !/^(0x)?[0-9a-fA-F]{1,64}$/.test(salt)) {
+    errors.push({ path: `${prefix}salt`, message: "must be a hex string of up to 32 bytes" });
+  }
+  if (commitment === undefined || commitment === null) {
+    return;
+  }
+  if (!ethers.isHexString(commitment, 32)) {
+    errors.push({ path: "commitment", message: "must be a 32-byte hex string" });
+    return;
+  }
+  if (errors.length === before && !schemes.some((scheme) => verifyCommitment(commitment, move, salt, { scheme }))) {
+    errors.push({
+      path: "commitment",
+      message: "does not match keccak256(move, salt) - the move or salt was modified"
+    });
+  }
+}
+
+/**
+ * Validate a parsed secret file (any version)
+ * @param {object} file
+ * @returns {Array<{ path: string, message: string }>} - Empty when valid
+ */
+export function validateSecretFile(file) {
+  const errors = [];
+
+  if (!file || typeof file !== "object" || Array.isArray(file)) {
+    return [{ path: "(root)", message: "must be a JSON object" }];
+  }
+
+  // v1: today's files have no version field
+  if (file.version === undefined) {
+    checkMoveSaltCommitment(errors, "", Number(file.move), file.salt, file.commitment, [
+      COMMITMENT_SCHEMES.PACKED_LEGACY,
+      COMMITMENT_SCHEMES.ABI_ENCODED
+    ]);
+    if (file.contractAddress !== undefined) {
+      checkAddress(errors, "contractAddress", file.contractAddress, { optional: true });
+    }
+    return errors;
+  }
+
+  if (file.version !== SECRET_FILE_VERSION) {
+    return [{ path: "version", message: `unsupported version ${JSON.stringify(file.version)}` }];
+  }
+  if (file.format !== SECRET_FILE_FORMAT) {
+    errors.push({ path: "format", message: `must be "${SECRET_FILE_FORMAT}"` });
+  }
+
+  const game = file.game;
+  if (!game || typeof game !== "object") {
+    errors.push({ path: "game", message: "is missing" });
+  } else {
+    if (!Number.isInteger(game.chainId) || game.chainId <= 0) {
+      errors.push({ path: "game.chainId", message: "must be a positive integer" });
+    }
+    checkAddress(errors, "game.contractAddress", game.contractAddress, { optional: true });
+    checkAddress(errors, "game.j1", game.j1);
+    checkAddress(errors, "game.j2", game.j2);
+    if (typeof game.stakeWei !== "string" || !/^[0-9]+$/.test(game.stakeWei)) {
+      errors.push({ path: "game.stakeWei", message: "must be a decimal string of wei" });
+    }
+  }
+
+  const secret = file.secret;
+  if (!secret || typeof secret !== "object") {
+    errors.push({ path: "secret", message: "is missing" });
+  } else {
+    if (file.commitment === undefined) {
+      errors.push({ path: "commitment", message: "is missing" });
+    }
+    checkMoveSaltCommitment(errors, "secret.", secret.move, secret.salt, file.commitment);
+  }
+
+  if (typeof file.checksum !== "string") {
+    errors.push({ path: "checksum", message: "is missing" });
+  } else if (errors.length === 0 && computeSecretFileChecksum(file) !== file.checksum) {
+    errors.push({ path: "checksum", message: "does not match - the file was edited or corrupted" });
+  }
+
+  return errors;
+}
+
+function formatErrors(errors) {
+  return errors.map((error) => `${error.path} ${error.message}`).join("\n");
+}
+
+/**
+ * Parse and validate a secret file, normalizing v1 and v2 to one shape
+ * @param {string} text - File contents
+ * @returns {{ version: number, move: number, salt: string, commitment: string|null,
+ *   chainId: number|null, contractAddress: string|null, j1: string|null, j2: string|null,
+ *   stakeWei: bigint|null, derivation: object|null }}
+ */
+export function parseSecretFile(text) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error("Secret file is not valid JSON: " + error.message);
+  }
+
+  const errors = validateSecretFile(file);
+  if (errors.length > 0) {
+    throw new Error(formatErrors(errors));
+  }
+
+  if (file.version === undefined) {
+    return {
+      version: 1,
+      move: Number(file.move),
+      salt: file.salt,
+      commitment: file.commitment || null,
+      chainId: null,
+      contractAddress: file.contractAddress || null,
+      j1: null,
+      j2: null,
+      stakeWei: null,
+      derivation: file.derivation || null
+    };
+  }
+
+  return {
+    version: file.version,
+    move: file.secret.move,
+    salt: file.secret.salt,
+    commitment: file.commitment,
+    chainId: file.game.chainId,
+    contractAddress: file.game.contractAddress,
+    j1: file.game.j1,
+    j2: file.game.j2,
+    stakeWei: BigInt(file.game.stakeWei),
+    derivation: file.derivation || null
+  };
+}
+
+/**
+ * Compare a parsed secret file with the game it is about to reveal.
+ * Fields the file does not carry (v1 files) are skipped.
+ * @param {object} secret - Result of parseSecretFile
+ * @param {object} game - { chainId, contractAddress, j1, j2, c1Hash }
+ * @returns {string[]} - Human-readable mismatches, empty when the file belongs to the game
+ */
+export function checkSecretFileForGame(secret, game) {
+  const mismatches = [];
+  const same = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+  if (secret.chainId !== null && Number(game.chainId) !== secret.chainId) {
+    mismatches.push(`made for chain ${secret.chainId}, connected to chain ${game.chainId}`);
+  }
+  if (secret.contractAddress && !same(secret.contractAddress, game.contractAddress)) {
+    mismatches.push(`made for game ${secret.contractAddress}`);
+  }
+  if (secret.j1 && !same(secret.j1, game.j1)) {
+    mismatches.push(`Player 1 is ${secret.j1}, game's Player 1 is ${game.j1}`);
+  }
+  // An open challenge's file names no opponent (ZeroAddress)
+  if (secret.j2 && secret.j2 !== ethers.ZeroAddress && !same(secret.j2, game.j2)) {
+    mismatches.push(`Player 2 is ${secret.j2}, game's Player 2 is ${game.j2}`);
+  }
+  if (secret.commitment && !same(secret.commitment, game.c1Hash)) {
+    mismatches.push("commitment differs from the game's c1Hash");
+  }
+  return mismatches;
+}
@@ -0,0 +1,429 @@
+import { ethers } from "ethers";
+import { RpsGame } from "./rpsGame.js";
+
+/**
+ * Encrypted secret vault for Player 1's move and salt.
+ *
+ * Secrets are kept in IndexedDB, one record per game, keyed by chain id and
+ * game contract address. Before the game is deployed the address is unknown,
+ * so the record is keyed by its commitment and re-keyed by assignGameAddress().
+ *
+ * Only public metadata (chain id, address, commitment, timestamps) is stored in
+ * clear. The move and salt are AES-GCM encrypted with a key derived either from
+ * a passphrase (PBKDF2) or from a wallet signature over a fixed message.
+ * The key lives in memory only until lockVault() or a page reload.
+ */
+
+const DB_NAME = "rpsls-vault";
+const DB_VERSION = 1;
+const SECRETS_STORE = "secrets";
+const META_STORE = "meta";
+const META_KEY = "vault";
+
+const PBKDF2_ITERATIONS = 250000;
+const VERIFIER_TEXT = "rpsls-vault-v1";
+const LEGACY_MIGRATED_KEY = "rps_vault_migrated";
+
+/** Key derivation methods */
+export const VAULT_KEY_METHODS = Object.freeze({
+  PASSPHRASE: "passphrase",
+  WALLET: "wallet"
+});
+
+let sessionKey = null;
+let sessionMethod = null;
+
+// ---------------------------------------------------------------------------
+// IndexedDB helpers
+// ---------------------------------------------------------------------------
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    if (typeof indexedDB === "undefined") {
+      reject(new Error("IndexedDB is not available in this browser"));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SECRETS_STORE)) {
+        const store = db.createObjectStore(SECRETS_STORE, { keyPath: "id" });
+        store.createIndex("chainId", "chainId");
+      }
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE);
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+      tx.oncomplete = () => resolve(request?.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Crypto helpers
+// ---------------------------------------------------------------------------
+
+async function deriveAesKey(secretBytes, kdfSalt) {
+  const baseKey = await crypto.subtle.importKey("raw", secretBytes, "PBKDF2", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", salt: kdfSalt, iterations: PBKDF2_ITERATIONS, hash: "SHA-256" },
+    baseKey,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+async function encryptJson(key, value) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const plaintext = new TextEncoder().encode(JSON.stringify(value));
+  const ciphertext = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, key, plaintext);
+  return { iv: ethers.hexlify(iv), ciphertext: ethers.hexlify(new Uint8Array(ciphertext)) };
+}
+
+async function decryptJson(key, { iv, ciphertext }) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv: ethers.getBytes(iv) },
+    key,
+    ethers.getBytes(ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+/**
+ * Message signed to derive the wallet vault key.
+ * Must never change - a different message means a different key.
+ */
+export function getVaultSigningMessage(address) {
+  return (
+    "RPSLS secret vault\n\n" +
+    "Sign to unlock the encrypted move/salt vault on this device.\n" +
+    "This does not send a transaction or cost gas.\n\n" +
+    `Account: ${ethers.getAddress(address)}`
+  );
+}
+
+async function unlock(method, secretBytes, account) {
+  const meta = await withStore(META_STORE, "readonly", (store) => store.get(META_KEY));
+
+  if (meta && meta.method !== method) {
+    throw new Error(`This vault is protected by a ${meta.method}, not a ${method}`);
+  }
+
+  if (!meta) {
+    const kdfSalt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await deriveAesKey(secretBytes, kdfSalt);
+    const verifier = await encryptJson(key, VERIFIER_TEXT);
+    await withStore(META_STORE, "readwrite", (store) =>
+      store.put(
+        { method, account: account || null, kdfSalt: ethers.hexlify(kdfSalt), verifier, createdAt: Date.now() },
+        META_KEY
+      )
+    );
+    sessionKey = key;
+    sessionMethod = method;
+    return { created: true };
+  }
+
+  const key = await deriveAesKey(secretBytes, ethers.getBytes(meta.kdfSalt));
+  try {
+    if ((await decryptJson(key, meta.verifier)) !== VERIFIER_TEXT) throw new Error("verifier");
+  } catch {
+    throw new Error(
+      method === VAULT_KEY_METHODS.WALLET
+        ? `Wrong wallet: this vault was created by ${meta.account}`
+        : "Wrong passphrase"
+    );
+  }
+  sessionKey = key;
+  sessionMethod = method;
+  return { created: false };
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Unlock (or create) the vault with a passphrase
+ * @param {string} passphrase
+ */
+export async function unlockWithPassphrase(passphrase) {
+  if (!passphrase || passphrase.length < 8) {
+    throw new Error("Passphrase must be at least 8 characters");
+  }
+  return unlock(VAULT_KEY_METHODS.PASSPHRASE, new TextEncoder().encode(passphrase));
+}
+
+/**
+ * Unlock (or create) the vault with a key derived from a wallet signature
+ * @param {ethers.Signer} signer
+ */
+export async function unlockWithWallet(signer) {
+  const address = await signer.getAddress();
+  const signature = await signer.signMessage(getVaultSigningMessage(address));
+  return unlock(VAULT_KEY_METHODS.WALLET, ethers.getBytes(ethers.keccak256(signature)), address);
+}
+
+/** Forget the in-memory key */
+export function lockVault() {
+  sessionKey = null;
+  sessionMethod = null;
+}
+
+export function isVaultUnlocked() {
+  return sessionKey !== null;
+}
+
+/**
+ * Describe the vault without unlocking it
+ * @returns {Promise<{ exists: boolean, method: string|null, account: string|null, unlocked: boolean, unlockedWith: string|null }>}
+ */
+export async function getVaultInfo() {
+  const meta = await withStore(META_STORE, "readonly", (store) => store.get(META_KEY));
+  return {
+    exists: Boolean(meta),
+    method: meta?.method || null,
+    account: meta?.account || null,
+    unlocked: isVaultUnlocked(),
+    unlockedWith: sessionMethod
+  };
+}
+
+/**
+ * Build the record id for a game secret
+ * @param {number|bigint} chainId
+ * @param {string} [address] - Game contract address
+ * @param {string} [commitment] - Used while the game is not deployed yet
+ */
+export function getSecretId(chainId, address, commitment) {
+  if (address) return `${chainId}:${address.toLowerCase()}`;
+  if (commitment) return `${chainId}:pending:${commitment.toLowerCase()}`;
+  throw new Error("A secret needs a game address or a commitment");
+}
+
+function requireKey() {
+  if (!sessionKey) {
+    throw new Error("Secret vault is locked");
+  }
+  return sessionKey;
+}
+
+/**
+ * Encrypt and store a game secret
+ * @param {object} entry
+ * @param {number|bigint} entry.chainId
+ * @param {string} [entry.address] - Game contract address (omit before deployment)
+ * @param {string} entry.commitment
+ * @param {number} entry.move - Contract move (1-5)
+ * @param {string} entry.salt
+ * @param {object} [entry.metadata] - Extra clear-text fields (j2, stake...)
+ */
+export async function saveSecret({ chainId, address, commitment, move, salt, metadata = {} }) {
+  const key = requireKey();
+  const record = {
+    id: getSecretId(chainId, address, commitment),
+    chainId: Number(chainId),
+    address: address ? ethers.getAddress(address) : null,
+    commitment,
+    createdAt: Date.now(),
+    ...metadata,
+    encrypted: await encryptJson(key, { move: Number(move), salt })
+  };
+  await withStore(SECRETS_STORE, "readwrite", (store) => store.put(record));
+  return record.id;
+}
+
+/**
+ * Re-key a pending secret once its game contract is deployed
+ * @param {object} [metadata] - Clear-text fields known after deployment (j2, stake...)
+ */
+export async function assignGameAddress(chainId, commitment, address, metadata = {}) {
+  const pendingId = getSecretId(chainId, null, commitment);
+  const record = await withStore(SECRETS_STORE, "readonly", (store) => store.get(pendingId));
+  if (!record) {
+    throw new Error("No pending secret found for this commitment");
+  }
+  const updated = {
+    ...record,
+    ...metadata,
+    id: getSecretId(chainId, address),
+    address: ethers.getAddress(address),
+    deployedAt: Date.now()
+  };
+  await withStore(SECRETS_STORE, "readwrite", (store) => {
+    store.delete(pendingId);
+    return store.put(updated);
+  });
+  return updated.id;
+}
+
+/**
+ * Decrypt the secret of a game
+ * @returns {Promise<object|null>} - { move, salt, commitment, ... } or null if not found
+ */
+export async function loadSecret(chainId, address) {
+  const key = requireKey();
+  const record = await withStore(SECRETS_STORE, "readonly", (store) =>
+    store.get(getSecretId(chainId, address))
+  );
+  if (!record) return null;
+
+  const { encrypted, ...metadata } = record;
+  try {
+    return { ...metadata, ...(await decryptJson(key, encrypted)) };
+  } catch {
+    throw new Error("Could not decrypt this secret with the current vault key");
+  }
+}
+
+/**
+ * List stored secrets (metadata only, nothing is decrypted)
+ * @param {number|bigint} [chainId] - Only list secrets of this chain
+ */
+export async function listSecrets(chainId) {
+  const records = await withStore(SECRETS_STORE, "readonly", (store) =>
+    chainId === undefined ? store.getAll() : store.index("chainId").getAll(Number(chainId))
+  );
+  return (records || [])
+    .map((record) => {
+      const metadata = { ...record };
+      delete metadata.encrypted;
+      return metadata;
+    })
+    .sort((a, b) => b.createdAt - a.createdAt);
+}
+
+/**
+ * Delete a secret by id
+ */
+export async function deleteSecret(id) {
+  await withStore(SECRETS_STORE, "readwrite", (store) => store.delete(id));
+}
+
+/**
+ * Delete the secrets of settled games on a chain.
+ * A game counts as settled once its stake() is 0 - skipped for games recorded
+ * with a zero stake, since those cannot be told apart from unsettled ones.
+ * @param {ethers.Provider} provider
+ * @returns {Promise<string[]>} - Ids that were deleted
+ */
+export async function purgeSettledSecrets(provider) {
+  const { chainId } = await provider.getNetwork();
+  const deleted = [];
+  for (const record of await listSecrets(chainId)) {
+    if (!record.address || !record.stake || Number(record.stake) === 0) continue;
+    try {
+      const { stake } = await new RpsGame(record.address, provider).getState();
+      if (stake === 0n) {
+        await deleteSecret(record.id);
+        deleted.push(record.id);
+      }
+    } catch (error) {
+      console.warn("Could not check game", record.address, error);
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Move the legacy plaintext localStorage secrets into the vault.
+ * - `rps_games` entries keep their public fields but lose move and salt
+ * - `rps_secret` (last generated salt, no address) goes with its game, or
+ *   becomes a pending secret if no game was recorded for it
+ * Legacy entries carry no chain id: only games deployed on the current chain
+ * with the entry's commitment are imported. The others keep their plaintext
+ * until the vault is unlocked on their chain. Safe to run repeatedly.
+ * @param {ethers.Provider} provider
+ * @returns {Promise<number>} - Number of secrets imported
+ */
+export async function migrateLegacySecrets(provider) {
+  requireKey();
+  const { chainId } = await provider.getNetwork();
+  let imported = 0;
+
+  const games = JSON.parse(localStorage.getItem("rps_games") || "[]");
+  const migrated = new Set();
+  for (const game of games) {
+    if (!game.salt || !game.move || !game.contractAddress) continue;
+    // Entries from another chain have no code here (or code that is not their game)
+    try {
+      const state = await (await RpsGame.load(game.contractAddress, provider)).getState();
+      if (game.commitment && state.c1Hash.toLowerCase() !== game.commitment.toLowerCase()) continue;
+    } catch {
+      continue;
+    }
+    await saveSecret({
+      chainId,
+      address: game.contractAddress,
+      commitment: game.commitment,
+      move: game.move,
+      salt: game.salt,
+      metadata: { j2: game.j2, stake: game.stake, migrated: true }
+    });
+    migrated.add(game);
+    imported++;
+  }
+
+  let keepLegacySecret = false;
+  const legacySecret = localStorage.getItem("rps_secret");
+  if (legacySecret) {
+    const secret = JSON.parse(legacySecret);
+    const ownGame = games.find((g) => g.commitment && g.commitment === secret.commitment && g.contractAddress);
+    if (ownGame) {
+      keepLegacySecret = Boolean(ownGame.salt) && !migrated.has(ownGame);
+    } else if (secret.salt && secret.commitment) {
+      await saveSecret({
+        chainId,
+        commitment: secret.commitment,
+        move: secret.move,
+        salt: secret.salt,
+        metadata: { migrated: true }
+      });
+      imported++;
+    }
+  }
+
+  // Strip the plaintext secrets only after they were written
+  localStorage.setItem(
+    "rps_games",
+    JSON.stringify(
+      games.map((game) => {
+        if (!migrated.has(game)) return game;
+        const publicFields = { ...game };
+        delete publicFields.salt;
+        delete publicFields.move;
+        delete publicFields.moveName;
+        return publicFields;
+      })
+    )
+  );
+  if (!keepLegacySecret) localStorage.removeItem("rps_secret");
+  localStorage.setItem(LEGACY_MIGRATED_KEY, String(Date.now()));
+
+  return imported;
+}
+
+/**
+ * Whether plaintext legacy secrets are still sitting in localStorage
+ */
+export function hasLegacySecrets() {
+  if (localStorage.getItem("rps_secret")) return true;
+  const games = JSON.parse(localStorage.getItem("rps_games") || "[]");
+  return games.some((game) => game.salt);
+}
@@ -0,0 +1,70 @@
+/**
+ * Timeout countdown driven by block time.
+ *
+ * RPS.sol checks `now > lastAction + TIMEOUT`, where `now` is the timestamp
+ * of the block that includes the timeout call. The browser clock does not
+ * matter: a timeout only becomes claimable once a block with a late enough
+ * timestamp is mined, so the countdown is measured against the latest block
+ * and the wait is rounded up to whole blocks.
+ */
+
+export const DEFAULT_BLOCK_TIME = 12; // seconds, Ethereum mainnet / Sepolia
+
+/**
+ * Average spacing of recent blocks (they need not be consecutive)
+ * @param {Array<{ number: number, timestamp: number }>} blocks - Recent blocks, oldest first
+ * @returns {number} - Seconds (DEFAULT_BLOCK_TIME if unknown)
+ */
+export function getAverageBlockTime(blocks) {
+  if (!blocks || blocks.length < 2) return DEFAULT_BLOCK_TIME;
+  const first = blocks[0];
+  const last = blocks[blocks.length - 1];
+  const average = (last.timestamp - first.timestamp) / (last.number - first.number);
+  return average > 0 ? average : DEFAULT_BLOCK_TIME;
+}
+
+/**
+ * Where a game stands against its timeout
+ * @param {object} state - GameState
+ * @param {object} block - Latest block: { number, timestamp, receivedAt (ms), averageBlockTime }
+ * @param {number} [nowMs] - Wall clock, only used to count down between blocks
+ * @returns {{
+ *   deadline: number,        // last second that is still on time (block time)
+ *   claimable: boolean,      // the latest block is already past the deadline
+ *   chainRemaining: number,  // seconds of block time left until a block can be past the deadline
+ *   blocksNeeded: number,    // blocks until then (at the average block time)
+ *   expectedAt: number|null, // wall-clock ms when that block is expected
+ *   secondsLeft: number      // countdown to expectedAt, from nowMs
+ * }}
+ */
+export function getTimeoutStatus(state, block, nowMs = Date.now()) {
+  const deadline = state.lastAction + state.timeout;
+
+  if (!block) {
+    return { deadline, claimable: false, chainRemaining: null, blocksNeeded: null, expectedAt: null, secondsLeft: null };
+  }
+
+  const claimable = block.timestamp > deadline;
+  // The first block that counts has timestamp >= deadline + 1
+  const chainRemaining = Math.max(0, deadline + 1 - block.timestamp);
+  const averageBlockTime = block.averageBlockTime || DEFAULT_BLOCK_TIME;
+  const blocksNeeded = claimable ? 0 : Math.max(1, Math.ceil(chainRemaining / averageBlockTime));
+  const expectedAt = claimable ? null : block.receivedAt + blocksNeeded * averageBlockTime * 1000;
+  const secondsLeft = expectedAt === null ? 0 : Math.max(0, Math.ceil((expectedAt - nowMs) / 1000));
+
+  return { deadline, claimable, chainRemaining, blocksNeeded, expectedAt, secondsLeft };
+}
+
+/**
+ * "4m 05s", "1h 02m", "12s"
+ * @param {number} seconds
+ */
+export function formatDuration(seconds) {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = total % 60;
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, "0")}m`;
+  if (minutes > 0) return `${minutes}m ${String(secs).padStart(2, "0")}s`;
+  return `${secs}s`;
+}
@@ -0,0 +1,559 @@
+import { ethers } from "ethers";
+import { ACTIONS } from "./gameStateMachine.js";
+import { recordGameActivity, GAME_ACTIVITY } from "./gameRegistry.js";
+import { assignGameAddress } from "./secretVault.js";
+import { getCreatedGame } from "./gameFactory.js";
+
+/**
+ * Transaction lifecycle manager.
+ *
+ * Every game transaction goes through submit(): its hash, nonce and fees
+ * are saved to localStorage before anything waits on it, so a reload picks
+ * tracking back up. On each block, pending transactions are checked:
+ *  - mined: confirmed (or failed if reverted), confirmations counted up to
+ *    TARGET_CONFIRMATIONS, back to pending if the block is reorged away,
+ *  - nonce used by another transaction: replaced. A replacement sent from
+ *    the wallet's own speed-up / cancel is found by scanning the blocks
+ *    since the transaction was sent for the same sender and nonce,
+ *  - unknown to the node for DROP_AFTER_BLOCKS blocks: dropped.
+ * speedUp() and cancel() resend the same nonce with higher fees. Some
+ * wallets (MetaMask) pick the nonce themselves; use their own speed-up
+ * then, the replacement is still detected.
+ *
+ * Confirmed game transactions are recorded in the game registry here,
+ * not in the panels, so a transaction that confirms after the tab was
+ * closed still shows up in My Games.
+ *
+ * Several managers can share the page (the sandbox runs one per player):
+ * localStorage is the only copy of the records, every change reads it,
+ * edits the record and writes it back, and each manager follows only the
+ * transactions of its own account.
+ */
+
+const STORAGE_KEY = "rps_transactions";
+const TARGET_CONFIRMATIONS = 3;
+const DROP_AFTER_BLOCKS = 20;
+const MAX_REPLACEMENT_SCAN = 200; // blocks
+const MAX_FINISHED = 50; // finished transactions kept per account
+const FEE_BUMP_PERCENT = 125n; // nodes require at least +10% to replace
+
+export const TX_KINDS = Object.freeze({
+  CREATE: "create",
+  PLAY: ACTIONS.PLAY,
+  SOLVE: ACTIONS.SOLVE,
+  J1_TIMEOUT: ACTIONS.J1_TIMEOUT,
+  J2_TIMEOUT: ACTIONS.J2_TIMEOUT,
+  WITHDRAW: "withdraw", // RPSv2.sol: collect a payout that could not be sent
+  CANCEL: "cancel"
+});
+
+export const TX_STATUS = Object.freeze({
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  FAILED: "failed", // mined but reverted
+  REPLACED: "replaced", // nonce used by another transaction (speed-up or unrelated)
+  CANCELLED: "cancelled", // nonce used by a cancel transaction
+  DROPPED: "dropped"
+});
+
+const KIND_ACTIVITY = {
+  [TX_KINDS.CREATE]: { type: GAME_ACTIVITY.CREATED, role: "j1" },
+  [TX_KINDS.PLAY]: { type: GAME_ACTIVITY.JOINED, role: "j2" },
+  [TX_KINDS.SOLVE]: { type: GAME_ACTIVITY.REVEALED, role: "j1" },
+  [TX_KINDS.J1_TIMEOUT]: { type: GAME_ACTIVITY.TIMED_OUT, role: "j2" },
+  [TX_KINDS.J2_TIMEOUT]: { type: GAME_ACTIVITY.TIMED_OUT, role: "j1" }
+};
+
+function readRecords() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+function writeRecords(records) {
+  // Keep every tracked transaction, and the latest finished ones per account
+  const finishedCount = new Map();
+  const kept = [...records]
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .filter((record) => {
+      if (isTrackedRecord(record)) return true;
+      const key = `${record.chainId}:${record.from}`;
+      finishedCount.set(key, (finishedCount.get(key) ?? 0) + 1);
+      return finishedCount.get(key) <= MAX_FINISHED;
+    });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(kept.reverse()));
+}
+
+function toStored(value) {
+  return value === null || value === undefined ? null : value.toString();
+}
+
+function bump(value) {
+  return (BigInt(value) * FEE_BUMP_PERCENT + 99n) / 100n;
+}
+
+/**
+ * Is a transaction still being followed (not final, or not deep enough yet)?
+ */
+export function isTrackedRecord(record) {
+  return (
+    record.status === TX_STATUS.PENDING ||
+    (record.status === TX_STATUS.CONFIRMED && record.confirmations < TARGET_CONFIRMATIONS)
+  );
+}
+
+export class TxManager {
+  /**
+   * @param {ethers.Provider} provider
+   * @param {object} options
+   * @param {string} options.account - Only this account's transactions are followed
+   */
+  constructor(provider, { account }) {
+    this.provider = provider;
+    this.account = ethers.getAddress(account);
+    this.listeners = new Set();
+    this.listening = false;
+    this.subscription = Promise.resolve();
+    this.processing = false;
+    this.pendingBlock = null;
+    this.handleBlock = this.handleBlock.bind(this);
+  }
+
+  /**
+   * Transactions of an account on a chain, newest first
+   * @returns {Array<object>}
+   */
+  list(chainId, account) {
+    if (!account) return [];
+    const from = ethers.getAddress(account);
+    return readRecords()
+      .filter((record) => record.chainId === Number(chainId) && record.from === from)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  /**
+   * @param {string} hash
+   * @returns {object|null}
+   */
+  get(hash) {
+    return readRecords().find((record) => record.hash === hash) ?? null;
+  }
+
+  /**
+   * Transactions of this manager's account still being followed on a chain
+   * @returns {Array<object>}
+   */
+  listTracked(chainId) {
+    return readRecords().filter(
+      (record) => record.from === this.account && record.chainId === Number(chainId) && isTrackedRecord(record)
+    );
+  }
+
+  /**
+   * @param {function(): void} listener - Called after every change
+   * @returns {function(): void} - Unsubscribes
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * Resume tracking the transactions left pending by an earlier session
+   */
+  resume() {
+    if (readRecords().some((record) => record.from === this.account && isTrackedRecord(record))) {
+      this.start();
+      this.provider
+        .getBlockNumber()
+        .then(this.handleBlock)
+        .catch((error) => console.error("TxManager error:", error));
+    }
+  }
+
+  /**
+   * Send a transaction and start tracking it
+   * @param {function(): Promise<ethers.TransactionResponse>} send - e.g. () => game.play(move, overrides)
+   * @param {object} options
+   * @param {string} options.kind - One of TX_KINDS
+   * @param {string} [options.game] - Game contract address (not known yet for CREATE)
+   * @param {object} [options.meta] - Kept with the record: { game: { j1, j2, stakeWei }, commitment, secretMetadata }
+   * @returns {Promise<object>} - The stored record
+   */
+  async submit(send, { kind, game = null, meta = {} }) {
+    const tx = await send();
+    const sentBlock = await this.provider.getBlockNumber().catch(() => null);
+    const record = this.add(tx, { kind, game, meta, sentBlock });
+    console.log(`Transaction sent (${kind}):`, tx.hash);
+    return record;
+  }
+
+  add(tx, { kind, game, meta, sentBlock, replaces = null }) {
+    const record = {
+      hash: tx.hash,
+      chainId: Number(tx.chainId),
+      from: ethers.getAddress(tx.from),
+      nonce: tx.nonce,
+      to: tx.to ? ethers.getAddress(tx.to) : null,
+      data: tx.data,
+      value: toStored(tx.value),
+      gasLimit: toStored(tx.gasLimit),
+      gasPrice: toStored(tx.gasPrice),
+      maxFeePerGas: toStored(tx.maxFeePerGas),
+      maxPriorityFeePerGas: toStored(tx.maxPriorityFeePerGas),
+      kind,
+      game: game ? ethers.getAddress(game) : null,
+      meta,
+      status: TX_STATUS.PENDING,
+      confirmations: 0,
+      blockNumber: null,
+      contractAddress: null,
+      replaces,
+      replacedBy: null,
+      sentBlock,
+      missingSince: null,
+      error: null,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    this.save([...readRecords().filter((r) => r.hash !== record.hash), record]);
+    this.start();
+    return record;
+  }
+
+  /**
+   * Resolves with the receipt once the transaction, or a sped-up copy of it, is mined.
+   * Rejects if it reverted, was cancelled, dropped or replaced by something else.
+   * @param {string} hash
+   * @returns {Promise<ethers.TransactionReceipt>}
+   */
+  wait(hash) {
+    return new Promise((resolve, reject) => {
+      let done = false;
+      const finish = (settle, value) => {
+        if (done) return;
+        done = true;
+        unsubscribe();
+        settle(value);
+      };
+      const check = () => {
+        let record = this.get(hash);
+        // Follow speed-ups to the transaction that actually got mined
+        while (record?.replacedBy && [TX_STATUS.PENDING, TX_STATUS.REPLACED].includes(record.status)) {
+          const next = this.get(record.replacedBy);
+          if (!next || next.kind === TX_KINDS.CANCEL) break;
+          record = next;
+        }
+        if (!record) {
+          finish(reject, new Error(`Unknown transaction ${hash}`));
+        } else if (record.status === TX_STATUS.CONFIRMED) {
+          this.provider.getTransactionReceipt(record.hash).then(
+            (receipt) => (receipt ? finish(resolve, receipt) : null),
+            (error) => finish(reject, error)
+          );
+        } else if (record.status !== TX_STATUS.PENDING) {
+          finish(reject, new Error(record.error || `Transaction ${record.status}`));
+        }
+      };
+      const unsubscribe = this.onChange(check);
+      check();
+    });
+  }
+
+  /**
+   * Resend a pending transaction with the same nonce and higher fees
+   * @param {string} hash
+   * @param {ethers.Signer} signer - The original sender
+   * @returns {Promise<object>} - Record of the replacement
+   */
+  async speedUp(hash, signer) {
+    const record = this.requirePending(hash);
+    return this.replace(record, signer, {
+      to: record.to,
+      data: record.data,
+      value: BigInt(record.value ?? 0)
+    }, record.kind);
+  }
+
+  /**
+   * Replace a pending transaction with an empty one to the sender, so it never executes
+   * @param {string} hash
+   * @param {ethers.Signer} signer - The original sender
+   * @returns {Promise<object>} - Record of the cancel transaction
+   */
+  async cancel(hash, signer) {
+    const record = this.requirePending(hash);
+    return this.replace(record, signer, { to: record.from, data: "0x", value: 0n, gasLimit: 21000n }, TX_KINDS.CANCEL);
+  }
+
+  requirePending(hash) {
+    const record = this.get(hash);
+    if (!record || record.status !== TX_STATUS.PENDING) {
+      throw new Error("Only pending transactions can be sped up or cancelled");
+    }
+    return record;
+  }
+
+  async replace(record, signer, request, kind) {
+    if (ethers.getAddress(await signer.getAddress()) !== record.from) {
+      throw new Error(`Switch to ${record.from} to replace this transaction`);
+    }
+
+    const feeData = await this.provider.getFeeData();
+    const fees = {};
+    if (record.maxFeePerGas !== null) {
+      const maxFee = bump(record.maxFeePerGas);
+      const priority = bump(record.maxPriorityFeePerGas ?? 0);
+      fees.maxFeePerGas = feeData.maxFeePerGas && feeData.maxFeePerGas > maxFee ? feeData.maxFeePerGas : maxFee;
+      fees.maxPriorityFeePerGas =
+        feeData.maxPriorityFeePerGas && feeData.maxPriorityFeePerGas > priority ? feeData.maxPriorityFeePerGas : priority;
+    } else {
+      const gasPrice = bump(record.gasPrice ?? feeData.gasPrice ?? 0);
+      fees.gasPrice = feeData.gasPrice && feeData.gasPrice > gasPrice ? feeData.gasPrice : gasPrice;
+    }
+
+    const tx = await signer.sendTransaction({
+      gasLimit: record.gasLimit ? BigInt(record.gasLimit) : undefined,
+      ...request,
+      ...fees,
+      nonce: record.nonce
+    });
+    if (tx.nonce !== record.nonce) {
+      // The wallet chose its own nonce: this is a second transaction, not a replacement
+      console.warn(`Wallet sent nonce ${tx.nonce} instead of ${record.nonce}`);
+    }
+
+    const replacement = this.add(tx, {
+      kind,
+      game: record.game,
+      meta: record.meta,
+      sentBlock: record.sentBlock,
+      replaces: record.hash
+    });
+    this.updateRecord(record.hash, { replacedBy: tx.hash });
+    return replacement;
+  }
+
+  /**
+   * Stop showing a finished transaction
+   */
+  remove(hash) {
+    this.save(readRecords().filter((record) => record.hash !== hash));
+  }
+
+  // ethers' on() / off() are async: an off() still running can drop the
+  // listener of a following on(), so subscription changes run one at a time
+  start() {
+    if (this.listening) return;
+    this.listening = true;
+    this.subscription = this.subscription
+      .then(() => this.provider.on("block", this.handleBlock))
+      .catch((error) => console.error("TxManager error:", error));
+  }
+
+  stop() {
+    if (!this.listening) return;
+    this.listening = false;
+    this.subscription = this.subscription
+      .then(() => this.provider.off("block", this.handleBlock))
+      .catch((error) => console.error("TxManager error:", error));
+  }
+
+  async handleBlock(blockNumber) {
+    if (this.processing) {
+      this.pendingBlock = blockNumber;
+      return;
+    }
+    this.processing = true;
+
+    try {
+      const { chainId } = await this.provider.getNetwork();
+      for (const record of this.listTracked(chainId)) {
+        try {
+          await this.checkRecord(this.get(record.hash), blockNumber);
+        } catch (error) {
+          console.error("TxManager error:", error);
+        }
+      }
+      if (this.listTracked(chainId).length === 0) this.stop();
+    } catch (error) {
+      console.error("TxManager error:", error);
+    } finally {
+      this.processing = false;
+    }
+
+    if (this.pendingBlock !== null) {
+      const next = this.pendingBlock;
+      this.pendingBlock = null;
+      await this.handleBlock(next);
+    }
+  }
+
+  async checkRecord(record, blockNumber) {
+    if (!record || !isTrackedRecord(record)) return;
+
+    const receipt = await this.provider.getTransactionReceipt(record.hash);
+    if (receipt) {
+      const confirmations = Math.max(1, blockNumber - receipt.blockNumber + 1);
+      if (record.status === TX_STATUS.PENDING) {
+        this.settleRecord(record, receipt, confirmations);
+      } else {
+        this.updateRecord(record.hash, { confirmations });
+      }
+      return;
+    }
+
+    if (record.status === TX_STATUS.CONFIRMED) {
+      // Its block was reorged away
+      this.updateRecord(record.hash, { status: TX_STATUS.PENDING, confirmations: 0, blockNumber: null });
+      return;
+    }
+
+    const nonce = await this.provider.getTransactionCount(record.from, blockNumber);
+    if (nonce > record.nonce) {
+      await this.findReplacement(record, blockNumber);
+      return;
+    }
+
+    const known = await this.provider.getTransaction(record.hash);
+    if (known) {
+      if (record.missingSince !== null) this.updateRecord(record.hash, { missingSince: null });
+    } else if (record.missingSince === null) {
+      this.updateRecord(record.hash, { missingSince: blockNumber });
+    } else if (blockNumber - record.missingSince >= DROP_AFTER_BLOCKS) {
+      this.updateRecord(record.hash, {
+        status: TX_STATUS.DROPPED,
+        error: "Transaction dropped: the node no longer knows it. Nothing was executed - send it again."
+      });
+    }
+  }
+
+  settleRecord(record, receipt, confirmations) {
+    const ok = receipt.status === 1;
+    this.updateRecord(record.hash, {
+      status: ok ? TX_STATUS.CONFIRMED : TX_STATUS.FAILED,
+      confirmations,
+      blockNumber: receipt.blockNumber,
+      // A game created through the GameFactory is announced in its GameCreated event
+      contractAddress:
+        receipt.contractAddress ?? (record.kind === TX_KINDS.CREATE && record.to ? getCreatedGame(receipt, record.to) : null),
+      error: ok ? null : "Transaction reverted"
+    });
+
+    // Other transactions with the same nonce can no longer be mined
+    for (const other of readRecords()) {
+      if (other.hash !== record.hash && other.from === record.from && other.nonce === record.nonce &&
+          other.chainId === record.chainId && other.status === TX_STATUS.PENDING) {
+        const cancelled = record.kind === TX_KINDS.CANCEL;
+        this.updateRecord(other.hash, {
+          status: cancelled ? TX_STATUS.CANCELLED : TX_STATUS.REPLACED,
+          replacedBy: record.hash,
+          error: cancelled ? "Transaction cancelled" : null
+        });
+      }
+    }
+
+    if (ok) this.recordActivity(this.get(record.hash));
+  }
+
+  /**
+   * The nonce was used but not by this hash: find which transaction used it
+   */
+  async findReplacement(record, blockNumber) {
+    const sibling = readRecords().find(
+      (other) => other.hash !== record.hash && other.from === record.from && other.nonce === record.nonce &&
+        other.chainId === record.chainId && other.status === TX_STATUS.PENDING
+    );
+    if (sibling) {
+      // Our own speed-up / cancel: its own check settles both
+      await this.checkRecord(sibling, blockNumber);
+      if (this.get(record.hash).status !== TX_STATUS.PENDING) return;
+    }
+
+    const from = Math.max(record.sentBlock ?? 0, blockNumber - MAX_REPLACEMENT_SCAN);
+    for (let n = blockNumber; n >= from; n--) {
+      const block = await this.provider.getBlock(n, true);
+      const tx = block?.prefetchedTransactions.find(
+        (candidate) => ethers.getAddress(candidate.from) === record.from && candidate.nonce === record.nonce
+      );
+      if (!tx) continue;
+      if (tx.hash === record.hash) {
+        // Mined between the receipt and nonce reads
+        await this.checkRecord(record, blockNumber);
+        return;
+      }
+
+      const isCancel = tx.to && ethers.getAddress(tx.to) === record.from && tx.data === "0x" && tx.value === 0n;
+      const isRepriced =
+        tx.to && record.to && ethers.getAddress(tx.to) === record.to && tx.data === record.data &&
+        tx.value.toString() === (record.value ?? "0");
+      if (isCancel || isRepriced) {
+        // Sped up or cancelled from the wallet: track the transaction that made it
+        this.add(tx, {
+          kind: isCancel ? TX_KINDS.CANCEL : record.kind,
+          game: record.game,
+          meta: record.meta,
+          sentBlock: record.sentBlock,
+          replaces: record.hash
+        });
+        this.updateRecord(record.hash, { replacedBy: tx.hash });
+        await this.checkRecord(this.get(tx.hash), blockNumber);
+        return;
+      }
+      this.updateRecord(record.hash, {
+        status: TX_STATUS.REPLACED,
+        replacedBy: tx.hash,
+        error: "Replaced by another transaction with the same nonce"
+      });
+      return;
+    }
+
+    this.updateRecord(record.hash, {
+      status: TX_STATUS.REPLACED,
+      error: "Replaced by another transaction with the same nonce"
+    });
+  }
+
+  /**
+   * Put a confirmed game transaction in the registry (and re-key the
+   * vault secret of a deployment that confirmed after a reload)
+   */
+  recordActivity(record) {
+    const activity = KIND_ACTIVITY[record.kind];
+    const address = record.kind === TX_KINDS.CREATE ? record.contractAddress : record.game;
+    if (!activity || !address) return;
+
+    const game = { ...record.meta.game };
+    if (record.kind === TX_KINDS.CREATE) game.j1 = record.from;
+    if (record.kind === TX_KINDS.CREATE || record.kind === TX_KINDS.PLAY) game.stakeWei = record.value;
+
+    recordGameActivity({
+      chainId: record.chainId,
+      account: record.from,
+      address,
+      type: activity.type,
+      txHash: record.hash,
+      role: activity.role,
+      game
+    });
+    if (record.kind === TX_KINDS.CREATE && record.meta.commitment) {
+      // Fails harmlessly when the creation panel already did it
+      assignGameAddress(record.chainId, record.meta.commitment, address, record.meta.secretMetadata ?? {}).catch(() => {});
+    }
+  }
+
+  updateRecord(hash, changes) {
+    this.save(
+      readRecords().map((record) => (record.hash === hash ? { ...record, ...changes, updatedAt: Date.now() } : record))
+    );
+  }
+
+  save(records) {
+    writeRecords(records);
+    for (const listener of this.listeners) {
+      listener();
+    }
+  }
+}
@@ -0,0 +1,284 @@
+import { ethers } from "ethers";
+import { GAME_FACTORY_ABI, RPS_V2_ABI } from "./contractABI.js";
+import { RpsGame, GAME_ARTIFACTS, GAME_VERSIONS } from "./rpsGame.js";
+import { verifyCommitment } from "./commitment.js";
+import { ACTIONS } from "./gameStateMachine.js";
+import { TX_KINDS } from "./txManager.js";
+
+/**
+ * Preflight for every contract call: simulate it with eth_call, estimate
+ * its gas and price it before the wallet prompt.
+ *
+ * RPS.sol (solc 0.4) uses require() without messages, so a failed
+ * simulation carries no reason. explainRevert() re-checks the contract's
+ * require() conditions, in the contract's order, against the game state
+ * to say which one failed. RPSv2.sol reverts with custom errors, which
+ * explainCustomError() decodes instead.
+ */
+
+const GAS_BUFFER_PERCENT = 120n;
+const MAX_MOVE = 5; // Move.Lizard; higher values hit an invalid opcode in 0.4
+
+export const REVERT_REASONS = Object.freeze({
+  INVALID_MOVE: "invalid-move",
+  ALREADY_PLAYED: "already-played",
+  NOT_PLAYED: "not-played",
+  STAKE_MISMATCH: "stake-mismatch",
+  WRONG_SENDER: "wrong-sender",
+  COMMITMENT_MISMATCH: "commitment-mismatch",
+  TIMEOUT_NOT_REACHED: "timeout-not-reached",
+  ALREADY_SETTLED: "already-settled",
+  INVALID_OPPONENT: "invalid-opponent",
+  INVALID_TIMEOUT: "invalid-timeout",
+  NOTHING_TO_WITHDRAW: "nothing-to-withdraw",
+  TRANSFER_FAILED: "transfer-failed",
+  INSUFFICIENT_FUNDS: "insufficient-funds",
+  UNKNOWN: "unknown"
+});
+
+const factoryInterface = new ethers.Interface(GAME_FACTORY_ABI);
+const v2Interface = new ethers.Interface(RPS_V2_ABI);
+
+function reason(code, message) {
+  return { code, message };
+}
+
+/**
+ * Which require() of RPS.sol a call fails, from the game state
+ * @param {string} kind - One of ACTIONS (play, solve, j1Timeout, j2Timeout)
+ * @param {GameState} state
+ * @param {object} call
+ * @param {string} call.from
+ * @param {Array} [call.args] - play: [move]; solve: [move, salt]
+ * @param {bigint} [call.value]
+ * @param {number} call.now - Block timestamp the call runs at
+ * @returns {{ code: string, message: string }|null} - null when every require() passes
+ */
+export function explainRevert(kind, state, { from, args = [], value = 0n, now }) {
+  const sender = ethers.getAddress(from);
+  const deadline = state.lastAction + state.timeout;
+  const waitFor = deadline - now + 1;
+
+  switch (kind) {
+    case ACTIONS.PLAY: {
+      const move = Number(args[0]);
+      if (state.c2 !== 0) return reason(REVERT_REASONS.ALREADY_PLAYED, "Player 2 has already played this game.");
+      if (move === 0) return reason(REVERT_REASONS.INVALID_MOVE, "No move selected.");
+      if (move > MAX_MOVE) return reason(REVERT_REASONS.INVALID_MOVE, `Move ${move} does not exist (1-5).`);
+      if (BigInt(value) !== state.stake) {
+        return reason(
+          REVERT_REASONS.STAKE_MISMATCH,
+          `The stake must be exactly ${ethers.formatEther(state.stake)} ETH (sending ${ethers.formatEther(value)} ETH).`
+        );
+      }
+      if (state.j2 === ethers.ZeroAddress) {
+        // Open challenge (RPSv2.sol): anyone but Player 1 takes the seat
+        if (sender === ethers.getAddress(state.j1)) {
+          return reason(REVERT_REASONS.INVALID_OPPONENT, "Player 1 cannot accept their own open challenge.");
+        }
+        return null;
+      }
+      if (sender !== ethers.getAddress(state.j2)) {
+        return reason(REVERT_REASONS.WRONG_SENDER, `Only Player 2 (${state.j2}) can play this game.`);
+      }
+      return null;
+    }
+    case ACTIONS.SOLVE: {
+      const move = Number(args[0]);
+      if (move === 0) return reason(REVERT_REASONS.INVALID_MOVE, "No move selected.");
+      if (move > MAX_MOVE) return reason(REVERT_REASONS.INVALID_MOVE, `Move ${move} does not exist (1-5).`);
+      if (state.c2 === 0) return reason(REVERT_REASONS.NOT_PLAYED, "Player 2 has not played yet - nothing to reveal against.");
+      if (sender !== ethers.getAddress(state.j1)) {
+        return reason(REVERT_REASONS.WRONG_SENDER, `Only Player 1 (${state.j1}) can reveal.`);
+      }
+      if (!verifyCommitment(state.c1Hash, move, args[1])) {
+        return reason(REVERT_REASONS.COMMITMENT_MISMATCH, "This move and salt do not match the game's commitment.");
+      }
+      return null;
+    }
+    case ACTIONS.J1_TIMEOUT:
+      if (state.c2 === 0) return reason(REVERT_REASONS.NOT_PLAYED, "Player 2 has not played - use j2Timeout instead.");
+      if (now <= deadline) {
+        return reason(REVERT_REASONS.TIMEOUT_NOT_REACHED, `Player 1 still has ${waitFor}s to reveal.`);
+      }
+      return null;
+    case ACTIONS.J2_TIMEOUT:
+      if (state.c2 !== 0) return reason(REVERT_REASONS.ALREADY_PLAYED, "Player 2 has already played - use j1Timeout instead.");
+      if (now <= deadline) {
+        return reason(REVERT_REASONS.TIMEOUT_NOT_REACHED, `Player 2 still has ${waitFor}s to play.`);
+      }
+      return null;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reason of an RPSv2.sol revert, from its custom error
+ * @param {string} data - Revert data of the failed call
+ * @param {GameState|null} [state] - Names the players in the messages when given
+ * @returns {{ code: string, message: string }|null} - null when the data is not one of RPSv2.sol's errors
+ */
+export function explainCustomError(data, state = null) {
+  let error = null;
+  try {
+    error = v2Interface.parseError(data);
+  } catch {
+    // Not a custom error
+  }
+  if (!error) return null;
+
+  const player = (key, label) => (state ? `${label} (${state[key]})` : label);
+  switch (error.name) {
+    case "InvalidMove":
+      return reason(REVERT_REASONS.INVALID_MOVE, "No move selected.");
+    case "InvalidOpponent":
+      return reason(REVERT_REASONS.INVALID_OPPONENT, "Player 2 must be another account than Player 1.");
+    case "InvalidTimeout":
+      return reason(
+        REVERT_REASONS.INVALID_TIMEOUT,
+        `The timeout must be between ${error.args.min} and ${error.args.max} seconds.`
+      );
+    case "NoStake":
+      return reason(REVERT_REASONS.STAKE_MISMATCH, "The stake must be more than 0 ETH.");
+    case "AlreadyPlayed":
+      return reason(REVERT_REASONS.ALREADY_PLAYED, "Player 2 has already played this game.");
+    case "NotPlayed":
+      return reason(REVERT_REASONS.NOT_PLAYED, "Player 2 has not played yet.");
+    case "WrongStake":
+      return reason(REVERT_REASONS.STAKE_MISMATCH, `The stake must be exactly ${ethers.formatEther(error.args.expected)} ETH.`);
+    case "NotJ1":
+      return reason(REVERT_REASONS.WRONG_SENDER, `Only ${player("j1", "Player 1")} can reveal.`);
+    case "NotJ2":
+      return reason(REVERT_REASONS.WRONG_SENDER, `Only ${player("j2", "Player 2")} can play this game.`);
+    case "WrongCommitment":
+      return reason(REVERT_REASONS.COMMITMENT_MISMATCH, "This move and salt do not match the game's commitment.");
+    case "TimeoutNotReached":
+      return reason(
+        REVERT_REASONS.TIMEOUT_NOT_REACHED,
+        `The deadline (${new Date(Number(error.args.deadline) * 1000).toLocaleString()}, block time) has not passed yet.`
+      );
+    case "GameOver":
+      return reason(REVERT_REASONS.ALREADY_SETTLED, "This game is already settled.");
+    case "NothingToWithdraw":
+      return reason(REVERT_REASONS.NOTHING_TO_WITHDRAW, "This game holds no payout for you.");
+    case "TransferFailed":
+      return reason(REVERT_REASONS.TRANSFER_FAILED, "Your account rejected the ETH - withdraw from an account that can receive it.");
+    default:
+      return null;
+  }
+}
+
+/**
+ * Simulate, estimate and price a call
+ * @param {ethers.Provider} provider
+ * @param {object} params
+ * @param {string} params.kind - One of TX_KINDS (except CANCEL)
+ * @param {string} params.from - Sender
+ * @param {string} [params.game] - Game address (not for CREATE)
+ * @param {string} [params.factory] - CREATE through this GameFactory instead of a deployment
+ * @param {number} [params.version] - CREATE: one of GAME_VERSIONS (default V1)
+ * @param {Array} [params.args] - create: [commitment, j2] (+ timeout for V2); play: [move]; solve: [move, salt]
+ * @param {bigint} [params.value]
+ * @returns {Promise<{ ok: boolean, reason: object|null, gasEstimate: bigint|null, gasLimit: bigint|null,
+ *   feeWei: bigint|null, maxFeeWei: bigint|null, totalWei: bigint|null }>}
+ *   gasLimit is the estimate plus a 20% buffer; feeWei is the expected fee at the current
+ *   gas price, maxFeeWei the most the wallet can charge (gasLimit * maxFeePerGas)
+ */
+export async function preflight(provider, { kind, from, game, factory, version = GAME_VERSIONS.V1, args = [], value = 0n }) {
+  const sender = ethers.getAddress(from);
+  const result = { ok: false, reason: null, gasEstimate: null, gasLimit: null, feeWei: null, maxFeeWei: null, totalWei: null };
+
+  // stake is 0 after every terminal call, and repeating one still passes every require()
+  let state = null;
+  if (kind !== TX_KINDS.CREATE) {
+    state = await new RpsGame(game, provider).getState();
+    if (kind !== ACTIONS.PLAY && kind !== TX_KINDS.WITHDRAW && state.stake === 0n) {
+      result.reason = reason(
+        REVERT_REASONS.ALREADY_SETTLED,
+        "This game is already settled (or has no stake) - the call would pay nothing."
+      );
+      return result;
+    }
+  }
+
+  let request;
+  if (state) {
+    const gameInterface = new ethers.Interface(GAME_ARTIFACTS[state.version].abi);
+    request = { to: ethers.getAddress(game), data: gameInterface.encodeFunctionData(kind, args), value };
+  } else if (factory) {
+    request = { to: ethers.getAddress(factory), data: factoryInterface.encodeFunctionData("createGame", args), value };
+  } else {
+    const { abi, bytecode } = GAME_ARTIFACTS[version];
+    request = await new ethers.ContractFactory(abi, bytecode).getDeployTransaction(...args, { value });
+  }
+  const tx = { ...request, from: sender };
+
+  // Nodes fail the simulation itself when the value is not covered, with no clear error
+  const balance = await provider.getBalance(sender);
+  if (balance < BigInt(value)) {
+    result.reason = reason(
+      REVERT_REASONS.INSUFFICIENT_FUNDS,
+      `Your balance (${ethers.formatEther(balance)} ETH) does not cover the ${ethers.formatEther(value)} ETH stake.`
+    );
+    return result;
+  }
+
+  try {
+    await provider.call(tx);
+    result.gasEstimate = await provider.estimateGas(tx);
+  } catch (error) {
+    result.reason = await diagnoseFailure(provider, kind, state, { from: sender, args, value }, error);
+    return result;
+  }
+
+  result.gasLimit = (result.gasEstimate * GAS_BUFFER_PERCENT) / 100n;
+  const feeData = await provider.getFeeData();
+  const gasPrice = feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+  result.feeWei = result.gasEstimate * gasPrice;
+  result.maxFeeWei = result.gasLimit * (feeData.maxFeePerGas ?? gasPrice);
+  result.totalWei = BigInt(value) + result.feeWei;
+
+  if (balance < BigInt(value) + result.maxFeeWei) {
+    result.reason = reason(
+      REVERT_REASONS.INSUFFICIENT_FUNDS,
+      `Your balance (${ethers.formatEther(balance)} ETH) does not cover the stake plus up to ` +
+        `${ethers.formatEther(result.maxFeeWei)} ETH of gas.`
+    );
+    return result;
+  }
+
+  result.ok = true;
+  return result;
+}
+
+async function diagnoseFailure(provider, kind, state, call, error) {
+  if (error.code === "INSUFFICIENT_FUNDS") {
+    return reason(REVERT_REASONS.INSUFFICIENT_FUNDS, "Your balance does not cover this transaction.");
+  }
+  const custom = error.data ? explainCustomError(error.data, state) : null;
+  if (custom) return custom;
+  if (state) {
+    const { timestamp } = await provider.getBlock("latest");
+    const explained = explainRevert(kind, state, { ...call, now: timestamp });
+    if (explained) return explained;
+  }
+  return reason(REVERT_REASONS.UNKNOWN, "The contract rejected this call: " + (error.shortMessage || error.message));
+}
+
+/**
+ * Summary for the confirmation dialog before the wallet prompt
+ * @param {object} result - Return value of preflight()
+ * @param {bigint} [value] - ETH sent with the call
+ */
+export function describePreflight(result, value = 0n) {
+  if (!result.ok) return result.reason?.message ?? "The call would fail.";
+  const lines = [
+    `Estimated gas: ${result.gasEstimate} (limit ${result.gasLimit})`,
+    `Network fee: ~${ethers.formatEther(result.feeWei)} ETH (at most ${ethers.formatEther(result.maxFeeWei)} ETH)`
+  ];
+  if (BigInt(value) > 0n) {
+    lines.push(`Stake: ${ethers.formatEther(value)} ETH`, `Total: ~${ethers.formatEther(result.totalWei)} ETH`);
+  }
+  return lines.join("\n");
+}
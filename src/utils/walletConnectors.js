@@ -0,0 +1,354 @@
+import { ethers } from "ethers";
+import { getNetworkConfig, getNetworkName, isLocalNetwork } from "./networks.js";
+
+/**
+ * Wallet connectors: every way of signing in ends up as an EIP-1193
+ * provider (`request`, `on`, `removeListener`), so WalletSession and the
+ * ethers BrowserProvider it hands to the panels work the same for all of
+ * them.
+ *
+ * - injected: browser extensions found through EIP-6963 discovery
+ *   (window.ethereum when no wallet announces itself)
+ * - local-rpc: the unlocked accounts of a Hardhat/Ganache node
+ * - burner: a throwaway key kept in this browser, for local testing
+ *
+ * local-rpc and burner only connect to `local` chains of the network
+ * registry - the burner key is stored unencrypted.
+ *
+ * A connector is { id, type, name, icon, ethereum }.
+ */
+
+export const CONNECTOR_TYPES = Object.freeze({
+  INJECTED: "injected",
+  LOCAL_RPC: "local-rpc",
+  BURNER: "burner"
+});
+
+const CONNECTOR_KEY = "rps_wallet_connector";
+const BURNER_KEY_STORAGE = "rps_burner_key";
+const DISCOVERY_TIMEOUT = 300; // ms wallets get to announce themselves
+
+// EIP-1193 error codes
+const UNAUTHORIZED = 4100;
+const UNSUPPORTED_METHOD = 4200;
+
+function providerError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Injected wallets announced through EIP-6963
+ * @param {number} [timeout] - How long to collect announcements (ms)
+ * @returns {Promise<Array<object>>} - Connectors, window.ethereum alone when nothing announced
+ */
+export function discoverInjectedConnectors(timeout = DISCOVERY_TIMEOUT) {
+  return new Promise((resolve) => {
+    const found = new Map();
+    function handleAnnounce(event) {
+      const { info, provider } = event.detail;
+      if (!found.has(info.uuid)) {
+        found.set(info.uuid, {
+          id: `${CONNECTOR_TYPES.INJECTED}:${info.rdns}`,
+          type: CONNECTOR_TYPES.INJECTED,
+          name: info.name,
+          icon: info.icon,
+          ethereum: provider
+        });
+      }
+    }
+
+    window.addEventListener("eip6963:announceProvider", handleAnnounce);
+    window.dispatchEvent(new Event("eip6963:requestProvider"));
+
+    setTimeout(() => {
+      window.removeEventListener("eip6963:announceProvider", handleAnnounce);
+      const connectors = [...found.values()];
+      if (connectors.length === 0 && window.ethereum) {
+        connectors.push({
+          id: `${CONNECTOR_TYPES.INJECTED}:window.ethereum`,
+          type: CONNECTOR_TYPES.INJECTED,
+          name: window.ethereum.isMetaMask ? "MetaMask" : "Browser wallet",
+          icon: null,
+          ethereum: window.ethereum
+        });
+      }
+      resolve(connectors);
+    }, timeout);
+  });
+}
+
+/**
+ * EIP-1193 provider over a JSON-RPC node. Subclasses choose the accounts
+ * and may handle signing methods; everything else goes to the node.
+ */
+class RpcWalletProvider {
+  constructor(rpcUrl) {
+    this.rpcUrl = rpcUrl;
+    this.rpc = new ethers.JsonRpcProvider(rpcUrl, undefined, { staticNetwork: true });
+    this.listeners = new Map();
+    this.chainCheck = null;
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+    return this;
+  }
+
+  removeListener(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+    return this;
+  }
+
+  emit(event, ...args) {
+    for (const listener of this.listeners.get(event) ?? []) listener(...args);
+  }
+
+  /**
+   * Refuse nodes that are not development chains (checked once per connector)
+   */
+  checkChain() {
+    if (!this.chainCheck) {
+      this.chainCheck = this.rpc.send("eth_chainId", []).then((hexChainId) => {
+        const chainId = Number(hexChainId);
+        if (!isLocalNetwork(chainId)) {
+          throw new Error(`${this.rpcUrl} is on ${getNetworkName(chainId)} - this connector only runs on local dev chains`);
+        }
+        return chainId;
+      });
+      this.chainCheck.catch(() => {
+        this.chainCheck = null;
+      });
+    }
+    return this.chainCheck;
+  }
+
+  async request({ method, params = [] }) {
+    switch (method) {
+      case "eth_requestAccounts":
+      case "eth_accounts":
+        await this.checkChain();
+        return this.getAccounts();
+      case "wallet_switchEthereumChain":
+      case "wallet_addEthereumChain":
+        throw providerError(UNSUPPORTED_METHOD, `Restart the node at ${this.rpcUrl} to change chain`);
+      default: {
+        const handled = await this.handle(method, params);
+        return handled !== undefined ? handled : this.rpc.send(method, params);
+      }
+    }
+  }
+
+  async getAccounts() {
+    return [];
+  }
+
+  async handle() {
+    return undefined;
+  }
+}
+
+/**
+ * The node's own unlocked accounts; the node signs
+ */
+class DevAccountsProvider extends RpcWalletProvider {
+  constructor(rpcUrl) {
+    super(rpcUrl);
+    this.selected = null;
+  }
+
+  async listAccounts() {
+    return (await this.rpc.send("eth_accounts", [])).map((account) => ethers.getAddress(account));
+  }
+
+  // Selected account first, like an injected wallet
+  async getAccounts() {
+    const accounts = await this.listAccounts();
+    if (!accounts.includes(this.selected)) this.selected = accounts[0] ?? null;
+    return this.selected ? [this.selected, ...accounts.filter((account) => account !== this.selected)] : [];
+  }
+
+  // Ganache has no personal_sign (eth_sign on dev nodes applies the same
+  // message prefix) and only takes typed data as an object, not a JSON string
+  async handle(method, params) {
+    switch (method) {
+      case "personal_sign": {
+        const [message, from] = params;
+        return this.rpc.send("eth_sign", [from, message]);
+      }
+      case "eth_signTypedData_v4": {
+        const [from, payload] = params;
+        return this.rpc.send(method, [from, typeof payload === "string" ? JSON.parse(payload) : payload]);
+      }
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Act as another of the node's accounts (fires accountsChanged like a wallet)
+   * @param {string} account
+   */
+  selectAccount(account) {
+    this.selected = ethers.getAddress(account);
+    this.emit("accountsChanged", [this.selected]);
+  }
+}
+
+/**
+ * A key stored in this browser; signs locally, the node only relays
+ */
+class BurnerProvider extends RpcWalletProvider {
+  constructor(rpcUrl, privateKey) {
+    super(rpcUrl);
+    this.wallet = new ethers.Wallet(privateKey, this.rpc);
+  }
+
+  async getAccounts() {
+    return [this.wallet.address];
+  }
+
+  async handle(method, params) {
+    switch (method) {
+      case "eth_sendTransaction": {
+        const [request] = params;
+        this.checkFrom(request.from);
+        const tx = await this.wallet.sendTransaction({
+          to: request.to,
+          data: request.data,
+          value: request.value,
+          nonce: request.nonce !== undefined ? Number(request.nonce) : undefined,
+          gasLimit: request.gas ?? request.gasLimit,
+          gasPrice: request.gasPrice,
+          maxFeePerGas: request.maxFeePerGas,
+          maxPriorityFeePerGas: request.maxPriorityFeePerGas,
+          type: request.type !== undefined ? Number(request.type) : undefined
+        });
+        return tx.hash;
+      }
+      case "personal_sign": {
+        const [message, from] = params;
+        this.checkFrom(from);
+        return this.wallet.signMessage(ethers.isHexString(message) ? ethers.getBytes(message) : message);
+      }
+      case "eth_signTypedData_v4": {
+        const [from, payload] = params;
+        this.checkFrom(from);
+        const { domain, types, message } = typeof payload === "string" ? JSON.parse(payload) : payload;
+        // ethers derives the domain type itself
+        const messageTypes = { ...types };
+        delete messageTypes.EIP712Domain;
+        return this.wallet.signTypedData(domain, messageTypes, message);
+      }
+      case "eth_sign":
+      case "eth_signTransaction":
+        throw providerError(UNSUPPORTED_METHOD, `The burner wallet does not support ${method}`);
+      default:
+        return undefined;
+    }
+  }
+
+  checkFrom(from) {
+    if (from && ethers.getAddress(from) !== this.wallet.address) {
+      throw providerError(UNAUTHORIZED, `The burner wallet cannot sign for ${from}`);
+    }
+  }
+}
+
+/**
+ * Hardhat/Ganache unlocked accounts through JSON-RPC
+ * @param {string} [rpcUrl] - Defaults to the Ganache entry of the network registry
+ */
+export function createLocalRpcConnector(rpcUrl = getNetworkConfig(1337).rpcUrl) {
+  return {
+    id: `${CONNECTOR_TYPES.LOCAL_RPC}:${rpcUrl}`,
+    type: CONNECTOR_TYPES.LOCAL_RPC,
+    name: "Dev accounts (JSON-RPC)",
+    icon: null,
+    rpcUrl,
+    ethereum: new DevAccountsProvider(rpcUrl)
+  };
+}
+
+/**
+ * Throwaway wallet whose key stays in localStorage until cleared
+ * @param {string} [rpcUrl] - Defaults to the Ganache entry of the network registry
+ */
+export function createBurnerConnector(rpcUrl = getNetworkConfig(1337).rpcUrl) {
+  let privateKey = localStorage.getItem(BURNER_KEY_STORAGE);
+  if (!privateKey) {
+    privateKey = ethers.Wallet.createRandom().privateKey;
+    localStorage.setItem(BURNER_KEY_STORAGE, privateKey);
+  }
+  const ethereum = new BurnerProvider(rpcUrl, privateKey);
+
+  return {
+    id: `${CONNECTOR_TYPES.BURNER}:${rpcUrl}`,
+    type: CONNECTOR_TYPES.BURNER,
+    name: "Burner wallet",
+    icon: null,
+    rpcUrl,
+    ethereum,
+    /**
+     * Send ETH to the burner from the node's first unlocked account
+     * @param {bigint} amountWei
+     */
+    async fund(amountWei) {
+      await ethereum.checkChain();
+      const [faucet] = await ethereum.rpc.send("eth_accounts", []);
+      if (!faucet) throw new Error("The node has no unlocked account to fund the burner from");
+      const tx = await (await ethereum.rpc.getSigner(faucet)).sendTransaction({
+        to: ethereum.wallet.address,
+        value: amountWei
+      });
+      return tx.wait();
+    }
+  };
+}
+
+/**
+ * Forget the burner key (the next burner connector gets a new account)
+ */
+export function clearBurnerKey() {
+  localStorage.removeItem(BURNER_KEY_STORAGE);
+}
+
+/**
+ * Remember the connector to reconnect on the next visit
+ * @param {object|null} connector - null forgets it
+ */
+export function rememberConnector(connector) {
+  if (!connector) {
+    localStorage.removeItem(CONNECTOR_KEY);
+    return;
+  }
+  localStorage.setItem(CONNECTOR_KEY, JSON.stringify({ id: connector.id, type: connector.type, rpcUrl: connector.rpcUrl }));
+}
+
+/**
+ * Connector used last time, rebuilt from the injected wallets found now
+ * @param {Array<object>} injected - From discoverInjectedConnectors()
+ * @returns {object|null}
+ */
+export function restoreConnector(injected) {
+  let saved;
+  try {
+    saved = JSON.parse(localStorage.getItem(CONNECTOR_KEY));
+  } catch {
+    return null;
+  }
+  if (!saved) return null;
+
+  switch (saved.type) {
+    case CONNECTOR_TYPES.INJECTED:
+      return injected.find((connector) => connector.id === saved.id) ?? null;
+    case CONNECTOR_TYPES.LOCAL_RPC:
+      return createLocalRpcConnector(saved.rpcUrl);
+    case CONNECTOR_TYPES.BURNER:
+      return createBurnerConnector(saved.rpcUrl);
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,259 @@
+import { ethers } from "ethers";
+
+/**
+ * The connected wallet: provider, signer, account and chain.
+ *
+ * Account and chain changes from the wallet are applied in place - a new
+ * session (with a new provider, so panels re-read the account and their
+ * role) replaces the old one and the page keeps its forms. Panels with
+ * something that would be lost register a switch guard; when one objects,
+ * the switch is held and the app stays on the previous session until the
+ * user applies it (or switches the wallet back).
+ *
+ * Any EIP-1193 wallet works; walletConnectors.js supplies them.
+ * Framework-free like GameWatcher; React uses it through useWalletSession.
+ */
+
+/**
+ * BrowserProvider whose default signer is the session's account, not
+ * whichever account the wallet selected since
+ */
+class SessionProvider extends ethers.BrowserProvider {
+  constructor(ethereum, account) {
+    super(ethereum);
+    this.account = account;
+  }
+
+  getSigner(address = this.account) {
+    return super.getSigner(address);
+  }
+}
+
+export class WalletSession {
+  /**
+   * @param {object} [options]
+   * @param {function(string[], object): boolean} [options.confirmSwitch] - Asked with the guard
+   *   warnings and the wallet's new { account, chainId }; false holds the switch
+   */
+  constructor({ confirmSwitch = () => true } = {}) {
+    this.connector = null;
+    this.ethereum = null;
+    this.confirmSwitch = confirmSwitch;
+    this.session = null;
+    this.pendingSwitch = null;
+    this.listeners = new Set();
+    this.guards = new Set();
+    this.listening = false;
+    this.switching = Promise.resolve();
+    this.handleAccountsChanged = this.handleAccountsChanged.bind(this);
+    this.handleChainChanged = this.handleChainChanged.bind(this);
+  }
+
+  /**
+   * @returns {{ provider: ethers.BrowserProvider, signer: ethers.Signer, account: string, chainId: number,
+   *   connector: object, id: number }|null}
+   */
+  getSession() {
+    return this.session;
+  }
+
+  /**
+   * Wallet change held back by a switch guard
+   * @returns {{ account: string|null, chainId: number, warnings: string[] }|null}
+   */
+  getPendingSwitch() {
+    return this.pendingSwitch;
+  }
+
+  /**
+   * @param {function(): void} listener - Called when the session or the pending switch changes
+   * @returns {function(): void} - Unsubscribe
+   */
+  onChange(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  /**
+   * @param {function(): string|null} guard - Returns what a switch would lose, or null
+   * @returns {function(): void} - Removes the guard
+   */
+  addSwitchGuard(guard) {
+    this.guards.add(guard);
+    return () => this.guards.delete(guard);
+  }
+
+  /**
+   * Connector of the current session (see walletConnectors.js)
+   * @returns {object|null}
+   */
+  getConnector() {
+    return this.connector;
+  }
+
+  /**
+   * Ask the wallet for access and open a session
+   * @param {object} connector - { id, type, name, ethereum } from walletConnectors.js
+   * @returns {Promise<boolean>} - false when a switch guard objected and the user kept the session
+   */
+  async connect(connector) {
+    const accounts = await connector.ethereum.request({ method: "eth_requestAccounts" });
+    if (this.session && connector !== this.connector) {
+      const hexChainId = await connector.ethereum.request({ method: "eth_chainId" });
+      const next = { account: ethers.getAddress(accounts[0]), chainId: Number(hexChainId) };
+      const warnings = this.getGuardWarnings();
+      if (warnings.length > 0 && !this.confirmSwitch(warnings, next)) return false;
+    }
+    this.useConnector(connector);
+    await this.open();
+    return true;
+  }
+
+  /**
+   * Open a session without a prompt when the wallet already authorized the site
+   * @param {object} connector
+   * @returns {Promise<boolean>} - Whether a session was opened
+   */
+  async restore(connector) {
+    const accounts = await connector.ethereum.request({ method: "eth_accounts" });
+    if (accounts.length === 0) return false;
+    this.useConnector(connector);
+    await this.open();
+    return true;
+  }
+
+  /**
+   * Close the session and stop following the wallet
+   */
+  disconnect() {
+    this.stop();
+    this.connector = null;
+    this.ethereum = null;
+    this.setSession(null);
+  }
+
+  useConnector(connector) {
+    this.stop();
+    this.connector = connector;
+    this.ethereum = connector.ethereum;
+    this.start();
+  }
+
+  start() {
+    if (this.listening || !this.ethereum) return;
+    this.listening = true;
+    this.ethereum.on("accountsChanged", this.handleAccountsChanged);
+    this.ethereum.on("chainChanged", this.handleChainChanged);
+  }
+
+  stop() {
+    if (!this.listening) return;
+    this.listening = false;
+    this.ethereum.removeListener("accountsChanged", this.handleAccountsChanged);
+    this.ethereum.removeListener("chainChanged", this.handleChainChanged);
+  }
+
+  /**
+   * Switch to the wallet's current account and chain now, ignoring the guards
+   */
+  async applyPendingSwitch() {
+    await this.open();
+  }
+
+  /**
+   * Replace the session with the wallet's current account and chain
+   */
+  async open() {
+    const { account, chainId } = await this.readWallet();
+    if (!account) {
+      this.setSession(null);
+      return;
+    }
+    const provider = new SessionProvider(this.ethereum, account);
+    const signer = await provider.getSigner();
+    this.setSession({
+      provider,
+      signer,
+      account,
+      chainId,
+      connector: this.connector,
+      id: (this.session?.id ?? 0) + 1
+    });
+  }
+
+  async readWallet() {
+    const [accounts, hexChainId] = await Promise.all([
+      this.ethereum.request({ method: "eth_accounts" }),
+      this.ethereum.request({ method: "eth_chainId" })
+    ]);
+    return {
+      account: accounts.length > 0 ? ethers.getAddress(accounts[0]) : null,
+      chainId: Number(hexChainId)
+    };
+  }
+
+  setSession(session) {
+    this.session = session;
+    this.pendingSwitch = null;
+    this.emit();
+  }
+
+  handleAccountsChanged() {
+    this.queueSwitch();
+  }
+
+  handleChainChanged() {
+    this.queueSwitch();
+  }
+
+  /**
+   * Wallet events come in bursts (chainChanged + accountsChanged): one switch at a time
+   */
+  queueSwitch() {
+    this.switching = this.switching
+      .then(() => this.switchToWallet())
+      .catch((error) => console.error("Wallet switch error:", error));
+  }
+
+  async switchToWallet() {
+    const next = await this.readWallet();
+    const current = this.session;
+
+    // Disconnected from the wallet: nothing left to sign with
+    if (!next.account) {
+      this.setSession(null);
+      return;
+    }
+
+    // Switched back to the session's account and chain
+    if (current && current.account === next.account && current.chainId === next.chainId) {
+      if (this.pendingSwitch) {
+        this.pendingSwitch = null;
+        this.emit();
+      }
+      return;
+    }
+
+    const warnings = current ? this.getGuardWarnings() : [];
+    if (warnings.length > 0 && !this.confirmSwitch(warnings, next)) {
+      this.pendingSwitch = { ...next, warnings };
+      this.emit();
+      return;
+    }
+    await this.open();
+  }
+
+  getGuardWarnings() {
+    return [...this.guards].map((guard) => guard()).filter(Boolean);
+  }
+
+  emit() {
+    for (const listener of this.listeners) {
+      try {
+        listener();
+      } catch (error) {
+        console.error("Wallet session listener error:", error);
+      }
+    }
+  }
+}
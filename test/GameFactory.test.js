@@ -0,0 +1,198 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { computeCommitment } from "../src/utils/commitment.js";
+import { deriveSalt, recoverDerivedSalt, SALT_SIGNATURE_TYPES } from "../src/utils/saltDerivation.js";
+import { getCreatedGame, findFactoryDeploymentNonce, saveFactoryAddress } from "../src/utils/gameFactory.js";
+import { scanForGames } from "../src/utils/gameScanner.js";
+import { listGames } from "../src/utils/gameRegistry.js";
+
+const { ethers, network } = hre;
+
+const MOVES = { ROCK: 1, PAPER: 2 };
+const STAKE = ethers.parseEther("1");
+const CHAIN_ID = 1337;
+
+// The registry, scan checkpoints and saved factories live in localStorage
+function installLocalStorage() {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// The app reads through a wallet's EIP-1193 provider
+function walletProvider() {
+  return new ethers.BrowserProvider(network.provider);
+}
+
+async function deployFactory() {
+  const [j1, j2, other] = await ethers.getSigners();
+  const factory = await ethers.deployContract("GameFactory");
+  return { factory, j1, j2, other };
+}
+
+async function factoryGame() {
+  const fixture = await deployFactory();
+  const { factory, j1, j2 } = fixture;
+  const salt = generateSalt();
+  const c1Hash = createCommitment(MOVES.ROCK, salt);
+  const tx = await factory.connect(j1).createGame(c1Hash, j2.address, { value: STAKE });
+  const receipt = await tx.wait();
+  const address = getCreatedGame(receipt, await factory.getAddress());
+  const game = await ethers.getContractAt("RPSClone", address);
+  return { ...fixture, game, salt, c1Hash, tx, receipt };
+}
+
+describe("GameFactory", function () {
+  describe("createGame", function () {
+    it("creates a game holding the stake, with the sender as Player 1", async function () {
+      const { game, j1, j2, c1Hash } = await loadFixture(factoryGame);
+      expect(await game.j1()).to.equal(j1.address);
+      expect(await game.j2()).to.equal(j2.address);
+      expect(await game.c1Hash()).to.equal(c1Hash);
+      expect(await game.stake()).to.equal(STAKE);
+      expect(await game.TIMEOUT()).to.equal(300n);
+      expect(await ethers.provider.getBalance(await game.getAddress())).to.equal(STAKE);
+    });
+
+    it("creates a game that plays to the end", async function () {
+      const { game, j1, j2, salt } = await loadFixture(factoryGame);
+      await game.connect(j2).play(MOVES.PAPER, { value: STAKE });
+      await expect(game.connect(j1).solve(MOVES.ROCK, salt)).to.changeEtherBalances([j1, j2], [0n, 2n * STAKE]);
+      expect(await game.stake()).to.equal(0n);
+    });
+
+    it("emits GameCreated with the game, players and stake", async function () {
+      const { factory, game, j1, j2, tx } = await loadFixture(factoryGame);
+      await expect(tx)
+        .to.emit(factory, "GameCreated")
+        .withArgs(await game.getAddress(), j1.address, j2.address, STAKE);
+    });
+
+    it("records the game for both players", async function () {
+      const { factory, game, j1, j2, other } = await loadFixture(factoryGame);
+      const address = await game.getAddress();
+      expect(await factory.getGames(j1.address)).to.deep.equal([address]);
+      expect(await factory.getGames(j2.address)).to.deep.equal([address]);
+      expect(await factory.getGames(other.address)).to.deep.equal([]);
+      expect(await factory.isGame(address)).to.equal(true);
+      expect(await factory.isGame(other.address)).to.equal(false);
+      expect(await factory.gameCount()).to.equal(1n);
+    });
+  });
+
+  describe("RPSClone", function () {
+    it("cannot be initialized a second time", async function () {
+      const { game, other } = await loadFixture(factoryGame);
+      await expect(
+        game.connect(other).initialize(other.address, ethers.ZeroHash, other.address, { value: STAKE })
+      ).to.be.revertedWithoutReason();
+      expect(await game.stake()).to.equal(STAKE);
+    });
+
+    it("locks the implementation itself", async function () {
+      const { factory, other } = await loadFixture(deployFactory);
+      const implementation = await ethers.getContractAt("RPSClone", await factory.implementation());
+      expect(await implementation.j1()).to.equal(await factory.getAddress());
+
+      await expect(
+        implementation.connect(other).initialize(other.address, ethers.ZeroHash, other.address, { value: STAKE })
+      ).to.be.revertedWithoutReason();
+      await expect(implementation.connect(other).play(MOVES.PAPER)).to.be.revertedWithoutReason();
+      await expect(implementation.connect(other).play(MOVES.PAPER, { value: STAKE })).to.be.revertedWithoutReason();
+    });
+  });
+
+  describe("getCreatedGame", function () {
+    it("only trusts the factory's own GameCreated logs", async function () {
+      const { factory, j1, j2 } = await loadFixture(deployFactory);
+      const spoofer = await ethers.deployContract("GameCreatedSpoofer");
+      const tx = await spoofer
+        .connect(j1)
+        .createGame(await factory.getAddress(), createCommitment(MOVES.ROCK, generateSalt()), j2.address, { value: STAKE });
+      const receipt = await tx.wait();
+
+      // The spoofer's log comes first in the receipt
+      expect(receipt.logs[0].address).to.equal(await spoofer.getAddress());
+      const [game] = await factory.getGames(j2.address);
+      expect(getCreatedGame(receipt, await factory.getAddress())).to.equal(game);
+      expect(getCreatedGame(receipt, ethers.ZeroAddress)).to.equal(null);
+    });
+  });
+
+  describe("wallet-derived salts", function () {
+    beforeEach(installLocalStorage);
+
+    it("are recovered from the createGame nonce after later transactions", async function () {
+      const { factory, j1, j2 } = await loadFixture(deployFactory);
+      saveFactoryAddress(CHAIN_ID, await factory.getAddress());
+
+      const nonce = await j1.getNonce();
+      const salt = await deriveSalt(j1, { chainId: CHAIN_ID, opponent: j2.address, nonce });
+      const c1Hash = computeCommitment(MOVES.ROCK, salt);
+      const receipt = await (await factory.connect(j1).createGame(c1Hash, j2.address, { value: STAKE })).wait();
+      const game = getCreatedGame(receipt, await factory.getAddress());
+      for (let i = 0; i < 8; i++) {
+        await j1.sendTransaction({ to: j2.address, value: 1n });
+      }
+
+      const provider = walletProvider();
+      const deploymentNonce = await findFactoryDeploymentNonce(provider, CHAIN_ID, game, j1.address);
+      expect(deploymentNonce).to.equal(nonce);
+
+      const params = {
+        chainId: CHAIN_ID,
+        gameAddress: game,
+        j1: j1.address,
+        j2: j2.address,
+        c1Hash,
+        transactionCount: await j1.getNonce(),
+        signatureTypes: [SALT_SIGNATURE_TYPES.EIP712]
+      };
+      expect(await recoverDerivedSalt(j1, params)).to.equal(null);
+      expect(await recoverDerivedSalt(j1, { ...params, deploymentNonce })).to.include({ move: MOVES.ROCK, salt, nonce });
+    });
+
+    it("give no nonce for a game that is not the factory's", async function () {
+      const { factory, j1, j2 } = await loadFixture(deployFactory);
+      saveFactoryAddress(CHAIN_ID, await factory.getAddress());
+      const game = await ethers.deployContract("RPS", [createCommitment(MOVES.ROCK, generateSalt()), j2.address], {
+        value: STAKE
+      });
+      expect(await findFactoryDeploymentNonce(walletProvider(), CHAIN_ID, await game.getAddress(), j1.address)).to.equal(
+        null
+      );
+    });
+  });
+
+  describe("scanForGames", function () {
+    beforeEach(installLocalStorage);
+
+    it("finds games created through the factory, for both players", async function () {
+      const { factory, game, j1, j2, tx } = await loadFixture(factoryGame);
+      const address = await game.getAddress();
+      const factories = [await factory.getAddress()];
+
+      const asJ1 = await scanForGames(walletProvider(), { account: j1.address, fromBlock: 0, factories });
+      expect(asJ1.found).to.deep.equal([
+        { address, role: "j1", j1: j1.address, j2: j2.address, blockNumber: tx.blockNumber, txHash: tx.hash }
+      ]);
+      const asJ2 = await scanForGames(walletProvider(), { account: j2.address, fromBlock: 0, factories });
+      expect(asJ2.found.map((found) => [found.address, found.role])).to.deep.equal([[address, "j2"]]);
+      expect(listGames(CHAIN_ID, j2.address).map((entry) => entry.address)).to.deep.equal([address]);
+    });
+
+    it("records later calls to a factory game", async function () {
+      const { factory, game, j2 } = await loadFixture(factoryGame);
+      const play = await game.connect(j2).play(MOVES.PAPER, { value: STAKE });
+
+      await scanForGames(walletProvider(), { account: j2.address, fromBlock: 0, factories: [await factory.getAddress()] });
+      const [entry] = listGames(CHAIN_ID, j2.address);
+      expect(JSON.stringify(entry)).to.contain(play.hash);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { beats } from "../src/utils/gameOutcome.js";
+import { explainRevert, REVERT_REASONS } from "../src/utils/txPreflight.js";
+import { ACTIONS } from "../src/utils/gameStateMachine.js";
+import { RpsGame, GAME_VERSIONS } from "../src/utils/rpsGame.js";
+
+const { ethers } = hre;
+
+const MOVES = { NULL: 0, ROCK: 1, PAPER: 2, SCISSORS: 3, SPOCK: 4, LIZARD: 5 };
+const STAKE = ethers.parseEther("1");
+const TIMEOUT = 300;
+
+// Rules of RPSLS, written out independently of the contract's parity trick
+const BEATEN_BY = {
+  [MOVES.ROCK]: [MOVES.SCISSORS, MOVES.LIZARD],
+  [MOVES.PAPER]: [MOVES.ROCK, MOVES.SPOCK],
+  [MOVES.SCISSORS]: [MOVES.PAPER, MOVES.LIZARD],
+  [MOVES.SPOCK]: [MOVES.ROCK, MOVES.SCISSORS],
+  [MOVES.LIZARD]: [MOVES.PAPER, MOVES.SPOCK]
+};
+
+async function deployGame() {
+  const [j1, j2, other] = await ethers.getSigners();
+  const salt = generateSalt();
+  const move = MOVES.ROCK;
+  const game = await ethers.deployContract("RPS", [createCommitment(move, salt), j2.address], { value: STAKE });
+  return { game, j1, j2, other, salt, move };
+}
+
+async function playedGame() {
+  const fixture = await deployGame();
+  await fixture.game.connect(fixture.j2).play(MOVES.PAPER, { value: STAKE });
+  return fixture;
+}
+
+/**
+ * Expect a call to revert, and txPreflight's explainRevert() to give the same
+ * reason from the game state - the app relies on it since RPS.sol's requires
+ * carry no message
+ */
+async function expectRejected(game, kind, { from, args = [], value = 0n }, code) {
+  const state = await new RpsGame(await game.getAddress(), ethers.provider, { version: GAME_VERSIONS.V1 }).getState();
+  const now = (await time.latest()) + 1;
+  expect(explainRevert(kind, state, { from: from.address, args, value, now })?.code).to.equal(code);
+
+  const call = game.connect(from)[kind](...args, ...(value ? [{ value }] : []));
+  if (code === REVERT_REASONS.INVALID_MOVE && args[0] > MOVES.LIZARD) {
+    // Out-of-range enum conversion is an invalid opcode in solc 0.4
+    await expect(call).to.be.reverted;
+  } else {
+    await expect(call).to.be.revertedWithoutReason();
+  }
+}
+
+describe("RPS", function () {
+  describe("deployment", function () {
+    it("stores the players, commitment, stake and timeout", async function () {
+      const { game, j1, j2, salt, move } = await loadFixture(deployGame);
+      expect(await game.j1()).to.equal(j1.address);
+      expect(await game.j2()).to.equal(j2.address);
+      expect(await game.c1Hash()).to.equal(createCommitment(move, salt));
+      expect(await game.c2()).to.equal(MOVES.NULL);
+      expect(await game.stake()).to.equal(STAKE);
+      expect(await game.TIMEOUT()).to.equal(TIMEOUT);
+      expect(await game.lastAction()).to.equal(await time.latest());
+      expect(await ethers.provider.getBalance(game)).to.equal(STAKE);
+    });
+  });
+
+  describe("play", function () {
+    it("records Player 2's move and stake", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await game.connect(j2).play(MOVES.SPOCK, { value: STAKE });
+      expect(await game.c2()).to.equal(MOVES.SPOCK);
+      expect(await game.lastAction()).to.equal(await time.latest());
+      expect(await ethers.provider.getBalance(game)).to.equal(2n * STAKE);
+    });
+
+    it("rejects a second play", async function () {
+      const { game, j2 } = await loadFixture(playedGame);
+      await expectRejected(game, ACTIONS.PLAY, { from: j2, args: [MOVES.ROCK], value: STAKE }, REVERT_REASONS.ALREADY_PLAYED);
+    });
+
+    it("rejects the Null move", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await expectRejected(game, ACTIONS.PLAY, { from: j2, args: [MOVES.NULL], value: STAKE }, REVERT_REASONS.INVALID_MOVE);
+    });
+
+    it("rejects a move past Lizard", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await expectRejected(game, ACTIONS.PLAY, { from: j2, args: [6], value: STAKE }, REVERT_REASONS.INVALID_MOVE);
+    });
+
+    it("rejects a stake that is not exactly Player 1's", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await expectRejected(game, ACTIONS.PLAY, { from: j2, args: [MOVES.ROCK], value: STAKE - 1n }, REVERT_REASONS.STAKE_MISMATCH);
+      await expectRejected(game, ACTIONS.PLAY, { from: j2, args: [MOVES.ROCK], value: STAKE + 1n }, REVERT_REASONS.STAKE_MISMATCH);
+    });
+
+    it("rejects anyone but Player 2", async function () {
+      const { game, j1, other } = await loadFixture(deployGame);
+      await expectRejected(game, ACTIONS.PLAY, { from: other, args: [MOVES.ROCK], value: STAKE }, REVERT_REASONS.WRONG_SENDER);
+      await expectRejected(game, ACTIONS.PLAY, { from: j1, args: [MOVES.ROCK], value: STAKE }, REVERT_REASONS.WRONG_SENDER);
+    });
+  });
+
+  describe("solve", function () {
+    it("rejects the Null move", async function () {
+      const { game, j1, salt } = await loadFixture(playedGame);
+      await expectRejected(game, ACTIONS.SOLVE, { from: j1, args: [MOVES.NULL, salt] }, REVERT_REASONS.INVALID_MOVE);
+    });
+
+    it("rejects a reveal before Player 2 played", async function () {
+      const { game, j1, salt, move } = await loadFixture(deployGame);
+      await expectRejected(game, ACTIONS.SOLVE, { from: j1, args: [move, salt] }, REVERT_REASONS.NOT_PLAYED);
+    });
+
+    it("rejects anyone but Player 1", async function () {
+      const { game, j2, other, salt, move } = await loadFixture(playedGame);
+      await expectRejected(game, ACTIONS.SOLVE, { from: j2, args: [move, salt] }, REVERT_REASONS.WRONG_SENDER);
+      await expectRejected(game, ACTIONS.SOLVE, { from: other, args: [move, salt] }, REVERT_REASONS.WRONG_SENDER);
+    });
+
+    it("rejects a move or salt that does not match the commitment", async function () {
+      const { game, j1, salt, move } = await loadFixture(playedGame);
+      await expectRejected(game, ACTIONS.SOLVE, { from: j1, args: [MOVES.SCISSORS, salt] }, REVERT_REASONS.COMMITMENT_MISMATCH);
+      await expectRejected(game, ACTIONS.SOLVE, { from: j1, args: [move, generateSalt()] }, REVERT_REASONS.COMMITMENT_MISMATCH);
+    });
+
+    it("pays both stakes to Player 1 on a win", async function () {
+      const { game, j1, j2, salt } = await loadFixture(deployGame);
+      // Rock was committed; Scissors loses to it
+      await game.connect(j2).play(MOVES.SCISSORS, { value: STAKE });
+      await expect(game.connect(j1).solve(MOVES.ROCK, salt)).to.changeEtherBalances([game, j1, j2], [-2n * STAKE, 2n * STAKE, 0n]);
+      expect(await game.stake()).to.equal(0n);
+    });
+
+    it("pays both stakes to Player 2 on a win", async function () {
+      const { game, j1, j2, salt, move } = await loadFixture(playedGame);
+      await expect(game.connect(j1).solve(move, salt)).to.changeEtherBalances([game, j1, j2], [-2n * STAKE, 0n, 2n * STAKE]);
+      expect(await game.stake()).to.equal(0n);
+    });
+
+    it("splits the stakes on a tie", async function () {
+      const { game, j1, j2, salt, move } = await loadFixture(deployGame);
+      await game.connect(j2).play(move, { value: STAKE });
+      await expect(game.connect(j1).solve(move, salt)).to.changeEtherBalances([game, j1, j2], [-2n * STAKE, STAKE, STAKE]);
+      expect(await game.stake()).to.equal(0n);
+    });
+  });
+
+  describe("win", function () {
+    it("follows the RPSLS rules for all 25 move pairs", async function () {
+      const { game } = await loadFixture(deployGame);
+      for (let c1 = MOVES.ROCK; c1 <= MOVES.LIZARD; c1++) {
+        for (let c2 = MOVES.ROCK; c2 <= MOVES.LIZARD; c2++) {
+          const expected = BEATEN_BY[c1].includes(c2);
+          expect(await game.win(c1, c2), `win(${c1}, ${c2})`).to.equal(expected);
+          expect(beats(c1, c2), `beats(${c1}, ${c2})`).to.equal(expected);
+        }
+      }
+    });
+
+    it("never lets the Null move win", async function () {
+      const { game } = await loadFixture(deployGame);
+      for (let move = MOVES.NULL; move <= MOVES.LIZARD; move++) {
+        expect(await game.win(MOVES.NULL, move)).to.equal(false);
+      }
+    });
+  });
+
+  describe("j2Timeout", function () {
+    it("rejects the claim once Player 2 played", async function () {
+      const { game, j1 } = await loadFixture(playedGame);
+      await time.increase(TIMEOUT + 1);
+      await expectRejected(game, ACTIONS.J2_TIMEOUT, { from: j1 }, REVERT_REASONS.ALREADY_PLAYED);
+    });
+
+    it("rejects the claim until TIMEOUT has passed", async function () {
+      const { game, j1 } = await loadFixture(deployGame);
+      await expectRejected(game, ACTIONS.J2_TIMEOUT, { from: j1 }, REVERT_REASONS.TIMEOUT_NOT_REACHED);
+
+      // now > lastAction + TIMEOUT: the deadline second itself is still too early
+      await time.setNextBlockTimestamp(Number(await game.lastAction()) + TIMEOUT);
+      await expect(game.connect(j1).j2Timeout()).to.be.revertedWithoutReason();
+    });
+
+    it("refunds Player 1 after TIMEOUT", async function () {
+      const { game, j1 } = await loadFixture(deployGame);
+      await time.setNextBlockTimestamp(Number(await game.lastAction()) + TIMEOUT + 1);
+      await expect(game.connect(j1).j2Timeout()).to.changeEtherBalances([game, j1], [-STAKE, STAKE]);
+      expect(await game.stake()).to.equal(0n);
+    });
+
+    it("can be called by anyone, and pays nothing twice", async function () {
+      const { game, j1, other } = await loadFixture(deployGame);
+      await time.increase(TIMEOUT + 1);
+      await expect(game.connect(other).j2Timeout()).to.changeEtherBalances([game, j1, other], [-STAKE, STAKE, 0n]);
+      await expect(game.connect(j1).j2Timeout()).to.changeEtherBalances([game, j1], [0n, 0n]);
+    });
+  });
+
+  describe("j1Timeout", function () {
+    it("rejects the claim before Player 2 played", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await time.increase(TIMEOUT + 1);
+      await expectRejected(game, ACTIONS.J1_TIMEOUT, { from: j2 }, REVERT_REASONS.NOT_PLAYED);
+    });
+
+    it("rejects the claim until TIMEOUT has passed since the play", async function () {
+      const { game, j2 } = await loadFixture(playedGame);
+      await expectRejected(game, ACTIONS.J1_TIMEOUT, { from: j2 }, REVERT_REASONS.TIMEOUT_NOT_REACHED);
+
+      await time.setNextBlockTimestamp(Number(await game.lastAction()) + TIMEOUT);
+      await expect(game.connect(j2).j1Timeout()).to.be.revertedWithoutReason();
+    });
+
+    it("pays both stakes to Player 2 after TIMEOUT", async function () {
+      const { game, j2 } = await loadFixture(playedGame);
+      await time.setNextBlockTimestamp(Number(await game.lastAction()) + TIMEOUT + 1);
+      await expect(game.connect(j2).j1Timeout()).to.changeEtherBalances([game, j2], [-2n * STAKE, 2n * STAKE]);
+      expect(await game.stake()).to.equal(0n);
+    });
+
+    it("leaves nothing to reveal for afterwards", async function () {
+      const { game, j1, j2, salt, move } = await loadFixture(playedGame);
+      await time.increase(TIMEOUT + 1);
+      await game.connect(j2).j1Timeout();
+      await expect(game.connect(j1).solve(move, salt)).to.changeEtherBalances([game, j1, j2], [0n, 0n, 0n]);
+    });
+  });
+});
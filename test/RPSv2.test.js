@@ -0,0 +1,411 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time, mine } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { explainRevert, REVERT_REASONS } from "../src/utils/txPreflight.js";
+import { ACTIONS, describeGame } from "../src/utils/gameStateMachine.js";
+import { RpsGame, GAME_VERSIONS, isOpenChallenge } from "../src/utils/rpsGame.js";
+import { findChallengeEvents, loadOpenChallenges, LOBBY_SOURCES } from "../src/utils/lobby.js";
+import { LOG_CHUNK_BLOCKS } from "../src/utils/eventLogs.js";
+
+const { ethers, network } = hre;
+
+const MOVES = { NULL: 0, ROCK: 1, PAPER: 2, SCISSORS: 3 };
+const STAKE = ethers.parseEther("1");
+const TIMEOUT = 600;
+const MIN_TIMEOUT = 60;
+const MAX_TIMEOUT = 7 * 24 * 60 * 60;
+
+async function deployGame() {
+  const [j1, j2, other] = await ethers.getSigners();
+  const salt = generateSalt();
+  const game = await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, salt), j2.address, TIMEOUT], {
+    value: STAKE
+  });
+  return { game, j1, j2, other, salt };
+}
+
+async function playedGame() {
+  const fixture = await deployGame();
+  await fixture.game.connect(fixture.j2).play(MOVES.PAPER, { value: STAKE });
+  return fixture;
+}
+
+/**
+ * Game whose Player 1 is a contract that rejects ETH: every payout to it is deferred
+ */
+async function rejectingJ1Game() {
+  const [, j2, other] = await ethers.getSigners();
+  const player = await ethers.deployContract("RejectingPlayer");
+  const salt = generateSalt();
+  const c1Hash = createCommitment(MOVES.ROCK, salt);
+  const address = await player.create.staticCall(c1Hash, j2.address, TIMEOUT, { value: STAKE });
+  await player.create(c1Hash, j2.address, TIMEOUT, { value: STAKE });
+  const game = await ethers.getContractAt("RPSv2", address);
+  return { game, player, j2, other, salt };
+}
+
+async function deployOpenChallenge() {
+  const [j1, j2, other] = await ethers.getSigners();
+  const salt = generateSalt();
+  const game = await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, salt), ethers.ZeroAddress, TIMEOUT], {
+    value: STAKE
+  });
+  return { game, j1, j2, other, salt };
+}
+
+/**
+ * Wallet provider that, like public RPC endpoints, rejects eth_getLogs over long ranges
+ */
+function cappedLogsProvider() {
+  return new ethers.BrowserProvider({
+    async request({ method, params }) {
+      if (method === "eth_getLogs") {
+        const { fromBlock, toBlock } = params[0];
+        const head = await network.provider.request({ method: "eth_blockNumber" });
+        const to = toBlock === "latest" ? BigInt(head) : BigInt(toBlock);
+        if (to - BigInt(fromBlock) + 1n > BigInt(LOG_CHUNK_BLOCKS)) throw new Error("block range too large");
+      }
+      return network.provider.request({ method, params });
+    }
+  });
+}
+
+async function getState(game) {
+  return new RpsGame(await game.getAddress(), ethers.provider, { version: GAME_VERSIONS.V2 }).getState();
+}
+
+describe("RPSv2", function () {
+  describe("deployment", function () {
+    it("stores the game and emits Created", async function () {
+      const { game, j1, j2 } = await loadFixture(deployGame);
+      await expect(game.deploymentTransaction())
+        .to.emit(game, "Created")
+        .withArgs(j1.address, j2.address, STAKE, TIMEOUT);
+      expect(await game.j1()).to.equal(j1.address);
+      expect(await game.j2()).to.equal(j2.address);
+      expect(await game.stake()).to.equal(STAKE);
+      expect(await game.TIMEOUT()).to.equal(BigInt(TIMEOUT));
+      expect(await game.VERSION()).to.equal(2n);
+    });
+
+    it("rejects a game without a stake", async function () {
+      const [, j2] = await ethers.getSigners();
+      const factory = await ethers.getContractFactory("RPSv2");
+      await expect(factory.deploy(ethers.ZeroHash, j2.address, TIMEOUT)).to.be.revertedWithCustomError(factory, "NoStake");
+    });
+
+    it("rejects Player 1 as their own opponent", async function () {
+      const [j1] = await ethers.getSigners();
+      const factory = await ethers.getContractFactory("RPSv2");
+      await expect(factory.deploy(ethers.ZeroHash, j1.address, TIMEOUT, { value: STAKE })).to.be.revertedWithCustomError(
+        factory,
+        "InvalidOpponent"
+      );
+    });
+
+    it("only accepts a timeout from 1 minute to 7 days", async function () {
+      const [, j2] = await ethers.getSigners();
+      const factory = await ethers.getContractFactory("RPSv2");
+      for (const timeout of [0, MIN_TIMEOUT - 1, MAX_TIMEOUT + 1]) {
+        await expect(factory.deploy(ethers.ZeroHash, j2.address, timeout, { value: STAKE }))
+          .to.be.revertedWithCustomError(factory, "InvalidTimeout")
+          .withArgs(MIN_TIMEOUT, MAX_TIMEOUT);
+      }
+      for (const timeout of [MIN_TIMEOUT, MAX_TIMEOUT]) {
+        const game = await factory.deploy(ethers.ZeroHash, j2.address, timeout, { value: STAKE });
+        expect(await game.TIMEOUT()).to.equal(BigInt(timeout));
+      }
+    });
+  });
+
+  describe("play", function () {
+    it("records the move and emits Played", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await expect(game.connect(j2).play(MOVES.PAPER, { value: STAKE }))
+        .to.emit(game, "Played")
+        .withArgs(j2.address, MOVES.PAPER);
+      expect(await game.c2()).to.equal(BigInt(MOVES.PAPER));
+      expect(await game.lastAction()).to.equal(BigInt(await time.latest()));
+    });
+
+    it("rejects the Null move", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await expect(game.connect(j2).play(MOVES.NULL, { value: STAKE })).to.be.revertedWithCustomError(game, "InvalidMove");
+    });
+
+    it("rejects another stake", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await expect(game.connect(j2).play(MOVES.PAPER, { value: STAKE * 2n }))
+        .to.be.revertedWithCustomError(game, "WrongStake")
+        .withArgs(STAKE);
+    });
+
+    it("only lets Player 2 play, once", async function () {
+      const { game, j1, j2, other } = await loadFixture(deployGame);
+      await expect(game.connect(other).play(MOVES.PAPER, { value: STAKE })).to.be.revertedWithCustomError(game, "NotJ2");
+      await expect(game.connect(j1).play(MOVES.PAPER, { value: STAKE })).to.be.revertedWithCustomError(game, "NotJ2");
+      await game.connect(j2).play(MOVES.PAPER, { value: STAKE });
+      await expect(game.connect(j2).play(MOVES.ROCK, { value: STAKE })).to.be.revertedWithCustomError(game, "AlreadyPlayed");
+    });
+
+    it("rejects a move once the game is over", async function () {
+      const { game, j1, j2 } = await loadFixture(deployGame);
+      await time.increase(TIMEOUT + 1);
+      await game.connect(j1).j2Timeout();
+      await expect(game.connect(j2).play(MOVES.PAPER, { value: STAKE })).to.be.revertedWithCustomError(game, "GameOver");
+    });
+  });
+
+  describe("solve", function () {
+    it("rejects the Null move", async function () {
+      const { game, j1, salt } = await loadFixture(playedGame);
+      await expect(game.connect(j1).solve(MOVES.NULL, salt)).to.be.revertedWithCustomError(game, "InvalidMove");
+    });
+
+    it("rejects a reveal before Player 2 played", async function () {
+      const { game, j1, salt } = await loadFixture(deployGame);
+      await expect(game.connect(j1).solve(MOVES.ROCK, salt)).to.be.revertedWithCustomError(game, "NotPlayed");
+    });
+
+    it("only lets Player 1 reveal", async function () {
+      const { game, j2, salt } = await loadFixture(playedGame);
+      await expect(game.connect(j2).solve(MOVES.ROCK, salt)).to.be.revertedWithCustomError(game, "NotJ1");
+    });
+
+    it("rejects a move or salt that does not match the commitment", async function () {
+      const { game, j1, salt } = await loadFixture(playedGame);
+      await expect(game.connect(j1).solve(MOVES.PAPER, salt)).to.be.revertedWithCustomError(game, "WrongCommitment");
+      await expect(game.connect(j1).solve(MOVES.ROCK, BigInt(salt) + 1n)).to.be.revertedWithCustomError(
+        game,
+        "WrongCommitment"
+      );
+    });
+
+    it("pays the winner and emits Solved with the moves", async function () {
+      const { game, j1, j2, salt } = await loadFixture(playedGame);
+      const solve = game.connect(j1).solve(MOVES.ROCK, salt);
+      await expect(solve).to.emit(game, "Solved").withArgs(j2.address, MOVES.ROCK, MOVES.PAPER);
+      await expect(solve).to.changeEtherBalances([j1, j2, game], [0n, 2n * STAKE, -2n * STAKE]);
+      expect(await game.stake()).to.equal(0n);
+    });
+
+    it("pays Player 1 when they win", async function () {
+      const { game, j1, j2, salt } = await loadFixture(deployGame);
+      await game.connect(j2).play(MOVES.SCISSORS, { value: STAKE });
+      const solve = game.connect(j1).solve(MOVES.ROCK, salt);
+      await expect(solve).to.emit(game, "Solved").withArgs(j1.address, MOVES.ROCK, MOVES.SCISSORS);
+      await expect(solve).to.changeEtherBalances([j1, j2], [2n * STAKE, 0n]);
+    });
+
+    it("splits the stakes on a tie, with no winner in Solved", async function () {
+      const { game, j1, j2, salt } = await loadFixture(deployGame);
+      await game.connect(j2).play(MOVES.ROCK, { value: STAKE });
+      const solve = game.connect(j1).solve(MOVES.ROCK, salt);
+      await expect(solve).to.emit(game, "Solved").withArgs(ethers.ZeroAddress, MOVES.ROCK, MOVES.ROCK);
+      await expect(solve).to.changeEtherBalances([j1, j2], [STAKE, STAKE]);
+    });
+
+    it("cannot be called twice", async function () {
+      const { game, j1, salt } = await loadFixture(playedGame);
+      await game.connect(j1).solve(MOVES.ROCK, salt);
+      await expect(game.connect(j1).solve(MOVES.ROCK, salt)).to.be.revertedWithCustomError(game, "GameOver");
+    });
+  });
+
+  describe("j2Timeout", function () {
+    it("rejects the claim once Player 2 played", async function () {
+      const { game, j1 } = await loadFixture(playedGame);
+      await time.increase(TIMEOUT + 1);
+      await expect(game.connect(j1).j2Timeout()).to.be.revertedWithCustomError(game, "AlreadyPlayed");
+    });
+
+    it("rejects the claim until the game's TIMEOUT has passed", async function () {
+      const { game, j1 } = await loadFixture(deployGame);
+      const deadline = (await game.lastAction()) + BigInt(TIMEOUT);
+      await time.setNextBlockTimestamp(deadline);
+      await expect(game.connect(j1).j2Timeout())
+        .to.be.revertedWithCustomError(game, "TimeoutNotReached")
+        .withArgs(deadline);
+    });
+
+    it("refunds Player 1 and emits TimedOut", async function () {
+      const { game, j1, other } = await loadFixture(deployGame);
+      await time.increase(TIMEOUT + 1);
+      const claim = game.connect(other).j2Timeout();
+      await expect(claim).to.emit(game, "TimedOut").withArgs(j1.address, STAKE);
+      await expect(claim).to.changeEtherBalances([j1, game], [STAKE, -STAKE]);
+      await expect(game.connect(j1).j2Timeout()).to.be.revertedWithCustomError(game, "GameOver");
+    });
+  });
+
+  describe("j1Timeout", function () {
+    it("rejects the claim before Player 2 played", async function () {
+      const { game, j2 } = await loadFixture(deployGame);
+      await time.increase(TIMEOUT + 1);
+      await expect(game.connect(j2).j1Timeout()).to.be.revertedWithCustomError(game, "NotPlayed");
+    });
+
+    it("rejects the claim until the game's TIMEOUT has passed since the play", async function () {
+      const { game, j2 } = await loadFixture(playedGame);
+      const deadline = (await game.lastAction()) + BigInt(TIMEOUT);
+      await time.setNextBlockTimestamp(deadline);
+      await expect(game.connect(j2).j1Timeout())
+        .to.be.revertedWithCustomError(game, "TimeoutNotReached")
+        .withArgs(deadline);
+    });
+
+    it("pays both stakes to Player 2 and emits TimedOut", async function () {
+      const { game, j1, j2, salt } = await loadFixture(playedGame);
+      await time.increase(TIMEOUT + 1);
+      const claim = game.connect(j2).j1Timeout();
+      await expect(claim).to.emit(game, "TimedOut").withArgs(j2.address, 2n * STAKE);
+      await expect(claim).to.changeEtherBalances([j2, game], [2n * STAKE, -2n * STAKE]);
+      await expect(game.connect(j1).solve(MOVES.ROCK, salt)).to.be.revertedWithCustomError(game, "GameOver");
+      await expect(game.connect(j2).j1Timeout()).to.be.revertedWithCustomError(game, "GameOver");
+    });
+  });
+
+  describe("withdrawals", function () {
+    it("defers a payout the receiver rejects, without blocking the other player", async function () {
+      const { game, player, j2, salt } = await loadFixture(rejectingJ1Game);
+      await game.connect(j2).play(MOVES.ROCK, { value: STAKE });
+
+      const solve = player.solve(await game.getAddress(), MOVES.ROCK, salt);
+      await expect(solve).to.emit(game, "PayoutDeferred").withArgs(await player.getAddress(), STAKE);
+      // Tie: j2 still gets their stake back
+      await expect(solve).to.changeEtherBalances([j2, game], [STAKE, -STAKE]);
+      expect(await game.pendingWithdrawals(await player.getAddress())).to.equal(STAKE);
+      expect(await ethers.provider.getBalance(await game.getAddress())).to.equal(STAKE);
+    });
+
+    it("lets the receiver withdraw the deferred payout once it accepts ETH", async function () {
+      const { game, player, j2, salt } = await loadFixture(rejectingJ1Game);
+      await game.connect(j2).play(MOVES.SCISSORS, { value: STAKE });
+      await expect(player.solve(await game.getAddress(), MOVES.ROCK, salt))
+        .to.emit(game, "PayoutDeferred")
+        .withArgs(await player.getAddress(), 2n * STAKE);
+
+      // Still rejecting: the withdrawal fails and the payout stays pending
+      await expect(player.withdraw(await game.getAddress())).to.be.revertedWithCustomError(game, "TransferFailed");
+      expect(await game.pendingWithdrawals(await player.getAddress())).to.equal(2n * STAKE);
+
+      await player.setAccepting(true);
+      const withdraw = player.withdraw(await game.getAddress());
+      await expect(withdraw).to.emit(game, "Withdrawn").withArgs(await player.getAddress(), 2n * STAKE);
+      await expect(withdraw).to.changeEtherBalances([player, game], [2n * STAKE, -2n * STAKE]);
+      expect(await game.pendingWithdrawals(await player.getAddress())).to.equal(0n);
+      await expect(player.withdraw(await game.getAddress())).to.be.revertedWithCustomError(game, "NothingToWithdraw");
+    });
+
+    it("defers a timeout refund the receiver rejects", async function () {
+      const { game, player, other } = await loadFixture(rejectingJ1Game);
+      await time.increase(TIMEOUT + 1);
+      const claim = game.connect(other).j2Timeout();
+      await expect(claim).to.emit(game, "TimedOut").withArgs(await player.getAddress(), STAKE);
+      await expect(claim).to.emit(game, "PayoutDeferred").withArgs(await player.getAddress(), STAKE);
+      expect(await game.pendingWithdrawals(await player.getAddress())).to.equal(STAKE);
+    });
+
+    it("has nothing to withdraw for an account that was paid", async function () {
+      const { game, j1, j2, salt } = await loadFixture(playedGame);
+      await game.connect(j1).solve(MOVES.ROCK, salt);
+      await expect(game.connect(j2).withdraw()).to.be.revertedWithCustomError(game, "NothingToWithdraw");
+    });
+  });
+});
+
+describe("RPSv2 open challenges", function () {
+  it("emits Created with an empty j2 and reads as an open challenge", async function () {
+    const { game, j1 } = await loadFixture(deployOpenChallenge);
+    await expect(game.deploymentTransaction())
+      .to.emit(game, "Created")
+      .withArgs(j1.address, ethers.ZeroAddress, STAKE, TIMEOUT);
+
+    const state = await getState(game);
+    expect(isOpenChallenge(state)).to.equal(true);
+    expect(describeGame(state, { account: j1.address }).openChallenge).to.equal(true);
+  });
+
+  it("does not let Player 1 accept their own challenge", async function () {
+    const { game, j1 } = await loadFixture(deployOpenChallenge);
+    const state = await getState(game);
+    expect(explainRevert(ACTIONS.PLAY, state, { from: j1.address, args: [MOVES.PAPER], value: STAKE, now: 0 })?.code).to.equal(
+      REVERT_REASONS.INVALID_OPPONENT
+    );
+    await expect(game.connect(j1).play(MOVES.PAPER, { value: STAKE })).to.be.revertedWithCustomError(game, "InvalidOpponent");
+  });
+
+  it("still requires the exact stake", async function () {
+    const { game, other } = await loadFixture(deployOpenChallenge);
+    await expect(game.connect(other).play(MOVES.PAPER, { value: STAKE - 1n }))
+      .to.be.revertedWithCustomError(game, "WrongStake")
+      .withArgs(STAKE);
+  });
+
+  it("gives the seat to the first account that plays", async function () {
+    const { game, j2, other } = await loadFixture(deployOpenChallenge);
+    const state = await getState(game);
+    expect(explainRevert(ACTIONS.PLAY, state, { from: other.address, args: [MOVES.PAPER], value: STAKE, now: 0 })).to.equal(null);
+
+    await expect(game.connect(other).play(MOVES.PAPER, { value: STAKE }))
+      .to.emit(game, "Played")
+      .withArgs(other.address, MOVES.PAPER);
+    expect(await game.j2()).to.equal(other.address);
+    expect(isOpenChallenge(await getState(game))).to.equal(false);
+
+    await expect(game.connect(j2).play(MOVES.ROCK, { value: STAKE })).to.be.revertedWithCustomError(game, "AlreadyPlayed");
+  });
+
+  it("lets the creator recover the invited opponent from Created", async function () {
+    const { game, other } = await loadFixture(deployOpenChallenge);
+    await game.connect(other).play(MOVES.PAPER, { value: STAKE });
+    const rpsGame = new RpsGame(await game.getAddress(), ethers.provider, { version: GAME_VERSIONS.V2 });
+    expect(await rpsGame.getInvitedOpponent()).to.equal(ethers.ZeroAddress);
+  });
+
+  it("finds the invited opponent with getLogs ranges public endpoints accept", async function () {
+    const [, j2, other] = await ethers.getSigners();
+    await mine(LOG_CHUNK_BLOCKS * 2);
+    const open = await ethers.deployContract("RPSv2", [ethers.ZeroHash, ethers.ZeroAddress, TIMEOUT], { value: STAKE });
+    const named = await ethers.deployContract("RPSv2", [ethers.ZeroHash, j2.address, TIMEOUT], { value: STAKE });
+    await open.connect(other).play(MOVES.PAPER, { value: STAKE });
+    await mine(LOG_CHUNK_BLOCKS + 5);
+
+    const provider = cappedLogsProvider();
+    expect(await new RpsGame(await open.getAddress(), provider).getInvitedOpponent()).to.equal(ethers.ZeroAddress);
+    expect(await new RpsGame(await named.getAddress(), provider).getInvitedOpponent()).to.equal(j2.address);
+  });
+
+  it("keeps a named opponent exclusive", async function () {
+    const [, j2, other] = await ethers.getSigners();
+    const game = await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, generateSalt()), j2.address, TIMEOUT], {
+      value: STAKE
+    });
+    await expect(game.connect(other).play(MOVES.PAPER, { value: STAKE })).to.be.revertedWithCustomError(game, "NotJ2");
+  });
+
+  describe("lobby", function () {
+    it("finds open challenges from Created events, and drops accepted ones", async function () {
+      const { game, other } = await loadFixture(deployOpenChallenge);
+      const address = await game.getAddress();
+      const [, j2] = await ethers.getSigners();
+      // Named games emit Created too, but not with an empty j2
+      await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, generateSalt()), j2.address, TIMEOUT], { value: STAKE });
+
+      const toBlock = await ethers.provider.getBlockNumber();
+      const events = await findChallengeEvents(ethers.provider, { fromBlock: 0, toBlock });
+      expect([...events.keys()]).to.deep.equal([address]);
+
+      const lobby = await loadOpenChallenges(ethers.provider);
+      expect(lobby.source).to.equal(LOBBY_SOURCES.EVENTS);
+      expect(lobby.challenges.map((c) => c.address)).to.deep.equal([address]);
+      const [challenge] = lobby.challenges;
+      expect(challenge.stake).to.equal(STAKE);
+      expect(challenge.deadline - challenge.createdAt).to.equal(TIMEOUT);
+
+      await game.connect(other).play(MOVES.PAPER, { value: STAKE });
+      expect((await loadOpenChallenges(ethers.provider)).challenges).to.deep.equal([]);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import {
+  CONTRACT_BYTECODE,
+  GAME_CLONE_BYTECODE,
+  GAME_FACTORY_BYTECODE,
+  HASHER_BYTECODE,
+  RPS_V2_BYTECODE
+} from "../src/utils/contractABI.js";
+import { getRuntimeBytecode, stripMetadata } from "../src/utils/contractVerification.js";
+
+// contractVerification.js authenticates games against the bytecode embedded
+// in contractABI.js, so it must be what the contracts in contracts/ compile to
+const EMBEDDED = [
+  ["RPS", CONTRACT_BYTECODE],
+  ["Hasher", HASHER_BYTECODE],
+  ["RPSv2", RPS_V2_BYTECODE],
+  ["RPSClone", GAME_CLONE_BYTECODE],
+  ["GameFactory", GAME_FACTORY_BYTECODE]
+];
+
+describe("contractABI.js", function () {
+  for (const [name, bytecode] of EMBEDDED) {
+    it(`embeds the runtime code of ${name}`, async function () {
+      const artifact = await hre.artifacts.readArtifact(name);
+      expect(stripMetadata(getRuntimeBytecode(bytecode))).to.equal(stripMetadata(artifact.deployedBytecode));
+    });
+  }
+});
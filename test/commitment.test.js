@@ -0,0 +1,47 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { COMMITMENT_GOLDEN_VECTORS } from "../src/utils/commitmentVectors.js";
+
+const { ethers } = hre;
+
+const RANDOM_SALTS = 20;
+const MAX_UINT256 = ethers.MaxUint256;
+
+async function deployHasher() {
+  return ethers.deployContract("Hasher");
+}
+
+const toSaltHex = (salt) => ethers.toBeHex(salt, 32);
+
+describe("createCommitment", function () {
+  it("matches Hasher.hash for random salts and every move", async function () {
+    const hasher = await loadFixture(deployHasher);
+    for (let i = 0; i < RANDOM_SALTS; i++) {
+      const salt = generateSalt();
+      for (let move = 1; move <= 5; move++) {
+        expect(createCommitment(move, salt), `move ${move}, salt ${salt}`).to.equal(await hasher.hash(move, salt));
+      }
+    }
+  });
+
+  it("matches Hasher.hash for edge-case salts", async function () {
+    const hasher = await loadFixture(deployHasher);
+    // Zero, one, a single high byte, the top bit and max uint256
+    const salts = [0n, 1n, 0xffn << 248n, 1n << 255n, MAX_UINT256].map(toSaltHex);
+    for (const salt of salts) {
+      for (let move = 1; move <= 5; move++) {
+        expect(createCommitment(move, salt), `move ${move}, salt ${salt}`).to.equal(await hasher.hash(move, salt));
+      }
+    }
+  });
+
+  it("agrees with the stored golden vectors", async function () {
+    const hasher = await loadFixture(deployHasher);
+    for (const { move, salt, hash } of COMMITMENT_GOLDEN_VECTORS) {
+      expect(await hasher.hash(move, salt), `move ${move}, salt ${salt}`).to.equal(hash);
+      expect(createCommitment(move, salt)).to.equal(hash);
+    }
+  });
+});
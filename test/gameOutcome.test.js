@@ -0,0 +1,168 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture, time } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { resolveOutcome, describeOutcome } from "../src/utils/gameOutcome.js";
+import { GAME_VERSIONS } from "../src/utils/rpsGame.js";
+
+const { ethers, network } = hre;
+
+const MOVES = { ROCK: 1, PAPER: 2, SCISSORS: 3 };
+const STAKE = ethers.parseEther("1");
+const TIMEOUT = 600;
+
+// The app reads through a wallet's EIP-1193 provider, which reports reverts as CALL_EXCEPTION
+function walletProvider() {
+  return new ethers.BrowserProvider(network.provider);
+}
+
+/**
+ * Wallet provider on a node without archive state: reads at an older block fail
+ */
+function nonArchiveProvider() {
+  return new ethers.BrowserProvider({
+    async request({ method, params }) {
+      if (["eth_call", "eth_getBalance", "eth_getCode", "eth_getStorageAt"].includes(method)) {
+        const tag = params[params.length - 1];
+        const head = await network.provider.request({ method: "eth_blockNumber" });
+        if (tag !== "latest" && BigInt(tag) < BigInt(head)) throw new Error("missing trie node");
+      }
+      return network.provider.request({ method, params });
+    }
+  });
+}
+
+async function playedGame() {
+  const [j1, j2, other] = await ethers.getSigners();
+  const salt = generateSalt();
+  const game = await ethers.deployContract("RPS", [createCommitment(MOVES.ROCK, salt), j2.address], { value: STAKE });
+  await game.connect(j2).play(MOVES.SCISSORS, { value: STAKE });
+  return { game, j1, j2, other, salt };
+}
+
+/**
+ * Mine the transactions sent by `send` in one block, in the order given
+ * (earlier ones pay a higher priority fee)
+ */
+async function playedV2Game() {
+  const [j1, j2, other] = await ethers.getSigners();
+  const salt = generateSalt();
+  const game = await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, salt), j2.address, TIMEOUT], {
+    value: STAKE
+  });
+  await game.connect(j2).play(MOVES.PAPER, { value: STAKE });
+  return { game, j1, j2, other, salt };
+}
+
+async function mineTogether(sends) {
+  await network.provider.send("evm_setAutomine", [false]);
+  try {
+    const txs = [];
+    for (const [i, send] of sends.entries()) {
+      const tip = ethers.parseUnits(String(10 - i), "gwei");
+      txs.push(await send({ gasLimit: 200000, maxPriorityFeePerGas: tip, maxFeePerGas: ethers.parseUnits("100", "gwei") }));
+    }
+    await network.provider.send("evm_mine");
+    return txs;
+  } finally {
+    await network.provider.send("evm_setAutomine", [true]);
+  }
+}
+
+describe("resolveOutcome", function () {
+  it("decodes the solve of an RPS.sol game", async function () {
+    const { game, j1, salt } = await loadFixture(playedGame);
+    const tx = await game.connect(j1).solve(MOVES.ROCK, salt);
+
+    const outcome = await resolveOutcome(walletProvider(), await game.getAddress());
+    expect(outcome).to.include({ settled: true, via: "solve", winner: "j1", c1: MOVES.ROCK, txHash: tx.hash });
+    expect(outcome.payouts.j1).to.equal(2n * STAKE);
+  });
+
+  it("skips a reverted call to the game in the settlement block", async function () {
+    const { game, j1, other, salt } = await loadFixture(playedGame);
+    // j1Timeout before TIMEOUT reverts, but lands first in the block
+    const [failed, solved] = await mineTogether([
+      (overrides) => game.connect(other).j1Timeout(overrides),
+      (overrides) => game.connect(j1).solve(MOVES.ROCK, salt, overrides)
+    ]);
+    expect((await ethers.provider.getTransactionReceipt(failed.hash)).status).to.equal(0);
+    expect((await ethers.provider.getTransactionReceipt(solved.hash)).blockNumber).to.equal(
+      (await ethers.provider.getTransactionReceipt(failed.hash)).blockNumber
+    );
+
+    const outcome = await resolveOutcome(walletProvider(), await game.getAddress());
+    expect(outcome).to.include({ via: "solve", winner: "j1", txHash: solved.hash });
+  });
+
+  describe("RPSv2.sol games", function () {
+    it("reads a solve from the Solved event, without archive state", async function () {
+      const { game, j1, salt } = await loadFixture(playedV2Game);
+      const tx = await game.connect(j1).solve(MOVES.ROCK, salt);
+      await ethers.provider.send("evm_mine");
+
+      const outcome = await resolveOutcome(nonArchiveProvider(), await game.getAddress());
+      expect(outcome).to.include({
+        settled: true,
+        via: "solve",
+        winner: "j2",
+        c1: MOVES.ROCK,
+        c2: MOVES.PAPER,
+        stake: STAKE,
+        txHash: tx.hash,
+        version: GAME_VERSIONS.V2
+      });
+      expect(outcome.payouts).to.deep.equal({ j1: 0n, j2: 2n * STAKE });
+      expect(outcome.failedPayouts).to.deep.equal([]);
+      expect(outcome.timestamp).to.equal((await ethers.provider.getBlock(tx.blockNumber)).timestamp);
+    });
+
+    it("reads both timeouts from the TimedOut event", async function () {
+      const { game, j2 } = await loadFixture(playedV2Game);
+      await time.increase(TIMEOUT + 1);
+      const claim = await game.connect(j2).j1Timeout();
+      const outcome = await resolveOutcome(nonArchiveProvider(), await game.getAddress());
+      expect(outcome).to.include({ via: "j1Timeout", winner: "j2", stake: STAKE, txHash: claim.hash });
+      expect(outcome.payouts).to.deep.equal({ j1: 0n, j2: 2n * STAKE });
+
+      const [j1, player2] = await ethers.getSigners();
+      const unplayed = await ethers.deployContract("RPSv2", [ethers.ZeroHash, player2.address, TIMEOUT], { value: STAKE });
+      await time.increase(TIMEOUT + 1);
+      await unplayed.connect(j1).j2Timeout();
+      const refund = await resolveOutcome(nonArchiveProvider(), await unplayed.getAddress());
+      expect(refund).to.include({ via: "j2Timeout", winner: null, stake: STAKE });
+      expect(refund.payouts).to.deep.equal({ j1: STAKE, j2: 0n });
+    });
+
+    it("reports payouts deferred to withdraw() from PayoutDeferred", async function () {
+      const [, j2] = await ethers.getSigners();
+      const player = await ethers.deployContract("RejectingPlayer");
+      const salt = generateSalt();
+      const c1Hash = createCommitment(MOVES.ROCK, salt);
+      const address = await player.create.staticCall(c1Hash, j2.address, TIMEOUT, { value: STAKE });
+      await player.create(c1Hash, j2.address, TIMEOUT, { value: STAKE });
+      const game = await ethers.getContractAt("RPSv2", address);
+      await game.connect(j2).play(MOVES.ROCK, { value: STAKE });
+      await player.solve(address, MOVES.ROCK, salt);
+
+      const outcome = await resolveOutcome(nonArchiveProvider(), address);
+      expect(outcome).to.include({ via: "solve", winner: "tie", stuckWei: STAKE });
+      expect(outcome.failedPayouts).to.deep.equal([{ player: "j1", amount: STAKE }]);
+      expect(outcome.received).to.deep.equal({ j1: 0n, j2: STAKE });
+      expect(describeOutcome(outcome)).to.contain("waiting in the contract for withdraw()");
+
+      await player.setAccepting(true);
+      await player.withdraw(address);
+      const withdrawn = await resolveOutcome(nonArchiveProvider(), address);
+      expect(withdrawn.stuckWei).to.equal(0n);
+      expect(withdrawn.failedPayouts).to.deep.equal([{ player: "j1", amount: STAKE }]);
+    });
+
+    it("uses a known settlement transaction", async function () {
+      const { game, j1, salt } = await loadFixture(playedV2Game);
+      const tx = await game.connect(j1).solve(MOVES.ROCK, salt);
+      const outcome = await resolveOutcome(nonArchiveProvider(), await game.getAddress(), { txHash: tx.hash });
+      expect(outcome).to.include({ via: "solve", txHash: tx.hash });
+    });
+  });
+});
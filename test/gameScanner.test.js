@@ -0,0 +1,67 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { scanForGames } from "../src/utils/gameScanner.js";
+import { listGames, GAME_ACTIVITY } from "../src/utils/gameRegistry.js";
+
+const { ethers, network } = hre;
+
+const MOVES = { ROCK: 1, PAPER: 2 };
+const STAKE = ethers.parseEther("1");
+const TIMEOUT = 600;
+const CHAIN_ID = 1337;
+
+// The registry and scan checkpoints live in localStorage
+function installLocalStorage() {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+// The app reads through a wallet's EIP-1193 provider
+function walletProvider() {
+  return new ethers.BrowserProvider(network.provider);
+}
+
+/**
+ * An RPSv2.sol open challenge, accepted by `other`
+ */
+async function acceptedChallenge() {
+  const [j1, j2, other] = await ethers.getSigners();
+  const fromBlock = (await ethers.provider.getBlockNumber()) + 1;
+  const open = await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, generateSalt()), ethers.ZeroAddress, TIMEOUT], {
+    value: STAKE
+  });
+  const accept = await open.connect(other).play(MOVES.PAPER, { value: STAKE });
+  // The same call to an address that is not a game: ignored
+  await other.sendTransaction({ to: j2.address, data: open.interface.encodeFunctionData("play", [MOVES.PAPER]) });
+  return { j1, j2, other, fromBlock, open: await open.getAddress(), accept };
+}
+
+describe("scanForGames", function () {
+  beforeEach(installLocalStorage);
+
+  it("finds an open challenge the account accepted", async function () {
+    const { j1, other, fromBlock, open, accept } = await loadFixture(acceptedChallenge);
+    const { found } = await scanForGames(walletProvider(), { account: other.address, fromBlock });
+
+    expect(found).to.deep.equal([
+      { address: open, role: "j2", j1: j1.address, j2: other.address, blockNumber: accept.blockNumber, txHash: accept.hash }
+    ]);
+    const [entry] = listGames(CHAIN_ID, other.address);
+    expect(entry).to.include({ address: open, role: "j2", j1: j1.address, j2: other.address, stakeWei: STAKE.toString() });
+    expect(entry.activity.map((activity) => [activity.type, activity.txHash])).to.deep.equal([
+      [GAME_ACTIVITY.JOINED, accept.hash]
+    ]);
+  });
+
+  it("leaves open challenges out of other accounts' scans", async function () {
+    const { j2, fromBlock } = await loadFixture(acceptedChallenge);
+    const { found } = await scanForGames(walletProvider(), { account: j2.address, fromBlock });
+    expect(found).to.deep.equal([]);
+  });
+});
@@ -0,0 +1,51 @@
+import { expect } from "chai";
+import { GameWatcher } from "../src/utils/gameWatcher.js";
+
+const GAME = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+const delay = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Provider whose on() and off() take effect after a delay, like ethers v6
+ * providers that subscribe asynchronously
+ */
+function slowSubscribingProvider({ onDelay, offDelay }) {
+  const listeners = new Set();
+  return {
+    listeners,
+    getCode: async () => "0x",
+    getBlock: async () => null,
+    on: async (event, listener) => {
+      await delay(onDelay);
+      listeners.add(listener);
+    },
+    off: async (event, listener) => {
+      await delay(offDelay);
+      listeners.delete(listener);
+    }
+  };
+}
+
+describe("GameWatcher subscription", function () {
+  it("keeps the block listener when a game is tracked again right after the last one stopped", async function () {
+    const provider = slowSubscribingProvider({ onDelay: 5, offDelay: 20 });
+    const watcher = new GameWatcher(provider);
+    const untrack = watcher.track(GAME);
+    await delay(10);
+    expect(provider.listeners.size).to.equal(1);
+
+    untrack();
+    watcher.track(GAME);
+    await delay(50);
+    expect(provider.listeners.size).to.equal(1);
+  });
+
+  it("does not leak a listener that attaches after the watcher stopped", async function () {
+    const provider = slowSubscribingProvider({ onDelay: 20, offDelay: 5 });
+    const watcher = new GameWatcher(provider);
+    const untrack = watcher.track(GAME);
+    untrack();
+    await delay(50);
+    expect(provider.listeners.size).to.equal(0);
+  });
+});
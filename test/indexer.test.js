@@ -0,0 +1,199 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { loadFixture } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { openDatabase } from "../indexer/database.js";
+import { GameIndexer } from "../indexer/gameIndexer.js";
+import { createApiServer } from "../indexer/api.js";
+
+const { ethers, network } = hre;
+
+const MOVES = { ROCK: 1, PAPER: 2, SCISSORS: 3 };
+const STAKE = ethers.parseEther("1");
+const TIMEOUT = 600;
+
+/**
+ * One game of each kind: an RPS.sol game played to the end, a named RPSv2.sol
+ * game, an RPSv2.sol open challenge and a GameFactory clone
+ */
+async function deployGames() {
+  const [j1, j2, other] = await ethers.getSigners();
+  // Earlier test files left games on the chain: index from here
+  const startBlock = (await ethers.provider.getBlockNumber()) + 1;
+  const salt = generateSalt();
+  const v1 = await ethers.deployContract("RPS", [createCommitment(MOVES.ROCK, salt), j2.address], { value: STAKE });
+  await v1.connect(j2).play(MOVES.SCISSORS, { value: STAKE });
+  const solve = await v1.connect(j1).solve(MOVES.ROCK, salt);
+
+  const v2 = await ethers.deployContract("RPSv2", [createCommitment(MOVES.PAPER, generateSalt()), other.address, TIMEOUT], {
+    value: STAKE
+  });
+  const open = await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, generateSalt()), ethers.ZeroAddress, TIMEOUT], {
+    value: STAKE
+  });
+
+  const factory = await ethers.deployContract("GameFactory");
+  await factory.connect(j2).createGame(createCommitment(MOVES.ROCK, generateSalt()), j1.address, { value: STAKE });
+  const [cloned] = await factory.getGames(j2.address);
+
+  return {
+    j1,
+    j2,
+    other,
+    startBlock,
+    factory: await factory.getAddress(),
+    games: { v1: await v1.getAddress(), v2: await v2.getAddress(), open: await open.getAddress(), cloned },
+    open,
+    solve
+  };
+}
+
+// The indexer talks JSON-RPC to the node, like `npm run indexer` does. No
+// request cache: syncs here run closer together than POLL_INTERVAL
+function nodeProvider() {
+  return new ethers.BrowserProvider(network.provider, undefined, { cacheTimeout: -1 });
+}
+
+describe("indexer", function () {
+  let store;
+  let server;
+  let baseUrl;
+
+  beforeEach(async function () {
+    store = openDatabase(":memory:");
+    server = createApiServer(store);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+    store.close();
+  });
+
+  async function get(path) {
+    const response = await fetch(baseUrl + path);
+    return { status: response.status, body: await response.json() };
+  }
+
+  function createIndexer({ factory, startBlock }) {
+    return new GameIndexer(nodeProvider(), store, { startBlock, factories: [factory] });
+  }
+
+  it("indexes RPS.sol, RPSv2.sol and factory games for a player", async function () {
+    const fixture = await loadFixture(deployGames);
+    const { j1, games } = fixture;
+    await createIndexer(fixture).sync();
+
+    const { status, body } = await get(`/games?player=${j1.address.toLowerCase()}`);
+    expect(status).to.equal(200);
+    expect(body.chainId).to.equal(1337);
+    expect(body.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+    // Newest first
+    expect(body.games.map((game) => game.address)).to.deep.equal([games.cloned, games.open, games.v2, games.v1]);
+    const cloned = body.games[0];
+    expect(cloned).to.include({ j2: j1.address, stake: STAKE.toString(), timeout: 300 });
+
+    const settled = await get(`/games?player=${j1.address}&settled=true`);
+    expect(settled.body.games.map((game) => game.address)).to.deep.equal([games.v1]);
+  });
+
+  it("serves a game with its settlement and transactions", async function () {
+    const fixture = await loadFixture(deployGames);
+    const { j2, games, solve } = fixture;
+    await createIndexer(fixture).sync();
+
+    const { body } = await get(`/games/${games.v1}`);
+    expect(body.game).to.include({ address: games.v1, c2: MOVES.SCISSORS, timeout: 300 });
+    expect(body.game.settlement).to.include({ via: "solve", winner: "j1", c1: MOVES.ROCK, txHash: solve.hash, stuckWei: "0" });
+    expect(body.game.settlement.payouts).to.deep.equal({ j1: (2n * STAKE).toString(), j2: "0" });
+    expect(body.actions.map((action) => [action.type, action.success])).to.deep.equal([
+      ["play", true],
+      ["solve", true]
+    ]);
+    expect(body.actions[0].from).to.equal(j2.address);
+
+    const v2 = await get(`/games/${games.v2}`);
+    expect(v2.body.game).to.include({ timeout: TIMEOUT, settlement: null });
+
+    expect((await get(`/games/${ethers.ZeroAddress}`)).status).to.equal(404);
+    expect((await get("/games/not-an-address")).status).to.equal(400);
+    expect((await get("/games?limit=-1")).status).to.equal(400);
+  });
+
+  it("counts games, players and open challenges in /stats", async function () {
+    const fixture = await loadFixture(deployGames);
+    await createIndexer(fixture).sync();
+
+    const { body } = await get("/stats");
+    expect(body).to.include({ games: 4, settled: 1, open: 3, awaitingJ2: 3, openChallenges: 1, players: 3 });
+    expect(body.settledVia).to.deep.equal({ solve: 1, j1Timeout: 0, j2Timeout: 0 });
+    expect(body.results).to.deep.equal({ j1: 1, j2: 0, tie: 0 });
+    expect(body.actions).to.deep.equal({ play: 1, solve: 1 });
+    expect(body.totalStakedWei).to.equal((5n * STAKE).toString());
+  });
+
+  it("lists open challenges until someone accepts them", async function () {
+    const fixture = await loadFixture(deployGames);
+    const { other, games, open } = fixture;
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+
+    const before = await get("/games?open=true");
+    expect(before.body.games.map((game) => [game.address, game.j2])).to.deep.equal([[games.open, ethers.ZeroAddress]]);
+
+    await open.connect(other).play(MOVES.PAPER, { value: STAKE });
+    await indexer.sync();
+    expect((await get("/games?open=true")).body.games).to.deep.equal([]);
+    expect((await get(`/games/${games.open}`)).body.game).to.include({ j2: other.address, c2: MOVES.PAPER });
+    expect((await get(`/games?player=${other.address}`)).body.games.map((game) => game.address)).to.include(games.open);
+  });
+
+  it("resumes from the stored cursor after a restart", async function () {
+    const fixture = await loadFixture(deployGames);
+    const { j1, j2, games } = fixture;
+    const indexed = await createIndexer(fixture).sync();
+    const lastBlock = await ethers.provider.getBlockNumber();
+    expect(indexed).to.equal(lastBlock - fixture.startBlock + 1);
+
+    const later = await ethers.deployContract("RPS", [createCommitment(MOVES.ROCK, generateSalt()), j2.address], { value: STAKE });
+
+    // A new process over the same database
+    const restarted = createIndexer(fixture);
+    await restarted.checkChain();
+    expect(restarted.getNextBlock()).to.equal(lastBlock + 1);
+    expect(await restarted.sync()).to.equal(1);
+
+    const { body } = await get(`/games?player=${j1.address}`);
+    expect(body.games.map((game) => game.address)).to.deep.equal([await later.getAddress(), games.cloned, games.open, games.v2, games.v1]);
+    expect((await get("/stats")).body.games).to.equal(5);
+  });
+
+  it("rebuilds the index after a reorg", async function () {
+    const fixture = await loadFixture(deployGames);
+    const { j1, j2 } = fixture;
+    const indexer = createIndexer(fixture);
+    await indexer.sync();
+
+    // A game that the reorg will drop, indexed at the same height as its replacement
+    const snapshot = await network.provider.send("evm_snapshot");
+    const dropped = await ethers.deployContract("RPS", [createCommitment(MOVES.ROCK, generateSalt()), j2.address], {
+      value: STAKE
+    });
+    await indexer.sync();
+    expect((await get(`/games/${await dropped.getAddress()}`)).status).to.equal(200);
+
+    await network.provider.send("evm_revert", [snapshot]);
+    await j1.sendTransaction({ to: j2.address, value: 1n });
+    const replacement = await ethers.deployContract("RPSv2", [createCommitment(MOVES.ROCK, generateSalt()), j2.address, TIMEOUT], {
+      value: STAKE
+    });
+    await indexer.sync();
+
+    expect((await get(`/games/${await dropped.getAddress()}`)).status).to.equal(404);
+    expect((await get(`/games/${await replacement.getAddress()}`)).status).to.equal(200);
+    const { body } = await get("/stats");
+    expect(body.games).to.equal(5);
+    expect(body.indexedBlock).to.equal(await ethers.provider.getBlockNumber());
+  });
+});
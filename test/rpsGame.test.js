@@ -0,0 +1,197 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { time } from "@nomicfoundation/hardhat-network-helpers";
+import { createCommitment, generateSalt } from "../src/utils/hashHelpers.js";
+import { RpsGame, GAME_VERSIONS, isOpenChallenge } from "../src/utils/rpsGame.js";
+
+const { ethers, network } = hre;
+
+const GAME = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+const MOVES = { ROCK: 1, PAPER: 2, SCISSORS: 3 };
+const STAKE = ethers.parseEther("1");
+const TIMEOUT = 600;
+
+/**
+ * The players' wallets: signers of an EIP-1193 provider, which reports
+ * reverts as CALL_EXCEPTION like the app's wallets do. No request cache:
+ * balances are read right before and after each transaction
+ */
+async function wallets() {
+  const provider = new ethers.BrowserProvider(network.provider, undefined, { cacheTimeout: -1 });
+  const [j1, j2, other] = await ethers.getSigners();
+  return {
+    provider,
+    j1: await provider.getSigner(j1.address),
+    j2: await provider.getSigner(j2.address),
+    other: await provider.getSigner(other.address)
+  };
+}
+
+async function createGame(signer, params) {
+  const salt = generateSalt();
+  const commitment = createCommitment(params.move ?? MOVES.ROCK, salt);
+  const { game, tx } = await RpsGame.create(signer, { commitment, stake: STAKE, ...params });
+  return { game, tx, salt, commitment };
+}
+
+async function settle(tx) {
+  const receipt = await (await tx).wait();
+  return receipt.fee;
+}
+
+describe("RpsGame", function () {
+  it("plays an RPS.sol game to the end", async function () {
+    const { provider, j1, j2 } = await wallets();
+    const { game, salt, commitment } = await createGame(j1, { j2: j2.address });
+    expect(game.version).to.equal(GAME_VERSIONS.V1);
+
+    // Attaching by address detects the version
+    const loaded = await RpsGame.load(game.address, provider);
+    expect(loaded.version).to.equal(GAME_VERSIONS.V1);
+    const created = await loaded.getState();
+    expect(created).to.include({
+      address: game.address,
+      j1: j1.address,
+      j2: j2.address,
+      c1Hash: commitment,
+      c2: 0,
+      stake: STAKE,
+      timeout: 300,
+      balance: STAKE,
+      version: GAME_VERSIONS.V1
+    });
+    expect(await loaded.getInvitedOpponent()).to.equal(j2.address);
+
+    // play() pays the stake read from the contract
+    await settle(loaded.connect(j2).play(MOVES.SCISSORS));
+    expect(await loaded.getProgress()).to.include({ c2: MOVES.SCISSORS, stake: STAKE });
+    expect((await loaded.getState()).balance).to.equal(2n * STAKE);
+
+    const before = await provider.getBalance(j1.address);
+    const fee = await settle(loaded.connect(j1).solve(MOVES.ROCK, salt));
+    expect(await provider.getBalance(j1.address)).to.equal(before + 2n * STAKE - fee);
+    expect(await loaded.getState()).to.include({ stake: 0n, balance: 0n });
+    // Reads at an earlier block still see the game in progress
+    expect((await loaded.getState((await provider.getBlockNumber()) - 1)).stake).to.equal(STAKE);
+
+    expect(await loaded.getPendingWithdrawal(j1.address)).to.equal(0n);
+    let error;
+    try {
+      await loaded.connect(j1).withdraw();
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error?.message).to.equal("withdraw() needs an RPS v2 game");
+  });
+
+  it("lets Player 1 reclaim the stake of an RPS.sol game Player 2 never played", async function () {
+    const { provider, j1, j2 } = await wallets();
+    // deploy() sends without waiting: the address comes from the receipt
+    const tx = await RpsGame.deploy(j1, { commitment: createCommitment(MOVES.ROCK, generateSalt()), j2: j2.address, stake: STAKE });
+    const { contractAddress } = await tx.wait();
+    const game = new RpsGame(contractAddress, j1);
+
+    await time.increase(300 + 1);
+    const before = await provider.getBalance(j1.address);
+    const fee = await settle(game.j2Timeout());
+    expect(await provider.getBalance(j1.address)).to.equal(before + STAKE - fee);
+    expect((await game.getState()).stake).to.equal(0n);
+  });
+
+  it("plays an RPSv2.sol game until Player 2 claims the timeout", async function () {
+    const { provider, j1, j2 } = await wallets();
+    const { game } = await createGame(j1, { j2: j2.address, version: GAME_VERSIONS.V2, timeout: TIMEOUT });
+
+    const loaded = await RpsGame.load(game.address, provider);
+    expect(loaded.version).to.equal(GAME_VERSIONS.V2);
+    expect(await loaded.getState()).to.include({ j2: j2.address, timeout: TIMEOUT, stake: STAKE, version: GAME_VERSIONS.V2 });
+
+    const player2 = loaded.connect(j2);
+    await settle(player2.play(MOVES.PAPER));
+    await time.increase(TIMEOUT + 1);
+    const before = await provider.getBalance(j2.address);
+    const fee = await settle(player2.j1Timeout());
+    expect(await provider.getBalance(j2.address)).to.equal(before + 2n * STAKE - fee);
+    expect(await loaded.getState()).to.include({ stake: 0n, balance: 0n });
+    expect(await loaded.getPendingWithdrawal(j2.address)).to.equal(0n);
+  });
+
+  it("plays an RPSv2.sol open challenge accepted by anyone", async function () {
+    const { provider, j1, other } = await wallets();
+    const { game, salt } = await createGame(j1, {
+      move: MOVES.PAPER,
+      j2: ethers.ZeroAddress,
+      version: GAME_VERSIONS.V2,
+      timeout: TIMEOUT
+    });
+    const loaded = await RpsGame.load(game.address, provider);
+    expect(isOpenChallenge(await loaded.getState())).to.equal(true);
+
+    await settle(loaded.connect(other).play(MOVES.ROCK));
+    const accepted = await loaded.getState();
+    expect(accepted).to.include({ j2: other.address, c2: MOVES.ROCK });
+    expect(isOpenChallenge(accepted)).to.equal(false);
+    expect(await loaded.getInvitedOpponent()).to.equal(ethers.ZeroAddress);
+
+    const before = await provider.getBalance(j1.address);
+    const fee = await settle(game.solve(MOVES.PAPER, salt));
+    expect(await provider.getBalance(j1.address)).to.equal(before + 2n * STAKE - fee);
+  });
+
+  it("refuses to load an address without a contract", async function () {
+    const { provider, other } = await wallets();
+    let error;
+    try {
+      await RpsGame.load(other.address, provider);
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error?.message).to.equal(`No contract deployed at ${other.address}`);
+  });
+});
+
+/**
+ * Provider whose on() attaches the listener only after a delay, like
+ * ethers v6 providers that subscribe asynchronously
+ */
+function slowSubscribingProvider() {
+  const listeners = new Set();
+  return {
+    listeners,
+    getCode: async () => "0x",
+    call: async () => {
+      throw Object.assign(new Error("no node"), { code: "CALL_EXCEPTION" });
+    },
+    getBalance: async () => 0n,
+    on: async (event, listener) => {
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      listeners.add(listener);
+    },
+    off: (event, listener) => {
+      listeners.delete(listener);
+    }
+  };
+}
+
+describe("RpsGame.watch", function () {
+  it("detaches a listener attached after it was stopped", async function () {
+    const provider = slowSubscribingProvider();
+    const game = new RpsGame(GAME, provider, { version: GAME_VERSIONS.V1 });
+
+    const stop = game.watch(() => {}, () => {});
+    stop();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(provider.listeners.size).to.equal(0);
+  });
+
+  it("detaches an attached listener when stopped", async function () {
+    const provider = slowSubscribingProvider();
+    const game = new RpsGame(GAME, provider, { version: GAME_VERSIONS.V1 });
+
+    const stop = game.watch(() => {}, () => {});
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(provider.listeners.size).to.equal(1);
+    stop();
+    expect(provider.listeners.size).to.equal(0);
+  });
+});
@@ -0,0 +1,53 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { parseSecretFile, buildSecretFile, checkSecretFileForGame } from "../src/utils/secretFile.js";
+import { diagnoseCommitment, COMMITMENT_DIAGNOSIS, COMMITMENT_SCHEMES, computeCommitment } from "../src/utils/commitment.js";
+
+const { ethers } = hre;
+
+// "Download Secret" output of the original GameCreation.jsx: Paper, committed
+// with keccak256(abi.encode(uint8, uint256))
+const BASELINE_FILE = `{
+  "move": 2,
+  "moveName": "Paper",
+  "salt": "0x3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f3f",
+  "commitment": "0xf347563c58df8462a8f32496e8e3d1a4426bbe0ca85968d59574f23f7599597d",
+  "createdAt": "2025-01-15T10:24:31.512Z"
+}`;
+
+describe("secret files", function () {
+  it("parses a file saved by the original Download Secret", async function () {
+    const secret = parseSecretFile(BASELINE_FILE);
+    expect(secret).to.include({ version: 1, move: 2, contractAddress: null, chainId: null });
+    expect(secret.commitment).to.equal(
+      computeCommitment(2, secret.salt, { scheme: COMMITMENT_SCHEMES.ABI_ENCODED })
+    );
+
+    // The game it was made for holds the same ABI-encoded c1Hash
+    const [j1, j2] = await ethers.getSigners();
+    const game = await ethers.deployContract("RPS", [secret.commitment, j2.address], { value: 1n });
+    const c1Hash = await game.c1Hash();
+    const gameInfo = { chainId: 1337, contractAddress: await game.getAddress(), j1: j1.address, j2: j2.address, c1Hash };
+    expect(checkSecretFileForGame(secret, gameInfo)).to.deep.equal([]);
+
+    const diagnosis = diagnoseCommitment({ c1Hash, move: secret.move, salt: secret.salt, secretCommitment: secret.commitment });
+    expect(diagnosis).to.include({ status: COMMITMENT_DIAGNOSIS.WRONG_ENCODING, move: 2, scheme: COMMITMENT_SCHEMES.ABI_ENCODED });
+  });
+
+  it("rejects a legacy file whose move was edited", function () {
+    const edited = BASELINE_FILE.replace('"move": 2', '"move": 1');
+    expect(() => parseSecretFile(edited)).to.throw("does not match keccak256(move, salt)");
+  });
+
+  it("only takes the packed commitment in a v2 file", function () {
+    const [j1, j2] = [ethers.Wallet.createRandom().address, ethers.Wallet.createRandom().address];
+    const salt = "0x" + "3f".repeat(32);
+    const params = { move: 2, salt, chainId: 1337, j1, j2, stakeWei: 1n };
+
+    const file = buildSecretFile({ ...params, commitment: computeCommitment(2, salt) });
+    expect(parseSecretFile(JSON.stringify(file))).to.include({ version: 2, move: 2, salt });
+
+    const abiEncoded = computeCommitment(2, salt, { scheme: COMMITMENT_SCHEMES.ABI_ENCODED });
+    expect(() => buildSecretFile({ ...params, commitment: abiEncoded })).to.throw("does not match keccak256(move, salt)");
+  });
+});
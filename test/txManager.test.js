@@ -0,0 +1,76 @@
+import { expect } from "chai";
+import hre from "hardhat";
+import { TxManager, TX_KINDS, TX_STATUS } from "../src/utils/txManager.js";
+
+const { ethers, network } = hre;
+
+// Transactions are kept in localStorage
+function installLocalStorage() {
+  const items = new Map();
+  globalThis.localStorage = {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+}
+
+/**
+ * A manager for one account, like usePlayer builds one per sandbox player
+ */
+async function playerManager(address) {
+  const provider = new ethers.BrowserProvider(network.provider, undefined, { cacheTimeout: -1 });
+  const signer = await provider.getSigner(address);
+  return { provider, signer, manager: new TxManager(provider, { account: address }) };
+}
+
+function transfer(player, to) {
+  return player.manager.submit(() => player.signer.sendTransaction({ to, value: 1n }), { kind: TX_KINDS.WITHDRAW });
+}
+
+describe("TxManager", function () {
+  let players;
+
+  beforeEach(async function () {
+    installLocalStorage();
+    const [j1, j2] = await ethers.getSigners();
+    players = [await playerManager(j1.address), await playerManager(j2.address)];
+  });
+
+  afterEach(async function () {
+    for (const { provider, manager } of players) {
+      manager.stop();
+      await manager.subscription;
+      provider.destroy();
+    }
+  });
+
+  it("keeps the records of other managers on the page", async function () {
+    const [p1, p2] = players;
+    const sent1 = await transfer(p1, p2.signer.address);
+    const sent2 = await transfer(p2, p1.signer.address);
+
+    const block = await ethers.provider.getBlockNumber();
+    await p1.manager.handleBlock(block);
+    await p2.manager.handleBlock(block);
+
+    for (const { manager } of players) {
+      expect(manager.get(sent1.hash)).to.include({ status: TX_STATUS.CONFIRMED });
+      expect(manager.get(sent2.hash)).to.include({ status: TX_STATUS.CONFIRMED });
+    }
+    expect(JSON.parse(localStorage.getItem("rps_transactions"))).to.have.lengthOf(2);
+  });
+
+  it("only follows its own account's transactions", async function () {
+    const [p1, p2] = players;
+    const sent2 = await transfer(p2, p1.signer.address);
+    const { chainId } = await p1.provider.getNetwork();
+    expect(p1.manager.listTracked(chainId)).to.deep.equal([]);
+
+    await p1.manager.handleBlock(await ethers.provider.getBlockNumber());
+    expect(p1.manager.get(sent2.hash)).to.include({ status: TX_STATUS.PENDING, confirmations: 0 });
+
+    await p2.manager.handleBlock(await ethers.provider.getBlockNumber());
+    expect(p1.manager.get(sent2.hash)).to.include({ status: TX_STATUS.CONFIRMED, confirmations: 1 });
+    expect(p2.manager.listTracked(chainId).map((record) => record.hash)).to.deep.equal([sent2.hash]);
+  });
+});